@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const { createJobQueue } = require('./jobQueue');
+const { containsContactDetails } = require('./leadExtraction');
+
+// Drives lead analysis in the background:
+//   - as soon as a visitor sends contact details (email or phone),
+//   - when a conversation has been idle for `idleMs` and is un-analysed or
+//     has new messages since its last analysis or failed run (periodic sweep),
+//   - in bulk, when an operator queues every un-analysed / stale conversation.
+// All of them go through one job queue with a concurrency limit and retries.
+function createAnalysisScheduler({
+  storage,
+  analyze,
+  enabled = true,
+  concurrency = 2,
+  maxAttempts = 3,
+  backoffMs = 5000,
+  idleMs = 10 * 60 * 1000,
+  sweepIntervalMs = 60 * 1000
+}) {
+  const queue = createJobQueue({
+    concurrency,
+    maxAttempts,
+    backoffMs,
+    handler: async ({ sessionId }) => {
+      try {
+        await analyze(sessionId);
+        return { sessionId };
+      } catch (e) {
+        // Nothing to analyze, or the model already had its validation retries
+        if (e.status === 404 || e.code === 'lead_extraction_failed') e.retryable = false;
+        throw e;
+      }
+    }
+  });
+  let timer = null;
+
+  // Time of the last transcript message: feedback votes, handoff toggles and
+  // the like also touch updatedAt but give the analysis nothing new to read
+  function changedAt(row) {
+    return row.lastActivity || row.updatedAt || row.createdAt;
+  }
+
+  // A due row (storage.listAnalysisDue() compares the stored analysis and
+  // failure times with the latest change) not already handled by a job: one
+  // queued or running, or one that finished after the latest change without
+  // storing anything (e.g. the model provider was down)
+  function needsAnalysis(row) {
+    if (queue.isActive(row.sessionId)) return false;
+    const job = queue.get(row.sessionId);
+    return !(job && job.updatedAt >= changedAt(row));
+  }
+
+  function enqueue(sessionId, reason, batchId = null) {
+    return queue.enqueue(sessionId, { sessionId }, { reason, batchId });
+  }
+
+  // scope: 'pending' (un-analysed or stale, default), 'unanalyzed', 'stale',
+  // 'failed' or 'all'; `botId` limits it to one bot's conversations
+  async function enqueueBulk({ scope = 'pending', botId } = {}) {
+    const rows = await storage.listConversations({ botId });
+    const batchId = crypto.randomUUID();
+    const selected = rows.filter(row => {
+      if (!row.messageCount) return false;
+      const stale = row.analyzedAt && changedAt(row) > row.analyzedAt;
+      switch (scope) {
+        case 'all': return true;
+        case 'unanalyzed': return !row.analyzedAt;
+        case 'stale': return Boolean(stale);
+        case 'failed': return row.analysisStatus === 'failed';
+        default: return !row.analyzedAt || Boolean(stale);
+      }
+    });
+    selected.forEach(row => enqueue(row.sessionId, 'bulk', batchId));
+    return { batchId, queued: selected.length };
+  }
+
+  async function sweep() {
+    try {
+      const rows = await storage.listAnalysisDue();
+      const cutoff = Date.now() - idleMs;
+      rows
+        .filter(row => Date.parse(changedAt(row)) <= cutoff && needsAnalysis(row))
+        .forEach(row => enqueue(row.sessionId, 'idle'));
+    } catch (e) {
+      console.error('Analysis sweep error:', e);
+    }
+  }
+
+  return {
+    enabled,
+    enqueue,
+    enqueueBulk,
+    sweep,
+
+    // Called after each visitor message has been persisted
+    noteMessage(sessionId, text) {
+      if (enabled && containsContactDetails(text)) enqueue(sessionId, 'contact');
+    },
+
+    start() {
+      if (!enabled || timer) return;
+      timer = setInterval(sweep, sweepIntervalMs);
+      if (timer.unref) timer.unref();
+    },
+
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+    },
+
+    // 'pending' while a job is queued/running, else the stored status
+    statusFor(row) {
+      if (queue.isActive(row.sessionId)) return 'pending';
+      if (row.analysisStatus) return row.analysisStatus;
+      return row.analyzedAt ? 'analyzed' : null;
+    },
+
+    jobs() {
+      return queue.list();
+    },
+
+    summary(batchId) {
+      return queue.summary(batchId);
+    }
+  };
+}
+
+module.exports = { createAnalysisScheduler };
@@ -0,0 +1,163 @@
+const { containsContactDetails, leadQualities } = require('./leadExtraction');
+const { createPricing, createTally, usageRecords, roundCost } = require('./usage');
+
+// Conversation and lead-funnel metrics, computed from stored conversations
+// (storage.iterateConversations) and their lead analysis.
+//
+// The funnel follows the flow the system prompt walks visitors through:
+// industry → challenge → contact details → consultation. Industry, challenge
+// and consultation come from lead analysis; contact details also count when a
+// visitor message contains an email or phone number, and consultation when
+// the conversation has a confirmed booking, so un-analysed conversations
+// still reach those stages.
+//
+// Token usage and cost (replies and lead analysis, priced by lib/usage.js)
+// count towards the day the conversation started, like everything else here.
+const FUNNEL_STAGES = [
+  { key: 'started', label: 'Conversation started' },
+  { key: 'industry', label: 'Industry given' },
+  { key: 'challenge', label: 'Challenge given' },
+  { key: 'contact', label: 'Contact collected' },
+  { key: 'consultation', label: 'Consultation booked' }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_DAYS = 731;
+
+function dayOf(iso) {
+  return String(iso || '').slice(0, 10);
+}
+
+function filled(value) {
+  return typeof value === 'string' ? value.trim() !== '' : Boolean(value);
+}
+
+// Furthest stage a conversation reached, as an index into FUNNEL_STAGES.
+// Stages are cumulative, and a later step implies the earlier ones even when
+// the analysis missed them (e.g. contact details without a stated industry).
+function funnelStage(record, userMessages, booked = false) {
+  const a = record.analysis || {};
+  const reached = [
+    true,
+    filled(a.customerIndustry),
+    filled(a.customerProblem),
+    filled(a.customerEmail) || filled(a.customerPhone) || userMessages.some(m => containsContactDetails(m.content)),
+    booked || a.customerConsultation === true
+  ];
+  return reached.lastIndexOf(true);
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+  return sorted[Math.max(index, 0)];
+}
+
+// Every day between the first and last (inclusive), so charts show gaps as zero
+function dayRange(first, last) {
+  if (!first || !last) return [];
+  let start = Date.parse(`${first}T00:00:00.000Z`);
+  const end = Date.parse(`${last}T00:00:00.000Z`);
+  if (end - start > (MAX_DAYS - 1) * DAY_MS) start = end - (MAX_DAYS - 1) * DAY_MS;
+  const days = [];
+  for (let t = start; t <= end; t += DAY_MS) days.push(new Date(t).toISOString().slice(0, 10));
+  return days;
+}
+
+function emptyDay(date) {
+  return { date, conversations: 0, messages: 0, promptTokens: 0, completionTokens: 0, cost: 0 };
+}
+
+// `records` is an (async) iterable of full conversation records; `qualities`
+// are the lead qualities counted, from the analysis schemas of the bots covered.
+// Model calls count on the day they were made: those of the conversations
+// plus `calls` not tied to one (knowledge uploads, counted when made between
+// from and to).
+async function computeAnalytics(records, { from = null, to = null } = {},
+  { pricing = createPricing(), qualities = leadQualities(), calls = [], bookedSessions = new Set() } = {}) {
+  const perDay = new Map();
+  const usage = createTally(pricing);
+  const dayBucket = day => {
+    if (!perDay.has(day)) perDay.set(day, emptyDay(day));
+    return perDay.get(day);
+  };
+  const addCall = (call, fallbackAt) => {
+    const cost = usage.add(call.model, call.usage);
+    const bucket = dayBucket(dayOf(call.at || fallbackAt));
+    bucket.promptTokens += Number(call.usage.promptTokens) || 0;
+    bucket.completionTokens += Number(call.usage.completionTokens) || 0;
+    bucket.cost += cost || 0;
+  };
+  calls
+    .filter(call => (!from || call.at >= from) && (!to || call.at <= to))
+    .forEach(call => addCall(call));
+  const latencies = [];
+  const leadQuality = Object.fromEntries(qualities.map(q => [q, 0]));
+  leadQuality.unanalyzed = 0;
+  const stageCounts = FUNNEL_STAGES.map(() => 0);
+  let conversations = 0;
+  let turns = 0;
+
+  for await (const record of records) {
+    const messages = (record.messages || []).filter(m => m && m.role !== 'system');
+    const userMessages = messages.filter(m => m.role === 'user');
+    if (!userMessages.length) continue;
+
+    conversations++;
+    turns += userMessages.length;
+    const bucket = dayBucket(dayOf(record.createdAt));
+    bucket.conversations++;
+    bucket.messages += messages.length;
+    usageRecords(record).forEach(call => addCall(call, record.createdAt));
+
+    messages.forEach(m => {
+      if (m.role === 'assistant' && Number.isFinite(m.latencyMs)) latencies.push(m.latencyMs);
+    });
+
+    const quality = record.analysis?.leadQuality;
+    // Qualities a schema no longer lists (it changed since) still count as analyzed
+    if (quality && quality !== 'unanalyzed') leadQuality[quality] = (Object.hasOwn(leadQuality, quality) ? leadQuality[quality] : 0) + 1;
+    else leadQuality.unanalyzed++;
+
+    const stage = funnelStage(record, userMessages, bookedSessions.has(record.sessionId));
+    for (let i = 0; i <= stage; i++) stageCounts[i]++;
+  }
+
+  const seenDays = Array.from(perDay.keys()).sort();
+  const today = new Date().toISOString().slice(0, 10);
+  const firstDay = from ? dayOf(from) : seenDays[0];
+  const lastDay = to ? [dayOf(to), today].sort()[0] : seenDays[seenDays.length - 1];
+  const days = dayRange(firstDay, lastDay)
+    .map(date => perDay.get(date) || emptyDay(date))
+    .map(bucket => ({ ...bucket, cost: roundCost(bucket.cost) }));
+
+  latencies.sort((a, b) => a - b);
+  const average = values => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+  const avgLatency = average(latencies);
+
+  return {
+    range: { from, to },
+    totals: {
+      conversations,
+      userMessages: turns,
+      avgTurns: conversations ? Math.round((turns / conversations) * 10) / 10 : 0,
+      analyzed: conversations - leadQuality.unanalyzed
+    },
+    perDay: days,
+    latency: {
+      samples: latencies.length,
+      avgMs: avgLatency === null ? null : Math.round(avgLatency),
+      p50Ms: percentile(latencies, 50),
+      p95Ms: percentile(latencies, 95)
+    },
+    leadQuality,
+    usage: usage.result(),
+    funnel: FUNNEL_STAGES.map((stage, i) => ({
+      ...stage,
+      count: stageCounts[i],
+      rate: conversations ? Math.round((stageCounts[i] / conversations) * 1000) / 10 : 0
+    }))
+  };
+}
+
+module.exports = { computeAnalytics, funnelStage, FUNNEL_STAGES };
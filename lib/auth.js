@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Operator roles, lowest to highest. A user satisfies every role at or below
+// their own: viewers read, agents also work leads, admins can do everything.
+const ROLES = ['viewer', 'agent', 'admin'];
+
+const COOKIE_NAME = 'dashboard_session';
+const SESSION_TOKEN_HEADER = 'x-session-token';
+
+// Passwords are stored as `scrypt$<salt hex>$<hash hex>`. Hashing is only done
+// by the CLI (scripts/hash-password); logins verify asynchronously so a burst
+// of attempts does not block the event loop.
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  const hash = crypto.scryptSync(String(password), salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(String(password), salt, expected.length);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// AUTH_USERS is a comma-separated list of `username:role:passwordHash`
+function parseUsers(raw) {
+  const users = new Map();
+  String(raw || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .forEach(entry => {
+      const [username, role, ...rest] = entry.split(':');
+      const passwordHash = rest.join(':');
+      if (!username || !ROLES.includes(role) || !passwordHash) {
+        console.warn(`⚠️  Ignoring malformed AUTH_USERS entry for "${username || '?'}"`);
+        return;
+      }
+      users.set(username, { username, role, passwordHash });
+    });
+  return users;
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  String(header || '').split(';').forEach(part => {
+    const idx = part.indexOf('=');
+    if (idx === -1) return;
+    const key = part.slice(0, idx).trim();
+    if (key) cookies[key] = decodeURIComponent(part.slice(idx + 1).trim());
+  });
+  return cookies;
+}
+
+function hasRole(user, role) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+function createAuth(env = process.env) {
+  const users = parseUsers(env.AUTH_USERS);
+  const ttlMs = (Number(env.AUTH_TOKEN_TTL_HOURS) || 12) * 60 * 60 * 1000;
+  let secret = env.AUTH_SECRET;
+  if (!secret) {
+    secret = crypto.randomBytes(32).toString('hex');
+    console.warn('⚠️  AUTH_SECRET is not set. Using a random secret; logins and chat sessions reset on restart.');
+  }
+  if (users.size === 0) {
+    console.warn('⚠️  AUTH_USERS is not set. Nobody can sign in to the dashboard (see `npm run hash-password`).');
+  }
+
+  function sign(value) {
+    return crypto.createHmac('sha256', secret).update(value).digest('base64url');
+  }
+
+  function safeEqual(a, b) {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+  }
+
+  // Operator tokens are stateless: base64url(payload).signature
+  function issueToken(user) {
+    const payload = Buffer.from(JSON.stringify({
+      u: user.username,
+      r: user.role,
+      exp: Date.now() + ttlMs
+    })).toString('base64url');
+    return `${payload}.${sign(payload)}`;
+  }
+
+  function verifyToken(token) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature || !safeEqual(sign(payload), signature)) return null;
+    try {
+      const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      if (!data.exp || data.exp < Date.now()) return null;
+      // Role changes and removals in AUTH_USERS take effect immediately
+      const user = users.get(data.u);
+      if (!user) return null;
+      return { username: user.username, role: user.role };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Checked instead of a real hash for unknown usernames, so they take as
+  // long to reject as a wrong password and do not reveal who has an account
+  const dummyHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+  // Resolves to the operator, or null for a wrong username or password
+  async function authenticate(username, password) {
+    const user = users.get(String(username || ''));
+    const valid = await verifyPassword(password, user ? user.passwordHash : dummyHash);
+    if (!user || !valid) return null;
+    return { username: user.username, role: user.role };
+  }
+
+  // Resolve the operator from the session cookie or a bearer token
+  function readUser(req) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) return verifyToken(header.slice(7).trim());
+    return verifyToken(parseCookies(req.headers.cookie)[COOKIE_NAME]);
+  }
+
+  function setSessionCookie(req, res, token) {
+    res.cookie(COOKIE_NAME, token, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: req.secure || req.headers['x-forwarded-proto'] === 'https',
+      maxAge: ttlMs,
+      path: '/'
+    });
+  }
+
+  function clearSessionCookie(res) {
+    res.clearCookie(COOKIE_NAME, { path: '/' });
+  }
+
+  // Express middleware: 401 when signed out, 403 when the role is too low
+  function requireRole(role) {
+    return (req, res, next) => {
+      const user = readUser(req);
+      if (!user) return res.status(401).json({ error: 'Authentication required' });
+      if (!hasRole(user, role)) return res.status(403).json({ error: 'Insufficient permissions' });
+      req.user = user;
+      next();
+    };
+  }
+
+  // Visitors get a per-session token when the session is created. It is an
+  // HMAC of the session id, so it needs no storage and cannot be guessed.
+  function sessionToken(sessionId) {
+    return sign(`session:${sessionId}`);
+  }
+
+  function verifySessionToken(sessionId, token) {
+    return Boolean(sessionId && token) && safeEqual(sessionToken(sessionId), token);
+  }
+
+  function readSessionToken(req) {
+    return req.headers[SESSION_TOKEN_HEADER] || req.body?.sessionToken || req.query?.token || '';
+  }
+
+  // Express middleware for `/:sessionId` routes: operators may read any
+  // session, visitors only the one their token was issued for.
+  function requireSessionAccess(req, res, next) {
+    const user = readUser(req);
+    if (hasRole(user, 'viewer')) {
+      req.user = user;
+      return next();
+    }
+    if (verifySessionToken(req.params.sessionId, readSessionToken(req))) return next();
+    return res.status(403).json({ error: 'Not allowed to access this session' });
+  }
+
+  // Operators without their password hashes (for assignee pickers)
+  function listUsers() {
+    return Array.from(users.values()).map(({ username, role }) => ({ username, role }));
+  }
+
+  function isKnownUser(username) {
+    return users.has(username);
+  }
+
+  return {
+    authenticate,
+    listUsers,
+    isKnownUser,
+    issueToken,
+    readUser,
+    setSessionCookie,
+    clearSessionCookie,
+    requireRole,
+    sessionToken,
+    verifySessionToken,
+    readSessionToken,
+    requireSessionAccess
+  };
+}
+
+module.exports = { createAuth, hashPassword, verifyPassword, hasRole, ROLES };
@@ -0,0 +1,301 @@
+const crypto = require('crypto');
+
+// Consultation booking. Operators publish availability slots; visitors
+// reserve a free one from the chat. Slots live in the storage
+// `booking_slots` collection and bookings in `bookings`. A slot belongs to one
+// bot, or to every bot when `botId` is null.
+//
+// A reservation first claims its slot in `booking_locks` with the insert-only
+// create(), so two visitors racing for the same slot cannot both get it, even
+// on different server instances. Cancelling releases the claim.
+//
+// A conversation has at most one upcoming booking: booking again moves the
+// consultation, cancelling the earlier booking once the new slot is held.
+const MAX_SLOTS_PER_REQUEST = 200;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Visitor or reply text that is about booking a consultation
+const BOOKING_INTENT = /\b(book|booking|appointment|schedule|consultation|meeting)\b|đặt lịch|lịch hẹn|hẹn gặp|cuộc hẹn/i;
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function notFound(message) {
+  const err = new Error(message);
+  err.status = 404;
+  return err;
+}
+
+function conflict(message) {
+  const err = new Error(message);
+  err.status = 409;
+  return err;
+}
+
+function parseTime(value, field) {
+  const time = Date.parse(value);
+  if (!value || Number.isNaN(time)) throw badRequest(`${field} must be a date and time`);
+  return time;
+}
+
+function mentionsBooking(text) {
+  return BOOKING_INTENT.test(String(text || ''));
+}
+
+// What operators see of a booking next to its slot
+function bookingSummary(booking) {
+  return {
+    id: booking.id,
+    sessionId: booking.sessionId,
+    name: booking.name,
+    email: booking.email,
+    phone: booking.phone || null,
+    createdAt: booking.createdAt
+  };
+}
+
+function createBookings({ storage, leads = null, webhooks = null }) {
+  const slots = storage.collection('booking_slots');
+  const bookings = storage.collection('bookings');
+  const locks = storage.collection('booking_locks');
+
+  const inScope = (item, botId) => !botId || !item.botId || item.botId === botId;
+
+  // Slots soonest first, each with its confirmed booking (or null)
+  async function listSlots({ botId, from, to } = {}) {
+    const [all, allBookings] = await Promise.all([slots.list(), bookings.list()]);
+    const confirmed = new Map(allBookings.filter(b => b.status === 'confirmed').map(b => [b.slotId, b]));
+    return all
+      .filter(slot => inScope(slot, botId))
+      .filter(slot => !from || slot.end > from)
+      .filter(slot => !to || slot.start < to)
+      .sort((a, b) => a.start.localeCompare(b.start))
+      .map(slot => ({ ...slot, booking: confirmed.has(slot.id) ? bookingSummary(confirmed.get(slot.id)) : null }));
+  }
+
+  async function load(id) {
+    const booking = await bookings.get(id);
+    if (!booking) throw notFound(`Booking "${id}" not found`);
+    return booking;
+  }
+
+  // Keeps the lead record and webhook subscribers in step with a booking
+  async function announce(event, booking, by) {
+    if (leads) {
+      try {
+        await leads.recordBooking(booking.sessionId, booking, by);
+      } catch (e) {
+        console.error('Lead booking update error:', e.message);
+      }
+    }
+    if (webhooks) webhooks.emit(event, { booking });
+  }
+
+  async function cancelBooking(booking, by, fields = {}) {
+    Object.assign(booking, { status: 'cancelled', cancelledAt: new Date().toISOString(), cancelledBy: by || null, ...fields });
+    await bookings.put(booking.id, booking);
+    await locks.delete(booking.slotId);
+    await announce('booking.cancelled', booking, by);
+    return booking;
+  }
+
+  // The session's other upcoming bookings made before `booking`. Comparing
+  // creation order means two bookings racing each other leave the later one.
+  async function earlierUpcoming(booking) {
+    const now = new Date().toISOString();
+    const before = other => other.createdAt < booking.createdAt || (other.createdAt === booking.createdAt && other.id < booking.id);
+    return (await bookings.list())
+      .filter(other => other.sessionId === booking.sessionId && other.id !== booking.id)
+      .filter(other => other.status === 'confirmed' && other.start > now && before(other));
+  }
+
+  return {
+    listSlots,
+
+    // Free future slots a visitor can book, soonest first: [{ id, start, end }]
+    async availability({ botId, limit = 10 } = {}) {
+      const now = new Date().toISOString();
+      const upcoming = await listSlots({ botId, from: now });
+      return upcoming
+        .filter(slot => !slot.booking && slot.start > now)
+        .slice(0, limit)
+        .map(({ id, start, end }) => ({ id, start, end }));
+    },
+
+    // Cuts [start, end) into slots of `durationMinutes`. Slots overlapping an
+    // existing one for the same bot are skipped, so re-submitting a day is safe.
+    async createSlots({ start, end, durationMinutes, botId, createdBy }) {
+      const from = parseTime(start, 'start');
+      const until = parseTime(end, 'end');
+      const minutes = Number(durationMinutes);
+      if (!Number.isInteger(minutes) || minutes < 5 || minutes > 480) {
+        throw badRequest('durationMinutes must be a whole number between 5 and 480');
+      }
+      if (until <= from) throw badRequest('end must be after start');
+      const stepMs = minutes * 60 * 1000;
+      if ((until - from) / stepMs > MAX_SLOTS_PER_REQUEST) {
+        throw badRequest(`At most ${MAX_SLOTS_PER_REQUEST} slots can be added at once`);
+      }
+
+      const existing = (await slots.list()).filter(slot => (slot.botId || null) === (botId || null));
+      const created = [];
+      for (let at = from; at + stepMs <= until; at += stepMs) {
+        const slot = {
+          id: crypto.randomUUID(),
+          botId: botId || null,
+          start: new Date(at).toISOString(),
+          end: new Date(at + stepMs).toISOString(),
+          createdAt: new Date().toISOString(),
+          createdBy: createdBy || null
+        };
+        if (existing.some(other => other.start < slot.end && slot.start < other.end)) continue;
+        await slots.put(slot.id, slot);
+        created.push(slot);
+      }
+      return created;
+    },
+
+    async deleteSlot(id) {
+      const slot = await slots.get(id);
+      if (!slot) throw notFound(`Slot "${id}" not found`);
+      if (await locks.get(id)) throw conflict('The slot is booked; cancel the booking first');
+      await slots.delete(id);
+    },
+
+    // Reserves a free slot for a conversation, replacing its upcoming booking
+    // if it has one; 409 when someone got there first
+    async book({ slotId, sessionId, botId, name, email, phone }) {
+      const visitorName = String(name || '').trim();
+      const visitorEmail = String(email || '').trim();
+      const visitorPhone = String(phone || '').trim();
+      if (!visitorName) throw badRequest('Please enter your name');
+      if (!EMAIL_PATTERN.test(visitorEmail)) throw badRequest('Please enter a valid email address');
+      const slot = slotId ? await slots.get(String(slotId)) : null;
+      if (!slot || !inScope(slot, botId)) throw notFound('That time is no longer available');
+      if (slot.start <= new Date().toISOString()) throw badRequest('That time has already passed');
+
+      const booking = {
+        id: crypto.randomUUID(),
+        slotId: slot.id,
+        sessionId,
+        botId: botId || null,
+        start: slot.start,
+        end: slot.end,
+        name: visitorName,
+        email: visitorEmail,
+        phone: visitorPhone || null,
+        status: 'confirmed',
+        createdAt: new Date().toISOString()
+      };
+      const claimed = await locks.create(slot.id, { bookingId: booking.id, at: booking.createdAt });
+      if (!claimed) throw conflict('That time has just been booked. Please choose another one.');
+      try {
+        await bookings.put(booking.id, booking);
+      } catch (e) {
+        await locks.delete(slot.id);
+        throw e;
+      }
+      if (sessionId) {
+        for (const earlier of await earlierUpcoming(booking)) await cancelBooking(earlier, null, { replacedBy: booking.id });
+      }
+      await announce('booking.created', booking, null);
+      return booking;
+    },
+
+    // Cancels a booking and frees its slot
+    async cancel(id, by) {
+      const booking = await load(id);
+      if (booking.status === 'cancelled') return booking;
+      return cancelBooking(booking, by);
+    },
+
+    get: load,
+
+    // Privacy (lib/privacy): removes a conversation's bookings, freeing the
+    // slots of upcoming ones. Resolves to the number removed.
+    async removeForSession(sessionId) {
+      const now = new Date().toISOString();
+      const own = (await bookings.list()).filter(booking => booking.sessionId === sessionId);
+      for (const booking of own) {
+        if (booking.status === 'confirmed' && booking.start > now) await locks.delete(booking.slotId);
+        await bookings.delete(booking.id);
+      }
+      return own.length;
+    },
+
+    // Keeps a conversation's bookings (and their slots) without the visitor's details
+    async anonymizeForSession(sessionId) {
+      const own = (await bookings.list()).filter(booking => booking.sessionId === sessionId);
+      for (const booking of own) {
+        await bookings.put(booking.id, { ...booking, name: '[name]', email: '[email]', phone: null, anonymizedAt: new Date().toISOString() });
+      }
+      return own.length;
+    },
+
+    // Bookings soonest first. filters: { botId, sessionId, status }
+    async list({ botId, sessionId, status } = {}) {
+      const all = await bookings.list();
+      return all
+        .filter(booking => inScope(booking, botId))
+        .filter(booking => !sessionId || booking.sessionId === sessionId)
+        .filter(booking => !status || booking.status === status)
+        .sort((a, b) => a.start.localeCompare(b.start));
+    }
+  };
+}
+
+// 20261021T030000Z
+function icsDate(iso) {
+  return new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function icsText(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  for (const ch of line) {
+    const limit = parts.length ? 74 : 75;
+    if (Buffer.byteLength(current + ch) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += ch;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// iCalendar (RFC 5545) file with the booking as a single event
+function bookingIcs(booking, { title, description = '' }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//website-chatbot//bookings//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    `UID:${booking.id}@website-chatbot`,
+    `DTSTAMP:${icsDate(booking.cancelledAt || booking.createdAt)}`,
+    `DTSTART:${icsDate(booking.start)}`,
+    `DTEND:${icsDate(booking.end)}`,
+    `SUMMARY:${icsText(title)}`,
+    `DESCRIPTION:${icsText(description)}`,
+    `STATUS:${booking.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ];
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+module.exports = { createBookings, bookingIcs, mentionsBooking };
@@ -0,0 +1,186 @@
+const fs = require('fs');
+const path = require('path');
+
+// Bot configurations. One deployment can serve several bots (e.g. the SKF
+// bearings assistant and the MindTek discovery bot); each has its own
+// prompts, model settings, suggestion chips and branding, and its sessions
+// are kept apart by bot id.
+//
+// Bots come from a JSON file (BOTS_FILE, default bots.json in the project
+// root) holding an array of:
+//
+//   {
+//     "id": "skf",                          // [a-z0-9-], used in URLs and storage
+//     "name": "TST Vietnam SKF assistant",
+//     "prompts": {                          // first versions of the bot's prompts
+//       "chat": [{ "file": "system_promt_tst.txt", "note": "...", "active": true }],
+//       "analysis": [{ "content": "...", "active": true }]
+//     },
+//     "models": { "chat": { "model": "gpt-4.1-mini", "temperature": 0.5, "maxTokens": 300 } },
+//     "suggestions": ["..."],
+//     "branding": { "title": "...", "greeting": "...", "primaryColor": "#0f62fe", "textColor": "#fff" },
+//     "tools": ["search_knowledge", "check_availability"]   // tools the model may call; omit for all, [] for none
+//   }
+//
+// `suggestions` and `branding.greeting` may also be given per chat language,
+// e.g. { "en": [...], "vi": [...] }; the chat window picks the visitor's.
+//
+// The analysis prompt carries the bot's lead schema. Prompts without seeds
+// start from the default bot's. The `default` bot always exists: it serves
+// sessions that name no bot and every conversation stored before bots
+// existed, and an entry with id "default" in the file overrides its settings.
+const DEFAULT_BOT_ID = 'default';
+const BOT_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+const MODEL_PURPOSES = ['chat', 'analysis'];
+
+const DEFAULT_BOT = {
+  id: DEFAULT_BOT_ID,
+  name: 'Website assistant',
+  prompts: {},
+  models: {},
+  suggestions: {
+    en: [
+      'Help with SKF bearings',
+      'Help with SKF seals',
+      'I need help with a gearbox',
+      'Where is your company?'
+    ],
+    vi: [
+      'Hỗ trợ về vòng bi SKF',
+      'Hỗ trợ về sản phẩm phớt SKF',
+      'Tôi cần hỗ trợ về hộp số',
+      'Địa chỉ công ty bạn?'
+    ]
+  },
+  branding: {
+    title: 'My Assistant',
+    greeting: {
+      en: 'Hello! I am the AI assistant. How can I help you?',
+      vi: 'Xin chào! Tôi là trợ lý AI. Tôi có thể giúp gì cho bạn?'
+    }
+  }
+};
+
+function notFound(message) {
+  const err = new Error(message);
+  err.status = 404;
+  return err;
+}
+
+function readBotsFile(filePath) {
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+  const parsed = JSON.parse(raw);
+  if (!Array.isArray(parsed)) throw new Error(`${filePath} must contain an array of bots`);
+  return parsed;
+}
+
+// A list, or lists keyed by chat language
+function normalizeSuggestions(value, fallback) {
+  if (Array.isArray(value)) return value.map(String);
+  if (value && typeof value === 'object') {
+    const byLocale = {};
+    Object.entries(value).forEach(([locale, list]) => {
+      if (Array.isArray(list)) byLocale[locale.toLowerCase()] = list.map(String);
+    });
+    return byLocale;
+  }
+  return fallback || [];
+}
+
+function normalizeBot(entry, base = {}) {
+  const id = String(entry.id || '').trim().toLowerCase();
+  if (!BOT_ID_PATTERN.test(id)) {
+    throw new Error(`Invalid bot id "${entry.id}" (lowercase letters, digits and dashes, up to 32 characters)`);
+  }
+  const models = {};
+  MODEL_PURPOSES.forEach(purpose => {
+    const settings = (entry.models && entry.models[purpose]) || (base.models && base.models[purpose]);
+    if (settings) models[purpose] = settings;
+  });
+  return {
+    id,
+    name: entry.name || base.name || id,
+    prompts: { ...(base.prompts || {}), ...(entry.prompts || {}) },
+    models,
+    suggestions: normalizeSuggestions(entry.suggestions, base.suggestions),
+    branding: { ...(base.branding || {}), ...(entry.branding || {}) },
+    tools: Array.isArray(entry.tools) ? entry.tools.map(String) : (base.tools || null)
+  };
+}
+
+// `llm` holds the deployment-wide profiles; a bot's `models` settings are
+// applied on top of them.
+function createBotRegistry({ filePath, llm }) {
+  const bots = new Map();
+  bots.set(DEFAULT_BOT_ID, normalizeBot(DEFAULT_BOT));
+
+  readBotsFile(filePath).forEach(entry => {
+    const base = String(entry.id || '').trim().toLowerCase() === DEFAULT_BOT_ID ? bots.get(DEFAULT_BOT_ID) : {};
+    const bot = normalizeBot(entry, base);
+    if (bots.has(bot.id) && bot.id !== DEFAULT_BOT_ID) throw new Error(`Duplicate bot id "${bot.id}" in ${filePath}`);
+    bots.set(bot.id, bot);
+  });
+
+  const profiles = new Map();
+  function profilesFor(bot) {
+    if (!profiles.has(bot.id)) {
+      const models = bot.models || {};
+      profiles.set(bot.id, {
+        chat: models.chat ? llm.chat.with(models.chat) : llm.chat,
+        analysis: models.analysis ? llm.analysis.with(models.analysis) : llm.analysis
+      });
+    }
+    return profiles.get(bot.id);
+  }
+
+  return {
+    defaultId: DEFAULT_BOT_ID,
+
+    list() {
+      return Array.from(bots.values());
+    },
+
+    has(id) {
+      return bots.has(id);
+    },
+
+    // The bot for `id`; no id means the default bot. Throws 404 for unknown ids.
+    get(id) {
+      const bot = bots.get(id || DEFAULT_BOT_ID);
+      if (!bot) throw notFound(`Unknown bot "${id}"`);
+      return bot;
+    },
+
+    // The bot a stored conversation belongs to. Conversations of a bot that
+    // has since been removed from the file fall back to the default bot.
+    resolve(id) {
+      return bots.get(id) || bots.get(DEFAULT_BOT_ID);
+    },
+
+    // LLM profiles ({ chat, analysis }) with the bot's model settings
+    profiles: profilesFor,
+
+    // What the chat widget needs; nothing about prompts or models
+    publicConfig(bot) {
+      return { id: bot.id, name: bot.name, suggestions: bot.suggestions, branding: bot.branding };
+    }
+  };
+}
+
+// Storage name of a bot's prompt. The default bot keeps the plain names
+// ("chat", "analysis") its prompts had before bots existed.
+function promptName(botId, kind) {
+  return !botId || botId === DEFAULT_BOT_ID ? kind : `${botId}:${kind}`;
+}
+
+function defaultBotsFile(rootDir, env = process.env) {
+  return env.BOTS_FILE ? path.resolve(rootDir, env.BOTS_FILE) : path.join(rootDir, 'bots.json');
+}
+
+module.exports = { createBotRegistry, promptName, defaultBotsFile, DEFAULT_BOT_ID };
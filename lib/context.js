@@ -0,0 +1,115 @@
+// Token-aware context assembly for chat requests.
+//
+// The stored transcript is never trimmed. For each request we send:
+//   1. the pinned system prompt (always),
+//   2. a running summary of older turns, if any have been folded away,
+//   3. every turn after the summary, newest last.
+// When those turns no longer fit the token budget, the oldest of them are
+// condensed into the summary by the `summary` model profile.
+
+// Rough token estimate: ~4 characters per token plus per-message overhead.
+// Good enough for budgeting without shipping a tokenizer.
+const CHARS_PER_TOKEN = 4;
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// After summarizing, only this share of the budget is kept as recent turns so
+// the next few requests fit without another summary call.
+const REFILL_RATIO = 0.6;
+
+const SUMMARY_PROMPT = [
+  'You maintain a running summary of a customer-support chat for the assistant that continues it.',
+  'Merge the previous summary with the new messages into one concise summary.',
+  'Always keep facts the user gave: name, email, phone, company, industry, challenges, goals,',
+  'availability, products or part numbers asked about, and anything already promised or booked.',
+  'Write in the language of the conversation. Reply with the summary only.'
+].join(' ');
+
+function estimateTokens(message) {
+  const text = typeof message === 'string' ? message : (message?.content || '');
+  return Math.ceil(text.length / CHARS_PER_TOKEN) + MESSAGE_OVERHEAD_TOKENS;
+}
+
+// Leading system messages are pinned; everything after them is a turn
+function splitPinned(messages) {
+  let i = 0;
+  while (i < messages.length && messages[i].role === 'system') i++;
+  return { pinned: messages.slice(0, i), turns: messages.slice(i) };
+}
+
+// Index of the oldest turn (>= from) such that turns[index..] fit the budget.
+// The latest turn is always kept, even if it alone exceeds the budget.
+function windowStart(turns, from, budget) {
+  let used = 0;
+  let start = turns.length;
+  while (start > from) {
+    const cost = estimateTokens(turns[start - 1]);
+    if (used + cost > budget && start < turns.length) break;
+    used += cost;
+    start--;
+  }
+  return start;
+}
+
+function summaryMessage(summary) {
+  return { role: 'system', content: `Summary of the earlier conversation:\n${summary.text}` };
+}
+
+function formatTurns(turns) {
+  return turns.map(m => `${m.role.toUpperCase()}: ${m.content}`).join('\n');
+}
+
+function createContextManager({ summaryProfile, budget = 3000 }) {
+  async function summarize(previous, turns) {
+    const completion = await summaryProfile.complete([
+      { role: 'system', content: SUMMARY_PROMPT },
+      {
+        role: 'user',
+        content: `Previous summary:\n${previous ? previous.text : '(none)'}\n\nNew messages:\n${formatTurns(turns)}`
+      }
+    ]);
+    return completion;
+  }
+
+  // Returns the messages to send to the model. May update
+  // `conversation.summary` ({ text, messageCount, updatedAt }), which the
+  // caller persists along with the transcript. `onUsage` receives the summary
+  // call, if one was made ({ kind, model, promptTokens, completionTokens }).
+  async function assemble(conversation, { onUsage } = {}) {
+    const { pinned, turns } = splitPinned(conversation.messages);
+    let summary = conversation.summary || null;
+    let covered = Math.min(summary?.messageCount || 0, turns.length);
+
+    const pinnedTokens = pinned.reduce((sum, m) => sum + estimateTokens(m), 0);
+    const summaryReserve = summaryProfile.maxTokens + MESSAGE_OVERHEAD_TOKENS;
+    const turnBudget = Math.max(budget - pinnedTokens - summaryReserve, 0);
+
+    if (windowStart(turns, covered, turnBudget) > covered) {
+      const foldTo = windowStart(turns, covered, Math.floor(turnBudget * REFILL_RATIO));
+      try {
+        const completion = await summarize(summary, turns.slice(covered, foldTo));
+        if (onUsage && completion.usage) {
+          onUsage({ kind: 'summary', model: completion.model || summaryProfile.model, ...completion.usage });
+        }
+        const text = (completion.content || '').trim();
+        if (text) {
+          summary = { text, messageCount: foldTo, updatedAt: new Date().toISOString() };
+          conversation.summary = summary;
+          covered = foldTo;
+        }
+      } catch (e) {
+        console.error('Context summary error:', e);
+      }
+    }
+
+    // If summarizing failed, fall back to the newest turns that fit
+    const start = Math.max(covered, windowStart(turns, covered, turnBudget));
+    const context = [...pinned];
+    if (summary && covered > 0) context.push(summaryMessage(summary));
+    // Stored messages carry metadata (ids, timestamps, latency, usage) the model API does not accept
+    return context.concat(turns.slice(start)).map(({ role, content }) => ({ role, content }));
+  }
+
+  return { assemble };
+}
+
+module.exports = { createContextManager, estimateTokens, splitPinned, SUMMARY_PROMPT };
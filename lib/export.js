@@ -0,0 +1,219 @@
+const { LEAD_SCHEMA, leadQualities } = require('./leadExtraction');
+const { DEFAULT_BOT_ID } = require('./bots');
+
+// Exports of conversations, transcripts and leads as CSV, JSON or NDJSON.
+// Rows are produced one conversation at a time from
+// storage.iterateConversations and written to the response as they are
+// built, so an export never holds the whole table in memory.
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+const DATASETS = ['conversations', 'transcripts', 'leads'];
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// Lead columns in the order the analysis schema declares them
+function leadFields(schema) {
+  return Object.keys((schema && schema.properties) || LEAD_SCHEMA.properties);
+}
+
+// Accepts YYYY-MM-DD or a full timestamp; a bare `to` date covers that whole day
+function parseBoundary(value, name, endOfDay) {
+  if (!value) return null;
+  const text = String(value).trim();
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(text);
+  const time = Date.parse(dateOnly ? `${text}T00:00:00.000Z` : text);
+  if (Number.isNaN(time)) throw badRequest(`${name} must be a date (YYYY-MM-DD) or ISO timestamp`);
+  return new Date(dateOnly && endOfDay ? time + 86400000 - 1 : time).toISOString();
+}
+
+// `from`/`to` query parameters as ISO timestamps (either may be null)
+function parseDateRange(query = {}) {
+  const from = parseBoundary(query.from, 'from', false);
+  const to = parseBoundary(query.to, 'to', true);
+  if (from && to && from > to) throw badRequest('from must not be after to');
+  return { from, to };
+}
+
+function parseExportQuery(query = {}, { qualities = leadQualities() } = {}) {
+  const format = String(query.format || 'csv').toLowerCase();
+  if (!FORMATS[format]) throw badRequest(`format must be one of ${Object.keys(FORMATS).join(', ')}`);
+  const quality = query.quality ? String(query.quality) : null;
+  if (quality && !qualities.includes(quality)) {
+    throw badRequest(`quality must be one of ${qualities.join(', ')}`);
+  }
+  const { from, to } = parseDateRange(query);
+  const botId = query.botId ? String(query.botId) : null;
+  return { format, filters: { from, to, leadQuality: quality, botId } };
+}
+
+function turnsOf(record) {
+  return (record.messages || []).filter(m => m && m.role !== 'system' && typeof m.content === 'string');
+}
+
+// Transcript line label: the role, or the operator who wrote a handoff message
+function speaker(message) {
+  return message.operator ? `OPERATOR (${message.operator})` : message.role.toUpperCase();
+}
+
+function leadColumns(analysis, fields) {
+  const row = {};
+  fields.forEach(field => {
+    const value = analysis ? analysis[field] : undefined;
+    row[field] = value === undefined ? null : value;
+  });
+  return row;
+}
+
+// Each dataset: its columns and the rows one conversation record turns into.
+// `nested` is true for JSON formats, where transcripts stay message arrays.
+function datasetSpec(dataset, fields, pipeline) {
+  switch (dataset) {
+    case 'conversations':
+      return {
+        columns: ['sessionId', 'botId', 'createdAt', 'updatedAt', 'messageCount', 'promptVersion',
+          'analysisStatus', 'analyzedAt', ...fields, 'transcript'],
+        rows(record, nested) {
+          const turns = turnsOf(record);
+          const prompt = record.promptVersion || null;
+          return [{
+            sessionId: record.sessionId,
+            botId: record.botId || DEFAULT_BOT_ID,
+            createdAt: record.createdAt,
+            updatedAt: record.updatedAt,
+            messageCount: turns.length,
+            promptVersion: nested || !prompt ? prompt : `${prompt.name} v${prompt.version}`,
+            analysisStatus: record.analysisStatus || null,
+            analyzedAt: record.analyzedAt || null,
+            ...leadColumns(record.analysis, fields),
+            transcript: nested
+              ? turns.map(m => ({ role: m.role, content: m.content, ...(m.operator ? { operator: m.operator } : {}) }))
+              : turns.map(m => `${speaker(m)}: ${m.content}`).join('\n')
+          }];
+        }
+      };
+    case 'transcripts':
+      return {
+        columns: ['sessionId', 'conversationCreatedAt', 'index', 'role', 'operator', 'toolCalls', 'content',
+          'feedback', 'feedbackComment'],
+        rows(record) {
+          return turnsOf(record).map((m, index) => ({
+            sessionId: record.sessionId,
+            conversationCreatedAt: record.createdAt,
+            index,
+            role: m.role,
+            operator: m.operator || null,
+            // Tools the model called before this reply
+            toolCalls: m.toolCalls ? m.toolCalls.map(call => call.name).join(', ') : null,
+            content: m.content,
+            // The visitor's rating of this reply
+            feedback: m.feedback ? m.feedback.rating : null,
+            feedbackComment: m.feedback ? m.feedback.comment || null : null
+          }));
+        }
+      };
+    case 'leads':
+      return {
+        columns: ['sessionId', 'botId', 'createdAt', 'analyzedAt', ...fields, 'pipelineStatus', 'assignee', 'followUpAt'],
+        rows(record) {
+          if (!record.analysis) return [];
+          const lead = pipeline.get(record.sessionId);
+          return [{
+            sessionId: record.sessionId,
+            botId: record.botId || DEFAULT_BOT_ID,
+            createdAt: record.createdAt,
+            analyzedAt: record.analyzedAt || null,
+            ...leadColumns(record.analysis, fields),
+            pipelineStatus: lead ? lead.status : 'new',
+            assignee: lead ? lead.assignee : null,
+            followUpAt: lead ? lead.followUpAt : null
+          }];
+        }
+      };
+    default:
+      throw badRequest(`dataset must be one of ${DATASETS.join(', ')}`);
+  }
+}
+
+// A cell that is nothing but an international phone number ("+84 988 920 565")
+const PHONE_CELL = /^\+[\d\s().-]+$/;
+
+// Quote per RFC 4180. Text cells a spreadsheet could run as a formula (any
+// starting with = + - @, a tab or CR, e.g. "+1+cmd|...") get a leading
+// apostrophe; only cells that are entirely a phone number are left alone.
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'string' ? value : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && !PHONE_CELL.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function createFormatter(format, columns) {
+  const pick = row => Object.fromEntries(columns.map(column => [column, row[column]]));
+  switch (format) {
+    case 'csv':
+      return {
+        // BOM so Excel reads UTF-8 (Vietnamese names) correctly
+        start: `\uFEFF${columns.map(csvCell).join(',')}\r\n`,
+        row: row => `${columns.map(column => csvCell(row[column])).join(',')}\r\n`,
+        end: ''
+      };
+    case 'json': {
+      let first = true;
+      return {
+        start: '[\n',
+        row: row => {
+          const prefix = first ? '' : ',\n';
+          first = false;
+          return prefix + JSON.stringify(pick(row));
+        },
+        get end() { return first ? ']\n' : '\n]\n'; }
+      };
+    }
+    default:
+      return { start: '', row: row => `${JSON.stringify(pick(row))}\n`, end: '' };
+  }
+}
+
+// Streams one export to an Express response. `schema` is the analysis schema
+// whose property order fixes the lead columns; `pipeline` maps session ids to
+// lead pipeline state for the leads dataset.
+async function streamExport(res, { storage, dataset, format, filters, schema, pipeline = new Map() }) {
+  const spec = datasetSpec(dataset, leadFields(schema), pipeline);
+  const formatter = createFormatter(format, spec.columns);
+  const nested = format !== 'csv';
+
+  let closed = false;
+  res.on('close', () => { closed = true; });
+  const write = chunk => new Promise(resolve => {
+    if (!chunk || closed) return resolve();
+    if (res.write(chunk)) return resolve();
+    res.once('drain', resolve);
+    res.once('close', resolve);
+  });
+
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.setHeader('Content-Type', FORMATS[format].contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${dataset}-${stamp}.${FORMATS[format].extension}"`);
+  res.setHeader('Cache-Control', 'no-store');
+
+  await write(formatter.start);
+  for await (const record of storage.iterateConversations(filters)) {
+    if (closed) return;
+    for (const row of spec.rows(record, nested)) {
+      await write(formatter.row(row));
+    }
+  }
+  await write(formatter.end);
+  res.end();
+}
+
+module.exports = { streamExport, parseExportQuery, parseDateRange, leadFields, csvCell, DATASETS, FORMATS };
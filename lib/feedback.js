@@ -0,0 +1,39 @@
+// Visitor feedback on the bot's replies: a thumbs up or down with an optional
+// comment, kept on the assistant message it rates as
+// `feedback: { rating, comment, createdAt }`. A new rating replaces the old.
+const FEEDBACK_RATINGS = ['up', 'down'];
+const MAX_COMMENT_LENGTH = 1000;
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// The stored feedback for a request body ({ rating, comment? })
+function normalizeFeedback(body) {
+  const { rating, comment } = body || {};
+  if (!FEEDBACK_RATINGS.includes(rating)) {
+    throw badRequest(`rating must be one of ${FEEDBACK_RATINGS.join(', ')}`);
+  }
+  if (comment !== undefined && comment !== null && typeof comment !== 'string') {
+    throw badRequest('comment must be a string');
+  }
+  const text = (comment || '').trim();
+  if (text.length > MAX_COMMENT_LENGTH) {
+    throw badRequest(`comment must be at most ${MAX_COMMENT_LENGTH} characters`);
+  }
+  return { rating, comment: text, createdAt: new Date().toISOString() };
+}
+
+// Rated replies of a transcript: { up, down }
+function feedbackCounts(messages) {
+  const counts = { up: 0, down: 0 };
+  (messages || []).forEach(message => {
+    const rating = message && message.feedback && message.feedback.rating;
+    if (FEEDBACK_RATINGS.includes(rating)) counts[rating]++;
+  });
+  return counts;
+}
+
+module.exports = { normalizeFeedback, feedbackCounts, FEEDBACK_RATINGS, MAX_COMMENT_LENGTH };
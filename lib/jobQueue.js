@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+
+// Small in-process job queue with a concurrency limit and retries.
+//
+// Jobs are keyed (e.g. by session id): enqueueing a key that is already
+// queued, running or waiting to retry returns the existing job instead of
+// adding a duplicate. Failed attempts are retried with exponential backoff
+// unless the handler throws an error with `retryable === false`.
+const ACTIVE_STATUSES = ['queued', 'running', 'retrying'];
+
+function createJobQueue({ handler, concurrency = 2, maxAttempts = 3, backoffMs = 2000, historyLimit = 500 }) {
+  const jobs = new Map();
+  const waiting = [];
+  let running = 0;
+
+  function touch(job, fields) {
+    Object.assign(job, fields, { updatedAt: new Date().toISOString() });
+  }
+
+  // Forget the oldest finished jobs once the history grows past the limit
+  function prune() {
+    if (jobs.size <= historyLimit) return;
+    const finished = Array.from(jobs.values())
+      .filter(job => !ACTIVE_STATUSES.includes(job.status))
+      .sort((a, b) => a.updatedAt.localeCompare(b.updatedAt));
+    while (jobs.size > historyLimit && finished.length) {
+      jobs.delete(finished.shift().key);
+    }
+  }
+
+  function pump() {
+    while (running < concurrency && waiting.length) {
+      run(waiting.shift());
+    }
+  }
+
+  async function run(job) {
+    running++;
+    touch(job, { status: 'running', attempts: job.attempts + 1 });
+    try {
+      const result = await handler(job.payload, job);
+      touch(job, { status: 'done', result: result === undefined ? null : result, error: null });
+    } catch (e) {
+      const retryable = e.retryable !== false && job.attempts < maxAttempts;
+      if (retryable) {
+        const delay = backoffMs * 2 ** (job.attempts - 1);
+        touch(job, { status: 'retrying', error: e.message, retryAt: new Date(Date.now() + delay).toISOString() });
+        const timer = setTimeout(() => {
+          touch(job, { status: 'queued', retryAt: null });
+          waiting.push(job);
+          pump();
+        }, delay);
+        if (timer.unref) timer.unref();
+      } else {
+        touch(job, { status: 'failed', error: e.message });
+      }
+    } finally {
+      running--;
+      prune();
+      pump();
+    }
+  }
+
+  return {
+    enqueue(key, payload, meta = {}) {
+      const existing = jobs.get(key);
+      if (existing && ACTIVE_STATUSES.includes(existing.status)) return existing;
+      const nowIso = new Date().toISOString();
+      const job = {
+        id: crypto.randomUUID(),
+        key,
+        payload,
+        ...meta,
+        status: 'queued',
+        attempts: 0,
+        error: null,
+        result: null,
+        createdAt: nowIso,
+        updatedAt: nowIso
+      };
+      jobs.set(key, job);
+      waiting.push(job);
+      pump();
+      return job;
+    },
+
+    get(key) {
+      return jobs.get(key) || null;
+    },
+
+    isActive(key) {
+      const job = jobs.get(key);
+      return Boolean(job) && ACTIVE_STATUSES.includes(job.status);
+    },
+
+    list() {
+      return Array.from(jobs.values()).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    },
+
+    // Counts per status, optionally limited to one batch
+    summary(batchId) {
+      const counts = { queued: 0, running: 0, retrying: 0, done: 0, failed: 0, total: 0 };
+      jobs.forEach(job => {
+        if (batchId && job.batchId !== batchId) return;
+        counts[job.status]++;
+        counts.total++;
+      });
+      return counts;
+    }
+  };
+}
+
+module.exports = { createJobQueue, ACTIVE_STATUSES };
@@ -0,0 +1,45 @@
+const { tokenize } = require('./text');
+
+// Okapi BM25 over knowledge-base chunks. Runs locally with no model, so
+// retrieval works offline and without an embeddings provider.
+function createBm25Index(entries, { k1 = 1.2, b = 0.75 } = {}) {
+  const docs = entries.map(entry => {
+    const termFrequency = new Map();
+    const tokens = tokenize(entry.text);
+    tokens.forEach(token => termFrequency.set(token, (termFrequency.get(token) || 0) + 1));
+    return { id: entry.id, length: tokens.length, termFrequency };
+  });
+  const documentFrequency = new Map();
+  docs.forEach(doc => {
+    doc.termFrequency.forEach((_, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+  });
+  const averageLength = docs.reduce((sum, doc) => sum + doc.length, 0) / (docs.length || 1) || 1;
+
+  function idf(term) {
+    const n = documentFrequency.get(term) || 0;
+    return Math.log(1 + (docs.length - n + 0.5) / (n + 0.5));
+  }
+
+  return {
+    // [{ id, score }] best first, for entries accepted by `filter(id)`
+    search(query, { filter, limit = 10 } = {}) {
+      const terms = Array.from(new Set(tokenize(query)));
+      if (!terms.length) return [];
+      const results = [];
+      docs.forEach(doc => {
+        if (filter && !filter(doc.id)) return;
+        let score = 0;
+        terms.forEach(term => {
+          const frequency = doc.termFrequency.get(term);
+          if (!frequency) return;
+          const norm = k1 * (1 - b + (b * doc.length) / averageLength);
+          score += idf(term) * ((frequency * (k1 + 1)) / (frequency + norm));
+        });
+        if (score > 0) results.push({ id: doc.id, score });
+      });
+      return results.sort((x, y) => y.score - x.score).slice(0, limit);
+    }
+  };
+}
+
+module.exports = { createBm25Index };
@@ -0,0 +1,288 @@
+const crypto = require('crypto');
+const { extractSections } = require('./parse');
+const { chunkSections } = require('./text');
+const { createBm25Index } = require('./bm25');
+const { addUsage, emptyUsage } = require('../usage');
+
+// Knowledge base: uploaded documents, split into chunks and searched for
+// passages to put in front of the chat model.
+//
+// Documents (with their chunks and, when an embeddings provider is set, one
+// vector per chunk) live in the storage `knowledge_documents` collection. A
+// document belongs to one bot, or to every bot when `botId` is null.
+//
+// Search is lexical (BM25) and, with embeddings, also semantic; the two
+// rankings are merged by reciprocal rank. Chunks indexed while embeddings
+// were off or failing are still found lexically, and so is everything when
+// the embeddings provider is unreachable.
+//
+// Embedding calls are recorded for usage and costs: an upload's on its
+// document (`embeddingUsage`), a search's through its `onUsage` callback.
+const EMBED_BATCH_SIZE = 64;
+const RRF_K = 60;
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function notFound(message) {
+  const err = new Error(message);
+  err.status = 404;
+  return err;
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length && i < b.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// What the API returns for a document; chunk texts and vectors stay out of lists
+function toSummary(doc) {
+  return {
+    id: doc.id,
+    botId: doc.botId || null,
+    title: doc.title,
+    filename: doc.filename,
+    type: doc.type,
+    size: doc.size,
+    chunkCount: doc.chunks.length,
+    embeddingModel: doc.embeddingModel || null,
+    embeddingUsage: doc.embeddingUsage || null,
+    createdAt: doc.createdAt,
+    createdBy: doc.createdBy || null
+  };
+}
+
+// System message with the passages for the model, numbered for citations
+function knowledgeMessage(passages) {
+  const blocks = passages.map((p, i) => `[${i + 1}] ${p.title}${p.location ? ` (${p.location})` : ''}\n${p.text}`);
+  return {
+    role: 'system',
+    content: [
+      'Knowledge base passages that may help with the latest message. Prefer them over general knowledge,',
+      'cite the ones you use with their number in square brackets, e.g. [1], and do not invent details they do not contain.',
+      'If they do not cover the question, answer as you normally would without citing them.',
+      '',
+      blocks.join('\n\n')
+    ].join('\n')
+  };
+}
+
+// Passages the reply actually cites, as { ref, documentId, title, location }
+function citedSources(passages, reply) {
+  return passages
+    .map((p, i) => ({ ref: i + 1, documentId: p.documentId, title: p.title, location: p.location }))
+    .filter(source => String(reply || '').includes(`[${source.ref}]`));
+}
+
+function createKnowledgeBase({
+  storage,
+  embedder = null,
+  chunkSize = 1000,
+  chunkOverlap = 150,
+  maxPassages = 4,
+  maxContextChars = 4000,
+  minScore = 0.5,
+  minSimilarity = 0.3,
+  cacheTtlMs = 30000
+}) {
+  const docs = storage.collection('knowledge_documents');
+  let cache = null;
+
+  // Every chunk across documents plus the BM25 index over them, rebuilt when
+  // this process changes a document or after cacheTtlMs (other instances)
+  async function loadIndex() {
+    if (cache && cache.expiresAt > Date.now()) return cache;
+    const documents = await docs.list();
+    const chunks = new Map();
+    documents.forEach(doc => {
+      doc.chunks.forEach(chunk => {
+        chunks.set(chunk.id, { ...chunk, documentId: doc.id, botId: doc.botId || null, title: doc.title, model: doc.embeddingModel });
+      });
+    });
+    // Titles and headings are searchable too, not only the chunk text
+    const bm25 = createBm25Index(Array.from(chunks.values()).map(chunk => ({
+      id: chunk.id,
+      text: [chunk.title, chunk.location, chunk.text].filter(Boolean).join('\n')
+    })));
+    cache = { expiresAt: Date.now() + cacheTtlMs, chunks, bm25 };
+    return cache;
+  }
+
+  // Vectors for the chunks and the tokens of every batch together
+  async function embedChunks(chunks) {
+    const vectors = [];
+    const usage = emptyUsage();
+    let model = embedder.model;
+    for (let i = 0; i < chunks.length; i += EMBED_BATCH_SIZE) {
+      const batch = chunks.slice(i, i + EMBED_BATCH_SIZE);
+      const result = await embedder.embed(batch.map(chunk => chunk.text));
+      vectors.push(...result.vectors);
+      addUsage(usage, result.usage);
+      model = result.model || model;
+    }
+    return { vectors, model, usage };
+  }
+
+  async function load(id) {
+    const doc = await docs.get(id);
+    if (!doc) throw notFound(`Document "${id}" not found`);
+    return doc;
+  }
+
+  return {
+    // Parses, chunks and (with embeddings) embeds an uploaded file
+    async add({ buffer, filename, contentType, title, botId, createdBy }) {
+      if (!buffer || !buffer.length) throw badRequest('The uploaded file is empty');
+      const name = String(filename || '').trim();
+      if (!name) throw badRequest('filename is required');
+      const { type, sections } = await extractSections({ buffer, filename: name, contentType });
+      const id = crypto.randomUUID();
+      const chunks = chunkSections(sections, { size: chunkSize, overlap: chunkOverlap })
+        .map((chunk, i) => ({ id: `${id}:${i}`, text: chunk.text, location: chunk.location }));
+
+      let embeddingModel = null;
+      let embeddingUsage = null;
+      if (embedder) {
+        try {
+          const { vectors, model, usage } = await embedChunks(chunks);
+          chunks.forEach((chunk, i) => { chunk.vector = vectors[i]; });
+          embeddingModel = embedder.model;
+          embeddingUsage = { at: new Date().toISOString(), model, ...usage };
+        } catch (e) {
+          console.error(`Knowledge embedding failed for "${name}"; it will be searched lexically only:`, e.message);
+        }
+      }
+
+      const doc = {
+        id,
+        botId: botId || null,
+        title: String(title || '').trim() || name,
+        filename: name,
+        type,
+        size: buffer.length,
+        embeddingModel,
+        embeddingUsage,
+        createdAt: new Date().toISOString(),
+        createdBy: createdBy || null,
+        chunks
+      };
+      await docs.put(id, doc);
+      cache = null;
+      return toSummary(doc);
+    },
+
+    // Documents newest first; with `botId`, that bot's and the shared ones
+    async list({ botId } = {}) {
+      const all = await docs.list();
+      return all
+        .filter(doc => !botId || !doc.botId || doc.botId === botId)
+        .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+        .map(toSummary);
+    },
+
+    // A document with its chunks (without vectors)
+    async get(id) {
+      const doc = await load(id);
+      return { ...toSummary(doc), chunks: doc.chunks.map(({ id: chunkId, text, location }) => ({ id: chunkId, text, location })) };
+    },
+
+    // Embedding calls of uploads, as lib/usage.js usageRecords() lists calls;
+    // with `botId`, of that bot's and the shared documents
+    async usage({ botId } = {}) {
+      const all = await docs.list();
+      return all
+        .filter(doc => doc.embeddingUsage && (!botId || !doc.botId || doc.botId === botId))
+        .map(doc => ({
+          kind: 'embedding',
+          id: doc.id,
+          at: doc.embeddingUsage.at,
+          model: doc.embeddingUsage.model,
+          usage: { promptTokens: doc.embeddingUsage.promptTokens, completionTokens: doc.embeddingUsage.completionTokens }
+        }));
+    },
+
+    async remove(id) {
+      await load(id);
+      await docs.delete(id);
+      cache = null;
+    },
+
+    // Best passages for `query` from the bot's and shared documents:
+    // [{ documentId, title, location, text, score, lexicalScore, similarity }].
+    // `onUsage` receives the query's embedding call ({ kind, model, promptTokens, completionTokens })
+    async search(query, { botId, limit = maxPassages, onUsage } = {}) {
+      const text = String(query || '').trim();
+      if (!text) return [];
+      const index = await loadIndex();
+      if (!index.chunks.size) return [];
+      const allowed = chunkId => {
+        const chunk = index.chunks.get(chunkId);
+        return !chunk.botId || !botId || chunk.botId === botId;
+      };
+
+      const lexical = index.bm25.search(text, { filter: allowed, limit: limit * 5 })
+        .filter(result => result.score >= minScore);
+
+      let semantic = [];
+      if (embedder) {
+        const candidates = Array.from(index.chunks.values())
+          .filter(chunk => chunk.vector && chunk.model === embedder.model && allowed(chunk.id));
+        if (candidates.length) {
+          try {
+            const { vectors: [queryVector], model, usage } = await embedder.embed([text]);
+            if (onUsage && usage) onUsage({ kind: 'embedding', model: model || embedder.model, ...usage });
+            semantic = candidates
+              .map(chunk => ({ id: chunk.id, score: cosine(queryVector, chunk.vector) }))
+              .filter(result => result.score >= minSimilarity)
+              .sort((a, b) => b.score - a.score)
+              .slice(0, limit * 5);
+          } catch (e) {
+            console.error('Knowledge query embedding failed; using lexical search only:', e.message);
+          }
+        }
+      }
+
+      // Reciprocal rank fusion of the two rankings
+      const fused = new Map();
+      [[lexical, 'lexicalScore'], [semantic, 'similarity']].forEach(([ranking, field]) => {
+        ranking.forEach((result, rank) => {
+          const entry = fused.get(result.id) || { id: result.id, score: 0, lexicalScore: null, similarity: null };
+          entry.score += 1 / (RRF_K + rank + 1);
+          entry[field] = Number(result.score.toFixed(4));
+          fused.set(result.id, entry);
+        });
+      });
+
+      const passages = [];
+      let chars = 0;
+      for (const entry of Array.from(fused.values()).sort((a, b) => b.score - a.score)) {
+        if (passages.length >= limit) break;
+        const chunk = index.chunks.get(entry.id);
+        if (passages.length && chars + chunk.text.length > maxContextChars) break;
+        chars += chunk.text.length;
+        passages.push({
+          documentId: chunk.documentId,
+          title: chunk.title,
+          location: chunk.location || null,
+          text: chunk.text,
+          score: Number(entry.score.toFixed(5)),
+          lexicalScore: entry.lexicalScore,
+          similarity: entry.similarity
+        });
+      }
+      return passages;
+    }
+  };
+}
+
+module.exports = { createKnowledgeBase, knowledgeMessage, citedSources };
@@ -0,0 +1,181 @@
+const path = require('path');
+
+// Text extraction for uploaded knowledge-base documents. Each parser returns
+// sections ({ text, location }) where `location` is what a citation points
+// at: a PDF page, a Markdown heading or a range of CSV rows.
+
+const DOCUMENT_TYPES = {
+  pdf: { extensions: ['.pdf'], contentTypes: ['application/pdf'] },
+  markdown: { extensions: ['.md', '.markdown'], contentTypes: ['text/markdown', 'text/x-markdown'] },
+  csv: { extensions: ['.csv'], contentTypes: ['text/csv', 'application/vnd.ms-excel'] },
+  text: { extensions: ['.txt'], contentTypes: ['text/plain'] }
+};
+
+// CSV rows are grouped into sections of about this many characters
+const CSV_SECTION_CHARS = 1000;
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// Type from the file extension, else from the Content-Type header
+function detectType(filename, contentType) {
+  const extension = path.extname(String(filename || '')).toLowerCase();
+  const mime = String(contentType || '').split(';')[0].trim().toLowerCase();
+  const byExtension = Object.keys(DOCUMENT_TYPES).find(type => DOCUMENT_TYPES[type].extensions.includes(extension));
+  if (byExtension) return byExtension;
+  return Object.keys(DOCUMENT_TYPES).find(type => DOCUMENT_TYPES[type].contentTypes.includes(mime)) || null;
+}
+
+function decodeText(buffer) {
+  return buffer.toString('utf8').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+}
+
+async function parsePdf(buffer) {
+  // The package's index.js runs a self-test when loaded outside a parent
+  // module, so require the parser itself
+  const pdf = require('pdf-parse/lib/pdf-parse.js');
+  const pages = [];
+  // pdf.js reads the whole underlying ArrayBuffer, so small (pooled) Node
+  // buffers must be copied out first
+  await pdf(new Uint8Array(buffer), {
+    // Keep each page's text so passages can cite their page
+    pagerender: async page => {
+      const content = await page.getTextContent();
+      let lastY = null;
+      let text = '';
+      content.items.forEach(item => {
+        const y = item.transform[5];
+        text += lastY === null || lastY === y ? item.str : `\n${item.str}`;
+        lastY = y;
+      });
+      pages.push(text);
+      return text;
+    }
+  });
+  return pages.map((text, i) => ({ text, location: `p. ${i + 1}` }));
+}
+
+// One section per heading; the location is the heading path ("Seals › Oil seals")
+function parseMarkdown(text) {
+  const sections = [];
+  const headings = [];
+  let lines = [];
+  const flush = () => {
+    const body = lines.join('\n').trim();
+    if (body) sections.push({ text: body, location: headings.filter(Boolean).join(' › ') || null });
+    lines = [];
+  };
+  text.split('\n').forEach(line => {
+    const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (!heading) {
+      lines.push(line);
+      return;
+    }
+    flush();
+    headings.length = heading[1].length - 1;
+    headings.push(heading[2]);
+  });
+  flush();
+  return sections;
+}
+
+// RFC 4180 fields; the delimiter is whichever of , ; or tab the header uses most
+function parseCsvRows(text) {
+  const header = text.split('\n')[0] || '';
+  const delimiter = [',', ';', '\t']
+    .map(d => ({ d, count: header.split(d).length }))
+    .sort((a, b) => b.count - a.count)[0].d;
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n') {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(cell => cell.trim()));
+}
+
+// Each data row becomes "Column: value; Column: value" so a passage about a
+// price-list row still says what its numbers are. Rows are numbered as in a
+// spreadsheet (the header is row 1).
+function parseCsv(text) {
+  const [header = [], ...rows] = parseCsvRows(text);
+  const sections = [];
+  let lines = [];
+  let first = null;
+  const flush = last => {
+    if (lines.length) sections.push({ text: lines.join('\n\n'), location: first === last ? `row ${first}` : `rows ${first}–${last}` });
+    lines = [];
+  };
+  rows.forEach((cells, i) => {
+    const rowNumber = i + 2;
+    const line = cells
+      .map((cell, c) => [String(header[c] || `Column ${c + 1}`).trim(), cell.trim()])
+      .filter(([, value]) => value)
+      .map(([name, value]) => `${name}: ${value}`)
+      .join('; ');
+    if (lines.length && lines.join('\n\n').length + line.length > CSV_SECTION_CHARS) flush(rowNumber - 1);
+    if (!lines.length) first = rowNumber;
+    lines.push(line);
+  });
+  flush(rows.length + 1);
+  return sections;
+}
+
+// { type, sections } for an uploaded file; 400 for unsupported or empty files
+async function extractSections({ buffer, filename, contentType }) {
+  const type = detectType(filename, contentType);
+  if (!type) throw badRequest('Unsupported document type (expected PDF, Markdown, CSV or plain text)');
+  let sections;
+  try {
+    switch (type) {
+      case 'pdf':
+        sections = await parsePdf(buffer);
+        break;
+      case 'markdown':
+        sections = parseMarkdown(decodeText(buffer));
+        break;
+      case 'csv':
+        sections = parseCsv(decodeText(buffer));
+        break;
+      default:
+        sections = [{ text: decodeText(buffer), location: null }];
+    }
+  } catch (e) {
+    throw badRequest(`Could not read ${type} document: ${e.message}`);
+  }
+  sections = sections.filter(section => section.text.trim());
+  if (!sections.length) throw badRequest('The document contains no text');
+  return { type, sections };
+}
+
+module.exports = { extractSections, detectType, parseCsvRows, DOCUMENT_TYPES };
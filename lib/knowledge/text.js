@@ -0,0 +1,64 @@
+// Tokenizing and chunking shared by the knowledge-base parsers and indexes.
+
+// Lowercase word tokens with diacritics folded away, so "vòng bi" matches
+// "vong bi" and part numbers such as "6205-2RS" become "6205", "2rs".
+function tokenize(text) {
+  return String(text || '')
+    .replace(/[đĐ]/g, 'd')
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// The last `size` characters of a chunk, starting at a word boundary, carried
+// into the next chunk so a passage cut in two still reads in context
+function overlapTail(text, size) {
+  if (!size || text.length <= size) return '';
+  const cut = text.indexOf(' ', text.length - size);
+  return cut === -1 ? '' : text.slice(cut + 1);
+}
+
+// Break a paragraph longer than `size` at sentence ends, else at spaces
+function splitLong(text, size) {
+  const pieces = [];
+  let rest = text;
+  while (rest.length > size) {
+    let cut = rest.lastIndexOf('. ', size);
+    if (cut < size / 2) cut = rest.lastIndexOf(' ', size);
+    if (cut < size / 2) cut = size - 1;
+    pieces.push(rest.slice(0, cut + 1).trim());
+    rest = rest.slice(cut + 1);
+  }
+  if (rest.trim()) pieces.push(rest.trim());
+  return pieces;
+}
+
+// Sections ({ text, location }) to chunks of about `size` characters. Chunks
+// never span sections, so each keeps the location (page, heading, rows) it
+// came from.
+function chunkSections(sections, { size = 1000, overlap = 150 } = {}) {
+  const chunks = [];
+  sections.forEach(section => {
+    const paragraphs = String(section.text || '')
+      .split(/\n\s*\n/)
+      .map(p => p.trim())
+      .filter(Boolean)
+      .flatMap(p => (p.length > size ? splitLong(p, size) : [p]));
+    let current = '';
+    const flush = () => {
+      if (current.trim()) chunks.push({ text: current.trim(), location: section.location || null });
+    };
+    paragraphs.forEach(paragraph => {
+      if (current && current.length + paragraph.length + 2 > size) {
+        flush();
+        current = overlapTail(current, overlap);
+      }
+      current = current ? `${current}\n\n${paragraph}` : paragraph;
+    });
+    flush();
+  });
+  return chunks;
+}
+
+module.exports = { tokenize, chunkSections };
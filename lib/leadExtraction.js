@@ -0,0 +1,233 @@
+// Schema-enforced lead extraction.
+//
+// The analysis prompt (cusor_promt.txt) describes the output as a JSON schema.
+// We pull that schema out of the active prompt (falling back to the built-in
+// copy below), request structured output against it, validate and normalise
+// the result, and retry with the validation errors when it does not conform.
+
+const { addUsage, emptyUsage } = require('./usage');
+
+const LEAD_SCHEMA = {
+  type: 'object',
+  properties: {
+    customerName: { type: 'string' },
+    customerEmail: { type: 'string' },
+    customerPhone: { type: 'string' },
+    customerIndustry: { type: 'string' },
+    customerProblem: { type: 'string' },
+    customerAvailability: { type: 'string' },
+    customerConsultation: { type: 'boolean' },
+    specialNotes: { type: 'string' },
+    leadQuality: { type: 'string', enum: ['good', 'ok', 'spam'] }
+  },
+  required: ['customerName', 'customerEmail', 'customerProblem', 'leadQuality']
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const EMAIL_IN_TEXT = /[^\s@]+@[^\s@]+\.[^\s@]+/;
+const PHONE_IN_TEXT = /\+?\d[\d\s().-]{6,}\d/;
+
+// True when free text looks like it contains an email or phone number, i.e.
+// the visitor has reached the contact-collection step
+function containsContactDetails(text) {
+  return EMAIL_IN_TEXT.test(String(text || '')) || PHONE_IN_TEXT.test(String(text || ''));
+}
+
+// Find the first balanced {...} block in `text` that parses as an object schema
+function extractSchema(text) {
+  const source = String(text || '');
+  for (let start = source.indexOf('{'); start !== -1; start = source.indexOf('{', start + 1)) {
+    let depth = 0;
+    for (let i = start; i < source.length; i++) {
+      if (source[i] === '{') depth++;
+      else if (source[i] === '}') depth--;
+      if (depth === 0) {
+        try {
+          const candidate = JSON.parse(source.slice(start, i + 1));
+          if (candidate && candidate.type === 'object' && candidate.properties) return candidate;
+        } catch (e) {
+          // not JSON; keep scanning
+        }
+        break;
+      }
+    }
+  }
+  return null;
+}
+
+// Lead qualities a schema allows (the built-in ones when it has none listed);
+// they drive the dashboard's quality filters and analytics buckets
+function leadQualities(schema) {
+  const quality = ((schema || LEAD_SCHEMA).properties || {}).leadQuality;
+  return quality && Array.isArray(quality.enum) ? quality.enum.map(String) : LEAD_SCHEMA.properties.leadQuality.enum;
+}
+
+// OpenAI strict structured outputs need every property required and no extras;
+// optional fields come back as empty strings instead.
+function toStrictSchema(schema) {
+  return {
+    type: 'object',
+    properties: schema.properties,
+    required: Object.keys(schema.properties),
+    additionalProperties: false
+  };
+}
+
+function normalizeEmail(value) {
+  const email = String(value || '').trim().toLowerCase().replace(/^mailto:/, '');
+  if (!email) return { value: '' };
+  if (!EMAIL_PATTERN.test(email)) return { error: `"${value}" is not a valid email address` };
+  return { value: email };
+}
+
+// Keep a leading + and the digits; Vietnamese-style "0988.920.565" becomes "0988920565"
+function normalizePhone(value) {
+  const raw = String(value || '').trim();
+  if (!raw) return { value: '' };
+  const digits = raw.replace(/\D/g, '');
+  if (digits.length < 7 || digits.length > 15) {
+    return { error: `"${value}" is not a valid phone number` };
+  }
+  return { value: raw.startsWith('+') ? `+${digits}` : digits };
+}
+
+const NORMALIZERS = {
+  customerEmail: normalizeEmail,
+  customerPhone: normalizePhone
+};
+
+// Validate `data` against `schema` and return { valid, errors, warnings, value }
+// where `value` holds only the schema's properties, trimmed and normalised.
+// An email or phone number that does not normalise is left blank with a
+// warning rather than failing the lead: the model repeats whatever the visitor
+// mistyped, so a retry would not fix it and the other fields would be lost.
+function validateLead(data, schema = LEAD_SCHEMA) {
+  const errors = [];
+  const warnings = [];
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { valid: false, errors: ['Result is not a JSON object'], warnings, value: null };
+  }
+  const value = {};
+  (schema.required || []).forEach(key => {
+    if (data[key] === undefined || data[key] === null) errors.push(`"${key}" is required`);
+  });
+  Object.entries(schema.properties).forEach(([key, rule]) => {
+    let field = data[key];
+    if (field === undefined || field === null) {
+      value[key] = rule.type === 'boolean' ? false : '';
+      return;
+    }
+    if (rule.type === 'boolean' && typeof field === 'string' && /^(true|false)$/i.test(field.trim())) {
+      field = field.trim().toLowerCase() === 'true';
+    }
+    if (rule.type === 'string' && typeof field !== 'string') {
+      errors.push(`"${key}" must be a string`);
+      return;
+    }
+    if (rule.type === 'boolean' && typeof field !== 'boolean') {
+      errors.push(`"${key}" must be a boolean`);
+      return;
+    }
+    if (rule.type === 'number' && typeof field !== 'number') {
+      errors.push(`"${key}" must be a number`);
+      return;
+    }
+    if (typeof field === 'string') field = field.trim();
+    if (rule.enum) {
+      if (typeof field === 'string') field = field.toLowerCase();
+      if (!rule.enum.includes(field)) {
+        errors.push(`"${key}" must be one of ${rule.enum.join(', ')} (got "${data[key]}")`);
+        return;
+      }
+    }
+    if (NORMALIZERS[key]) {
+      const normalized = NORMALIZERS[key](field);
+      if (normalized.error) {
+        warnings.push(`"${key}": ${normalized.error}; left blank`);
+        value[key] = '';
+        return;
+      }
+      field = normalized.value;
+    }
+    value[key] = field;
+  });
+  return { valid: errors.length === 0, errors, warnings, value: errors.length ? null : value };
+}
+
+function parseJson(content) {
+  const text = String(content || '').trim();
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    // The model may wrap the JSON in prose or a code fence
+    const match = text.match(/\{[\s\S]*\}/);
+    if (!match) return undefined;
+    try {
+      return JSON.parse(match[0]);
+    } catch (err) {
+      return undefined;
+    }
+  }
+}
+
+function extractionError(message, { errors, raw, attempts, usage, model }) {
+  const err = new Error(message);
+  err.code = 'lead_extraction_failed';
+  err.details = errors;
+  err.raw = raw;
+  err.attempts = attempts;
+  err.usage = usage;
+  err.model = model;
+  return err;
+}
+
+// Run the analysis profile until it returns a valid lead or `maxAttempts` is
+// reached. Resolves to { analysis, attempts, warnings, usage, model } with the
+// token usage of every attempt together; rejects with
+// err.code === 'lead_extraction_failed' (plus details/raw/usage) on failure.
+async function extractLead({ profile, prompt, transcript, maxAttempts = 3 }) {
+  const schema = extractSchema(prompt) || LEAD_SCHEMA;
+  const responseFormat = {
+    type: 'json_schema',
+    json_schema: { name: 'lead_analysis', schema: toStrictSchema(schema), strict: true }
+  };
+  const messages = [
+    { role: 'system', content: prompt },
+    { role: 'user', content: `Here is the full conversation transcript:\n\n${transcript}` }
+  ];
+
+  let errors = [];
+  let raw = '';
+  let usage = null;
+  let model = profile.model;
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const completion = await profile.complete(messages, { responseFormat });
+    raw = completion.content || '';
+    if (completion.usage) usage = addUsage(usage || emptyUsage(), completion.usage);
+    if (completion.model) model = completion.model;
+    const parsed = parseJson(raw);
+    const result = parsed === undefined
+      ? { valid: false, errors: ['Response is not valid JSON'] }
+      : validateLead(parsed, schema);
+    if (result.valid) return { analysis: result.value, attempts: attempt, warnings: result.warnings, usage, model };
+
+    errors = result.errors;
+    console.warn(`⚠️  Lead extraction attempt ${attempt}/${maxAttempts} failed validation: ${errors.join('; ')}`);
+    messages.push(
+      { role: 'assistant', content: raw },
+      { role: 'user', content: `That result does not match the schema:\n- ${errors.join('\n- ')}\nReturn the corrected JSON object only.` }
+    );
+  }
+  throw extractionError('Lead extraction failed validation', { errors, raw, attempts: maxAttempts, usage, model });
+}
+
+module.exports = {
+  extractLead,
+  containsContactDetails,
+  validateLead,
+  extractSchema,
+  leadQualities,
+  normalizeEmail,
+  normalizePhone,
+  LEAD_SCHEMA
+};
@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const { redactText } = require('./privacy/redact');
+
+// Lead pipeline on top of lead analysis. Every analysed conversation is a
+// lead; its sales state (status, assignee, follow-up date, notes, latest
+// consultation booking, contact details the bot saved during the chat) lives
+// in the storage `leads` collection, keyed by session id, and every change is
+// kept in the lead's history.
+const LEAD_STATUSES = ['new', 'contacted', 'qualified', 'won', 'lost'];
+const MAX_NOTE_LENGTH = 2000;
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function notFound(message) {
+  const err = new Error(message);
+  err.status = 404;
+  return err;
+}
+
+function defaultLead(sessionId) {
+  return {
+    sessionId,
+    status: 'new',
+    assignee: null,
+    followUpAt: null,
+    notes: [],
+    history: [],
+    booking: null,
+    contact: null,
+    createdAt: null,
+    updatedAt: null
+  };
+}
+
+function normalizeDate(value) {
+  if (value === null || value === '') return null;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) throw badRequest(`"${value}" is not a valid date`);
+  return new Date(time).toISOString();
+}
+
+function createLeadPipeline({ storage, isKnownUser = () => true }) {
+  const docs = storage.collection('leads');
+
+  async function get(sessionId) {
+    return (await docs.get(sessionId)) || defaultLead(sessionId);
+  }
+
+  // Operators only work leads of conversations that exist
+  async function getExisting(sessionId) {
+    if (!(await storage.getConversation(sessionId))) throw notFound('Conversation not found');
+    return get(sessionId);
+  }
+
+  async function save(lead) {
+    const nowIso = new Date().toISOString();
+    lead.createdAt = lead.createdAt || nowIso;
+    lead.updatedAt = nowIso;
+    await docs.put(lead.sessionId, lead);
+    return lead;
+  }
+
+  // Pipeline state of every lead that has one, keyed by session id
+  async function states() {
+    const pipeline = await docs.list();
+    return new Map(pipeline.map(lead => [lead.sessionId, lead]));
+  }
+
+  return {
+    statuses: LEAD_STATUSES,
+    get,
+    states,
+
+    // changes: { status?, assignee?, followUpAt? }
+    async update(sessionId, changes, by) {
+      const lead = await getExisting(sessionId);
+      const next = {};
+      if (changes.status !== undefined) {
+        if (!LEAD_STATUSES.includes(changes.status)) {
+          throw badRequest(`status must be one of ${LEAD_STATUSES.join(', ')}`);
+        }
+        next.status = changes.status;
+      }
+      if (changes.assignee !== undefined) {
+        const assignee = changes.assignee ? String(changes.assignee).trim() : null;
+        if (assignee && !isKnownUser(assignee)) throw badRequest(`Unknown assignee "${assignee}"`);
+        next.assignee = assignee;
+      }
+      if (changes.followUpAt !== undefined) {
+        next.followUpAt = normalizeDate(changes.followUpAt);
+      }
+
+      const at = new Date().toISOString();
+      Object.entries(next).forEach(([field, value]) => {
+        if (lead[field] === value) return;
+        lead.history.push({ at, by: by || null, field, from: lead[field], to: value });
+        lead[field] = value;
+      });
+      return save(lead);
+    },
+
+    async addNote(sessionId, text, by) {
+      const body = String(text || '').trim();
+      if (!body) throw badRequest('Note text is required');
+      if (body.length > MAX_NOTE_LENGTH) throw badRequest(`Notes are limited to ${MAX_NOTE_LENGTH} characters`);
+      const lead = await getExisting(sessionId);
+      const note = { id: crypto.randomUUID(), text: body, author: by || null, createdAt: new Date().toISOString() };
+      lead.notes.push(note);
+      lead.history.push({ at: note.createdAt, by: note.author, field: 'note', from: null, to: note.id });
+      await save(lead);
+      return note;
+    },
+
+    // Latest consultation booking of the conversation (see lib/bookings.js)
+    async recordBooking(sessionId, booking, by) {
+      const lead = await get(sessionId);
+      const next = { id: booking.id, start: booking.start, end: booking.end, status: booking.status };
+      lead.history.push({
+        at: new Date().toISOString(),
+        by: by || null,
+        field: 'booking',
+        from: lead.booking && lead.booking.status === 'confirmed' ? lead.booking.start : null,
+        to: next.status === 'confirmed' ? next.start : null
+      });
+      lead.booking = next;
+      return save(lead);
+    },
+
+    // Contact details the bot saved with the save_contact tool
+    // ({ name, email, phone, company, notes }); they fill in lead fields the
+    // analysis has not found. Empty fields keep what was saved before.
+    async recordContact(sessionId, contact) {
+      const lead = await get(sessionId);
+      const describe = c => (c ? [c.name, c.email, c.phone].filter(Boolean).join(', ') : null);
+      const next = { ...(lead.contact || {}), savedAt: new Date().toISOString() };
+      Object.entries(contact).forEach(([field, value]) => {
+        if (value) next[field] = value;
+      });
+      lead.history.push({ at: next.savedAt, by: null, field: 'contact', from: describe(lead.contact), to: describe(next) });
+      lead.contact = next;
+      return save(lead);
+    },
+
+    // Privacy (lib/privacy): drop the lead record of a conversation...
+    async remove(sessionId) {
+      return docs.delete(sessionId);
+    },
+
+    // ...or keep its pipeline state without the saved contact details and
+    // with personal data masked in the notes. `names` are extra strings to mask.
+    async anonymize(sessionId, { names = [] } = {}) {
+      const lead = await docs.get(sessionId);
+      if (!lead) return false;
+      lead.contact = null;
+      lead.notes = lead.notes.map(note => ({ ...note, text: redactText(note.text, { names }) }));
+      lead.history = lead.history.map(entry => (entry.field === 'contact' ? { ...entry, from: null, to: null } : entry));
+      await docs.put(sessionId, lead);
+      return true;
+    },
+
+    // Analysed conversations joined with their pipeline state.
+    // filters: { botId, quality, status, industry, assignee } (industry is a substring match)
+    async list(filters = {}) {
+      const [analyses, bySession] = await Promise.all([storage.listAnalyses({ botId: filters.botId }), states()]);
+      const industry = String(filters.industry || '').trim().toLowerCase();
+      return analyses
+        .map(row => {
+          const lead = bySession.get(row.sessionId) || defaultLead(row.sessionId);
+          const a = row.analysis || {};
+          const contact = lead.contact || {};
+          return {
+            sessionId: row.sessionId,
+            botId: row.botId,
+            status: lead.status,
+            assignee: lead.assignee,
+            followUpAt: lead.followUpAt,
+            noteCount: lead.notes.length,
+            booking: lead.booking || null,
+            customerName: a.customerName || contact.name || '',
+            customerEmail: a.customerEmail || contact.email || '',
+            customerPhone: a.customerPhone || contact.phone || '',
+            customerIndustry: a.customerIndustry || '',
+            leadQuality: a.leadQuality || null,
+            analyzedAt: row.analyzedAt,
+            createdAt: row.createdAt
+          };
+        })
+        .filter(lead => !filters.quality || lead.leadQuality === filters.quality)
+        .filter(lead => !filters.status || lead.status === filters.status)
+        .filter(lead => !filters.assignee || lead.assignee === filters.assignee)
+        .filter(lead => !industry || lead.customerIndustry.toLowerCase().includes(industry))
+        .sort((a, b) => String(b.analyzedAt).localeCompare(String(a.analyzedAt)));
+    }
+  };
+}
+
+module.exports = { createLeadPipeline, LEAD_STATUSES, MAX_NOTE_LENGTH };
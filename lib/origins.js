@@ -0,0 +1,70 @@
+const cors = require('cors');
+
+// Which websites may use the chatbot from the browser.
+//
+// ALLOWED_ORIGINS lists them, comma-separated: exact origins
+// ("https://www.example.com"), a wildcard subdomain ("https://*.example.com")
+// or a wildcard port ("http://localhost:*"). The same list drives the CORS headers on the
+// API, a 403 for API calls from any other site, and the frame-ancestors
+// policy of the embeddable widget. Same-origin requests and requests without
+// an Origin header (server-to-server, curl) are not affected.
+
+function parseAllowedOrigins(value) {
+  return String(value || '')
+    .split(',')
+    .map(entry => entry.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function matches(pattern, origin) {
+  if (pattern === '*') return true;
+  // https://*.example.com matches any subdomain (not the bare domain)
+  const source = pattern.toLowerCase().split('*').map(escapeRegExp).join('[a-z0-9-]+(\\.[a-z0-9-]+)*');
+  return new RegExp(`^${source}$`).test(origin.toLowerCase());
+}
+
+function createOriginPolicy({ allowedOrigins = [] } = {}) {
+  function isAllowed(origin) {
+    return allowedOrigins.some(pattern => matches(pattern, origin));
+  }
+
+  function isSameOrigin(req, origin) {
+    return origin === `${req.protocol}://${req.get('host')}`;
+  }
+
+  return {
+    allowedOrigins,
+    isAllowed,
+
+    // CORS headers for allowlisted origins only; API tokens travel in
+    // headers, so credentials (cookies) are never shared cross-site
+    cors() {
+      return cors({
+        origin: (origin, callback) => callback(null, Boolean(origin) && isAllowed(origin)),
+        allowedHeaders: ['Content-Type', 'X-Session-Token', 'Accept'],
+        exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset'],
+        maxAge: 600
+      });
+    },
+
+    // Browsers still send simple requests that CORS would only hide the
+    // response of; refuse them outright
+    rejectForeign() {
+      return (req, res, next) => {
+        const origin = req.get('origin');
+        if (!origin || isSameOrigin(req, origin) || isAllowed(origin)) return next();
+        res.status(403).json({ error: 'Origin not allowed' });
+      };
+    },
+
+    frameAncestors() {
+      return ["'self'", ...allowedOrigins].join(' ');
+    }
+  };
+}
+
+module.exports = { createOriginPolicy, parseAllowedOrigins };
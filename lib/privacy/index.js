@@ -0,0 +1,247 @@
+const { redactText } = require('./redact');
+const { normalizeEmail, normalizePhone } = require('../leadExtraction');
+
+// Personal data handling:
+//   - retention: conversations untouched for `retentionDays` are anonymised
+//     (contact details masked in the transcript, summary, analysis, failed
+//     analysis output, lead and bookings; pipeline state and statistics are
+//     kept) or deleted outright,
+//     depending on `retentionAction`. 0 days keeps everything.
+//   - data-subject requests: find, export or erase everything stored about one
+//     person, looked up by email address and/or phone number.
+// `forget(sessionId)` is called for every conversation that is deleted or
+// anonymised so the server can drop its in-memory copy.
+const RETENTION_ACTIONS = ['anonymize', 'delete'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Phone numbers match on their last digits, so "+84 988 920 565" finds "0988920565"
+const PHONE_MATCH_DIGITS = 9;
+const PHONE_IN_TEXT = /\+?\(?\d[\d\s().-]{5,}\d/g;
+const ANALYSIS_CONTACT_FIELDS = ['customerName', 'customerEmail', 'customerPhone'];
+const ANALYSIS_TEXT_FIELDS = ['customerProblem', 'customerAvailability', 'specialNotes'];
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function phoneKey(value) {
+  return String(value || '').replace(/\D/g, '').slice(-PHONE_MATCH_DIGITS);
+}
+
+// Tests for one data subject, from the email/phone given in a request
+function subjectMatcher({ email, phone }) {
+  const mail = normalizeEmail(email);
+  if (mail.error) throw badRequest(mail.error);
+  const tel = normalizePhone(phone);
+  if (tel.error) throw badRequest(tel.error);
+  if (!mail.value && !tel.value) throw badRequest('email or phone is required');
+  const key = tel.value ? phoneKey(tel.value) : '';
+
+  const isEmail = value => Boolean(mail.value) && String(value || '').trim().toLowerCase() === mail.value;
+  const isPhone = value => Boolean(key) && phoneKey(value).length >= 7 && phoneKey(value) === key;
+  const inText = text => {
+    const value = String(text || '');
+    if (mail.value && value.toLowerCase().includes(mail.value)) return true;
+    return Boolean(key) && (value.match(PHONE_IN_TEXT) || []).some(isPhone);
+  };
+  return { subject: { email: mail.value || null, phone: tel.value || null }, isEmail, isPhone, inText };
+}
+
+// The raw model output and validation details kept from a failed analysis
+// run: { message, details, raw, at }
+function analysisErrorText(error) {
+  if (!error) return '';
+  return [error.raw, ...(Array.isArray(error.details) ? error.details : [])].filter(Boolean).join('\n');
+}
+
+// Anonymised and not written to since (a visitor may come back to a session)
+function isAnonymized(record) {
+  return Boolean(record.anonymizedAt) && String(record.anonymizedAt) >= String(record.updatedAt || record.createdAt);
+}
+
+function normalizeRetention(days, action) {
+  const retentionDays = Number(days) || 0;
+  if (retentionDays < 0) throw new Error('RETENTION_DAYS must be 0 or more');
+  if (!RETENTION_ACTIONS.includes(action)) {
+    throw new Error(`RETENTION_ACTION must be one of ${RETENTION_ACTIONS.join(', ')}`);
+  }
+  return { retentionDays, retentionAction: action };
+}
+
+function createPrivacy({ storage, leads, bookings, webhooks, forget = () => {}, retentionDays = 0, retentionAction = 'anonymize' }) {
+  const policy = normalizeRetention(retentionDays, retentionAction);
+  let lastRun = null;
+
+  async function eraseSession(sessionId) {
+    const counts = {
+      conversations: (await storage.deleteConversation(sessionId)) ? 1 : 0,
+      leads: (await leads.remove(sessionId)) ? 1 : 0,
+      bookings: await bookings.removeForSession(sessionId),
+      webhookDeliveries: await webhooks.forgetSession(sessionId)
+    };
+    forget(sessionId);
+    return counts;
+  }
+
+  async function anonymizeSession(sessionId) {
+    const record = await storage.getConversation(sessionId);
+    if (!record || isAnonymized(record)) return false;
+    const lead = await leads.get(sessionId);
+    const own = await bookings.list({ sessionId });
+    const analysis = record.analysis || null;
+    const names = [
+      analysis && analysis.customerName,
+      lead.contact && lead.contact.name,
+      ...own.map(booking => booking.name)
+    ];
+    const redact = text => redactText(text, { names });
+
+    const messages = (record.messages || []).map(message => {
+      const next = { ...message, content: redact(message.content) };
+      // Tool arguments and results repeat what the visitor typed
+      if (message.toolCalls) {
+        next.toolCalls = message.toolCalls.map(call => ({
+          id: call.id,
+          name: call.name,
+          durationMs: call.durationMs,
+          ...(call.error ? { error: redact(call.error) } : {})
+        }));
+      }
+      if (message.feedback) next.feedback = { ...message.feedback, comment: redact(message.feedback.comment) };
+      return next;
+    });
+    const summary = record.summary ? { ...record.summary, text: redact(record.summary.text) } : null;
+    let anonymizedAnalysis = null;
+    if (analysis) {
+      anonymizedAnalysis = { ...analysis };
+      ANALYSIS_CONTACT_FIELDS.forEach(field => { anonymizedAnalysis[field] = ''; });
+      ANALYSIS_TEXT_FIELDS.forEach(field => {
+        if (typeof analysis[field] === 'string') anonymizedAnalysis[field] = redact(analysis[field]);
+      });
+    }
+
+    // The raw model output repeats the lead it tried to extract; drop it
+    const error = record.analysisError || null;
+    const analysisError = error
+      ? { ...error, raw: null, details: Array.isArray(error.details) ? error.details.map(redact) : error.details || null }
+      : null;
+
+    await storage.anonymizeConversation(sessionId, { messages, summary, analysis: anonymizedAnalysis, analysisError });
+    await leads.anonymize(sessionId, { names });
+    await bookings.anonymizeForSession(sessionId);
+    await webhooks.forgetSession(sessionId);
+    forget(sessionId);
+    return true;
+  }
+
+  // Session ids of every conversation where the visitor mentions the subject's
+  // details in a message, feedback comment or failed analysis output (the
+  // bot's own prompts may carry the company's), has them as the analysed
+  // lead, or holds their saved contact or a booking in their name
+  async function findSessions(matcher) {
+    const found = new Set();
+    for await (const record of storage.iterateConversations()) {
+      const a = record.analysis || {};
+      if (matcher.isEmail(a.customerEmail) || matcher.isPhone(a.customerPhone) ||
+          matcher.inText(analysisErrorText(record.analysisError)) ||
+          (record.messages || []).some(message => (message.role === 'user' && matcher.inText(message.content)) ||
+            (message.feedback && matcher.inText(message.feedback.comment)))) {
+        found.add(record.sessionId);
+      }
+    }
+    (await leads.states()).forEach((lead, sessionId) => {
+      const contact = lead.contact || {};
+      if (matcher.isEmail(contact.email) || matcher.isPhone(contact.phone)) found.add(sessionId);
+    });
+    (await bookings.list()).forEach(booking => {
+      if (matcher.isEmail(booking.email) || matcher.isPhone(booking.phone)) found.add(booking.sessionId);
+    });
+    return Array.from(found);
+  }
+
+  return {
+    policy() {
+      return { ...policy, actions: RETENTION_ACTIONS, lastRun };
+    },
+
+    // Applies the retention policy to conversations last updated before the
+    // cutoff. Conversations already anonymised are skipped.
+    async applyRetention({ now = Date.now() } = {}) {
+      if (!policy.retentionDays) return { ...policy, cutoff: null, processed: 0 };
+      const cutoff = new Date(now - policy.retentionDays * DAY_MS).toISOString();
+      // Collected first: deleting while paging through the store would skip rows
+      const expired = [];
+      for await (const record of storage.iterateConversations({ to: cutoff })) {
+        if (String(record.updatedAt || record.createdAt) >= cutoff) continue;
+        if (policy.retentionAction === 'anonymize' && isAnonymized(record)) continue;
+        expired.push(record.sessionId);
+      }
+      let processed = 0;
+      for (const sessionId of expired) {
+        if (policy.retentionAction === 'delete') {
+          await eraseSession(sessionId);
+          processed++;
+        } else if (await anonymizeSession(sessionId)) {
+          processed++;
+        }
+      }
+      lastRun = { at: new Date(now).toISOString(), cutoff, action: policy.retentionAction, processed };
+      return { ...policy, cutoff, processed };
+    },
+
+    // Conversations that hold the subject's data, newest first
+    async findSubject(query) {
+      const matcher = subjectMatcher(query);
+      const conversations = [];
+      for (const sessionId of await findSessions(matcher)) {
+        const record = await storage.getConversation(sessionId);
+        const lead = await leads.get(sessionId);
+        conversations.push({
+          sessionId,
+          botId: record ? record.botId : null,
+          messageCount: record ? (record.messages || []).length : 0,
+          createdAt: record ? record.createdAt : null,
+          updatedAt: record ? record.updatedAt : null,
+          customerName: (record && record.analysis && record.analysis.customerName) || (lead.contact && lead.contact.name) || '',
+          hasLead: Boolean(lead.createdAt),
+          bookingCount: (await bookings.list({ sessionId })).length
+        });
+      }
+      conversations.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+      return { subject: matcher.subject, conversations };
+    },
+
+    // Everything stored about the subject, for a data access request
+    async exportSubject(query) {
+      const matcher = subjectMatcher(query);
+      const conversations = [];
+      for (const sessionId of await findSessions(matcher)) {
+        const record = await storage.getConversation(sessionId);
+        const lead = await leads.get(sessionId);
+        conversations.push({
+          sessionId,
+          conversation: record,
+          lead: lead.createdAt ? lead : null,
+          bookings: await bookings.list({ sessionId })
+        });
+      }
+      return { subject: matcher.subject, exportedAt: new Date().toISOString(), conversations };
+    },
+
+    // Deletes every conversation of the subject with its lead, bookings and
+    // webhook deliveries. Resolves to the number of records removed per kind.
+    async eraseSubject(query) {
+      const matcher = subjectMatcher(query);
+      const sessionIds = await findSessions(matcher);
+      const totals = { conversations: 0, leads: 0, bookings: 0, webhookDeliveries: 0 };
+      for (const sessionId of sessionIds) {
+        const counts = await eraseSession(sessionId);
+        Object.keys(totals).forEach(kind => { totals[kind] += counts[kind]; });
+      }
+      return { subject: matcher.subject, sessionIds, removed: totals };
+    }
+  };
+}
+
+module.exports = { createPrivacy, RETENTION_ACTIONS };
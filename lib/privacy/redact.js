@@ -0,0 +1,56 @@
+const util = require('util');
+
+// Personal data in free text: email addresses, phone numbers and (when known)
+// the person's name. Used to keep contact details out of the server logs and to
+// anonymise conversations under the retention policy.
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+// Digit runs with the usual separators, not inside identifiers or times
+const PHONE_CANDIDATE = /(?<![\w:./-])\+?\(?\d[\d\s().-]{6,}\d(?![\w:/-])/g;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}/;
+const DOTTED_QUAD = /^\d{1,3}(\.\d{1,3}){3}$/;
+
+function looksLikePhone(candidate) {
+  const digits = candidate.replace(/\D/g, '');
+  if (digits.length < 9 || digits.length > 15) return false;
+  return !ISO_DATE.test(candidate) && !DOTTED_QUAD.test(candidate);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// `names` are extra strings to mask (e.g. the lead's name), matched whole and
+// case-insensitively
+function redactText(text, { names = [] } = {}) {
+  let result = String(text === undefined || text === null ? '' : text)
+    .replace(EMAIL_PATTERN, '[email]')
+    .replace(PHONE_CANDIDATE, match => (looksLikePhone(match) ? '[phone]' : match));
+  names
+    .map(name => String(name || '').trim())
+    .filter(name => name.length >= 2)
+    .forEach(name => {
+      result = result.replace(new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(name)}(?![\\p{L}\\p{N}])`, 'giu'), '[name]');
+    });
+  return result;
+}
+
+// True when the text mentions an email address or phone number
+function containsPii(text) {
+  return redactText(text) !== String(text === undefined || text === null ? '' : text);
+}
+
+// Routes console output through redactText. Arguments are formatted the way
+// console would (objects and errors included), so details inside an error or
+// a logged request body are masked too. Returns a function that restores the
+// original methods.
+function installLogRedaction(target = console) {
+  const methods = ['log', 'info', 'warn', 'error', 'debug'];
+  const originals = {};
+  methods.forEach(method => {
+    originals[method] = target[method];
+    target[method] = (...args) => originals[method].call(target, redactText(util.format(...args)));
+  });
+  return () => methods.forEach(method => { target[method] = originals[method]; });
+}
+
+module.exports = { redactText, containsPii, installLogRedaction };
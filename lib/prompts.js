@@ -0,0 +1,223 @@
+const fs = require('fs');
+const path = require('path');
+const { promptName, DEFAULT_BOT_ID } = require('./bots');
+
+// Prompt kinds and where their first versions come from. Every seed file
+// becomes a version; the one marked `active` is used until an operator
+// activates another. Each bot gets one prompt of every kind (see
+// buildDefinitions).
+const PROMPT_DEFINITIONS = {
+  chat: {
+    label: 'Chat system prompt',
+    fallback: 'You are a helpful assistant.',
+    seeds: [
+      { file: 'system_promt_tst.txt', note: 'TST Vietnam SKF assistant (system_promt_tst.txt)', active: true },
+      { file: 'system_promt.txt', note: 'MindTek AI discovery assistant (system_promt.txt)' }
+    ]
+  },
+  analysis: {
+    label: 'Lead analysis prompt',
+    fallback: 'Return a strict JSON object with extracted customer info.',
+    seeds: [
+      { file: 'cusor_promt.txt', note: 'Lead extraction prompt (cusor_promt.txt)', active: true }
+    ]
+  }
+};
+
+function readSeed(rootDir, seed) {
+  if (seed.content) return String(seed.content).trim();
+  const { file } = seed;
+  try {
+    const content = fs.readFileSync(path.join(rootDir, file), 'utf8').trim();
+    if (!content) console.warn(`⚠️  ${file} is empty. Skipping it as a prompt version.`);
+    return content;
+  } catch (e) {
+    console.warn(`⚠️  Unable to read ${file}. Skipping it as a prompt version.`, e.message);
+    return '';
+  }
+}
+
+// Prompts of every bot. The default bot's keep their plain names ("chat",
+// "analysis"); other bots' are "<botId>:<kind>", seeded from the bot's own
+// `prompts` config or, where it has none, from the default seeds.
+function buildDefinitions(bots) {
+  const list = bots ? bots.list() : [{ id: DEFAULT_BOT_ID, name: null, prompts: {} }];
+  const definitions = {};
+  list.forEach(bot => {
+    Object.entries(PROMPT_DEFINITIONS).forEach(([kind, base]) => {
+      definitions[promptName(bot.id, kind)] = {
+        kind,
+        botId: bot.id,
+        label: bot.id === DEFAULT_BOT_ID ? base.label : `${base.label} (${bot.name})`,
+        fallback: base.fallback,
+        seeds: (bot.prompts && bot.prompts[kind]) || base.seeds
+      };
+    });
+  });
+  return definitions;
+}
+
+function buildSeedDoc(name, definition, rootDir) {
+  const nowIso = new Date().toISOString();
+  const versions = [];
+  let activeVersion = null;
+  definition.seeds.forEach(seed => {
+    const content = readSeed(rootDir, seed);
+    if (!content) return;
+    versions.push({ version: versions.length + 1, content, note: seed.note, createdAt: nowIso, createdBy: 'seed' });
+    if (seed.active && !activeVersion) activeVersion = versions.length;
+  });
+  if (versions.length === 0) {
+    versions.push({ version: 1, content: definition.fallback, note: 'Built-in fallback', createdAt: nowIso, createdBy: 'seed' });
+  }
+  return {
+    name,
+    label: definition.label,
+    activeVersion: activeVersion || 1,
+    activatedAt: nowIso,
+    activatedBy: 'seed',
+    versions
+  };
+}
+
+// Line diff (LCS) between two prompt versions
+function diffLines(before, after) {
+  const a = String(before || '').split('\n');
+  const b = String(after || '').split('\n');
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      lines.push({ type: 'remove', text: a[i++] });
+    } else {
+      lines.push({ type: 'add', text: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ type: 'remove', text: a[i++] });
+  while (j < b.length) lines.push({ type: 'add', text: b[j++] });
+  return lines;
+}
+
+function notFound(message) {
+  const err = new Error(message);
+  err.status = 404;
+  return err;
+}
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// Versioned prompt store on top of the storage `prompts` collection.
+// Active prompts are cached briefly so chat requests do not hit storage each
+// time; writes from this process invalidate the cache immediately.
+function createPromptStore({ storage, rootDir, bots, cacheTtlMs = 30000 }) {
+  const docs = storage.collection('prompts');
+  const cache = new Map();
+  const definitions = buildDefinitions(bots);
+
+  async function load(name) {
+    if (!definitions[name]) throw notFound(`Unknown prompt "${name}"`);
+    const existing = await docs.get(name);
+    if (existing) return existing;
+    const seeded = buildSeedDoc(name, definitions[name], rootDir);
+    await docs.put(name, seeded);
+    return seeded;
+  }
+
+  async function save(doc) {
+    await docs.put(doc.name, doc);
+    cache.delete(doc.name);
+  }
+
+  function findVersion(doc, version) {
+    const found = doc.versions.find(v => v.version === Number(version));
+    if (!found) throw notFound(`Prompt "${doc.name}" has no version ${version}`);
+    return found;
+  }
+
+  return {
+    names: Object.keys(definitions),
+
+    // { name, version, content } of the active version
+    async getActive(name) {
+      const cached = cache.get(name);
+      if (cached && cached.expiresAt > Date.now()) return cached.value;
+      const doc = await load(name);
+      const active = findVersion(doc, doc.activeVersion);
+      const value = { name, version: active.version, content: active.content };
+      cache.set(name, { value, expiresAt: Date.now() + cacheTtlMs });
+      return value;
+    },
+
+    // All prompts, or only one bot's with `botId`
+    async list({ botId } = {}) {
+      const names = Object.keys(definitions).filter(name => !botId || definitions[name].botId === botId);
+      const all = await Promise.all(names.map(load));
+      return all.map(doc => ({
+        name: doc.name,
+        label: doc.label,
+        botId: definitions[doc.name].botId,
+        kind: definitions[doc.name].kind,
+        activeVersion: doc.activeVersion,
+        activatedAt: doc.activatedAt,
+        activatedBy: doc.activatedBy,
+        versionCount: doc.versions.length
+      }));
+    },
+
+    get: load,
+
+    async getVersion(name, version) {
+      return findVersion(await load(name), version);
+    },
+
+    async createVersion(name, { content, note, createdBy }) {
+      const text = String(content || '').trim();
+      if (!text) throw badRequest('Prompt content is required');
+      const doc = await load(name);
+      const version = {
+        version: Math.max(0, ...doc.versions.map(v => v.version)) + 1,
+        content: text,
+        note: String(note || '').trim(),
+        createdAt: new Date().toISOString(),
+        createdBy: createdBy || null
+      };
+      doc.versions.push(version);
+      await save(doc);
+      return version;
+    },
+
+    async activate(name, version, activatedBy) {
+      const doc = await load(name);
+      const target = findVersion(doc, version);
+      doc.activeVersion = target.version;
+      doc.activatedAt = new Date().toISOString();
+      doc.activatedBy = activatedBy || null;
+      await save(doc);
+      return doc;
+    },
+
+    async diff(name, from, to) {
+      const doc = await load(name);
+      const before = findVersion(doc, from);
+      const after = findVersion(doc, to);
+      return { from: before.version, to: after.version, lines: diffLines(before.content, after.content) };
+    }
+  };
+}
+
+module.exports = { createPromptStore, diffLines, PROMPT_DEFINITIONS };
@@ -0,0 +1,102 @@
+const { createOpenAIProvider } = require('./openai');
+const { createMockProvider } = require('./mock');
+
+// Per-purpose defaults. Each can be overridden with <PURPOSE>_PROVIDER,
+// <PURPOSE>_MODEL, <PURPOSE>_MAX_TOKENS and <PURPOSE>_TEMPERATURE, e.g.
+// CHAT_MODEL=gpt-4.1-mini or ANALYSIS_TEMPERATURE=0.
+const PURPOSE_DEFAULTS = {
+  chat: { model: 'gpt-4.1', maxTokens: 250, temperature: 0.7 },
+  analysis: { model: 'gpt-4.1', maxTokens: 500, temperature: 0.1 },
+  summary: { model: 'gpt-4.1-mini', maxTokens: 300, temperature: 0.2 }
+};
+
+function readNumber(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function createProvider(name, env) {
+  switch (name) {
+    case 'openai':
+      return createOpenAIProvider({ apiKey: env.OPENAI_API_KEY, baseURL: env.OPENAI_BASE_URL || undefined });
+    case 'mock':
+      return createMockProvider({
+        scriptPath: env.MOCK_SCRIPT,
+        streamDelayMs: readNumber(env.MOCK_STREAM_DELAY_MS, 20)
+      });
+    default:
+      throw new Error(`Unknown LLM provider "${name}" (expected openai or mock)`);
+  }
+}
+
+// A profile binds a provider to the model settings for one purpose, so routes
+// only pass messages: profile.complete(messages) / profile.stream(messages).
+// With `tools` (chat-completions function definitions) the model may answer
+// with tool calls: complete() then returns them as `toolCalls`
+// ([{ id, name, arguments }], arguments as a JSON string) and stream() yields
+// a final { toolCalls } object after any text. complete() reports the call's
+// token usage as `usage` ({ promptTokens, completionTokens }, or null when the
+// provider gives none); stream() yields it last as { usage, model }.
+function createProfile(purpose, provider, settings) {
+  return {
+    purpose,
+    providerName: provider.name,
+    ...settings,
+    complete(messages, { signal, responseFormat, tools } = {}) {
+      return provider.complete({ ...settings, messages, purpose, signal, responseFormat, tools });
+    },
+    stream(messages, { signal, tools } = {}) {
+      return provider.stream({ ...settings, messages, purpose, signal, tools });
+    },
+    // Same provider and purpose with some settings replaced (per-bot models)
+    with(overrides = {}) {
+      return createProfile(purpose, provider, {
+        model: overrides.model || settings.model,
+        maxTokens: readNumber(overrides.maxTokens, settings.maxTokens),
+        temperature: readNumber(overrides.temperature, settings.temperature)
+      });
+    }
+  };
+}
+
+// Build one profile per purpose from the environment. LLM_PROVIDER sets the
+// provider for all of them; CHAT_PROVIDER, ANALYSIS_PROVIDER etc. override it.
+function createLlm(env = process.env) {
+  const providers = {};
+  const defaultProvider = (env.LLM_PROVIDER || 'openai').trim().toLowerCase();
+
+  const profiles = {};
+  Object.keys(PURPOSE_DEFAULTS).forEach(purpose => {
+    const prefix = purpose.toUpperCase();
+    const defaults = PURPOSE_DEFAULTS[purpose];
+    const providerName = (env[`${prefix}_PROVIDER`] || defaultProvider).trim().toLowerCase();
+    if (!providers[providerName]) providers[providerName] = createProvider(providerName, env);
+    profiles[purpose] = createProfile(purpose, providers[providerName], {
+      model: env[`${prefix}_MODEL`] || defaults.model,
+      maxTokens: readNumber(env[`${prefix}_MAX_TOKENS`], defaults.maxTokens),
+      temperature: readNumber(env[`${prefix}_TEMPERATURE`], defaults.temperature)
+    });
+  });
+  return profiles;
+}
+
+// Embeddings for knowledge-base search. EMBEDDINGS_PROVIDER (openai or mock)
+// turns them on with EMBEDDINGS_MODEL; unset or "none" keeps search lexical
+// (BM25) only. Returns null when embeddings are off. embed(input) resolves to
+// { vectors, model, usage }: one vector per input string, in input order.
+function createEmbedder(env = process.env) {
+  const name = (env.EMBEDDINGS_PROVIDER || 'none').trim().toLowerCase();
+  if (name === 'none') return null;
+  const provider = createProvider(name, env);
+  const model = env.EMBEDDINGS_MODEL || (name === 'mock' ? 'mock-embedding' : 'text-embedding-3-small');
+  return {
+    providerName: provider.name,
+    model,
+    embed(input, { signal } = {}) {
+      return provider.embed({ model, input, signal });
+    }
+  };
+}
+
+module.exports = { createLlm, createProfile, createEmbedder, PURPOSE_DEFAULTS };
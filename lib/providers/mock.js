@@ -0,0 +1,258 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { estimateTokens } = require('../context');
+
+// Deterministic offline provider for development and CI.
+//
+// Chat replies come from an ordered list of rules ({ match, reply }); the first
+// rule whose regex matches the latest user message wins. Otherwise the reply is
+// picked by turn number from `replies`, walking the discovery flow from the
+// system prompt. Analysis requests are answered by a small regex extractor over
+// the transcript, so lead analysis produces stable JSON without a model, and
+// summary requests list what the user said. When the context carries
+// knowledge-base passages, the chat reply quotes the first one and cites it.
+// Embeddings are hashed bags of words, so similar texts get similar vectors.
+//
+// When the request offers tools, the first `tools` rule ({ match, tool })
+// matching the latest user message makes the reply a call to that tool; the
+// reply after its result describes the result. Token usage is estimated the
+// way context budgeting does (about four characters a token).
+const DEFAULT_SCRIPT = {
+  tools: [
+    { match: '[\\w.+-]+@[\\w-]+\\.[\\w.-]+|\\+?\\d[\\d\\s.-]{7,}\\d', tool: 'save_contact' },
+    { match: '\\b(book|appointment|schedule|availability|available)\\b|đặt lịch|lịch hẹn', tool: 'check_availability' },
+    { match: '\\b(product|products|spec|specs|faq)\\b|sản phẩm|thông số', tool: 'search_knowledge' }
+  ],
+  rules: [
+    { match: '^(hi|hello|hey|xin chào|chào)\\b', reply: 'Hello! What industry do you work in?' },
+    { match: 'price|pricing|cost|giá|báo giá', reply: 'Our solutions start from $1000 USD. Would you like to learn more?' }
+  ],
+  replies: [
+    'Thanks! What specific challenges or goals do you have?',
+    'We can help with chatbots, process automation and digital marketing. Would you like to learn more?',
+    'Great! May I have your name?',
+    'Thank you. What is your email address?',
+    'And your phone number?',
+    'Perfect. You can book a free consultation with our team. Do you have any notes or questions?',
+    'Thank you for chatting with us. Have a great day!'
+  ]
+};
+
+function loadScript(scriptPath) {
+  if (!scriptPath) return DEFAULT_SCRIPT;
+  try {
+    const script = JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+    return {
+      tools: Array.isArray(script.tools) ? script.tools : DEFAULT_SCRIPT.tools,
+      rules: Array.isArray(script.rules) ? script.rules : DEFAULT_SCRIPT.rules,
+      replies: Array.isArray(script.replies) && script.replies.length ? script.replies : DEFAULT_SCRIPT.replies
+    };
+  } catch (e) {
+    console.warn(`⚠️  Unable to read mock script ${scriptPath}. Using built-in script.`, e.message);
+    return DEFAULT_SCRIPT;
+  }
+}
+
+// First passage of a knowledge-base context message ("[1] Title\ntext...")
+function knowledgeReply(messages) {
+  const passages = messages.find(m => m.role === 'system' && /^\[1\] /m.test(m.content));
+  if (!passages) return null;
+  const first = passages.content.split(/^\[1\] /m)[1].split(/^\[2\] /m)[0];
+  const text = first.split('\n').slice(1).join(' ').replace(/\s+/g, ' ').trim();
+  return `${text.length > 200 ? `${text.slice(0, 200)}…` : text} [1]`;
+}
+
+// Arguments the mock sends to a tool, taken from the user's message
+function toolArguments(name, text) {
+  if (name === 'save_contact') {
+    const lead = extractLead([{ role: 'user', content: text }]);
+    const args = { name: lead.customerName, email: lead.customerEmail, phone: lead.customerPhone };
+    Object.keys(args).forEach(key => { if (!args[key]) delete args[key]; });
+    return args;
+  }
+  if (name === 'search_knowledge') return { query: text.slice(0, 200) };
+  return {};
+}
+
+// Tool calls for the latest user message; none once the tools have answered
+function toolCallsFor(script, messages, tools) {
+  if (!tools || !tools.length) return [];
+  const last = messages[messages.length - 1];
+  if (!last || last.role !== 'user') return [];
+  const offered = tools.map(tool => tool.function.name);
+  const rule = script.tools.find(r => offered.includes(r.tool) && new RegExp(r.match, 'i').test(last.content));
+  if (!rule) return [];
+  return [{ id: `call_${crypto.randomUUID().slice(0, 8)}`, name: rule.tool, arguments: JSON.stringify(toolArguments(rule.tool, last.content)) }];
+}
+
+// A reply describing the latest tool result, if there is one
+function toolReply(messages) {
+  const last = messages[messages.length - 1];
+  if (!last || last.role !== 'tool') return null;
+  let result;
+  try {
+    result = JSON.parse(last.content) || {};
+  } catch (e) {
+    return null;
+  }
+  if (result.error) return `Sorry, I could not do that: ${result.error}`;
+  if (result.saved) return 'Thank you, I have saved your contact details. Our team will be in touch soon.';
+  if (Array.isArray(result.slots)) {
+    return result.slots.length
+      ? `Here are the next free consultation times: ${result.slots.slice(0, 3).map(s => s.label).join('; ')}. Pick one below to book it.`
+      : 'There are no free consultation times at the moment. May I take your email so we can contact you?';
+  }
+  if (Array.isArray(result.results)) {
+    if (!result.results.length) return 'I could not find that in our documents. Could you tell me more?';
+    const text = result.results[0].text.replace(/\s+/g, ' ').trim();
+    return `${result.results[0].title}: ${text.length > 200 ? `${text.slice(0, 200)}…` : text}`;
+  }
+  return null;
+}
+
+const EMBEDDING_DIMENSIONS = 128;
+
+function hashToken(token) {
+  let hash = 2166136261;
+  for (let i = 0; i < token.length; i++) {
+    hash ^= token.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return (hash >>> 0) % EMBEDDING_DIMENSIONS;
+}
+
+function embedText(text) {
+  const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+  const tokens = String(text || '').toLowerCase().normalize('NFD').replace(/\p{M}/gu, '')
+    .match(/[\p{L}\p{N}]+/gu) || [];
+  tokens.forEach(token => { vector[hashToken(token)] += 1; });
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return vector.map(v => v / norm);
+}
+
+function scriptedReply(script, messages) {
+  const fromTool = toolReply(messages);
+  if (fromTool) return fromTool;
+  const userMessages = messages.filter(m => m.role === 'user');
+  const last = userMessages[userMessages.length - 1]?.content || '';
+  const rule = script.rules.find(r => new RegExp(r.match, 'i').test(last));
+  if (rule) return rule.reply;
+  const fromKnowledge = knowledgeReply(messages);
+  if (fromKnowledge) return fromKnowledge;
+  const index = Math.min(Math.max(userMessages.length - 1, 0), script.replies.length - 1);
+  return script.replies[index];
+}
+
+function extractLead(messages) {
+  const transcript = messages
+    .filter(m => m.role === 'user')
+    .map(m => m.content)
+    .join('\n');
+  const email = transcript.match(/[\w.+-]+@[\w-]+\.[\w.-]+/);
+  const phone = transcript.match(/\+?\d[\d\s.-]{7,}\d/);
+  const name = transcript.match(/(?:my name is|i am|i'm|tôi là|tên tôi là)[ \t]+([A-ZÀ-Ỹa-zà-ỹ]+(?:[ \t]+[A-ZÀ-Ỹ][a-zà-ỹ]+)*)/i);
+  const industry = transcript.match(/(?:work in|industry is|ngành)[ \t]+([\w \t-]+?)(?:[.,\n]|$)/im);
+  return {
+    customerName: name ? name[1].trim() : '',
+    customerEmail: email ? email[0] : '',
+    customerPhone: phone ? phone[0].trim() : '',
+    customerIndustry: industry ? industry[1].trim() : '',
+    customerProblem: '',
+    customerAvailability: '',
+    customerConsultation: /consultation|book|đặt lịch/i.test(transcript),
+    specialNotes: '',
+    leadQuality: (email || phone) ? 'good' : 'spam'
+  };
+}
+
+function estimateUsage(messages, content, toolCalls) {
+  const reply = content + toolCalls.map(call => call.name + call.arguments).join('');
+  return {
+    promptTokens: messages.reduce((sum, m) => sum + estimateTokens(m), 0),
+    completionTokens: estimateTokens(reply)
+  };
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError());
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(abortError());
+    }, { once: true });
+  });
+}
+
+function abortError() {
+  const err = new Error('Request was aborted.');
+  err.name = 'AbortError';
+  return err;
+}
+
+function createMockProvider({ scriptPath, streamDelayMs = 20 } = {}) {
+  const script = loadScript(scriptPath);
+
+  function respond(purpose, messages) {
+    if (purpose === 'analysis') {
+      // The analysis prompt sends the transcript as one user message
+      const transcript = messages.filter(m => m.role === 'user').map(m => m.content).join('\n');
+      const turns = transcript
+        .split('\n')
+        .filter(line => line.startsWith('USER: '))
+        .map(line => ({ role: 'user', content: line.slice(6) }));
+      return JSON.stringify(extractLead(turns));
+    }
+    if (purpose === 'summary') {
+      const request = messages.filter(m => m.role === 'user').map(m => m.content).join('\n');
+      const said = request
+        .split('\n')
+        .filter(line => line.startsWith('USER: '))
+        .map(line => line.slice(6));
+      const previous = request.match(/^Previous summary:\n(.*)$/m);
+      const earlier = previous && previous[1] !== '(none)' ? `${previous[1]}; ` : '';
+      return `${earlier}${said.join('; ')}`;
+    }
+    return scriptedReply(script, messages);
+  }
+
+  return {
+    name: 'mock',
+
+    async complete({ model, messages, purpose, signal, tools }) {
+      if (signal?.aborted) throw abortError();
+      const toolCalls = toolCallsFor(script, messages, tools);
+      const content = toolCalls.length ? '' : respond(purpose, messages);
+      return { content, toolCalls, model: model || 'mock', usage: estimateUsage(messages, content, toolCalls) };
+    },
+
+    async *stream({ model, messages, purpose, signal, tools }) {
+      const toolCalls = toolCallsFor(script, messages, tools);
+      if (toolCalls.length) {
+        if (streamDelayMs > 0) await sleep(streamDelayMs, signal);
+        yield { toolCalls };
+        yield { usage: estimateUsage(messages, '', toolCalls), model: model || 'mock' };
+        return;
+      }
+      const content = respond(purpose, messages);
+      const words = content.split(/(\s+)/).filter(Boolean);
+      for (const word of words) {
+        if (streamDelayMs > 0) await sleep(streamDelayMs, signal);
+        else if (signal?.aborted) throw abortError();
+        yield word;
+      }
+      yield { usage: estimateUsage(messages, content, []), model: model || 'mock' };
+    },
+
+    async embed({ model, input, signal }) {
+      if (signal?.aborted) throw abortError();
+      return {
+        vectors: input.map(embedText),
+        model: model || 'mock-embedding',
+        usage: { promptTokens: input.reduce((sum, text) => sum + estimateTokens(text), 0), completionTokens: 0 }
+      };
+    }
+  };
+}
+
+module.exports = { createMockProvider, DEFAULT_SCRIPT };
@@ -0,0 +1,92 @@
+const OpenAI = require('openai');
+
+// OpenAI chat-completions and embeddings provider. The client is created on first use so
+// the server still boots (and can warn) when OPENAI_API_KEY is missing.
+
+// { prompt_tokens, completion_tokens } -> { promptTokens, completionTokens }
+function usageOf(usage) {
+  if (!usage) return null;
+  return { promptTokens: usage.prompt_tokens || 0, completionTokens: usage.completion_tokens || 0 };
+}
+
+function createOpenAIProvider({ apiKey, baseURL } = {}) {
+  let client = null;
+  function getClient() {
+    if (!client) client = new OpenAI({ apiKey, baseURL });
+    return client;
+  }
+
+  return {
+    name: 'openai',
+
+    // `responseFormat` is passed through as `response_format` (structured outputs)
+    async complete({ model, messages, maxTokens, temperature, signal, responseFormat, tools }) {
+      const completion = await getClient().chat.completions.create({
+        model,
+        messages,
+        max_tokens: maxTokens,
+        temperature,
+        ...(responseFormat ? { response_format: responseFormat } : {}),
+        ...(tools && tools.length ? { tools } : {}),
+      }, { signal });
+      const message = completion.choices?.[0]?.message;
+      return {
+        content: message?.content || '',
+        toolCalls: (message?.tool_calls || []).map(call => ({
+          id: call.id,
+          name: call.function.name,
+          arguments: call.function.arguments
+        })),
+        model: completion.model || model,
+        usage: usageOf(completion.usage)
+      };
+    },
+
+    // Yields text deltas as they arrive; tool calls arrive in pieces by index
+    // and are yielded together at the end as { toolCalls }, followed by
+    // { usage, model } from the stream's last chunk
+    async *stream({ model, messages, maxTokens, temperature, signal, tools }) {
+      const stream = await getClient().chat.completions.create({
+        model,
+        messages,
+        max_tokens: maxTokens,
+        temperature,
+        stream: true,
+        stream_options: { include_usage: true },
+        ...(tools && tools.length ? { tools } : {}),
+      }, { signal });
+      const toolCalls = [];
+      let usage = null;
+      let streamedModel = model;
+      for await (const chunk of stream) {
+        if (chunk.model) streamedModel = chunk.model;
+        if (chunk.usage) usage = usageOf(chunk.usage);
+        const delta = chunk.choices?.[0]?.delta;
+        if (delta?.content) yield delta.content;
+        (delta?.tool_calls || []).forEach(piece => {
+          const call = toolCalls[piece.index] || (toolCalls[piece.index] = { id: '', name: '', arguments: '' });
+          if (piece.id) call.id = piece.id;
+          if (piece.function?.name) call.name += piece.function.name;
+          if (piece.function?.arguments) call.arguments += piece.function.arguments;
+        });
+      }
+      if (toolCalls.length) yield { toolCalls: toolCalls.filter(Boolean) };
+      if (usage) yield { usage, model: streamedModel };
+    },
+
+    // One vector per input string, in input order, with the call's usage
+    async embed({ model, input, signal }) {
+      const response = await getClient().embeddings.create({ model, input }, { signal });
+      return {
+        vectors: response.data
+          .slice()
+          .sort((a, b) => a.index - b.index)
+          .map(item => item.embedding),
+        model: response.model || model,
+        usage: usageOf(response.usage)
+      };
+    }
+  };
+}
+
+module.exports = { createOpenAIProvider };
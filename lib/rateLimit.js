@@ -0,0 +1,149 @@
+// Abuse protection for the public chat endpoints.
+//
+// createRateLimiter: fixed-window request counters kept in process memory,
+// keyed per client (IP) or per session. Each serverless instance counts on
+// its own, so on Vercel the limits are per instance.
+//
+// createMessageGuard: per-message checks that need the conversation - length
+// cap, turn cap, and repeated / flooding messages.
+
+function tooMany(message, code, retryAfterSec) {
+  return { status: 429, code, error: message, retryAfter: retryAfterSec };
+}
+
+function createRateLimiter({ windowMs, max }) {
+  const windows = new Map();
+  let nextSweep = Date.now() + windowMs;
+
+  // Drop expired windows now and then so idle clients do not pile up
+  function sweep(now) {
+    if (now < nextSweep) return;
+    nextSweep = now + windowMs;
+    windows.forEach((entry, key) => {
+      if (entry.resetAt <= now) windows.delete(key);
+    });
+  }
+
+  return {
+    windowMs,
+    max,
+
+    // Counts one hit for `key`; returns { allowed, remaining, resetAt }
+    hit(key) {
+      const now = Date.now();
+      sweep(now);
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+      entry.count++;
+      return {
+        allowed: entry.count <= max,
+        remaining: Math.max(max - entry.count, 0),
+        resetAt: entry.resetAt
+      };
+    }
+  };
+}
+
+// Express middleware around a limiter. `key(req)` picks the counter (return
+// null to skip); the response carries RateLimit-* headers and a JSON 429
+// with Retry-After once the limit is hit.
+function rateLimit(limiter, { key, message = 'Too many requests. Please slow down.' }) {
+  return (req, res, next) => {
+    const id = key(req);
+    if (!id) return next();
+    const { allowed, remaining, resetAt } = limiter.hit(id);
+    const resetSec = Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1);
+    res.set({
+      'RateLimit-Limit': String(limiter.max),
+      'RateLimit-Remaining': String(remaining),
+      'RateLimit-Reset': String(resetSec)
+    });
+    if (allowed) return next();
+    res.set('Retry-After', String(resetSec));
+    res.status(429).json({ error: message, code: 'rate_limited', retryAfter: resetSec });
+  };
+}
+
+function normalizeForRepeat(text) {
+  return String(text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// `check(sessionId, conversation, message)` returns null when the message may go to the
+// model, or { status, code, error, retryAfter? } describing why not.
+function createMessageGuard({
+  maxLength = 500,
+  maxTurns = 50,
+  repeatLimit = 3,
+  floodWindowMs = 10 * 1000,
+  floodMax = 5,
+  cooldownMs = 60 * 1000
+}) {
+  // sessionId -> { recent: [timestamps], blockedUntil }
+  const activity = new Map();
+  let nextSweep = Date.now() + cooldownMs;
+
+  function sweep(now) {
+    if (now < nextSweep) return;
+    nextSweep = now + cooldownMs;
+    activity.forEach((state, sessionId) => {
+      const last = state.recent[state.recent.length - 1] || 0;
+      if (state.blockedUntil <= now && last <= now - floodWindowMs) activity.delete(sessionId);
+    });
+  }
+
+  return {
+    maxLength,
+
+    check(sessionId, conversation, message) {
+      if (typeof message !== 'string' || !message.trim()) {
+        return { status: 400, code: 'invalid_message', error: 'Message must be a non-empty string' };
+      }
+      if (message.length > maxLength) {
+        return { status: 400, code: 'message_too_long', error: `Message is too long (maximum ${maxLength} characters)` };
+      }
+
+      const now = Date.now();
+      sweep(now);
+      const state = activity.get(sessionId) || { recent: [], blockedUntil: 0 };
+      activity.set(sessionId, state);
+      if (state.blockedUntil > now) {
+        return tooMany('Too many messages. Please wait a moment before sending another.',
+          'flood_cooldown', Math.ceil((state.blockedUntil - now) / 1000));
+      }
+
+      const userMessages = conversation.messages.filter(m => m.role === 'user');
+      if (userMessages.length >= maxTurns) {
+        return tooMany('This conversation has reached its message limit. Please start a new conversation.',
+          'turn_limit', null);
+      }
+
+      // The same text over and over (e.g. a script or a stuck key)
+      const recentTexts = userMessages.slice(-(repeatLimit - 1)).map(m => normalizeForRepeat(m.content));
+      const text = normalizeForRepeat(message);
+      if (repeatLimit > 1 && recentTexts.length === repeatLimit - 1 && recentTexts.every(t => t === text)) {
+        return tooMany('Please do not send the same message repeatedly.', 'repeated_message', null);
+      }
+
+      // Bursts: more than floodMax messages inside floodWindowMs blocks the
+      // session for cooldownMs
+      state.recent = state.recent.filter(t => t > now - floodWindowMs);
+      state.recent.push(now);
+      if (state.recent.length > floodMax) {
+        state.blockedUntil = now + cooldownMs;
+        state.recent = [];
+        return tooMany('Too many messages. Please wait a moment before sending another.',
+          'flood_detected', Math.ceil(cooldownMs / 1000));
+      }
+      return null;
+    },
+
+    forget(sessionId) {
+      activity.delete(sessionId);
+    }
+  };
+}
+
+module.exports = { createRateLimiter, rateLimit, createMessageGuard };
@@ -0,0 +1,57 @@
+// Live events for chat sessions, pushed over Server-Sent Events: the visitor's
+// chat window hears operator messages and handoff changes, and the dashboard
+// watches a conversation an operator has taken over.
+//
+// Streams are held by this process, so publishers and subscribers must reach
+// the same instance (always true for a single server).
+const HEARTBEAT_MS = 25000;
+
+function writeEvent(res, event, data, id) {
+  res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Streams get events as published unless they were given a `present(event, data)`
+function passThrough(event, data) {
+  return data;
+}
+
+function createSessionEvents({ heartbeatMs = HEARTBEAT_MS } = {}) {
+  // sessionId -> Map of open responses to how each presents an event
+  const streams = new Map();
+
+  return {
+    // Turns `res` into an event stream for the session until the client
+    // disconnects. `present(event, data)` picks what this stream is sent of
+    // each event (visitors get less than operators). Returns
+    // { send(event, data, id) } for that stream alone.
+    subscribe(sessionId, res, { present = passThrough } = {}) {
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      res.flushHeaders();
+      const subscribers = streams.get(sessionId) || new Map();
+      subscribers.set(res, present);
+      streams.set(sessionId, subscribers);
+      // Comment lines keep proxies from closing an idle stream
+      const heartbeat = setInterval(() => res.write(': ping\n\n'), heartbeatMs);
+      res.on('close', () => {
+        clearInterval(heartbeat);
+        subscribers.delete(res);
+        if (!subscribers.size && streams.get(sessionId) === subscribers) streams.delete(sessionId);
+      });
+      return { send: (event, data, id) => writeEvent(res, event, present(event, data), id) };
+    },
+
+    // Sends an event to every stream open for the session
+    publish(sessionId, event, data, id) {
+      const subscribers = streams.get(sessionId);
+      if (!subscribers) return;
+      subscribers.forEach((present, res) => writeEvent(res, event, present(event, data), id));
+    }
+  };
+}
+
+module.exports = { createSessionEvents };
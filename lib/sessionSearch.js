@@ -0,0 +1,160 @@
+const { leadQualities } = require('./leadExtraction');
+const { parseDateRange } = require('./export');
+
+// Session search for the dashboard: one page of conversations matching a
+// query, filters and sort order (GET /api/sessions).
+//
+//   q                    words that must each appear (case-insensitive) in a
+//                        visitor, bot or operator message or in a lead field:
+//                        name, email, phone, industry or lead quality
+//   from, to             conversation start, as for exports (YYYY-MM-DD or ISO)
+//   minMessages, maxMessages
+//   quality              lead quality, one of `qualities` (the bot's schema's);
+//                        feedback=negative for thumbs-down replies
+//   sort, order          createdAt (default) | lastActivity | messageCount, desc (default) | asc
+//   limit, offset        page size (default 50, at most 200) and start
+//
+// Each result lists its `hits`: the lead fields and message snippets the words
+// were found in, for the dashboard to highlight.
+const SORT_FIELDS = ['createdAt', 'lastActivity', 'messageCount'];
+const SORT_ORDERS = ['desc', 'asc'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const MAX_QUERY_LENGTH = 200;
+const MAX_TERMS = 10;
+// Lead fields searched besides the transcript
+const SEARCH_FIELDS = ['customerName', 'customerEmail', 'customerPhone', 'customerIndustry', 'leadQuality'];
+const MAX_HITS = 3;
+const SNIPPET_CONTEXT = 60;
+// Dropped from search words: they are wildcards or syntax in database filters
+const UNSEARCHABLE = /[%*\\"(),]/g;
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function parseCount(value, name) {
+  if (value === undefined || value === '') return null;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) throw badRequest(`${name} must be a whole number of 0 or more`);
+  return n;
+}
+
+// Lower-cased words of a search query
+function searchTerms(q) {
+  return String(q || '')
+    .toLowerCase()
+    .split(/\s+/)
+    .map(word => word.replace(UNSEARCHABLE, ''))
+    .filter(Boolean)
+    .slice(0, MAX_TERMS);
+}
+
+// Validated search options from a request's query string
+function parseSessionQuery(query = {}, { qualities = leadQualities() } = {}) {
+  const q = String(query.q || '').trim();
+  if (q.length > MAX_QUERY_LENGTH) throw badRequest(`q must be at most ${MAX_QUERY_LENGTH} characters`);
+  const { from, to } = parseDateRange(query);
+  const minMessages = parseCount(query.minMessages, 'minMessages');
+  const maxMessages = parseCount(query.maxMessages, 'maxMessages');
+  if (minMessages !== null && maxMessages !== null && minMessages > maxMessages) {
+    throw badRequest('minMessages must not be more than maxMessages');
+  }
+  const leadQuality = query.quality ? String(query.quality) : null;
+  if (leadQuality && !qualities.includes(leadQuality)) {
+    throw badRequest(`quality must be one of ${qualities.join(', ')}`);
+  }
+  if (query.feedback && query.feedback !== 'negative') throw badRequest('feedback must be negative');
+  const sort = query.sort ? String(query.sort) : 'createdAt';
+  if (!SORT_FIELDS.includes(sort)) throw badRequest(`sort must be one of ${SORT_FIELDS.join(', ')}`);
+  const order = query.order ? String(query.order) : 'desc';
+  if (!SORT_ORDERS.includes(order)) throw badRequest(`order must be one of ${SORT_ORDERS.join(', ')}`);
+
+  return {
+    terms: searchTerms(q),
+    botId: query.botId ? String(query.botId) : undefined,
+    from,
+    to,
+    minMessages,
+    maxMessages,
+    leadQuality,
+    negativeFeedback: query.feedback === 'negative',
+    sort,
+    order,
+    limit: Math.min(Math.max(Number(query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT),
+    offset: Math.max(Math.floor(Number(query.offset)) || 0, 0)
+  };
+}
+
+// Messages searched: everything but the system prompt
+function searchableMessages(record) {
+  return (record.messages || []).filter(m => m && m.role !== 'system' && typeof m.content === 'string');
+}
+
+function leadValues(record) {
+  const analysis = record.analysis || {};
+  return SEARCH_FIELDS
+    .map(field => ({ field, value: field === 'leadQuality' ? analysis.leadQuality || record.leadQuality : analysis[field] }))
+    .filter(({ value }) => typeof value === 'string' && value);
+}
+
+// Whether every term appears somewhere in the record
+function matchesTerms(record, terms) {
+  if (!terms.length) return true;
+  const texts = searchableMessages(record).map(m => m.content)
+    .concat(leadValues(record).map(({ value }) => value))
+    .map(text => text.toLowerCase());
+  return terms.every(term => texts.some(text => text.includes(term)));
+}
+
+// Up to `context` characters either side of the first term found in `text`
+function snippet(text, terms, context = SNIPPET_CONTEXT) {
+  const lower = text.toLowerCase();
+  const found = terms
+    .map(term => ({ term, index: lower.indexOf(term) }))
+    .filter(({ index }) => index !== -1)
+    .sort((a, b) => a.index - b.index)[0];
+  if (!found) return null;
+  const start = Math.max(found.index - context, 0);
+  const end = Math.min(found.index + found.term.length + context, text.length);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).replace(/\s+/g, ' ').trim()}${end < text.length ? '…' : ''}`;
+}
+
+// Where the terms were found: lead fields first, then message snippets
+// ([{ field, text }] or [{ field: 'message', role, messageId, text }])
+function findHits(record, terms) {
+  if (!terms.length) return [];
+  const hits = [];
+  leadValues(record).forEach(({ field, value }) => {
+    if (terms.some(term => value.toLowerCase().includes(term))) hits.push({ field, text: value });
+  });
+  for (const message of searchableMessages(record)) {
+    if (hits.length >= MAX_HITS) break;
+    const text = snippet(message.content, terms);
+    if (text) hits.push({ field: 'message', role: message.role, messageId: message.id || null, text });
+  }
+  return hits.slice(0, MAX_HITS);
+}
+
+// Orders conversation summaries by `sort`, ties broken by session id
+function compareSessions(sort, order) {
+  const direction = order === 'asc' ? 1 : -1;
+  return (a, b) => {
+    const diff = sort === 'messageCount'
+      ? (a.messageCount || 0) - (b.messageCount || 0)
+      : String(a[sort] || '').localeCompare(String(b[sort] || ''));
+    return diff * direction || String(a.sessionId).localeCompare(String(b.sessionId));
+  };
+}
+
+module.exports = {
+  parseSessionQuery,
+  searchTerms,
+  matchesTerms,
+  findHits,
+  compareSessions,
+  SORT_FIELDS,
+  SEARCH_FIELDS
+};
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+const { createMemoryStore } = require('./memory');
+
+// Collections kept in their own file next to the main one: knowledge documents
+// carry every chunk and embedding vector, too much to rewrite on each message.
+const SEPARATE_COLLECTIONS = ['knowledge_documents'];
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') {
+      console.warn(`⚠️  Unable to read ${filePath}. Starting with an empty store.`, e.message);
+    }
+    return null;
+  }
+}
+
+// Durable local store: the memory store, flushed to JSON files after every
+// change. Only the file holding the changed data is rewritten: the main file
+// for conversations and most collections, a file of its own for each of
+// SEPARATE_COLLECTIONS (data/chatbot.knowledge_documents.json next to
+// data/chatbot.json). Writes go to a temp file first and are renamed into
+// place so a crash never leaves a half-written file behind.
+function createFileStore({ filePath }) {
+  const { dir, name, ext } = path.parse(filePath);
+  const collectionPath = collectionName => path.join(dir, `${name}.${collectionName}${ext}`);
+
+  const initialState = readJson(filePath) || {};
+  initialState.collections = initialState.collections || {};
+  // Collections still in the main file (written before they were split out)
+  // move to their own file on the first flush
+  const unmoved = [];
+  SEPARATE_COLLECTIONS.forEach(collectionName => {
+    const docs = readJson(collectionPath(collectionName));
+    if (docs) initialState.collections[collectionName] = docs;
+    else if (initialState.collections[collectionName]) unmoved.push(collectionName);
+  });
+
+  // Serialize writes so a slow flush cannot overwrite a newer one
+  let pending = Promise.resolve();
+  function write(targetPath, data) {
+    pending = pending.then(async () => {
+      await fs.promises.mkdir(path.dirname(targetPath), { recursive: true });
+      const tmpPath = `${targetPath}.tmp`;
+      await fs.promises.writeFile(tmpPath, JSON.stringify(data, null, 2));
+      await fs.promises.rename(tmpPath, targetPath);
+    });
+    return pending;
+  }
+
+  function flush(state, collectionName) {
+    while (unmoved.length) {
+      const moved = unmoved.shift();
+      write(collectionPath(moved), state.collections[moved] || {});
+    }
+    if (SEPARATE_COLLECTIONS.includes(collectionName)) {
+      return write(collectionPath(collectionName), state.collections[collectionName] || {});
+    }
+    const collections = { ...state.collections };
+    SEPARATE_COLLECTIONS.forEach(separate => { delete collections[separate]; });
+    return write(filePath, { ...state, collections });
+  }
+
+  return createMemoryStore({ initialState, onChange: flush, name: 'file' });
+}
+
+module.exports = { createFileStore };
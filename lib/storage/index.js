@@ -0,0 +1,66 @@
+const path = require('path');
+const { createMemoryStore } = require('./memory');
+const { createFileStore } = require('./file');
+const { createSupabaseStore } = require('./supabase');
+
+const DEFAULT_FILE = path.join(__dirname, '..', '..', 'data', 'chatbot.json');
+
+// Every store implements the same async interface:
+//   getConversation(sessionId)            -> record | null
+//   saveConversation(sessionId, { messages?, summary?, promptVersion?, botId?, handoff? })
+//   deleteConversation(sessionId)         -> boolean
+//   anonymizeConversation(sessionId, { messages, summary, analysis, analysisError })
+//                                         -> boolean (sets anonymizedAt; updatedAt and analyzedAt are kept)
+//   listConversations({ botId? })         -> [{ sessionId, botId, messageCount, createdAt, updatedAt, analyzedAt,
+//                                              analysisStatus, analysisFailedAt, leadQuality, promptVersion, handoff,
+//                                              anonymizedAt, feedback: { up, down }, lastActivity }]
+//                                            (lastActivity: the last visitor, bot or operator message;
+//                                            analysisFailedAt: when the last analysis run failed, if it did)
+//   listAnalysisDue()                     -> listConversations rows with messages newer than their last
+//                                            analysis or failed analysis run (the idle sweep's candidates)
+//   searchConversations({ terms, botId?, from?, to?, minMessages?, maxMessages?, leadQuality?, negativeFeedback?,
+//                         sort, order, limit, offset })
+//                                         -> { total, sessions: [{ ...listConversations row, hits }] }
+//                                            (options and hits as parsed and found by lib/sessionSearch.js)
+//   saveAnalysis(sessionId, { analysis, status: 'analyzed' | 'failed', error, usage? }) -> boolean
+//                                            (usage: the run's record, appended to the record's analysisUsage)
+//   getAnalysis(sessionId)                -> { analysis, analyzedAt, status, error }
+//   listAnalyses({ botId? })              -> [{ sessionId, botId, analysis, analyzedAt, analysisStatus, createdAt, updatedAt }]
+//   iterateConversations({ from?, to?, leadQuality?, botId? })
+//                                         -> async iterable of full records, oldest first (created between from and to)
+//   collection(name)                      -> { get(id), put(id, doc), create(id, doc) -> boolean, delete(id), list() }
+//                                            (create inserts only if the id is free, atomically)
+//   check()                               -> { ok, sample?, error? }
+//
+// Records without a botId belong to the default bot ("default").
+//
+// STORAGE_DRIVER selects the adapter (supabase | file | memory). When unset we
+// use Supabase if it is configured, otherwise a local JSON file (or memory on
+// Vercel, where the filesystem is read-only).
+function createStorage(env = process.env) {
+  const supabaseConfigured = Boolean(env.SUPABASE_URL && env.SUPABASE_SERVICE_ROLE_KEY);
+  let driver = (env.STORAGE_DRIVER || '').trim().toLowerCase();
+  if (!driver) {
+    if (supabaseConfigured) driver = 'supabase';
+    else driver = env.VERCEL ? 'memory' : 'file';
+  }
+
+  switch (driver) {
+    case 'supabase':
+      if (!supabaseConfigured) {
+        throw new Error('STORAGE_DRIVER=supabase requires SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY');
+      }
+      return createSupabaseStore({
+        url: env.SUPABASE_URL,
+        serviceRoleKey: env.SUPABASE_SERVICE_ROLE_KEY
+      });
+    case 'file':
+      return createFileStore({ filePath: env.STORAGE_FILE || DEFAULT_FILE });
+    case 'memory':
+      return createMemoryStore();
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected supabase, file or memory)`);
+  }
+}
+
+module.exports = { createStorage, createMemoryStore, createFileStore, createSupabaseStore };
@@ -0,0 +1,254 @@
+// In-memory conversation store. Data lives for the lifetime of the process,
+// which makes it the default for tests and ephemeral (serverless) deployments.
+const { DEFAULT_BOT_ID } = require('../bots');
+const { feedbackCounts } = require('../feedback');
+const { appendAnalysisRun } = require('../usage');
+const { matchesTerms, findHits, compareSessions } = require('../sessionSearch');
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// Conversations stored before bots existed belong to the default bot
+function botOf(record) {
+  return record.botId || DEFAULT_BOT_ID;
+}
+
+function toSummary(record) {
+  const lastMessage = (record.messages || []).filter(m => m && m.role !== 'system' && m.createdAt).pop();
+  return {
+    sessionId: record.sessionId,
+    botId: botOf(record),
+    messageCount: Math.max((record.messages?.length || 1) - 1, 0),
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt,
+    analyzedAt: record.analyzedAt || null,
+    analysisStatus: record.analysisStatus || null,
+    analysisFailedAt: record.analysisStatus === 'failed' ? record.analysisError?.at || null : null,
+    leadQuality: record.analysis?.leadQuality || record.leadQuality || null,
+    promptVersion: record.promptVersion || null,
+    handoff: record.handoff || null,
+    anonymizedAt: record.anonymizedAt || null,
+    feedback: feedbackCounts(record.messages),
+    lastActivity: (lastMessage && lastMessage.createdAt) || record.updatedAt || record.createdAt
+  };
+}
+
+// A summary with messages newer than its last analysis, or than its last
+// failed run (which is only tried again once the visitor says more)
+function analysisDue(summary) {
+  if (!summary.messageCount) return false;
+  const last = [summary.analyzedAt, summary.analysisFailedAt].filter(Boolean).sort().pop();
+  return !last || summary.lastActivity > last;
+}
+
+// `onChange` is called with the full state after every mutation, plus the
+// name of the collection that changed (null for conversations); the file
+// store uses it to flush to disk.
+function createMemoryStore({ initialState, onChange, name = 'memory' } = {}) {
+  const records = new Map();
+  if (initialState && Array.isArray(initialState.conversations)) {
+    initialState.conversations.forEach(record => {
+      if (record && record.sessionId) records.set(record.sessionId, record);
+    });
+  }
+
+  // Generic document collections: { [collection]: Map<id, doc> }
+  const collections = new Map();
+  if (initialState && initialState.collections) {
+    Object.entries(initialState.collections).forEach(([collectionName, docs]) => {
+      collections.set(collectionName, new Map(Object.entries(docs || {})));
+    });
+  }
+
+  async function changed(collectionName = null) {
+    if (onChange) await onChange(snapshot(), collectionName);
+  }
+
+  function snapshot() {
+    const collectionState = {};
+    collections.forEach((docs, collectionName) => {
+      collectionState[collectionName] = Object.fromEntries(docs);
+    });
+    return { conversations: Array.from(records.values()), collections: collectionState };
+  }
+
+  function docsOf(collectionName) {
+    if (!collections.has(collectionName)) collections.set(collectionName, new Map());
+    return collections.get(collectionName);
+  }
+
+  return {
+    name,
+
+    async getConversation(sessionId) {
+      const record = records.get(sessionId);
+      return record ? clone(record) : null;
+    },
+
+    // Upsert: only the fields present in `fields` are written
+    async saveConversation(sessionId, fields) {
+      const nowIso = new Date().toISOString();
+      const existing = records.get(sessionId) || {
+        sessionId,
+        messages: [],
+        createdAt: nowIso,
+        analysis: null,
+        analyzedAt: null,
+        analysisStatus: null,
+        analysisError: null,
+        summary: null,
+        promptVersion: null,
+        botId: null,
+        handoff: null,
+        anonymizedAt: null
+      };
+      const next = { ...existing, updatedAt: nowIso };
+      Object.entries(fields || {}).forEach(([key, value]) => {
+        if (value !== undefined) next[key] = clone(value);
+      });
+      records.set(sessionId, next);
+      await changed();
+    },
+
+    async deleteConversation(sessionId) {
+      const existed = records.delete(sessionId);
+      if (existed) await changed();
+      return existed;
+    },
+
+    // Replaces personal data in place (retention policy); unlike
+    // saveConversation it leaves updatedAt and analyzedAt alone
+    async anonymizeConversation(sessionId, { messages, summary, analysis, analysisError }) {
+      const record = records.get(sessionId);
+      if (!record) return false;
+      record.messages = clone(messages);
+      record.summary = clone(summary) || null;
+      if (record.analysis) record.analysis = clone(analysis);
+      if (record.analysisError) record.analysisError = clone(analysisError) || null;
+      record.anonymizedAt = new Date().toISOString();
+      await changed();
+      return true;
+    },
+
+    async listConversations({ botId } = {}) {
+      return Array.from(records.values())
+        .filter(record => !botId || botOf(record) === botId)
+        .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+        .map(toSummary);
+    },
+
+    async listAnalysisDue() {
+      return Array.from(records.values()).map(toSummary).filter(analysisDue);
+    },
+
+    // One page of summaries matching a dashboard search (see lib/sessionSearch.js)
+    async searchConversations({ terms = [], botId, from, to, minMessages = null, maxMessages = null, leadQuality,
+      negativeFeedback = false, sort = 'createdAt', order = 'desc', limit = 50, offset = 0 } = {}) {
+      const matching = Array.from(records.values())
+        .filter(record => !botId || botOf(record) === botId)
+        .filter(record => !from || String(record.createdAt) >= from)
+        .filter(record => !to || String(record.createdAt) <= to)
+        .map(record => ({ record, summary: toSummary(record) }))
+        .filter(({ summary }) => minMessages === null || summary.messageCount >= minMessages)
+        .filter(({ summary }) => maxMessages === null || summary.messageCount <= maxMessages)
+        .filter(({ summary }) => !leadQuality || summary.leadQuality === leadQuality)
+        .filter(({ summary }) => !negativeFeedback || summary.feedback.down > 0)
+        .filter(({ record }) => matchesTerms(record, terms));
+      const compare = compareSessions(sort, order);
+      matching.sort((a, b) => compare(a.summary, b.summary));
+      return {
+        total: matching.length,
+        sessions: matching.slice(offset, offset + limit)
+          .map(({ record, summary }) => ({ ...summary, hits: findHits(record, terms) }))
+      };
+    },
+
+    // Full records for exports; `from`/`to` are ISO timestamps on createdAt
+    async *iterateConversations({ from, to, leadQuality, botId } = {}) {
+      const matching = Array.from(records.values())
+        .filter(record => !botId || botOf(record) === botId)
+        .filter(record => !from || String(record.createdAt) >= from)
+        .filter(record => !to || String(record.createdAt) <= to)
+        .filter(record => !leadQuality || toSummary(record).leadQuality === leadQuality)
+        .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+      for (const record of matching) yield clone(record);
+    },
+
+    // A failed extraction records the error but keeps the last good analysis
+    async saveAnalysis(sessionId, { analysis, status, error, usage }) {
+      const record = records.get(sessionId);
+      if (!record) return false;
+      record.analysisStatus = status;
+      record.analysisError = clone(error) || null;
+      if (usage) record.analysisUsage = appendAnalysisRun(record.analysisUsage, clone(usage));
+      if (status === 'analyzed') {
+        record.analysis = clone(analysis);
+        record.analyzedAt = new Date().toISOString();
+      }
+      await changed();
+      return true;
+    },
+
+    async getAnalysis(sessionId) {
+      const record = records.get(sessionId);
+      return {
+        analysis: record ? clone(record.analysis) : null,
+        analyzedAt: record ? record.analyzedAt : null,
+        status: record ? record.analysisStatus || null : null,
+        error: record ? clone(record.analysisError) || null : null
+      };
+    },
+
+    // Conversations that have a successful analysis, newest first
+    async listAnalyses({ botId } = {}) {
+      return Array.from(records.values())
+        .filter(record => record.analysis && (!botId || botOf(record) === botId))
+        .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+        .map(record => ({
+          sessionId: record.sessionId,
+          botId: botOf(record),
+          analysis: clone(record.analysis),
+          analyzedAt: record.analyzedAt,
+          analysisStatus: record.analysisStatus || null,
+          createdAt: record.createdAt,
+          updatedAt: record.updatedAt
+        }));
+    },
+
+    collection(collectionName) {
+      return {
+        async get(id) {
+          return clone(docsOf(collectionName).get(id)) || null;
+        },
+        async put(id, doc) {
+          docsOf(collectionName).set(id, clone(doc));
+          await changed(collectionName);
+        },
+        // Insert only; false when the id is taken (checked and set in one step)
+        async create(id, doc) {
+          const docs = docsOf(collectionName);
+          if (docs.has(id)) return false;
+          docs.set(id, clone(doc));
+          await changed(collectionName);
+          return true;
+        },
+        async delete(id) {
+          const existed = docsOf(collectionName).delete(id);
+          if (existed) await changed(collectionName);
+          return existed;
+        },
+        async list() {
+          return Array.from(docsOf(collectionName).values()).map(clone);
+        }
+      };
+    },
+
+    async check() {
+      const first = records.keys().next();
+      return { ok: true, sample: first.done ? null : { conversation_id: first.value } };
+    }
+  };
+}
+
+module.exports = { createMemoryStore, toSummary, analysisDue };
@@ -0,0 +1,378 @@
+const { createClient } = require('@supabase/supabase-js');
+const { toSummary } = require('./memory');
+const { DEFAULT_BOT_ID } = require('../bots');
+const { appendAnalysisRun } = require('../usage');
+const { feedbackCounts } = require('../feedback');
+const { findHits } = require('../sessionSearch');
+
+const TABLE = 'conversation';
+const DOCUMENTS_TABLE = 'app_document';
+const EXPORT_PAGE_SIZE = 200;
+
+// Conversation record fields and the columns that hold them
+const FIELD_COLUMNS = {
+  messages: 'messages',
+  summary: 'context_summary',
+  promptVersion: 'prompt_version',
+  botId: 'bot_id',
+  handoff: 'handoff'
+};
+
+// What the session list reads instead of the transcript: message_count is
+// computed by the database, the other transcript columns by transcriptColumns()
+const SUMMARY_COLUMNS = 'conversation_id, bot_id, created_at, updated_at, lead_analyzed_at, analysis_status, analysis_failed_at, ' +
+  'lead_quality, prompt_version, handoff, anonymized_at, message_count, last_activity, feedback_up, feedback_down';
+// Rows per request when reading a whole result set (Supabase returns at most 1000)
+const LIST_PAGE_SIZE = 1000;
+// Each word of a dashboard search must match one of these (ilike)
+const SEARCH_COLUMNS = ['search_text', 'lead_name', 'lead_email', 'lead_phone', 'lead_industry', 'lead_quality'];
+const SORT_COLUMNS = { createdAt: 'created_at', lastActivity: 'last_activity', messageCount: 'message_count' };
+
+// Validated lead fields are stored as their own columns so they can be queried
+const LEAD_COLUMNS = {
+  customerName: 'lead_name',
+  customerEmail: 'lead_email',
+  customerPhone: 'lead_phone',
+  customerIndustry: 'lead_industry',
+  customerProblem: 'lead_problem',
+  customerAvailability: 'lead_availability',
+  customerConsultation: 'lead_consultation',
+  specialNotes: 'lead_notes',
+  leadQuality: 'lead_quality'
+};
+
+function fail(action, error) {
+  const err = new Error(`Supabase ${action} failed: ${error.message}`);
+  err.cause = error;
+  return err;
+}
+
+function fromRow(row) {
+  return {
+    sessionId: row.conversation_id,
+    messages: Array.isArray(row.messages) ? row.messages : [],
+    createdAt: row.created_at,
+    updatedAt: row.updated_at || row.created_at,
+    analysis: row.lead_analysic || null,
+    analyzedAt: row.lead_analyzed_at || null,
+    analysisStatus: row.analysis_status || null,
+    analysisError: row.analysis_error || null,
+    leadQuality: row.lead_quality || null,
+    summary: row.context_summary || null,
+    promptVersion: row.prompt_version || null,
+    botId: row.bot_id || null,
+    handoff: row.handoff || null,
+    anonymizedAt: row.anonymized_at || null,
+    analysisUsage: Array.isArray(row.analysis_usage) ? row.analysis_usage : []
+  };
+}
+
+// Written with every transcript so listing and searching never read `messages`
+function transcriptColumns(messages) {
+  const turns = messages.filter(m => m && m.role !== 'system');
+  const lastMessage = turns.filter(m => m.createdAt).pop();
+  const feedback = feedbackCounts(messages);
+  return {
+    last_activity: lastMessage ? lastMessage.createdAt : null,
+    feedback_up: feedback.up,
+    feedback_down: feedback.down,
+    search_text: turns.filter(m => typeof m.content === 'string').map(m => m.content).join('\n')
+  };
+}
+
+// A SUMMARY_COLUMNS row as a listConversations() summary
+function summaryFromRow(row) {
+  return {
+    ...toSummary(fromRow(row)),
+    messageCount: row.message_count || 0,
+    lastActivity: row.last_activity || row.updated_at || row.created_at,
+    analysisFailedAt: row.analysis_failed_at || null,
+    feedback: { up: row.feedback_up || 0, down: row.feedback_down || 0 }
+  };
+}
+
+// Conversation store backed by the Supabase `conversation` table; see
+// supabase/schema.sql for the columns it expects.
+function createSupabaseStore({ url, serviceRoleKey }) {
+  const supabase = createClient(url, serviceRoleKey);
+
+  return {
+    name: 'supabase',
+
+    async getConversation(sessionId) {
+      const { data, error } = await supabase
+        .from(TABLE)
+        .select('*')
+        .eq('conversation_id', sessionId)
+        .maybeSingle();
+      if (error) throw fail('fetch', error);
+      return data ? fromRow(data) : null;
+    },
+
+    // Upsert: only the fields present in `fields` are written
+    async saveConversation(sessionId, fields) {
+      const row = { conversation_id: sessionId, updated_at: new Date().toISOString() };
+      Object.entries(fields || {}).forEach(([key, value]) => {
+        if (value !== undefined && FIELD_COLUMNS[key]) row[FIELD_COLUMNS[key]] = value;
+      });
+      if (Array.isArray(fields && fields.messages)) Object.assign(row, transcriptColumns(fields.messages));
+      const { error } = await supabase
+        .from(TABLE)
+        .upsert(row, { onConflict: 'conversation_id' });
+      if (error) throw fail('update', error);
+    },
+
+    async deleteConversation(sessionId) {
+      const { error, count } = await supabase
+        .from(TABLE)
+        .delete({ count: 'exact' })
+        .eq('conversation_id', sessionId);
+      if (error) throw fail('delete', error);
+      return count !== 0;
+    },
+
+    // Replaces personal data in place (retention policy); unlike
+    // saveConversation it leaves updated_at and lead_analyzed_at alone
+    async anonymizeConversation(sessionId, { messages, summary, analysis, analysisError }) {
+      const update = {
+        messages,
+        ...transcriptColumns(messages),
+        context_summary: summary || null,
+        analysis_error: analysisError || null,
+        anonymized_at: new Date().toISOString()
+      };
+      if (analysis) {
+        update.lead_analysic = analysis;
+        Object.entries(LEAD_COLUMNS).forEach(([field, column]) => {
+          update[column] = analysis[field] === undefined ? null : analysis[field];
+        });
+      }
+      const { error, count } = await supabase
+        .from(TABLE)
+        .update(update, { count: 'exact' })
+        .eq('conversation_id', sessionId);
+      if (error) throw fail('update (anonymize)', error);
+      return count !== 0;
+    },
+
+    async listConversations({ botId } = {}) {
+      let query = supabase
+        .from(TABLE)
+        .select(SUMMARY_COLUMNS)
+        .order('created_at', { ascending: false });
+      if (botId) query = query.eq('bot_id', botId);
+      const { data, error } = await query;
+      if (error) throw fail('list sessions', error);
+      return (data || []).map(summaryFromRow);
+    },
+
+    // Only the rows the database marks analysis_due (see supabase/schema.sql),
+    // a page at a time
+    async listAnalysisDue() {
+      const rows = [];
+      for (let offset = 0; ; offset += LIST_PAGE_SIZE) {
+        const { data, error } = await supabase
+          .from(TABLE)
+          .select(SUMMARY_COLUMNS)
+          .eq('analysis_due', true)
+          .order('last_activity', { ascending: true, nullsFirst: true })
+          .order('conversation_id', { ascending: true })
+          .range(offset, offset + LIST_PAGE_SIZE - 1);
+        if (error) throw fail('list analysis due', error);
+        rows.push(...(data || []).map(summaryFromRow));
+        if (!data || data.length < LIST_PAGE_SIZE) return rows;
+      }
+    },
+
+    // One page of summaries matching a dashboard search; transcripts are read
+    // only for the page's rows, to find the hits
+    async searchConversations({ terms = [], botId, from, to, minMessages = null, maxMessages = null, leadQuality,
+      negativeFeedback = false, sort = 'createdAt', order = 'desc', limit = 50, offset = 0 } = {}) {
+      let query = supabase
+        .from(TABLE)
+        .select(SUMMARY_COLUMNS, { count: 'exact' })
+        .order(SORT_COLUMNS[sort], { ascending: order === 'asc', nullsFirst: false })
+        .order('conversation_id', { ascending: true })
+        .range(offset, offset + limit - 1);
+      if (botId) query = query.eq('bot_id', botId);
+      if (from) query = query.gte('created_at', from);
+      if (to) query = query.lte('created_at', to);
+      if (minMessages !== null) query = query.gte('message_count', minMessages);
+      if (maxMessages !== null) query = query.lte('message_count', maxMessages);
+      if (leadQuality) query = query.eq('lead_quality', leadQuality);
+      if (negativeFeedback) query = query.gt('feedback_down', 0);
+      // Search words are stripped of filter syntax (lib/sessionSearch.js)
+      terms.forEach(term => {
+        query = query.or(SEARCH_COLUMNS.map(column => `${column}.ilike."%${term}%"`).join(','));
+      });
+      const { data, error, count } = await query;
+      if (error) throw fail('search sessions', error);
+      const rows = data || [];
+
+      const hits = new Map();
+      if (terms.length && rows.length) {
+        const { data: full, error: hitsError } = await supabase
+          .from(TABLE)
+          .select('conversation_id, messages, lead_analysic, lead_quality')
+          .in('conversation_id', rows.map(row => row.conversation_id));
+        if (hitsError) throw fail('search hits', hitsError);
+        (full || []).forEach(row => hits.set(row.conversation_id, findHits(fromRow(row), terms)));
+      }
+      return {
+        total: count || 0,
+        sessions: rows.map(row => ({ ...summaryFromRow(row), hits: hits.get(row.conversation_id) || [] }))
+      };
+    },
+
+    // Full records for exports, fetched a page at a time so large tables are
+    // never held in memory at once
+    async *iterateConversations({ from, to, leadQuality, botId } = {}) {
+      for (let offset = 0; ; offset += EXPORT_PAGE_SIZE) {
+        let query = supabase
+          .from(TABLE)
+          .select('*')
+          .order('created_at', { ascending: true })
+          .order('conversation_id', { ascending: true })
+          .range(offset, offset + EXPORT_PAGE_SIZE - 1);
+        if (from) query = query.gte('created_at', from);
+        if (to) query = query.lte('created_at', to);
+        if (leadQuality) query = query.eq('lead_quality', leadQuality);
+        if (botId) query = query.eq('bot_id', botId);
+        const { data, error } = await query;
+        if (error) throw fail('export', error);
+        for (const row of data || []) yield fromRow(row);
+        if (!data || data.length < EXPORT_PAGE_SIZE) return;
+      }
+    },
+
+    // A failed extraction records the error but keeps the last good analysis
+    async saveAnalysis(sessionId, { analysis, status, error: analysisError, usage }) {
+      const update = {
+        analysis_status: status,
+        analysis_error: analysisError || null,
+        analysis_failed_at: status === 'failed' ? (analysisError && analysisError.at) || new Date().toISOString() : null
+      };
+      if (usage) {
+        const { data, error } = await supabase
+          .from(TABLE)
+          .select('analysis_usage')
+          .eq('conversation_id', sessionId)
+          .maybeSingle();
+        if (error) throw fail('get analysis usage', error);
+        update.analysis_usage = appendAnalysisRun(data && data.analysis_usage, usage);
+      }
+      if (status === 'analyzed') {
+        update.lead_analysic = analysis;
+        update.lead_analyzed_at = new Date().toISOString();
+        Object.entries(LEAD_COLUMNS).forEach(([field, column]) => {
+          update[column] = analysis[field] === undefined ? null : analysis[field];
+        });
+      }
+      const { error } = await supabase
+        .from(TABLE)
+        .update(update)
+        .eq('conversation_id', sessionId);
+      if (error) throw fail('update (analysis)', error);
+      return true;
+    },
+
+    async getAnalysis(sessionId) {
+      const { data, error } = await supabase
+        .from(TABLE)
+        .select('lead_analysic, lead_analyzed_at, analysis_status, analysis_error')
+        .eq('conversation_id', sessionId)
+        .maybeSingle();
+      if (error) throw fail('get analysis', error);
+      return {
+        analysis: data?.lead_analysic || null,
+        analyzedAt: data?.lead_analyzed_at || null,
+        status: data?.analysis_status || null,
+        error: data?.analysis_error || null
+      };
+    },
+
+    // Conversations that have a successful analysis, newest first
+    async listAnalyses({ botId } = {}) {
+      let query = supabase
+        .from(TABLE)
+        .select('conversation_id, bot_id, created_at, updated_at, lead_analysic, lead_analyzed_at, analysis_status')
+        .not('lead_analysic', 'is', null)
+        .order('created_at', { ascending: false });
+      if (botId) query = query.eq('bot_id', botId);
+      const { data, error } = await query;
+      if (error) throw fail('list analyses', error);
+      return (data || []).map(row => ({
+        sessionId: row.conversation_id,
+        botId: row.bot_id || DEFAULT_BOT_ID,
+        analysis: row.lead_analysic,
+        analyzedAt: row.lead_analyzed_at,
+        analysisStatus: row.analysis_status || null,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at || row.created_at
+      }));
+    },
+
+    // Generic documents live in one table keyed by (collection, id)
+    collection(collectionName) {
+      return {
+        async get(id) {
+          const { data, error } = await supabase
+            .from(DOCUMENTS_TABLE)
+            .select('data')
+            .eq('collection', collectionName)
+            .eq('id', id)
+            .maybeSingle();
+          if (error) throw fail(`fetch ${collectionName}`, error);
+          return data ? data.data : null;
+        },
+        async put(id, doc) {
+          const { error } = await supabase
+            .from(DOCUMENTS_TABLE)
+            .upsert(
+              { collection: collectionName, id, data: doc, updated_at: new Date().toISOString() },
+              { onConflict: 'collection,id' }
+            );
+          if (error) throw fail(`save ${collectionName}`, error);
+        },
+        // Insert only; the (collection, id) primary key rejects a taken id
+        async create(id, doc) {
+          const { error } = await supabase
+            .from(DOCUMENTS_TABLE)
+            .insert({ collection: collectionName, id, data: doc });
+          if (error && error.code === '23505') return false;
+          if (error) throw fail(`create ${collectionName}`, error);
+          return true;
+        },
+        async delete(id) {
+          const { error, count } = await supabase
+            .from(DOCUMENTS_TABLE)
+            .delete({ count: 'exact' })
+            .eq('collection', collectionName)
+            .eq('id', id);
+          if (error) throw fail(`delete ${collectionName}`, error);
+          return count !== 0;
+        },
+        async list() {
+          const { data, error } = await supabase
+            .from(DOCUMENTS_TABLE)
+            .select('data')
+            .eq('collection', collectionName)
+            .order('created_at', { ascending: true });
+          if (error) throw fail(`list ${collectionName}`, error);
+          return (data || []).map(row => row.data);
+        }
+      };
+    },
+
+    async check() {
+      const { data, error } = await supabase
+        .from(TABLE)
+        .select('conversation_id')
+        .limit(1);
+      if (error) return { ok: false, error: error.message };
+      return { ok: true, sample: (data && data[0]) ? data[0] : null };
+    }
+  };
+}
+
+module.exports = { createSupabaseStore };
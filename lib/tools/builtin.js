@@ -0,0 +1,98 @@
+const { normalizeEmail, normalizePhone } = require('../leadExtraction');
+
+// The tools every bot gets unless its `tools` list says otherwise:
+//
+//   save_contact       - stores the visitor's contact details on the lead
+//   search_knowledge   - looks up products, prices and FAQ answers in the
+//                        knowledge base
+//   check_availability - lists free consultation slots (the chat window shows
+//                        them as booking buttons)
+const KNOWLEDGE_RESULT_CHARS = 800;
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// `formatTime(iso)` writes slot times the way bot replies should show them
+function registerBuiltinTools(registry, { leads, knowledge, bookings, formatTime, timeZone }) {
+  registry.register({
+    name: 'save_contact',
+    description: 'Save the visitor\'s contact details once they have given an email address or phone number. ' +
+      'Call it again when they correct or add details.',
+    parameters: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', maxLength: 100, description: 'Full name' },
+        email: { type: 'string', maxLength: 200 },
+        phone: { type: 'string', maxLength: 40 },
+        company: { type: 'string', maxLength: 200 },
+        notes: { type: 'string', maxLength: 500, description: 'What they need, in a sentence or two' }
+      },
+      additionalProperties: false
+    },
+    async handler(args, { sessionId }) {
+      const email = normalizeEmail(args.email);
+      if (email.error) throw badRequest(email.error);
+      const phone = normalizePhone(args.phone);
+      if (phone.error) throw badRequest(phone.error);
+      if (!email.value && !phone.value) throw badRequest('An email address or phone number is required');
+      const contact = {
+        name: String(args.name || '').trim(),
+        email: email.value,
+        phone: phone.value,
+        company: String(args.company || '').trim(),
+        notes: String(args.notes || '').trim()
+      };
+      const lead = await leads.recordContact(sessionId, contact);
+      return { saved: true, contact: lead.contact };
+    }
+  });
+
+  registry.register({
+    name: 'search_knowledge',
+    description: 'Search the company\'s documents (product catalogues, price lists, FAQs) for facts to answer with. ' +
+      'Use a short query with product names, part numbers or keywords.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', minLength: 2, maxLength: 200 }
+      },
+      required: ['query'],
+      additionalProperties: false
+    },
+    async handler(args, { botId }) {
+      const passages = await knowledge.search(args.query, { botId, limit: 3 });
+      return {
+        results: passages.map(p => ({
+          title: p.title,
+          location: p.location,
+          text: p.text.length > KNOWLEDGE_RESULT_CHARS ? `${p.text.slice(0, KNOWLEDGE_RESULT_CHARS)}…` : p.text
+        }))
+      };
+    }
+  });
+
+  registry.register({
+    name: 'check_availability',
+    description: 'List the next free consultation slots. The visitor sees them as buttons under your reply and ' +
+      'books by clicking one, so mention a few times but do not confirm a booking yourself.',
+    parameters: {
+      type: 'object',
+      properties: {
+        limit: { type: 'integer', minimum: 1, maximum: 10 }
+      },
+      additionalProperties: false
+    },
+    async handler(args, { botId }) {
+      const slots = await bookings.availability({ botId, limit: args.limit || 6 });
+      return {
+        timeZone,
+        slots: slots.map(slot => ({ id: slot.id, start: slot.start, end: slot.end, label: formatTime(slot.start) }))
+      };
+    }
+  });
+}
+
+module.exports = { registerBuiltinTools };
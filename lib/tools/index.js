@@ -0,0 +1,181 @@
+const { validate } = require('./schema');
+
+// Server-side tools the chat model can call during a turn.
+//
+// A tool is { name, description, parameters, handler }: `parameters` is the
+// JSON schema of its arguments and `handler(args, context)` does the work and
+// resolves to a JSON-serialisable result. `context` carries the conversation
+// ({ sessionId, botId }) and an AbortSignal that fires on timeout.
+//
+// runTools() drives a turn: the model is called with the tool definitions,
+// any calls it makes are validated and run, their results are appended to the
+// messages and the model is called again, until it answers without calling a
+// tool or `maxRounds` is used up (then it answers without tools). Failures
+// (unknown tool, bad JSON, invalid arguments, a timeout, a thrown error) are
+// reported to the model as the call's result rather than ending the turn.
+const { addUsage, emptyUsage } = require('../usage');
+
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+function timeoutError(name, ms) {
+  const err = new Error(`Tool "${name}" timed out after ${ms} ms`);
+  err.code = 'tool_timeout';
+  return err;
+}
+
+function parseArguments(raw) {
+  if (raw && typeof raw === 'object') return raw;
+  if (!String(raw || '').trim()) return {};
+  return JSON.parse(raw);
+}
+
+function createToolRegistry({ timeoutMs = 5000 } = {}) {
+  const tools = new Map();
+
+  // Runs a handler, rejecting (and aborting it) after timeoutMs
+  function withTimeout(tool, args, context) {
+    const controller = new AbortController();
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(timeoutError(tool.name, timeoutMs));
+      }, timeoutMs);
+    });
+    const run = Promise.resolve().then(() => tool.handler(args, { ...context, signal: controller.signal }));
+    return Promise.race([run, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  return {
+    register(tool) {
+      if (!TOOL_NAME_PATTERN.test(tool.name || '')) throw new Error(`Invalid tool name "${tool.name}"`);
+      if (typeof tool.handler !== 'function') throw new Error(`Tool "${tool.name}" has no handler`);
+      tools.set(tool.name, tool);
+    },
+
+    names() {
+      return Array.from(tools.keys());
+    },
+
+    // Chat-completions `tools` for the given names (null means every tool)
+    definitions(names = null) {
+      return Array.from(tools.values())
+        .filter(tool => !names || names.includes(tool.name))
+        .map(tool => ({
+          type: 'function',
+          function: {
+            name: tool.name,
+            description: tool.description,
+            parameters: tool.parameters || { type: 'object', properties: {} }
+          }
+        }));
+    },
+
+    // Validates and runs one call from the model. Never throws; resolves to the
+    // record kept in the transcript: { id, name, arguments, result | error, durationMs }
+    async call({ id, name, arguments: raw }, context = {}, allowed = null) {
+      const started = Date.now();
+      const record = { id, name, arguments: null };
+      const fail = message => ({ ...record, error: message, durationMs: Date.now() - started });
+
+      const tool = tools.get(name);
+      if (!tool || (allowed && !allowed.includes(name))) return fail(`Unknown tool "${name}"`);
+      try {
+        record.arguments = parseArguments(raw);
+      } catch (e) {
+        record.arguments = String(raw);
+        return fail('Arguments are not valid JSON');
+      }
+      const errors = validate(tool.parameters, record.arguments);
+      if (errors.length) return fail(`Invalid arguments: ${errors.join('; ')}`);
+
+      try {
+        const result = await withTimeout(tool, record.arguments, context);
+        return { ...record, result: result === undefined ? null : result, durationMs: Date.now() - started };
+      } catch (e) {
+        if (!e.status && e.code !== 'tool_timeout') console.error(`Tool "${name}" error:`, e);
+        return fail(e.message);
+      }
+    }
+  };
+}
+
+// Messages that show the model its calls and their results for the next round
+function toolMessages(text, calls) {
+  return [
+    {
+      role: 'assistant',
+      content: text || null,
+      tool_calls: calls.map(call => ({
+        id: call.id,
+        type: 'function',
+        function: {
+          name: call.name,
+          arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments || {})
+        }
+      }))
+    },
+    ...calls.map(call => ({
+      role: 'tool',
+      tool_call_id: call.id,
+      content: JSON.stringify(call.error ? { error: call.error } : call.result)
+    }))
+  ];
+}
+
+// One chat turn with tools. With `onDelta` the profile is streamed and text
+// is passed on as it arrives; otherwise each round is a single completion.
+// Resolves to { content, calls, usage, model } where `calls` are the
+// transcript records of every tool call made, in order, and `usage` is the
+// token usage of every round together (null when the provider reports none).
+async function runTools({ profile, messages, registry, names = null, context = {}, maxRounds = 3, signal, onDelta, onToolCall }) {
+  const tools = registry.definitions(names);
+  const calls = [];
+  let history = messages;
+  let content = '';
+  let usage = null;
+  let model = profile.model;
+
+  for (let round = 0; ; round++) {
+    const offer = tools.length && round < maxRounds ? tools : undefined;
+    let text = '';
+    let requested = [];
+    // Text from separate rounds reads as separate paragraphs
+    const append = part => {
+      const delta = !text && content ? `\n\n${part}` : part;
+      text += part;
+      content += delta;
+      if (onDelta) onDelta(delta);
+    };
+    if (onDelta) {
+      for await (const part of profile.stream(history, { signal, tools: offer })) {
+        if (typeof part === 'string') {
+          if (part) append(part);
+        } else if (part && part.toolCalls) {
+          requested = part.toolCalls;
+        } else if (part && part.usage) {
+          usage = addUsage(usage || emptyUsage(), part.usage);
+          if (part.model) model = part.model;
+        }
+      }
+    } else {
+      const completion = await profile.complete(history, { signal, tools: offer });
+      if (completion.content) append(completion.content);
+      requested = completion.toolCalls || [];
+      if (completion.usage) usage = addUsage(usage || emptyUsage(), completion.usage);
+      if (completion.model) model = completion.model;
+    }
+    if (!offer || !requested.length) return { content, calls, usage, model };
+
+    const results = [];
+    for (const request of requested) {
+      const record = await registry.call(request, context, names);
+      results.push(record);
+      calls.push(record);
+      if (onToolCall) onToolCall(record);
+    }
+    history = history.concat(toolMessages(text, results));
+  }
+}
+
+module.exports = { createToolRegistry, runTools, toolMessages };
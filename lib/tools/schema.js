@@ -0,0 +1,58 @@
+// Argument validation for tool calls. Tools describe their parameters with the
+// JSON Schema subset the chat models understand (object, string, number,
+// integer, boolean, array; enum, required, additionalProperties, min/max
+// lengths and values); arguments the model sends are checked against it
+// before the tool runs.
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+// Human-readable problems with `value`, empty when it conforms. `path` names
+// the value in messages ("arguments.email").
+function validate(schema, value, path = 'arguments') {
+  if (!schema) return [];
+  if (schema.type && !matchesType(value, schema.type)) return [`${path} must be ${schema.type === 'integer' ? 'an' : 'a'} ${schema.type}`];
+  if (schema.enum && !schema.enum.includes(value)) return [`${path} must be one of ${schema.enum.join(', ')}`];
+
+  const errors = [];
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path} must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path} must be at most ${schema.maxLength} characters`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be at most ${schema.maximum}`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path} must have at most ${schema.maxItems} items`);
+    value.forEach((item, i) => errors.push(...validate(schema.items, item, `${path}[${i}]`)));
+  }
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined || value[key] === null) errors.push(`${path}.${key} is required`);
+    });
+    Object.entries(value).forEach(([key, field]) => {
+      if (!properties[key]) {
+        if (schema.additionalProperties === false) errors.push(`${path}.${key} is not a known parameter`);
+        return;
+      }
+      // Models send null for optional parameters they leave out
+      if (field === null && !(schema.required || []).includes(key)) return;
+      errors.push(...validate(properties[key], field, `${path}.${key}`));
+    });
+  }
+  return errors;
+}
+
+module.exports = { validate };
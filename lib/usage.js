@@ -0,0 +1,194 @@
+// Token usage of model calls and what it costs.
+//
+// Providers report the usage of each call as { promptTokens, completionTokens }.
+// Bot replies store it on the message, next to `model` and `latencyMs`, along
+// with the calls made to build their context (`contextUsage`: a summary of
+// older turns, the knowledge search's query embedding; [{ kind, model,
+// promptTokens, completionTokens }]). Lead analysis runs are kept on the
+// conversation as `analysisUsage`, one record per run ({ id, at, model,
+// latencyMs, attempts, promptTokens, completionTokens }). Knowledge uploads
+// keep the usage of their embeddings on the document (lib/knowledge).
+//
+// Costs are worked out when they are read, from a price list in USD per
+// million tokens, so a price change applies to past conversations too.
+// MODEL_PRICING (JSON, e.g. '{"gpt-4.1": {"input": 2, "output": 8}}') adds
+// to or replaces the built-in prices. A model uses the longest listed name it
+// starts with: "gpt-4.1-2025-04-14" is priced as "gpt-4.1", while
+// "gpt-4.1-mini" has its own entry. Models without a price count tokens only.
+const DEFAULT_PRICES = {
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'text-embedding-3-small': { input: 0.02, output: 0 },
+  'text-embedding-3-large': { input: 0.13, output: 0 },
+  'text-embedding-ada-002': { input: 0.1, output: 0 }
+};
+const TOKENS_PER_PRICE_UNIT = 1000000;
+// Analysis runs kept per conversation (a conversation is re-analysed as it grows)
+const MAX_ANALYSIS_RUNS = 50;
+
+function emptyUsage() {
+  return { promptTokens: 0, completionTokens: 0 };
+}
+
+// Adds `usage` (which may be null) into `total`; returns `total`
+function addUsage(total, usage) {
+  if (usage) {
+    total.promptTokens += Number(usage.promptTokens) || 0;
+    total.completionTokens += Number(usage.completionTokens) || 0;
+  }
+  return total;
+}
+
+// The conversation's analysis runs with `run` added, newest last
+function appendAnalysisRun(runs, run) {
+  return (Array.isArray(runs) ? runs : []).concat(run).slice(-MAX_ANALYSIS_RUNS);
+}
+
+function parsePrices(json) {
+  if (!json || !String(json).trim()) return {};
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (e) {
+    throw new Error(`MODEL_PRICING is not valid JSON: ${e.message}`);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('MODEL_PRICING must be an object of { "<model>": { "input": <usd>, "output": <usd> } }');
+  }
+  Object.entries(parsed).forEach(([model, price]) => {
+    const valid = price && ['input', 'output'].every(key => Number.isFinite(price[key]) && price[key] >= 0);
+    if (!valid) throw new Error(`MODEL_PRICING for "${model}" needs non-negative "input" and "output" prices`);
+  });
+  return parsed;
+}
+
+function createPricing(env = process.env) {
+  const prices = { ...DEFAULT_PRICES, ...parsePrices(env.MODEL_PRICING) };
+  // Longest names first, so the most specific prefix wins
+  const names = Object.keys(prices).sort((a, b) => b.length - a.length);
+
+  function priceOf(model) {
+    const name = names.find(candidate => String(model || '').startsWith(candidate));
+    return name ? prices[name] : null;
+  }
+
+  return {
+    currency: 'USD',
+    prices() {
+      return { ...prices };
+    },
+    priceOf,
+    // USD for one call, or null when the model has no price
+    costOf(model, usage) {
+      const price = priceOf(model);
+      if (!price || !usage) return price ? 0 : null;
+      return ((Number(usage.promptTokens) || 0) * price.input +
+        (Number(usage.completionTokens) || 0) * price.output) / TOKENS_PER_PRICE_UNIT;
+    }
+  };
+}
+
+// Model calls recorded for one conversation: [{ kind, id, at, model, usage, latencyMs }]
+// (kind: reply, summary, embedding or analysis)
+function usageRecords(record) {
+  const replies = [];
+  (record.messages || []).filter(m => m && m.role === 'assistant').forEach(m => {
+    if (m.usage) {
+      replies.push({ kind: 'reply', id: m.id || null, at: m.createdAt, model: m.model || null, usage: m.usage, latencyMs: m.latencyMs });
+    }
+    (m.contextUsage || []).forEach(call => replies.push({
+      kind: call.kind,
+      id: null,
+      at: m.createdAt,
+      model: call.model || null,
+      usage: { promptTokens: call.promptTokens, completionTokens: call.completionTokens }
+    }));
+  });
+  const analyses = (record.analysisUsage || []).map(run => ({
+    kind: 'analysis',
+    id: run.id,
+    at: run.at,
+    model: run.model || null,
+    usage: { promptTokens: run.promptTokens, completionTokens: run.completionTokens },
+    latencyMs: run.latencyMs
+  }));
+  return replies.concat(analyses);
+}
+
+// Running totals of tokens and cost, overall and per model
+function createTally(pricing) {
+  const total = emptyUsage();
+  const byModel = new Map();
+  let cost = 0;
+
+  return {
+    add(model, usage) {
+      const key = model || 'unknown';
+      const entry = byModel.get(key) || { model: key, calls: 0, ...emptyUsage(), cost: 0, priced: true };
+      const callCost = pricing.costOf(model, usage);
+      entry.calls++;
+      addUsage(entry, usage);
+      addUsage(total, usage);
+      if (callCost === null) {
+        entry.priced = false;
+      } else {
+        entry.cost += callCost;
+        cost += callCost;
+      }
+      byModel.set(key, entry);
+      return callCost;
+    },
+    result() {
+      return {
+        currency: pricing.currency,
+        ...total,
+        cost: roundCost(cost),
+        byModel: Array.from(byModel.values()).map(entry => ({ ...entry, cost: roundCost(entry.cost) }))
+      };
+    }
+  };
+}
+
+// Cost figures keep six decimals (fractions of a cent per reply add up)
+function roundCost(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+// Tokens and cost of one conversation: totals, the share of replies, of the
+// calls building their context (summaries, knowledge search) and of lead
+// analysis, and the cost of each reply by message id
+function conversationUsage(record, pricing) {
+  const all = createTally(pricing);
+  const shares = { replies: createTally(pricing), context: createTally(pricing), analysis: createTally(pricing) };
+  const shareOf = { reply: 'replies', summary: 'context', embedding: 'context', analysis: 'analysis' };
+  const messages = {};
+  usageRecords(record).forEach(call => {
+    const cost = all.add(call.model, call.usage);
+    shares[shareOf[call.kind]].add(call.model, call.usage);
+    if (call.kind === 'reply' && call.id) messages[call.id] = cost === null ? null : roundCost(cost);
+  });
+  return {
+    ...all.result(),
+    replies: shares.replies.result(),
+    context: shares.context.result(),
+    analysis: shares.analysis.result(),
+    messages
+  };
+}
+
+module.exports = {
+  createPricing,
+  createTally,
+  conversationUsage,
+  usageRecords,
+  addUsage,
+  emptyUsage,
+  appendAnalysisRun,
+  roundCost,
+  DEFAULT_PRICES,
+  MAX_ANALYSIS_RUNS
+};
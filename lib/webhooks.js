@@ -0,0 +1,369 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { createJobQueue } = require('./jobQueue');
+
+// Outbound webhooks.
+//
+// Endpoints live in the storage `webhooks` collection and subscribe to events
+// (or '*'). emit() records one delivery per subscribed endpoint in the
+// `webhook_deliveries` collection and sends it through a job queue, retrying
+// with exponential backoff. Every request body is signed with the endpoint's
+// secret:
+//
+//   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+//
+// Receivers should recompute the HMAC and reject stale timestamps; see
+// verifySignature() and scripts/webhook-receiver.js.
+//
+// Endpoints must resolve to public addresses only, checked when they are saved
+// and again before every attempt (the name may resolve differently by then),
+// so webhooks cannot be pointed at the server's own network.
+const WEBHOOK_EVENTS = ['conversation.created', 'conversation.message', 'lead.analyzed', 'lead.good', 'booking.created', 'booking.cancelled'];
+const ACTIVE_DELIVERY_STATUSES = ['pending', 'retrying'];
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function notFound(message) {
+  const err = new Error(message);
+  err.status = 404;
+  return err;
+}
+
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function signatureHeader(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${sign(secret, timestamp, body)}`;
+}
+
+// True when `header` is a valid signature of `body` no older than `toleranceSec`
+function verifySignature(secret, header, body, toleranceSec = 300) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+  const timestamp = Number(parts.t);
+  if (!timestamp || !parts.v1) return false;
+  if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSec) return false;
+  const expected = Buffer.from(sign(secret, timestamp, body));
+  const given = Buffer.from(parts.v1);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+// Loopback, private, link-local, shared (CGNAT), multicast and reserved
+// ranges; IPv4-mapped IPv6 addresses match the IPv4 rules
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return PRIVATE_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+function normalizeUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value || '').trim());
+  } catch (e) {
+    throw badRequest('url must be an absolute http(s) URL');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) throw badRequest('url must be an absolute http(s) URL');
+  return url.toString();
+}
+
+// Resolves the endpoint's host and rejects it if any of its addresses is not public
+async function assertPublicHost(url, lookup) {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await lookup(host, { all: true });
+  } catch (e) {
+    throw badRequest(`url host "${host}" could not be resolved`);
+  }
+  if (!addresses.length || addresses.some(({ address }) => isPrivateAddress(address))) {
+    const err = badRequest(`url host "${host}" is not a public address`);
+    err.privateHost = true;
+    throw err;
+  }
+}
+
+function normalizeEvents(value) {
+  const events = Array.isArray(value) ? value.map(String) : [];
+  if (events.length === 0) throw badRequest('events must list at least one event');
+  const unknown = events.filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+  if (unknown.length) {
+    throw badRequest(`Unknown event(s) ${unknown.join(', ')} (expected ${WEBHOOK_EVENTS.join(', ')} or *)`);
+  }
+  return Array.from(new Set(events));
+}
+
+// Endpoint as shown in the dashboard; the secret is only returned on creation
+function toView(hook) {
+  const { secret, ...rest } = hook;
+  return { ...rest, secretHint: `${secret.slice(0, 10)}…` };
+}
+
+function createWebhooks({
+  storage,
+  timeoutMs = 5000,
+  maxAttempts = 5,
+  backoffMs = 2000,
+  logLimit = 500,
+  pruneIntervalMs = 60 * 60 * 1000,
+  allowPrivateHosts = false,
+  lookup = dns.promises.lookup,
+  fetchImpl = (...args) => fetch(...args)
+}) {
+  const hooks = storage.collection('webhooks');
+  const deliveries = storage.collection('webhook_deliveries');
+  let pruneTimer = null;
+
+  async function checkUrl(value) {
+    const url = normalizeUrl(value);
+    if (!allowPrivateHosts) await assertPublicHost(url, lookup);
+    return url;
+  }
+
+  async function updateDelivery(id, fields) {
+    const delivery = await deliveries.get(id);
+    if (!delivery) return null;
+    const next = { ...delivery, ...fields, updatedAt: new Date().toISOString() };
+    await deliveries.put(id, next);
+    return next;
+  }
+
+  // One HTTP attempt. Network errors, timeouts, 408, 429 and 5xx are retried;
+  // any other non-2xx response, or a host that now resolves to a private
+  // address, fails the delivery straight away. Redirects are not followed, and
+  // only the response status is kept: the body is never read.
+  async function attempt({ deliveryId }, job) {
+    const delivery = await deliveries.get(deliveryId);
+    if (!delivery) return null;
+    const hook = await hooks.get(delivery.webhookId);
+    if (!hook) {
+      await updateDelivery(deliveryId, { status: 'failed', error: 'Webhook endpoint was deleted' });
+      return null;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const started = Date.now();
+    let responseStatus = null;
+    let error = null;
+    let retryable = true;
+    try {
+      if (!allowPrivateHosts) await assertPublicHost(hook.url, lookup);
+      const res = await fetchImpl(hook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'website-chatbot-webhooks/1.0',
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Signature': signatureHeader(hook.secret, body)
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      responseStatus = res.status;
+      if (res.body && res.body.cancel) res.body.cancel().catch(() => {});
+      if (!res.ok) error = `Receiver responded with ${res.status}`;
+    } catch (e) {
+      error = e.name === 'TimeoutError' ? `Timed out after ${timeoutMs}ms` : e.message;
+      if (e.privateHost) retryable = false;
+    }
+
+    const attempts = job.attempts;
+    const fields = { attempts, responseStatus, durationMs: Date.now() - started, error };
+    if (!error) {
+      await updateDelivery(deliveryId, { ...fields, status: 'succeeded', deliveredAt: new Date().toISOString() });
+      return { responseStatus };
+    }
+
+    if (responseStatus !== null) retryable = responseStatus === 408 || responseStatus === 429 || responseStatus >= 500;
+    const willRetry = retryable && attempts < maxAttempts;
+    await updateDelivery(deliveryId, {
+      ...fields,
+      status: willRetry ? 'retrying' : 'failed',
+      nextAttemptAt: willRetry ? new Date(Date.now() + backoffMs * 2 ** (attempts - 1)).toISOString() : null
+    });
+    const err = new Error(error);
+    err.retryable = retryable;
+    throw err;
+  }
+
+  const queue = createJobQueue({ handler: attempt, concurrency: 2, maxAttempts, backoffMs });
+
+  // Keep the delivery log bounded: drop the oldest finished deliveries.
+  // Runs on a timer (see start) rather than per delivery, as it lists the whole log.
+  async function prune() {
+    const all = await deliveries.list();
+    if (all.length <= logLimit) return;
+    const finished = all
+      .filter(d => !ACTIVE_DELIVERY_STATUSES.includes(d.status))
+      .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+    for (const d of finished.slice(0, all.length - logLimit)) await deliveries.delete(d.id);
+  }
+
+  async function createDelivery(hook, payload, redeliveryOf = null) {
+    const nowIso = new Date().toISOString();
+    const delivery = {
+      id: crypto.randomUUID(),
+      webhookId: hook.id,
+      url: hook.url,
+      event: payload.event,
+      eventId: payload.id,
+      payload,
+      status: 'pending',
+      attempts: 0,
+      responseStatus: null,
+      error: null,
+      durationMs: null,
+      nextAttemptAt: null,
+      redeliveryOf,
+      createdAt: nowIso,
+      updatedAt: nowIso,
+      deliveredAt: null
+    };
+    await deliveries.put(delivery.id, delivery);
+    queue.enqueue(delivery.id, { deliveryId: delivery.id });
+    return delivery;
+  }
+
+  async function getHook(id) {
+    const hook = await hooks.get(id);
+    if (!hook) throw notFound(`Webhook "${id}" not found`);
+    return hook;
+  }
+
+  return {
+    events: WEBHOOK_EVENTS,
+
+    // Fire-and-forget: delivery problems end up in the log, never in the caller
+    emit(event, data) {
+      const payload = { id: crypto.randomUUID(), event, createdAt: new Date().toISOString(), data };
+      (async () => {
+        const subscribed = (await hooks.list())
+          .filter(hook => hook.enabled && (hook.events.includes('*') || hook.events.includes(event)));
+        for (const hook of subscribed) await createDelivery(hook, payload);
+      })().catch(e => console.error(`Webhook emit error (${event}):`, e.message));
+    },
+
+    // Re-queue deliveries that were still pending when the process stopped
+    async resume() {
+      const pending = (await deliveries.list()).filter(d => ACTIVE_DELIVERY_STATUSES.includes(d.status));
+      pending.forEach(d => queue.enqueue(d.id, { deliveryId: d.id }));
+      return pending.length;
+    },
+
+    prune,
+
+    // Prunes the delivery log now and every pruneIntervalMs
+    start() {
+      if (pruneTimer) return;
+      const run = () => prune().catch(e => console.error('Webhook log prune error:', e.message));
+      run();
+      pruneTimer = setInterval(run, pruneIntervalMs);
+      if (pruneTimer.unref) pruneTimer.unref();
+    },
+
+    stop() {
+      if (pruneTimer) clearInterval(pruneTimer);
+      pruneTimer = null;
+    },
+
+    async list() {
+      const all = await hooks.list();
+      return all
+        .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)))
+        .map(toView);
+    },
+
+    // Returns the endpoint including its secret, which is not shown again
+    async create({ url, events, secret, description }) {
+      const nowIso = new Date().toISOString();
+      const hook = {
+        id: crypto.randomUUID(),
+        url: await checkUrl(url),
+        events: normalizeEvents(events),
+        description: description ? String(description).trim() : '',
+        secret: secret ? String(secret) : `whsec_${crypto.randomBytes(24).toString('hex')}`,
+        enabled: true,
+        createdAt: nowIso,
+        updatedAt: nowIso
+      };
+      await hooks.put(hook.id, hook);
+      return { ...toView(hook), secret: hook.secret };
+    },
+
+    async update(id, { url, events, enabled, description }) {
+      const hook = await getHook(id);
+      if (url !== undefined) hook.url = await checkUrl(url);
+      if (events !== undefined) hook.events = normalizeEvents(events);
+      if (enabled !== undefined) hook.enabled = Boolean(enabled);
+      if (description !== undefined) hook.description = String(description || '').trim();
+      hook.updatedAt = new Date().toISOString();
+      await hooks.put(id, hook);
+      return toView(hook);
+    },
+
+    async remove(id) {
+      await getHook(id);
+      await hooks.delete(id);
+    },
+
+    // Send a `webhook.test` ping to one endpoint regardless of its events
+    async test(id) {
+      const hook = await getHook(id);
+      const payload = {
+        id: crypto.randomUUID(),
+        event: 'webhook.test',
+        createdAt: new Date().toISOString(),
+        data: { webhookId: hook.id }
+      };
+      return createDelivery(hook, payload);
+    },
+
+    // Newest first; filter by endpoint with `webhookId`
+    async deliveries({ webhookId, limit = 100 } = {}) {
+      const all = await deliveries.list();
+      return all
+        .filter(d => !webhookId || d.webhookId === webhookId)
+        .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+        .slice(0, limit);
+    },
+
+    // Privacy (lib/privacy): drop logged deliveries about a conversation, since
+    // their payloads carry its lead and contact details. Resolves to the number removed.
+    async forgetSession(sessionId) {
+      const related = (await deliveries.list())
+        .filter(d => {
+          const data = (d.payload && d.payload.data) || {};
+          return data.sessionId === sessionId || (data.booking && data.booking.sessionId === sessionId);
+        });
+      for (const d of related) await deliveries.delete(d.id);
+      return related.length;
+    },
+
+    // Send a logged delivery again as a new delivery with the same payload
+    // (same event id, so receivers can de-duplicate)
+    async redeliver(deliveryId) {
+      const original = await deliveries.get(deliveryId);
+      if (!original) throw notFound(`Delivery "${deliveryId}" not found`);
+      const hook = await getHook(original.webhookId);
+      return createDelivery(hook, original.payload, original.id);
+    }
+  };
+}
+
+module.exports = { createWebhooks, verifySignature, signatureHeader, WEBHOOK_EVENTS };
@@ -0,0 +1,127 @@
+// Analytics view: conversations per day, turns, reply latency, lead-quality
+// distribution, the lead funnel and model cost for a date range (last 30 days
+// by default).
+class AnalyticsView {
+  constructor(dashboard) {
+    this.dashboard = dashboard;
+    this.fromInput = document.getElementById('analyticsFrom');
+    this.toInput = document.getElementById('analyticsTo');
+    this.applyBtn = document.getElementById('analyticsApplyBtn');
+    this.totalsEl = document.getElementById('analyticsTotals');
+    this.perDayEl = document.getElementById('analyticsPerDay');
+    this.qualityEl = document.getElementById('analyticsQuality');
+    this.funnelEl = document.getElementById('analyticsFunnel');
+    this.costPerDayEl = document.getElementById('analyticsCostPerDay');
+    this.costByModelEl = document.getElementById('analyticsCostByModel');
+
+    const today = new Date();
+    const monthAgo = new Date(today.getTime() - 29 * 24 * 60 * 60 * 1000);
+    this.fromInput.value = monthAgo.toISOString().slice(0, 10);
+    this.toInput.value = today.toISOString().slice(0, 10);
+
+    this.applyBtn.addEventListener('click', () => this.load());
+  }
+
+  show() {
+    return this.load();
+  }
+
+  async load() {
+    const params = this.dashboard.withBot(new URLSearchParams());
+    if (this.fromInput.value) params.set('from', this.fromInput.value);
+    if (this.toInput.value) params.set('to', this.toInput.value);
+    this.totalsEl.innerHTML = `<p class="meta">${I18n.t('common.loading')}</p>`;
+    try {
+      const res = await this.dashboard.api(`/analytics?${params.toString()}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `Analytics request failed: ${res.status}`);
+      this.render(data);
+    } catch (e) {
+      this.totalsEl.innerHTML = '';
+      const p = document.createElement('p');
+      p.className = 'meta';
+      p.textContent = I18n.t('analytics.loadFailed', { message: e.message });
+      this.totalsEl.appendChild(p);
+      console.error(e);
+    }
+  }
+
+  render(data) {
+    const latency = data.latency.avgMs === null
+      ? '—'
+      : `${(data.latency.avgMs / 1000).toFixed(1)}s`;
+    const totals = [
+      ['analytics.conversations', data.totals.conversations],
+      ['analytics.avgTurns', data.totals.avgTurns],
+      ['analytics.avgReply', latency],
+      ['analytics.p95Reply', data.latency.p95Ms === null ? '—' : `${(data.latency.p95Ms / 1000).toFixed(1)}s`],
+      ['analytics.analysed', data.totals.analyzed],
+      ['analytics.cost', this.dashboard.formatCost(data.usage.cost, data.usage.currency)],
+      ['analytics.tokens', (data.usage.promptTokens + data.usage.completionTokens).toLocaleString(I18n.locale)]
+    ];
+    this.totalsEl.innerHTML = totals.map(([label, value]) => `
+      <div class="analytics-total">
+        <div class="analytics-value">${value}</div>
+        <div class="session-meta">${I18n.t(label)}</div>
+      </div>
+    `).join('');
+
+    const maxPerDay = Math.max(1, ...data.perDay.map(d => d.conversations));
+    this.perDayEl.innerHTML = data.perDay.length
+      ? data.perDay.map(d => `
+        <div class="analytics-column" title="${I18n.t('analytics.dayTitle', { date: d.date, conversations: d.conversations, messages: d.messages })}">
+          <div class="analytics-column-bar" style="height:${(d.conversations / maxPerDay) * 100}%"></div>
+        </div>
+      `).join('')
+      : `<p class="meta">${I18n.t('analytics.empty')}</p>`;
+
+    const maxCost = Math.max(...data.perDay.map(d => d.cost), 0) || 1;
+    this.costPerDayEl.innerHTML = data.perDay.length
+      ? data.perDay.map(d => `
+        <div class="analytics-column" title="${I18n.t('analytics.costDayTitle', {
+          date: d.date,
+          cost: this.dashboard.formatCost(d.cost, data.usage.currency),
+          tokens: (d.promptTokens + d.completionTokens).toLocaleString(I18n.locale)
+        })}">
+          <div class="analytics-column-bar cost" style="height:${(d.cost / maxCost) * 100}%"></div>
+        </div>
+      `).join('')
+      : `<p class="meta">${I18n.t('analytics.empty')}</p>`;
+
+    // Models without a price show their tokens only
+    const totalCost = data.usage.cost || 1;
+    this.costByModelEl.innerHTML = data.usage.byModel.length
+      ? data.usage.byModel.map(entry => this.renderBar(
+        this.dashboard.linkify(entry.model),
+        entry.priced
+          ? this.dashboard.formatCost(entry.cost, data.usage.currency)
+          : I18n.t('analytics.unpriced', { tokens: (entry.promptTokens + entry.completionTokens).toLocaleString(I18n.locale) }),
+        entry.priced ? (entry.cost / totalCost) * 100 : 0,
+        'funnel'
+      )).join('')
+      : `<p class="meta">${I18n.t('analytics.noUsage')}</p>`;
+
+    const conversations = Math.max(1, data.totals.conversations);
+    this.qualityEl.innerHTML = Object.entries(data.leadQuality).map(([quality, count]) =>
+      this.renderBar(quality, count, (count / conversations) * 100, `quality-${quality}`)
+    ).join('');
+
+    this.funnelEl.innerHTML = data.funnel.map(stage =>
+      this.renderBar(
+        I18n.has(`analytics.stage.${stage.key}`) ? I18n.t(`analytics.stage.${stage.key}`) : stage.label,
+        `${stage.count} (${stage.rate}%)`,
+        stage.rate,
+        'funnel'
+      )
+    ).join('');
+  }
+
+  renderBar(label, value, percent, modifier) {
+    return `
+      <div class="analytics-bar-row">
+        <div class="analytics-bar-label"><span>${label}</span><span>${value}</span></div>
+        <div class="analytics-bar"><div class="analytics-bar-fill ${modifier}" style="width:${percent}%"></div></div>
+      </div>
+    `;
+  }
+}
@@ -0,0 +1,159 @@
+// Bookings view: consultation slots for the coming weeks, grouped by day.
+// Agents add a day's slots, delete free ones and cancel bookings; each booked
+// slot links to the conversation it was booked from.
+class BookingsView {
+  constructor(dashboard) {
+    this.dashboard = dashboard;
+    this.dateInput = document.getElementById('slotDate');
+    this.fromInput = document.getElementById('slotFrom');
+    this.toInput = document.getElementById('slotTo');
+    this.durationSelect = document.getElementById('slotDuration');
+    this.createBtn = document.getElementById('slotCreateBtn');
+    this.statusEl = document.getElementById('slotStatus');
+    this.metaEl = document.getElementById('bookingsMeta');
+    this.slotsEl = document.getElementById('bookingSlots');
+
+    this.slots = [];
+
+    this.createBtn.addEventListener('click', () => this.handleCreate());
+    document.getElementById('bookingsRefreshBtn').addEventListener('click', () => this.loadSlots());
+  }
+
+  async show() {
+    if (!this.dateInput.value) {
+      const now = new Date();
+      this.dateInput.value = new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+    }
+    const bot = this.dashboard.bots.find(b => b.id === this.dashboard.botId);
+    this.statusEl.textContent = bot
+      ? I18n.t('bookings.slotsFor', { bot: bot.name || bot.id })
+      : I18n.t('bookings.slotsForAll');
+    await this.loadSlots();
+  }
+
+  get canManage() {
+    const user = this.dashboard.user;
+    return Boolean(user) && (user.role === 'agent' || user.role === 'admin');
+  }
+
+  async loadSlots() {
+    const params = this.dashboard.withBot(new URLSearchParams({ from: new Date().toISOString() }));
+    try {
+      const res = await this.dashboard.api(`/bookings/slots?${params.toString()}`);
+      if (!res.ok) throw new Error(`Slots request failed: ${res.status}`);
+      const data = await res.json();
+      this.slots = data.slots || [];
+      this.renderSlots();
+    } catch (e) {
+      this.slotsEl.innerHTML = `<p class="meta">${I18n.t('bookings.loadFailed')}</p>`;
+      console.error(e);
+    }
+  }
+
+  renderSlots() {
+    const booked = this.slots.filter(slot => slot.booking).length;
+    this.metaEl.textContent = I18n.t('bookings.summary', { total: this.slots.length, booked, free: this.slots.length - booked });
+    this.slotsEl.innerHTML = '';
+    if (!this.slots.length) {
+      this.slotsEl.innerHTML = `<p class="meta">${I18n.t('bookings.empty')}</p>`;
+      return;
+    }
+    let day = null;
+    this.slots.forEach(slot => {
+      const start = new Date(slot.start);
+      const slotDay = start.toLocaleDateString(I18n.locale, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+      if (slotDay !== day) {
+        day = slotDay;
+        const heading = document.createElement('div');
+        heading.className = 'booking-day';
+        heading.textContent = day;
+        this.slotsEl.appendChild(heading);
+      }
+      this.slotsEl.appendChild(this.renderSlot(slot));
+    });
+  }
+
+  renderSlot(slot) {
+    const time = iso => new Date(iso).toLocaleTimeString(I18n.locale, { hour: '2-digit', minute: '2-digit' });
+    const row = document.createElement('div');
+    row.className = `booking-row ${slot.booking ? 'booked' : 'free'}`;
+    row.innerHTML = '<span class="booking-time"></span><span class="booking-who"></span>';
+    row.querySelector('.booking-time').textContent = `${time(slot.start)}–${time(slot.end)}`;
+    const who = row.querySelector('.booking-who');
+    if (!slot.booking) {
+      who.textContent = `${I18n.t('bookings.free')}${slot.botId ? ` • ${slot.botId}` : ''}`;
+      if (this.canManage) row.appendChild(this.button(I18n.t('common.delete'), () => this.handleDelete(slot)));
+      return row;
+    }
+    const b = slot.booking;
+    who.textContent = [b.name, b.email, b.phone].filter(Boolean).join(' • ');
+    row.appendChild(this.button(I18n.t('common.openConversation'), () => this.dashboard.openConversation(b.sessionId)));
+    if (this.canManage) row.appendChild(this.button(I18n.t('bookings.cancel'), () => this.handleCancel(b)));
+    return row;
+  }
+
+  button(label, onClick) {
+    const btn = document.createElement('button');
+    btn.className = 'btn';
+    btn.textContent = label;
+    btn.addEventListener('click', onClick);
+    return btn;
+  }
+
+  // The day and times are the operator's local time; the server stores UTC
+  async handleCreate() {
+    const date = this.dateInput.value;
+    if (!date || !this.fromInput.value || !this.toInput.value) {
+      alert(I18n.t('bookings.chooseRange'));
+      return;
+    }
+    const start = new Date(`${date}T${this.fromInput.value}`);
+    const end = new Date(`${date}T${this.toInput.value}`);
+    const body = { start: start.toISOString(), end: end.toISOString(), durationMinutes: Number(this.durationSelect.value) };
+    if (this.dashboard.botId) body.botId = this.dashboard.botId;
+    this.createBtn.disabled = true;
+    try {
+      const res = await this.dashboard.api('/bookings/slots', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || `Adding slots failed: ${res.status}`);
+      this.statusEl.textContent = data.slots.length
+        ? I18n.plural('bookings.added', data.slots.length)
+        : I18n.t('bookings.noneAdded');
+      await this.loadSlots();
+    } catch (e) {
+      this.statusEl.textContent = e.message;
+      console.error(e);
+    } finally {
+      this.createBtn.disabled = false;
+    }
+  }
+
+  async handleDelete(slot) {
+    try {
+      const res = await this.dashboard.api(`/bookings/slots/${encodeURIComponent(slot.id)}`, { method: 'DELETE' });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || `Delete failed: ${res.status}`);
+      await this.loadSlots();
+    } catch (e) {
+      alert(e.message);
+      console.error(e);
+    }
+  }
+
+  async handleCancel(booking) {
+    if (!confirm(I18n.t('bookings.cancelConfirm', { name: booking.name }))) return;
+    try {
+      const res = await this.dashboard.api(`/bookings/${encodeURIComponent(booking.id)}/cancel`, { method: 'POST' });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || `Cancel failed: ${res.status}`);
+      await this.loadSlots();
+    } catch (e) {
+      alert(e.message);
+      console.error(e);
+    }
+  }
+}
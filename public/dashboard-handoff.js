@@ -0,0 +1,102 @@
+// Human handoff for the open conversation: agents take it over from the bot,
+// reply to the visitor and hand it back. While a conversation is open, its
+// event stream appends new messages to the transcript as they arrive.
+class HandoffPanel {
+  constructor(dashboard) {
+    this.dashboard = dashboard;
+    this.toggleBtn = document.getElementById('handoffBtn');
+    this.statusEl = document.getElementById('handoffStatus');
+    this.composerEl = document.getElementById('operatorComposer');
+    this.input = document.getElementById('operatorInput');
+    this.sendBtn = document.getElementById('operatorSendBtn');
+
+    this.sessionId = null;
+    this.state = { active: false };
+    this.events = null;
+
+    this.toggleBtn.addEventListener('click', () => this.toggle());
+    this.sendBtn.addEventListener('click', () => this.send());
+    this.input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.send();
+    });
+  }
+
+  // Called with the conversation the dashboard shows (null for none)
+  open(sessionId, state) {
+    if (this.events) this.events.close();
+    this.events = null;
+    this.sessionId = sessionId;
+    this.render(state || { active: false });
+    if (!sessionId) return;
+
+    this.events = new EventSource(
+      `${this.dashboard.apiBaseUrl}/conversation/${encodeURIComponent(sessionId)}/events`,
+      { withCredentials: true }
+    );
+    this.events.addEventListener('message', (e) => {
+      if (sessionId !== this.sessionId) return;
+      const messagesEl = this.dashboard.messagesEl;
+      messagesEl.appendChild(this.dashboard.renderMessage(JSON.parse(e.data)));
+      messagesEl.scrollTop = messagesEl.scrollHeight;
+    });
+    this.events.addEventListener('handoff', (e) => {
+      if (sessionId === this.sessionId) this.render(JSON.parse(e.data));
+    });
+  }
+
+  render(state) {
+    this.state = state;
+    const user = this.dashboard.user;
+    const isAgent = Boolean(user) && (user.role === 'agent' || user.role === 'admin');
+    this.toggleBtn.disabled = !this.sessionId;
+    this.toggleBtn.textContent = I18n.t(state.active ? 'handoff.handBack' : 'handoff.takeOver');
+    this.statusEl.textContent = state.active
+      ? `🙋 ${I18n.t('handoff.status', { operator: state.operator, since: this.dashboard.formatTime(state.startedAt) })}`
+      : '';
+    this.composerEl.hidden = !(state.active && isAgent);
+  }
+
+  async toggle() {
+    if (!this.sessionId) return;
+    const sessionId = this.sessionId;
+    this.toggleBtn.disabled = true;
+    try {
+      const res = await this.dashboard.api(`/conversation/${encodeURIComponent(sessionId)}/handoff`, {
+        method: this.state.active ? 'DELETE' : 'POST'
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || `Handoff failed: ${res.status}`);
+      if (sessionId === this.sessionId) this.render(data.handoff);
+      if (data.handoff.active) this.input.focus();
+      this.dashboard.loadSessions();
+    } catch (e) {
+      alert(e.message);
+      console.error(e);
+    } finally {
+      this.toggleBtn.disabled = !this.sessionId;
+    }
+  }
+
+  // The message shows up in the transcript through the event stream
+  async send() {
+    const text = this.input.value.trim();
+    if (!text || !this.sessionId) return;
+    this.sendBtn.disabled = true;
+    try {
+      const res = await this.dashboard.api(`/conversation/${encodeURIComponent(this.sessionId)}/messages`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text })
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || `Send failed: ${res.status}`);
+      this.input.value = '';
+    } catch (e) {
+      alert(e.message);
+      console.error(e);
+    } finally {
+      this.sendBtn.disabled = false;
+      this.input.focus();
+    }
+  }
+}
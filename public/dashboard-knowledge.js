@@ -0,0 +1,181 @@
+// Knowledge view: documents the bot answers from, uploads (admins only) and
+// a search box showing which passages a visitor question would retrieve.
+class KnowledgeView {
+  constructor(dashboard) {
+    this.dashboard = dashboard;
+    this.listEl = document.getElementById('knowledgeList');
+    this.fileInput = document.getElementById('knowledgeFile');
+    this.titleInput = document.getElementById('knowledgeDocTitle');
+    this.uploadBtn = document.getElementById('knowledgeUploadBtn');
+    this.uploadStatusEl = document.getElementById('knowledgeUploadStatus');
+    this.titleEl = document.getElementById('knowledgeTitle');
+    this.metaEl = document.getElementById('knowledgeMeta');
+    this.deleteBtn = document.getElementById('knowledgeDeleteBtn');
+    this.queryInput = document.getElementById('knowledgeQuery');
+    this.searchBtn = document.getElementById('knowledgeSearchBtn');
+    this.resultsEl = document.getElementById('knowledgeResults');
+
+    this.documents = [];
+    this.selectedId = null;
+
+    this.uploadBtn.addEventListener('click', () => this.handleUpload());
+    this.deleteBtn.addEventListener('click', () => this.handleDelete());
+    this.searchBtn.addEventListener('click', () => this.search());
+    this.queryInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.search();
+    });
+  }
+
+  async show() {
+    const bot = this.dashboard.bots.find(b => b.id === this.dashboard.botId);
+    this.uploadStatusEl.textContent = bot
+      ? I18n.t('knowledge.uploadsTo', { bot: bot.name || bot.id })
+      : I18n.t('knowledge.uploadsToAll');
+    await this.loadDocuments();
+  }
+
+  async loadDocuments() {
+    try {
+      const res = await this.dashboard.api(`/knowledge/documents?${this.dashboard.withBot(new URLSearchParams()).toString()}`);
+      if (!res.ok) throw new Error(`Documents request failed: ${res.status}`);
+      const data = await res.json();
+      this.documents = data.documents || [];
+      if (!this.documents.some(d => d.id === this.selectedId)) this.select(null);
+      this.renderDocuments();
+    } catch (e) {
+      this.listEl.innerHTML = `<li>${I18n.t('knowledge.loadFailed')}</li>`;
+      console.error(e);
+    }
+  }
+
+  renderDocuments() {
+    this.listEl.innerHTML = '';
+    if (!this.documents.length) {
+      this.listEl.innerHTML = `<li class="session-meta">${I18n.t('knowledge.empty')}</li>`;
+    }
+    this.documents.forEach(d => {
+      const li = document.createElement('li');
+      li.className = `session-item ${d.id === this.selectedId ? 'active' : ''}`;
+      li.innerHTML = `
+        <div class="session-id"></div>
+        <div class="session-meta"></div>
+      `;
+      li.querySelector('.session-id').textContent = d.title;
+      li.querySelector('.session-meta').textContent =
+        `${d.type} • ${I18n.plural('knowledge.chunks', d.chunkCount)} • ${d.botId || I18n.t('knowledge.allBots')} • ${this.dashboard.formatTime(d.createdAt)}`;
+      li.addEventListener('click', () => this.select(d.id));
+      this.listEl.appendChild(li);
+    });
+  }
+
+  // A selected document shows its chunks; no selection shows search results
+  async select(id) {
+    this.selectedId = id;
+    this.deleteBtn.disabled = !id;
+    this.renderDocuments();
+    this.resultsEl.innerHTML = '';
+    if (!id) {
+      this.titleEl.textContent = I18n.t('knowledge.searchTitle');
+      this.metaEl.textContent = '';
+      return;
+    }
+    try {
+      const res = await this.dashboard.api(`/knowledge/documents/${encodeURIComponent(id)}`);
+      if (!res.ok) throw new Error(`Document request failed: ${res.status}`);
+      const { document: doc } = await res.json();
+      this.titleEl.textContent = doc.title;
+      this.metaEl.textContent = `${doc.filename} • ${Math.ceil(doc.size / 1024)} KB • ` +
+        `${doc.embeddingModel ? I18n.t('knowledge.embedded', { model: doc.embeddingModel }) : I18n.t('knowledge.lexicalOnly')} • ` +
+        I18n.t('knowledge.uploadedBy', { by: doc.createdBy || I18n.t('knowledge.unknown') });
+      doc.chunks.forEach(chunk => this.resultsEl.appendChild(this.renderPassage(chunk.location || '', chunk.text)));
+    } catch (e) {
+      this.metaEl.textContent = I18n.t('knowledge.loadOneFailed');
+      console.error(e);
+    }
+  }
+
+  async search() {
+    const q = this.queryInput.value.trim();
+    if (!q) return;
+    if (this.selectedId) await this.select(null);
+    const params = this.dashboard.withBot(new URLSearchParams({ q }));
+    this.resultsEl.innerHTML = `<p class="meta">${I18n.t('knowledge.searching')}</p>`;
+    try {
+      const res = await this.dashboard.api(`/knowledge/search?${params.toString()}`);
+      if (!res.ok) throw new Error(`Search request failed: ${res.status}`);
+      const { passages } = await res.json();
+      this.resultsEl.innerHTML = '';
+      if (!passages.length) {
+        this.resultsEl.innerHTML = `<p class="meta">${I18n.t('knowledge.noMatch')}</p>`;
+        return;
+      }
+      passages.forEach((p, i) => {
+        const scores = [
+          p.lexicalScore !== null ? `BM25 ${p.lexicalScore}` : '',
+          p.similarity !== null ? I18n.t('knowledge.similarity', { score: p.similarity }) : ''
+        ].filter(Boolean).join(', ');
+        const head = `[${i + 1}] ${p.title}${p.location ? ` (${p.location})` : ''} • ${scores}`;
+        this.resultsEl.appendChild(this.renderPassage(head, p.text));
+      });
+    } catch (e) {
+      this.resultsEl.innerHTML = `<p class="meta">${I18n.t('knowledge.searchFailed')}</p>`;
+      console.error(e);
+    }
+  }
+
+  renderPassage(head, text) {
+    const div = document.createElement('div');
+    div.className = 'knowledge-passage';
+    div.innerHTML = '<div class="knowledge-passage-head"></div><div class="knowledge-passage-text"></div>';
+    div.querySelector('.knowledge-passage-head').textContent = head;
+    div.querySelector('.knowledge-passage-text').textContent = text;
+    return div;
+  }
+
+  async handleUpload() {
+    const file = this.fileInput.files[0];
+    if (!file) {
+      alert(I18n.t('knowledge.chooseFile'));
+      return;
+    }
+    const params = this.dashboard.withBot(new URLSearchParams({ filename: file.name }));
+    if (this.titleInput.value.trim()) params.set('title', this.titleInput.value.trim());
+    this.uploadBtn.disabled = true;
+    this.uploadStatusEl.textContent = I18n.t('knowledge.uploading', { name: file.name });
+    try {
+      const res = await this.dashboard.api(`/knowledge/documents?${params.toString()}`, {
+        method: 'POST',
+        headers: { 'Content-Type': file.type || 'application/octet-stream' },
+        body: file
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || `Upload failed: ${res.status}`);
+      this.uploadStatusEl.textContent = I18n.t('knowledge.added', {
+        title: data.document.title,
+        chunks: I18n.plural('knowledge.chunks', data.document.chunkCount)
+      });
+      this.fileInput.value = '';
+      this.titleInput.value = '';
+      await this.loadDocuments();
+    } catch (e) {
+      this.uploadStatusEl.textContent = e.message;
+      console.error(e);
+    } finally {
+      this.uploadBtn.disabled = false;
+    }
+  }
+
+  async handleDelete() {
+    if (!this.selectedId) return;
+    if (!confirm(I18n.t('knowledge.deleteConfirm'))) return;
+    try {
+      const res = await this.dashboard.api(`/knowledge/documents/${encodeURIComponent(this.selectedId)}`, { method: 'DELETE' });
+      if (!res.ok) throw new Error(`Delete failed: ${res.status}`);
+      await this.select(null);
+      await this.loadDocuments();
+    } catch (e) {
+      alert(I18n.t('knowledge.deleteFailed'));
+      console.error(e);
+    }
+  }
+}
@@ -0,0 +1,305 @@
+// Leads view: the lead pipeline as a board (one column per status) or a
+// list, with filters and a detail panel for status, assignee, follow-up date
+// and notes.
+class LeadsView {
+  constructor(dashboard) {
+    this.dashboard = dashboard;
+    this.boardEl = document.getElementById('leadsBoard');
+    this.detailEl = document.getElementById('leadDetail');
+    this.qualityFilter = document.getElementById('leadQualityFilter');
+    this.statusFilter = document.getElementById('leadStatusFilter');
+    this.assigneeFilter = document.getElementById('leadAssigneeFilter');
+    this.industryFilter = document.getElementById('leadIndustryFilter');
+    this.layoutBtn = document.getElementById('leadLayoutBtn');
+
+    this.statuses = ['new', 'contacted', 'qualified', 'won', 'lost'];
+    this.users = [];
+    this.leads = [];
+    this.layout = 'board';
+    this.selectedSessionId = null;
+    this.loaded = false;
+
+    [this.qualityFilter, this.statusFilter, this.assigneeFilter].forEach(el => {
+      el.addEventListener('change', () => this.loadLeads());
+    });
+    let debounce = null;
+    this.industryFilter.addEventListener('input', () => {
+      clearTimeout(debounce);
+      debounce = setTimeout(() => this.loadLeads(), 300);
+    });
+    this.layoutBtn.addEventListener('click', () => {
+      this.layout = this.layout === 'board' ? 'list' : 'board';
+      this.layoutBtn.textContent = I18n.t(this.layout === 'board' ? 'leads.listView' : 'leads.boardView');
+      this.render();
+    });
+  }
+
+  async show() {
+    if (!this.loaded) {
+      this.loaded = true;
+      await this.loadUsers();
+    }
+    await this.loadLeads();
+  }
+
+  async loadUsers() {
+    try {
+      const res = await this.dashboard.api('/auth/users');
+      if (!res.ok) return;
+      const data = await res.json();
+      this.users = data.users || [];
+      this.users.forEach(u => {
+        const option = document.createElement('option');
+        option.value = u.username;
+        option.textContent = u.username;
+        this.assigneeFilter.appendChild(option);
+      });
+    } catch (e) {
+      console.error(e);
+    }
+  }
+
+  async loadLeads() {
+    const params = this.dashboard.withBot(new URLSearchParams());
+    if (this.qualityFilter.value) params.set('quality', this.qualityFilter.value);
+    if (this.statusFilter.value) params.set('status', this.statusFilter.value);
+    if (this.assigneeFilter.value) params.set('assignee', this.assigneeFilter.value);
+    if (this.industryFilter.value.trim()) params.set('industry', this.industryFilter.value.trim());
+    this.boardEl.innerHTML = `<p class="meta">${I18n.t('common.loading')}</p>`;
+    try {
+      const res = await this.dashboard.api(`/leads?${params.toString()}`);
+      if (!res.ok) throw new Error(`Leads request failed: ${res.status}`);
+      const data = await res.json();
+      this.leads = data.leads || [];
+      if (data.statuses && this.statusFilter.options.length === 1) {
+        this.statuses = data.statuses;
+        this.statuses.forEach(status => {
+          const option = document.createElement('option');
+          option.value = status;
+          option.textContent = this.statusLabel(status);
+          this.statusFilter.appendChild(option);
+        });
+      }
+      this.render();
+    } catch (e) {
+      this.boardEl.innerHTML = `<p class="meta">${I18n.t('leads.loadFailed')}</p>`;
+      console.error(e);
+    }
+  }
+
+  // Statuses are stored in English; unknown ones are shown as they are
+  statusLabel(status) {
+    return I18n.has(`leads.status.${status}`) ? I18n.t(`leads.status.${status}`) : status;
+  }
+
+  render() {
+    this.boardEl.innerHTML = '';
+    this.boardEl.className = `leads-board ${this.layout}`;
+    if (this.layout === 'list') {
+      this.renderList();
+      return;
+    }
+    this.statuses.forEach(status => {
+      const column = document.createElement('div');
+      column.className = 'lead-column';
+      const items = this.leads.filter(l => l.status === status);
+      column.innerHTML = `<div class="lead-column-title">${this.statusLabel(status)} <span class="badge">${items.length}</span></div>`;
+      items.forEach(lead => column.appendChild(this.renderCard(lead)));
+      this.boardEl.appendChild(column);
+    });
+  }
+
+  renderCard(lead) {
+    const card = document.createElement('div');
+    card.className = `lead-card ${this.selectedSessionId === lead.sessionId ? 'active' : ''}`;
+    card.innerHTML = `
+      <div class="session-id"></div>
+      <div class="session-meta"></div>
+      <div class="lead-card-tags">
+        ${lead.leadQuality ? `<span class="badge quality-${lead.leadQuality}">${lead.leadQuality}</span>` : ''}
+        ${lead.followUpAt ? `<span class="badge">⏰ ${new Date(lead.followUpAt).toLocaleDateString(I18n.locale)}</span>` : ''}
+        ${lead.booking && lead.booking.status === 'confirmed' ? `<span class="badge">📅 ${new Date(lead.booking.start).toLocaleDateString(I18n.locale)}</span>` : ''}
+      </div>
+    `;
+    card.querySelector('.session-id').textContent = lead.customerName || lead.customerEmail || lead.sessionId;
+    card.querySelector('.session-meta').textContent = [lead.customerIndustry, lead.assignee ? `@${lead.assignee}` : '']
+      .filter(Boolean).join(' • ');
+    card.addEventListener('click', () => this.selectLead(lead.sessionId));
+    return card;
+  }
+
+  renderList() {
+    const table = document.createElement('table');
+    table.className = 'lead-table';
+    const columns = ['name', 'email', 'phone', 'industry', 'quality', 'status', 'assignee', 'followUp'];
+    table.innerHTML = `
+      <thead><tr>${columns.map(column => `<th>${I18n.t(`leads.column.${column}`)}</th>`).join('')}</tr></thead>
+      <tbody></tbody>
+    `;
+    const tbody = table.querySelector('tbody');
+    this.leads.forEach(lead => {
+      const tr = document.createElement('tr');
+      tr.className = this.selectedSessionId === lead.sessionId ? 'active' : '';
+      [
+        lead.customerName,
+        lead.customerEmail,
+        lead.customerPhone,
+        lead.customerIndustry,
+        lead.leadQuality || '',
+        this.statusLabel(lead.status),
+        lead.assignee || '',
+        lead.followUpAt ? new Date(lead.followUpAt).toLocaleDateString(I18n.locale) : ''
+      ].forEach(value => {
+        const td = document.createElement('td');
+        td.textContent = value || '';
+        tr.appendChild(td);
+      });
+      tr.addEventListener('click', () => this.selectLead(lead.sessionId));
+      tbody.appendChild(tr);
+    });
+    this.boardEl.appendChild(table);
+  }
+
+  async selectLead(sessionId) {
+    this.selectedSessionId = sessionId;
+    this.render();
+    this.detailEl.innerHTML = `<p class="meta">${I18n.t('common.loading')}</p>`;
+    try {
+      const res = await this.dashboard.api(`/conversation/${sessionId}/lead`);
+      if (!res.ok) throw new Error(`Lead request failed: ${res.status}`);
+      const { lead } = await res.json();
+      this.renderDetail(lead, this.leads.find(l => l.sessionId === sessionId) || {});
+    } catch (e) {
+      this.detailEl.innerHTML = `<p class="meta">${I18n.t('leads.loadOneFailed')}</p>`;
+      console.error(e);
+    }
+  }
+
+  renderDetail(lead, summary) {
+    const d = this.dashboard;
+    const followUp = lead.followUpAt ? lead.followUpAt.slice(0, 10) : '';
+    this.detailEl.innerHTML = `
+      <h3 class="lead-title"></h3>
+      <div class="lead-contact session-meta"></div>
+      <div class="lead-booking session-meta"></div>
+      <button class="btn lead-open">${I18n.t('common.openConversation')}</button>
+      <div class="lead-fields">
+        <label>${I18n.t('leads.column.status')} <select class="lead-status">${this.statuses.map(s => `<option value="${s}" ${s === lead.status ? 'selected' : ''}>${this.statusLabel(s)}</option>`).join('')}</select></label>
+        <label>${I18n.t('leads.column.assignee')} <select class="lead-assignee"><option value="">${I18n.t('leads.unassigned')}</option>${this.users.map(u => `<option value="${u.username}" ${u.username === lead.assignee ? 'selected' : ''}>${u.username}</option>`).join('')}</select></label>
+        <label>${I18n.t('leads.column.followUp')} <input class="lead-followup" type="date" value="${followUp}"></label>
+        <button class="btn lead-save agent-only">${I18n.t('common.save')}</button>
+      </div>
+      <h4>${I18n.t('leads.notes')}</h4>
+      <ul class="lead-notes"></ul>
+      <div class="agent-only">
+        <textarea class="lead-note-input" rows="3" maxlength="2000" placeholder="${I18n.t('leads.notePlaceholder')}"></textarea>
+        <button class="btn lead-note-add">${I18n.t('leads.addNote')}</button>
+      </div>
+      <h4>${I18n.t('leads.history')}</h4>
+      <ul class="lead-history"></ul>
+    `;
+    // Details the bot saved during the chat stand in until the lead is analysed
+    const contact = lead.contact || {};
+    this.detailEl.querySelector('.lead-title').textContent = summary.customerName || contact.name || lead.sessionId;
+    this.detailEl.querySelector('.lead-contact').textContent = [
+      summary.customerEmail || contact.email,
+      summary.customerPhone || contact.phone,
+      summary.customerIndustry || contact.company
+    ].filter(Boolean).join(' • ');
+    if (lead.booking) {
+      this.detailEl.querySelector('.lead-booking').textContent = lead.booking.status === 'confirmed'
+        ? `📅 ${I18n.t('leads.consultation', { time: d.formatTime(lead.booking.start) })}`
+        : I18n.t('leads.consultationCancelled', { time: d.formatTime(lead.booking.start) });
+    }
+
+    const notesEl = this.detailEl.querySelector('.lead-notes');
+    lead.notes.slice().reverse().forEach(note => {
+      const li = document.createElement('li');
+      li.innerHTML = '<div class="session-meta"></div><div class="lead-note-text"></div>';
+      li.querySelector('.session-meta').textContent = `${note.author || ''} • ${d.formatTime(note.createdAt)}`;
+      li.querySelector('.lead-note-text').textContent = note.text;
+      notesEl.appendChild(li);
+    });
+    const historyEl = this.detailEl.querySelector('.lead-history');
+    lead.history.slice().reverse().forEach(entry => {
+      const li = document.createElement('li');
+      li.className = 'session-meta';
+      const by = entry.by || '';
+      let text;
+      if (entry.field === 'note') {
+        text = I18n.t('leads.history.note', { by });
+      } else if (entry.field === 'contact') {
+        text = I18n.t('leads.history.contact', { contact: entry.to || '—' });
+      } else if (entry.field === 'booking') {
+        const visitor = entry.by || I18n.t('leads.visitor');
+        text = entry.to
+          ? I18n.t('leads.history.booked', { by: visitor, time: d.formatTime(entry.to) })
+          : I18n.t('leads.history.cancelled', { by: visitor, time: d.formatTime(entry.from) });
+      } else {
+        const field = I18n.has(`leads.field.${entry.field}`) ? I18n.t(`leads.field.${entry.field}`) : entry.field;
+        const from = entry.field === 'status' && entry.from ? this.statusLabel(entry.from) : entry.from;
+        const to = entry.field === 'status' && entry.to ? this.statusLabel(entry.to) : entry.to;
+        text = I18n.t('leads.history.changed', {
+          by,
+          field,
+          from: from || '—',
+          to: to || '—'
+        });
+      }
+      li.textContent = `${d.formatTime(entry.at)} • ${text}`;
+      historyEl.appendChild(li);
+    });
+
+    const role = d.user ? d.user.role : 'viewer';
+    const canEdit = role === 'agent' || role === 'admin';
+    this.detailEl.querySelectorAll('.agent-only').forEach(el => { el.style.display = canEdit ? '' : 'none'; });
+    this.detailEl.querySelectorAll('select, input').forEach(el => { el.disabled = !canEdit; });
+
+    this.detailEl.querySelector('.lead-open').addEventListener('click', () => d.openConversation(lead.sessionId));
+    this.detailEl.querySelector('.lead-save').addEventListener('click', () => this.handleSave(lead.sessionId));
+    this.detailEl.querySelector('.lead-note-add').addEventListener('click', () => this.handleAddNote(lead.sessionId));
+  }
+
+  async handleSave(sessionId) {
+    const followUp = this.detailEl.querySelector('.lead-followup').value;
+    const body = {
+      status: this.detailEl.querySelector('.lead-status').value,
+      assignee: this.detailEl.querySelector('.lead-assignee').value || null,
+      followUpAt: followUp ? new Date(`${followUp}T09:00:00`).toISOString() : null
+    };
+    try {
+      const res = await this.dashboard.api(`/conversation/${sessionId}/lead`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        throw new Error(data.error || `Save failed: ${res.status}`);
+      }
+      await this.loadLeads();
+      await this.selectLead(sessionId);
+    } catch (e) {
+      alert(I18n.t('leads.saveFailed', { message: e.message }));
+      console.error(e);
+    }
+  }
+
+  async handleAddNote(sessionId) {
+    const input = this.detailEl.querySelector('.lead-note-input');
+    const text = input.value.trim();
+    if (!text) return;
+    try {
+      const res = await this.dashboard.api(`/conversation/${sessionId}/lead/notes`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text })
+      });
+      if (!res.ok) throw new Error(`Add note failed: ${res.status}`);
+      await this.selectLead(sessionId);
+    } catch (e) {
+      alert(I18n.t('leads.noteFailed'));
+      console.error(e);
+    }
+  }
+}
@@ -0,0 +1,162 @@
+// Prompts view: browse prompt versions, preview and diff them, save new
+// versions and activate one (admins only).
+class PromptsView {
+  constructor(dashboard) {
+    this.dashboard = dashboard;
+    this.selectEl = document.getElementById('promptSelect');
+    this.versionsEl = document.getElementById('promptVersions');
+    this.titleEl = document.getElementById('promptTitle');
+    this.metaEl = document.getElementById('promptMeta');
+    this.previewEl = document.getElementById('promptPreview');
+    this.diffBtn = document.getElementById('promptDiffBtn');
+    this.activateBtn = document.getElementById('promptActivateBtn');
+    this.editorEl = document.getElementById('promptEditor');
+    this.noteEl = document.getElementById('promptNote');
+    this.loadBtn = document.getElementById('promptLoadBtn');
+    this.saveBtn = document.getElementById('promptSaveBtn');
+
+    this.prompt = null;
+    this.selectedVersion = null;
+    // Bot whose prompts are listed (null until first shown)
+    this.loadedBotId = null;
+
+    this.selectEl.addEventListener('change', () => this.loadPrompt(this.selectEl.value));
+    this.diffBtn.addEventListener('click', () => this.showDiff());
+    this.activateBtn.addEventListener('click', () => this.handleActivate());
+    this.loadBtn.addEventListener('click', () => {
+      const v = this.currentVersion();
+      if (v) this.editorEl.value = v.content;
+    });
+    this.saveBtn.addEventListener('click', () => this.handleSave());
+  }
+
+  async show() {
+    if (this.loadedBotId === this.dashboard.botId) return;
+    this.loadedBotId = this.dashboard.botId;
+    try {
+      const res = await this.dashboard.api(`/prompts?${this.dashboard.withBot(new URLSearchParams()).toString()}`);
+      if (!res.ok) throw new Error(`Prompts request failed: ${res.status}`);
+      const data = await res.json();
+      this.selectEl.innerHTML = '';
+      data.prompts.forEach(p => {
+        const option = document.createElement('option');
+        option.value = p.name;
+        option.textContent = p.label || p.name;
+        this.selectEl.appendChild(option);
+      });
+      if (data.prompts.length) await this.loadPrompt(data.prompts[0].name);
+    } catch (e) {
+      this.loadedBotId = null;
+      this.versionsEl.innerHTML = `<li>${I18n.t('prompts.loadFailed')}</li>`;
+      console.error(e);
+    }
+  }
+
+  async loadPrompt(name, selectVersion) {
+    const res = await this.dashboard.api(`/prompts/${encodeURIComponent(name)}`);
+    if (!res.ok) throw new Error(`Prompt request failed: ${res.status}`);
+    const data = await res.json();
+    this.prompt = data.prompt;
+    this.selectedVersion = selectVersion || this.prompt.activeVersion;
+    this.renderVersions();
+    this.showVersion(this.selectedVersion);
+  }
+
+  currentVersion() {
+    if (!this.prompt) return null;
+    return this.prompt.versions.find(v => v.version === this.selectedVersion) || null;
+  }
+
+  renderVersions() {
+    this.versionsEl.innerHTML = '';
+    this.prompt.versions.slice().reverse().forEach(v => {
+      const li = document.createElement('li');
+      li.className = `session-item ${this.selectedVersion === v.version ? 'active' : ''}`;
+      li.innerHTML = `
+        <div class="session-id">v${v.version}${v.version === this.prompt.activeVersion ? `<span class="badge">${I18n.t('prompts.active')}</span>` : ''}</div>
+        <div class="session-meta"></div>
+      `;
+      li.querySelector('.session-meta').textContent =
+        `${this.dashboard.formatTime(v.createdAt)} • ${v.createdBy || ''}${v.note ? ` • ${v.note}` : ''}`;
+      li.addEventListener('click', () => {
+        this.selectedVersion = v.version;
+        this.renderVersions();
+        this.showVersion(v.version);
+      });
+      this.versionsEl.appendChild(li);
+    });
+  }
+
+  showVersion(version) {
+    const v = this.currentVersion();
+    if (!v) return;
+    const isActive = version === this.prompt.activeVersion;
+    this.titleEl.textContent = `${this.prompt.label || this.prompt.name} — v${v.version}${isActive ? ` (${I18n.t('prompts.active')})` : ''}`;
+    const created = this.dashboard.formatTime(v.createdAt);
+    this.metaEl.textContent = (v.createdBy
+      ? I18n.t('prompts.createdBy', { time: created, by: v.createdBy })
+      : I18n.t('prompts.created', { time: created })) + (v.note ? ` • ${v.note}` : '');
+    this.previewEl.textContent = v.content;
+    this.activateBtn.disabled = isActive;
+  }
+
+  async showDiff() {
+    const v = this.currentVersion();
+    if (!v) return;
+    try {
+      const res = await this.dashboard.api(`/prompts/${encodeURIComponent(this.prompt.name)}/diff?from=${this.prompt.activeVersion}&to=${v.version}`);
+      if (!res.ok) throw new Error(`Diff request failed: ${res.status}`);
+      const data = await res.json();
+      this.previewEl.innerHTML = '';
+      data.lines.forEach(line => {
+        const div = document.createElement('div');
+        div.className = `diff-line ${line.type}`;
+        const marker = line.type === 'add' ? '+ ' : (line.type === 'remove' ? '- ' : '  ');
+        div.textContent = `${marker}${line.text}`;
+        this.previewEl.appendChild(div);
+      });
+      this.metaEl.textContent = I18n.t('prompts.diffMeta', { from: data.from, to: data.to });
+    } catch (e) {
+      alert(I18n.t('prompts.diffFailed'));
+      console.error(e);
+    }
+  }
+
+  async handleActivate() {
+    const v = this.currentVersion();
+    if (!v) return;
+    if (!confirm(I18n.t('prompts.activateConfirm', { version: v.version }))) return;
+    try {
+      const res = await this.dashboard.api(`/prompts/${encodeURIComponent(this.prompt.name)}/activate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ version: v.version })
+      });
+      if (!res.ok) throw new Error(`Activate failed: ${res.status}`);
+      await this.loadPrompt(this.prompt.name, v.version);
+    } catch (e) {
+      alert(I18n.t('prompts.activateFailed'));
+      console.error(e);
+    }
+  }
+
+  async handleSave() {
+    const content = this.editorEl.value.trim();
+    if (!content) return;
+    try {
+      const res = await this.dashboard.api(`/prompts/${encodeURIComponent(this.prompt.name)}/versions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ content, note: this.noteEl.value.trim() })
+      });
+      if (!res.ok) throw new Error(`Save failed: ${res.status}`);
+      const data = await res.json();
+      this.editorEl.value = '';
+      this.noteEl.value = '';
+      await this.loadPrompt(this.prompt.name, data.version.version);
+    } catch (e) {
+      alert(I18n.t('prompts.saveFailed'));
+      console.error(e);
+    }
+  }
+}
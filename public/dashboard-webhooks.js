@@ -0,0 +1,225 @@
+// Webhooks view: manage outbound webhook endpoints and browse the delivery
+// log, with redelivery of any logged delivery (admins only).
+class WebhooksView {
+  constructor(dashboard) {
+    this.dashboard = dashboard;
+    this.listEl = document.getElementById('webhookList');
+    this.urlInput = document.getElementById('webhookUrl');
+    this.eventsEl = document.getElementById('webhookEvents');
+    this.createBtn = document.getElementById('webhookCreateBtn');
+    this.secretEl = document.getElementById('webhookSecret');
+    this.titleEl = document.getElementById('webhookTitle');
+    this.metaEl = document.getElementById('webhookMeta');
+    this.deliveriesEl = document.getElementById('webhookDeliveries');
+    this.refreshBtn = document.getElementById('webhookRefreshBtn');
+    this.testBtn = document.getElementById('webhookTestBtn');
+    this.toggleBtn = document.getElementById('webhookToggleBtn');
+    this.deleteBtn = document.getElementById('webhookDeleteBtn');
+
+    this.webhooks = [];
+    this.selectedId = null;
+
+    this.createBtn.addEventListener('click', () => this.handleCreate());
+    this.refreshBtn.addEventListener('click', () => this.loadDeliveries());
+    this.testBtn.addEventListener('click', () => this.handleTest());
+    this.toggleBtn.addEventListener('click', () => this.handleToggle());
+    this.deleteBtn.addEventListener('click', () => this.handleDelete());
+  }
+
+  async show() {
+    await this.loadWebhooks();
+    await this.loadDeliveries();
+  }
+
+  selected() {
+    return this.webhooks.find(w => w.id === this.selectedId) || null;
+  }
+
+  async loadWebhooks() {
+    try {
+      const res = await this.dashboard.api('/webhooks');
+      if (!res.ok) throw new Error(`Webhooks request failed: ${res.status}`);
+      const data = await res.json();
+      this.webhooks = data.webhooks;
+      if (!this.eventsEl.children.length) {
+        ['*', ...data.events].forEach(event => {
+          const label = document.createElement('label');
+          label.innerHTML = `<input type="checkbox" value="${event}"> ${event === '*' ? I18n.t('webhooks.allEvents') : event}`;
+          this.eventsEl.appendChild(label);
+        });
+      }
+      if (!this.selected()) this.selectedId = null;
+      this.renderWebhooks();
+    } catch (e) {
+      this.listEl.innerHTML = `<li>${I18n.t('webhooks.loadFailed')}</li>`;
+      console.error(e);
+    }
+  }
+
+  renderWebhooks() {
+    this.listEl.innerHTML = '';
+    const all = document.createElement('li');
+    all.className = `session-item ${this.selectedId ? '' : 'active'}`;
+    all.innerHTML = `<div class="session-id">${I18n.t('webhooks.allDeliveries')}</div>`;
+    all.addEventListener('click', () => this.select(null));
+    this.listEl.appendChild(all);
+
+    this.webhooks.forEach(w => {
+      const li = document.createElement('li');
+      li.className = `session-item ${w.id === this.selectedId ? 'active' : ''}`;
+      li.innerHTML = `
+        <div class="session-id"></div>
+        <div class="session-meta"></div>
+      `;
+      li.querySelector('.session-id').textContent = w.url;
+      li.querySelector('.session-meta').textContent =
+        `${w.enabled ? '' : `${I18n.t('webhooks.disabled')} • `}${w.events.join(', ')} • ${w.secretHint}`;
+      li.addEventListener('click', () => this.select(w.id));
+      this.listEl.appendChild(li);
+    });
+
+    const w = this.selected();
+    this.titleEl.textContent = w ? w.url : I18n.t('webhooks.allDeliveries');
+    this.metaEl.textContent = w
+      ? I18n.t('webhooks.meta', { events: w.events.join(', '), time: this.dashboard.formatTime(w.createdAt) })
+      : '';
+    [this.testBtn, this.toggleBtn, this.deleteBtn].forEach(btn => { btn.disabled = !w; });
+    this.toggleBtn.textContent = I18n.t(w && !w.enabled ? 'webhooks.enable' : 'webhooks.disable');
+  }
+
+  async select(id) {
+    this.selectedId = id;
+    this.renderWebhooks();
+    await this.loadDeliveries();
+  }
+
+  async loadDeliveries() {
+    const params = new URLSearchParams({ limit: '100' });
+    if (this.selectedId) params.set('webhookId', this.selectedId);
+    try {
+      const res = await this.dashboard.api(`/webhooks/deliveries?${params.toString()}`);
+      if (!res.ok) throw new Error(`Deliveries request failed: ${res.status}`);
+      const data = await res.json();
+      this.renderDeliveries(data.deliveries);
+    } catch (e) {
+      this.deliveriesEl.innerHTML = `<p class="meta">${I18n.t('webhooks.deliveriesFailed')}</p>`;
+      console.error(e);
+    }
+  }
+
+  renderDeliveries(deliveries) {
+    this.deliveriesEl.innerHTML = '';
+    if (!deliveries.length) {
+      this.deliveriesEl.innerHTML = `<p class="meta">${I18n.t('webhooks.noDeliveries')}</p>`;
+      return;
+    }
+    deliveries.forEach(d => {
+      const item = document.createElement('details');
+      item.className = 'webhook-delivery';
+      item.innerHTML = `
+        <summary>
+          <span class="badge status-${d.status === 'succeeded' ? 'analyzed' : d.status === 'failed' ? 'failed' : 'pending'}">${d.status}</span>
+          <span class="webhook-event"></span>
+          <span class="session-meta"></span>
+          <button class="btn webhook-redeliver">${I18n.t('webhooks.redeliver')}</button>
+        </summary>
+        <div class="session-meta webhook-detail"></div>
+        <pre class="webhook-payload"></pre>
+      `;
+      item.querySelector('.webhook-event').textContent = d.event;
+      item.querySelector('summary .session-meta').textContent = [
+        this.dashboard.formatTime(d.createdAt),
+        I18n.plural('webhooks.attempts', d.attempts),
+        d.responseStatus ? `HTTP ${d.responseStatus}` : '',
+        d.durationMs !== null ? `${d.durationMs}ms` : ''
+      ].filter(Boolean).join(' • ');
+      item.querySelector('.webhook-detail').textContent = [
+        I18n.t('webhooks.to', { url: d.url }),
+        d.error ? I18n.t('webhooks.error', { error: d.error }) : '',
+        d.nextAttemptAt ? I18n.t('webhooks.nextAttempt', { time: this.dashboard.formatTime(d.nextAttemptAt) }) : '',
+        d.redeliveryOf ? I18n.t('webhooks.redeliveryOf', { id: d.redeliveryOf }) : ''
+      ].filter(Boolean).join('\n');
+      item.querySelector('.webhook-payload').textContent = JSON.stringify(d.payload, null, 2);
+      item.querySelector('.webhook-redeliver').addEventListener('click', (event) => {
+        event.preventDefault();
+        this.handleRedeliver(d.id);
+      });
+      this.deliveriesEl.appendChild(item);
+    });
+  }
+
+  async handleCreate() {
+    const events = Array.from(this.eventsEl.querySelectorAll('input:checked')).map(input => input.value);
+    try {
+      const res = await this.dashboard.api('/webhooks', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ url: this.urlInput.value.trim(), events })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `Create failed: ${res.status}`);
+      this.urlInput.value = '';
+      this.eventsEl.querySelectorAll('input').forEach(input => { input.checked = false; });
+      // The secret is only returned once
+      this.secretEl.textContent = I18n.t('webhooks.secret', { secret: data.webhook.secret });
+      this.selectedId = data.webhook.id;
+      await this.show();
+    } catch (e) {
+      alert(I18n.t('webhooks.addFailed', { message: e.message }));
+    }
+  }
+
+  async handleTest() {
+    if (!this.selectedId) return;
+    try {
+      const res = await this.dashboard.api(`/webhooks/${this.selectedId}/test`, { method: 'POST' });
+      if (!res.ok) throw new Error(`Test failed: ${res.status}`);
+      setTimeout(() => this.loadDeliveries(), 1000);
+    } catch (e) {
+      alert(I18n.t('webhooks.testFailed'));
+      console.error(e);
+    }
+  }
+
+  async handleToggle() {
+    const w = this.selected();
+    if (!w) return;
+    try {
+      const res = await this.dashboard.api(`/webhooks/${w.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ enabled: !w.enabled })
+      });
+      if (!res.ok) throw new Error(`Update failed: ${res.status}`);
+      await this.loadWebhooks();
+    } catch (e) {
+      alert(I18n.t('webhooks.updateFailed'));
+      console.error(e);
+    }
+  }
+
+  async handleDelete() {
+    const w = this.selected();
+    if (!w || !confirm(I18n.t('webhooks.deleteConfirm', { url: w.url }))) return;
+    try {
+      const res = await this.dashboard.api(`/webhooks/${w.id}`, { method: 'DELETE' });
+      if (!res.ok) throw new Error(`Delete failed: ${res.status}`);
+      this.selectedId = null;
+      await this.show();
+    } catch (e) {
+      alert(I18n.t('webhooks.deleteFailed'));
+      console.error(e);
+    }
+  }
+
+  async handleRedeliver(deliveryId) {
+    try {
+      const res = await this.dashboard.api(`/webhooks/deliveries/${deliveryId}/redeliver`, { method: 'POST' });
+      if (!res.ok) throw new Error(`Redeliver failed: ${res.status}`);
+      setTimeout(() => this.loadDeliveries(), 1000);
+    } catch (e) {
+      alert(I18n.t('webhooks.redeliverFailed'));
+      console.error(e);
+    }
+  }
+}
@@ -1,3 +1,9 @@
+// Wait after the last keystroke before searching, and fetch the next page of
+// sessions when the list is scrolled this close to its end
+const SEARCH_DELAY_MS = 300;
+const SESSIONS_PAGE_SIZE = 50;
+const SCROLL_MARGIN_PX = 80;
+
 class Dashboard {
   constructor() {
     const isLocal = (location.hostname === 'localhost' || location.hostname === '127.0.0.1');
@@ -11,78 +17,323 @@ class Dashboard {
     this.selectedSessionEl = document.getElementById('selectedSession');
     this.selectedMetaEl = document.getElementById('selectedMeta');
     this.searchInput = document.getElementById('searchInput');
+    this.feedbackFilter = document.getElementById('feedbackFilter');
+    this.sessionSort = document.getElementById('sessionSort');
+    this.sessionsCountEl = document.getElementById('sessionsCount');
+    this.sessionsMoreBtn = document.getElementById('sessionsMoreBtn');
     this.refreshBtn = document.getElementById('refreshBtn');
     this.deleteBtn = document.getElementById('deleteBtn');
     this.analyzeBtn = document.getElementById('analyzeBtn');
     this.analysisEl = document.getElementById('analysis');
+    this.currentUserEl = document.getElementById('currentUser');
+    this.logoutBtn = document.getElementById('logoutBtn');
+    this.bulkAnalyzeBtn = document.getElementById('bulkAnalyzeBtn');
+    this.bulkProgressEl = document.getElementById('bulkProgress');
+    this.botSelect = document.getElementById('botSelect');
 
     this.currentSessionId = null;
+    // Loaded pages of the session list, the number matching and the search words
+    this.sessions = [];
+    this.sessionsTotal = 0;
+    this.searchTerms = [];
+    // Responses to superseded session requests are dropped
+    this.sessionsRequest = 0;
+    this.loadingMore = false;
+    this.user = null;
+    // Bot the dashboard is scoped to; '' shows every bot
+    this.botId = '';
+    this.bots = [];
+    this.currentView = 'conversations';
+
+    // Secondary views, shown through the header nav
+    this.views = {
+      leads: new LeadsView(this),
+      analytics: new AnalyticsView(this),
+      prompts: new PromptsView(this),
+      knowledge: new KnowledgeView(this),
+      bookings: new BookingsView(this),
+      webhooks: new WebhooksView(this)
+    };
+    // Take-over controls and live updates for the open conversation
+    this.handoff = new HandoffPanel(this);
+
+    // Views build their texts as they render data, so a language change
+    // reloads the page instead of re-rendering each of them
+    I18n.switcher(document.getElementById('localeSelect'));
+    window.addEventListener('localechange', () => location.reload());
 
     this.attachEvents();
+    this.loadUser();
+    this.loadBots();
+    this.loadSessions();
+  }
+
+  // The bot picker only appears when the deployment serves more than one bot
+  async loadBots() {
+    try {
+      const res = await this.api('/bots');
+      if (!res.ok) return;
+      const data = await res.json();
+      this.bots = data.bots || [];
+      this.bots.forEach(bot => {
+        const option = document.createElement('option');
+        option.value = bot.id;
+        option.textContent = bot.name || bot.id;
+        this.botSelect.appendChild(option);
+      });
+      this.botSelect.hidden = this.bots.length < 2;
+      this.leadQualities = data.leadQualities;
+      this.fillQualityFilters();
+    } catch (e) {
+      console.error(e);
+    }
+  }
+
+  // Quality filters offer what the selected bot's analysis schema allows
+  // (every bot's when none is selected); until the bots load they keep the
+  // built-in qualities from the page
+  fillQualityFilters() {
+    const bot = this.bots.find(b => b.id === this.botId);
+    const qualities = bot ? bot.leadQualities : this.leadQualities;
+    if (!Array.isArray(qualities)) return;
+    ['sessionsQuality', 'exportQuality', 'leadQualityFilter'].forEach(id => {
+      const select = document.getElementById(id);
+      const selected = select.value;
+      while (select.options.length > 1) select.remove(1);
+      qualities.forEach(quality => select.add(new Option(quality, quality)));
+      select.value = qualities.includes(selected) ? selected : '';
+    });
+  }
+
+  // Adds the selected bot to a URLSearchParams of a list request
+  withBot(params) {
+    if (this.botId) params.set('botId', this.botId);
+    return params;
+  }
+
+  selectBot(botId) {
+    this.botId = botId;
+    this.currentSessionId = null;
+    this.selectedSessionEl.textContent = I18n.t('sessions.select');
+    this.selectedMetaEl.textContent = '';
+    this.messagesEl.innerHTML = '';
+    this.analysisEl.style.display = 'none';
+    this.handoff.open(null);
+    this.fillQualityFilters();
     this.loadSessions();
+    if (this.views[this.currentView]) this.views[this.currentView].show();
+  }
+
+  // fetch() against the API; a 401 means the operator session expired
+  async api(path, options = {}) {
+    const res = await fetch(`${this.apiBaseUrl}${path}`, { credentials: 'same-origin', ...options });
+    if (res.status === 401) {
+      location.href = 'login.html';
+      throw new Error('Authentication required');
+    }
+    return res;
+  }
+
+  async loadUser() {
+    try {
+      const res = await this.api('/auth/me');
+      if (!res.ok) return;
+      const data = await res.json();
+      this.user = data.user;
+      this.currentUserEl.textContent = `${this.user.username} (${I18n.t(`role.${this.user.role}`)})`;
+      // Viewers can read everything but not change it; agents work leads
+      const isAdmin = this.user.role === 'admin';
+      const isAgent = isAdmin || this.user.role === 'agent';
+      document.querySelectorAll('.admin-only').forEach(el => { el.style.display = isAdmin ? '' : 'none'; });
+      document.querySelectorAll('.agent-only').forEach(el => { el.style.display = isAgent ? '' : 'none'; });
+    } catch (e) {
+      console.error(e);
+    }
+  }
+
+  async handleLogout() {
+    try {
+      await fetch(`${this.apiBaseUrl}/auth/logout`, { method: 'POST', credentials: 'same-origin' });
+    } finally {
+      location.href = 'login.html';
+    }
   }
 
   attachEvents() {
-    this.searchInput.addEventListener('input', () => this.filterSessions());
+    this.searchInput.addEventListener('input', () => {
+      clearTimeout(this.searchTimer);
+      this.searchTimer = setTimeout(() => this.loadSessions(), SEARCH_DELAY_MS);
+    });
+    this.feedbackFilter.addEventListener('change', () => this.loadSessions());
+    this.sessionSort.addEventListener('change', () => this.loadSessions());
+    document.querySelectorAll('[data-session-filter]').forEach(el => {
+      el.addEventListener('change', () => this.loadSessions());
+    });
+    this.sessionsMoreBtn.addEventListener('click', () => this.loadMoreSessions());
+    this.sessionsEl.addEventListener('scroll', () => {
+      const el = this.sessionsEl;
+      if (el.scrollHeight - el.scrollTop - el.clientHeight < SCROLL_MARGIN_PX) this.loadMoreSessions();
+    });
     this.refreshBtn.addEventListener('click', () => {
       if (this.currentSessionId) this.loadConversation(this.currentSessionId);
       else this.loadSessions();
     });
     this.deleteBtn.addEventListener('click', () => this.handleDelete());
     if (this.analyzeBtn) this.analyzeBtn.addEventListener('click', () => this.handleAnalyze());
+    this.logoutBtn.addEventListener('click', () => this.handleLogout());
+    this.bulkAnalyzeBtn.addEventListener('click', () => this.handleBulkAnalyze());
+    this.botSelect.addEventListener('change', () => this.selectBot(this.botSelect.value));
+    document.querySelectorAll('.nav-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.showView(btn.dataset.view));
+    });
+    document.querySelectorAll('[data-export]').forEach(btn => {
+      btn.addEventListener('click', () => this.handleExport(btn.dataset.export));
+    });
+  }
+
+  // The export endpoint answers with an attachment, so navigating to it
+  // downloads the file without leaving the dashboard
+  handleExport(dataset) {
+    const params = new URLSearchParams({ format: document.getElementById('exportFormat').value });
+    const from = document.getElementById('exportFrom').value;
+    const to = document.getElementById('exportTo').value;
+    const quality = document.getElementById('exportQuality').value;
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    if (quality) params.set('quality', quality);
+    this.withBot(params);
+    if (from && to && from > to) {
+      alert(I18n.t('export.rangeError'));
+      return;
+    }
+    location.assign(`${this.apiBaseUrl}/export/${dataset}?${params.toString()}`);
   }
 
+  showView(name) {
+    this.currentView = name;
+    document.querySelectorAll('.nav-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.view === name);
+    });
+    document.querySelectorAll('[data-view-panel]').forEach(panel => {
+      panel.hidden = panel.dataset.viewPanel !== name;
+    });
+    if (this.views[name]) this.views[name].show();
+  }
+
+  // Jump from another view to a conversation
+  openConversation(sessionId) {
+    this.showView('conversations');
+    this.currentSessionId = sessionId;
+    this.renderSessions();
+    this.loadConversation(sessionId);
+  }
+
+  // Query of the session list: search words, filters, sort and page
+  sessionParams(offset) {
+    const params = this.withBot(new URLSearchParams({ limit: SESSIONS_PAGE_SIZE, offset }));
+    const [sort, order] = this.sessionSort.value.split(':');
+    params.set('sort', sort);
+    params.set('order', order);
+    const q = this.searchInput.value.trim();
+    if (q) params.set('q', q);
+    if (this.feedbackFilter.value) params.set('feedback', this.feedbackFilter.value);
+    const filters = {
+      from: 'sessionsFrom',
+      to: 'sessionsTo',
+      minMessages: 'sessionsMinMessages',
+      maxMessages: 'sessionsMaxMessages',
+      quality: 'sessionsQuality'
+    };
+    Object.entries(filters).forEach(([name, id]) => {
+      const value = document.getElementById(id).value;
+      if (value) params.set(name, value);
+    });
+    return params;
+  }
+
+  async fetchSessions(offset) {
+    const res = await this.api(`/sessions?${this.sessionParams(offset).toString()}`);
+    if (!res.ok) {
+      const text = await res.text();
+      throw new Error(`Sessions request failed: ${res.status} ${text.slice(0, 120)}`);
+    }
+    return res.json();
+  }
+
+  // First page of the list for the current search and filters
   async loadSessions() {
+    const request = ++this.sessionsRequest;
     this.sessions = [];
-    this.sessionsEl.innerHTML = '<li>Loading...</li>';
+    this.sessionsTotal = 0;
+    this.sessionsMoreBtn.hidden = true;
+    this.sessionsCountEl.textContent = '';
+    this.sessionsEl.innerHTML = `<li>${I18n.t('common.loading')}</li>`;
     try {
-      const res = await fetch(`${this.apiBaseUrl}/sessions`);
-      if (!res.ok) {
-        const text = await res.text();
-        throw new Error(`Sessions request failed: ${res.status} ${text.slice(0, 120)}`);
-      }
-      const data = await res.json();
+      const data = await this.fetchSessions(0);
+      if (request !== this.sessionsRequest) return;
       this.sessions = data.sessions || [];
+      this.sessionsTotal = data.total || 0;
+      this.searchTerms = data.terms || [];
       this.renderSessions();
     } catch (e) {
-      this.sessionsEl.innerHTML = '<li>Failed to load sessions</li>';
+      if (request !== this.sessionsRequest) return;
+      this.sessionsEl.innerHTML = `<li>${I18n.t('sessions.loadFailed')}</li>`;
       console.error(e);
     }
   }
 
+  // Next page, appended (infinite scroll and the "Load more" button)
+  async loadMoreSessions() {
+    if (this.loadingMore || !this.sessions.length || this.sessions.length >= this.sessionsTotal) return;
+    const request = this.sessionsRequest;
+    this.loadingMore = true;
+    try {
+      const data = await this.fetchSessions(this.sessions.length);
+      if (request !== this.sessionsRequest) return;
+      this.sessions = this.sessions.concat(data.sessions || []);
+      this.sessionsTotal = data.total || 0;
+      this.renderSessions();
+    } catch (e) {
+      console.error(e);
+    } finally {
+      this.loadingMore = false;
+    }
+  }
+
   async handleDelete() {
     if (!this.currentSessionId) return;
-    const ok = confirm('Bạn có chắc muốn xóa cuộc thoại này? Hành động này không thể hoàn tác.');
+    const ok = confirm(I18n.t('conversation.deleteConfirm'));
     if (!ok) return;
     try {
-      const res = await fetch(`${this.apiBaseUrl}/conversation/${this.currentSessionId}`, { method: 'DELETE' });
+      const res = await this.api(`/conversation/${this.currentSessionId}`, { method: 'DELETE' });
       if (!res.ok) {
         const text = await res.text();
         throw new Error(`Delete failed: ${res.status} ${text.slice(0, 120)}`);
       }
       // Clear selection and reload the sessions list
       this.currentSessionId = null;
-      this.selectedSessionEl.textContent = 'Select a session';
+      this.selectedSessionEl.textContent = I18n.t('sessions.select');
       this.selectedMetaEl.textContent = '';
       this.messagesEl.innerHTML = '';
+      this.handoff.open(null);
       await this.loadSessions();
     } catch (e) {
-      alert('Xóa cuộc thoại thất bại. Vui lòng thử lại.');
+      alert(I18n.t('conversation.deleteFailed'));
       console.error(e);
     }
   }
 
   renderSessions() {
-    const q = this.searchInput.value?.toLowerCase() || '';
-    const filtered = this.sessions.filter(s => (s.sessionId || '').toLowerCase().includes(q));
+    const scrollTop = this.sessionsEl.scrollTop;
     this.sessionsEl.innerHTML = '';
-    filtered.forEach(s => {
+    this.sessions.forEach(s => {
       const li = document.createElement('li');
       li.className = `session-item ${this.currentSessionId === s.sessionId ? 'active' : ''}`;
       li.innerHTML = `
-        <div class="session-id">${s.sessionId}</div>
-        <div class="session-meta">${this.formatTime(s.createdAt)} • ${s.messageCount} messages</div>
+        <div class="session-id">${s.sessionId}${this.renderStatusBadge(s)}${s.handoff ? `<span class="badge handoff">🙋 ${this.linkify(s.handoff.operator)}</span>` : ''}${s.feedback && s.feedback.down ? `<span class="badge feedback-down">👎 ${s.feedback.down}</span>` : ''}</div>
+        <div class="session-meta">${this.formatTime(s.createdAt)} • ${I18n.plural('sessions.messages', s.messageCount)}${this.botId || this.bots.length < 2 ? '' : ` • ${s.botId}`}</div>
       `;
+      if (s.hits && s.hits.length) li.appendChild(this.renderHits(s.hits));
       li.addEventListener('click', () => {
         this.currentSessionId = s.sessionId;
         this.renderSessions();
@@ -90,91 +341,323 @@ class Dashboard {
       });
       this.sessionsEl.appendChild(li);
     });
+    this.sessionsEl.scrollTop = scrollTop;
+    this.sessionsCountEl.textContent = this.sessionsTotal
+      ? I18n.t('sessions.count', { shown: this.sessions.length, total: this.sessionsTotal })
+      : I18n.t(this.searchTerms.length ? 'sessions.noMatch' : 'sessions.empty');
+    this.sessionsMoreBtn.hidden = this.sessions.length >= this.sessionsTotal;
+  }
+
+  // Where the search words were found: lead fields, then message snippets
+  renderHits(hits) {
+    const list = document.createElement('div');
+    list.className = 'session-hits';
+    hits.forEach(hit => {
+      const row = document.createElement('div');
+      row.className = 'session-hit';
+      row.innerHTML = '<span class="session-hit-field"></span><span class="session-hit-text"></span>';
+      row.querySelector('.session-hit-field').textContent = hit.field === 'message'
+        ? `${I18n.t(`conversation.role.${hit.role}`)}:`
+        : `${I18n.t(`analysis.field.${hit.field}`)}:`;
+      row.querySelector('.session-hit-text').textContent = hit.text;
+      this.highlight(row.querySelector('.session-hit-text'));
+      list.appendChild(row);
+    });
+    return list;
+  }
+
+  // Wraps the search words in <mark> inside `root`, leaving its markup alone
+  highlight(root, terms = this.searchTerms) {
+    if (!terms.length) return;
+    const escaped = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const pattern = new RegExp(`(${escaped.join('|')})`, 'gi');
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    const nodes = [];
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+    nodes.forEach(node => {
+      const parts = node.nodeValue.split(pattern);
+      if (parts.length < 2) return;
+      const fragment = document.createDocumentFragment();
+      parts.forEach((part, i) => {
+        if (!part) return;
+        if (i % 2) {
+          const mark = document.createElement('mark');
+          mark.textContent = part;
+          fragment.appendChild(mark);
+        } else {
+          fragment.appendChild(document.createTextNode(part));
+        }
+      });
+      node.parentNode.replaceChild(fragment, node);
+    });
+  }
+
+  renderStatusBadge(s) {
+    const labels = {
+      pending: I18n.t('analysis.status.pending'),
+      analyzed: s.leadQuality || I18n.t('analysis.status.analyzed'),
+      failed: I18n.t('analysis.status.failed')
+    };
+    if (!s.analysisStatus || !labels[s.analysisStatus]) return '';
+    return `<span class="badge status-${s.analysisStatus}">${labels[s.analysisStatus]}</span>`;
+  }
+
+  // Queue every un-analysed or stale conversation and poll until done
+  async handleBulkAnalyze() {
+    this.bulkAnalyzeBtn.disabled = true;
+    try {
+      const res = await this.api('/analysis/bulk', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ scope: 'pending', botId: this.botId || undefined })
+      });
+      if (!res.ok) throw new Error(`Bulk analyze failed: ${res.status}`);
+      const data = await res.json();
+      if (!data.queued) {
+        this.bulkProgressEl.textContent = I18n.t('analysis.bulkNone');
+        this.bulkAnalyzeBtn.disabled = false;
+        return;
+      }
+      await this.loadSessions();
+      this.pollBulkProgress(data.batchId);
+    } catch (e) {
+      this.bulkProgressEl.textContent = I18n.t('analysis.failed');
+      this.bulkAnalyzeBtn.disabled = false;
+      console.error(e);
+    }
+  }
+
+  async pollBulkProgress(batchId) {
+    try {
+      const res = await this.api(`/analysis/jobs?batchId=${encodeURIComponent(batchId)}&limit=0`);
+      if (!res.ok) throw new Error(`Jobs request failed: ${res.status}`);
+      const { progress } = await res.json();
+      const finished = progress.done + progress.failed;
+      this.bulkProgressEl.textContent = I18n.t('analysis.bulkProgress', { finished, total: progress.total }) +
+        (progress.failed ? ` • ${I18n.t('analysis.bulkFailed', { count: progress.failed })}` : '');
+      if (finished < progress.total) {
+        setTimeout(() => this.pollBulkProgress(batchId), 2000);
+        return;
+      }
+      this.bulkAnalyzeBtn.disabled = false;
+      await this.loadSessions();
+    } catch (e) {
+      this.bulkAnalyzeBtn.disabled = false;
+      console.error(e);
+    }
   }
 
   async handleAnalyze() {
     if (!this.currentSessionId) return;
     this.analysisEl.style.display = 'block';
-    this.analysisEl.innerHTML = 'Đang phân tích...';
+    this.analysisEl.textContent = I18n.t('analysis.running');
     try {
-      const res = await fetch(`${this.apiBaseUrl}/conversation/${this.currentSessionId}/analyze`, { method: 'POST' });
+      const res = await this.api(`/conversation/${this.currentSessionId}/analyze`, { method: 'POST' });
+      if (res.status === 422) {
+        // Extraction ran but never passed schema validation
+        const data = await res.json();
+        this.renderAnalysis(null, { status: 'failed', error: { message: data.error, details: data.details } });
+        return;
+      }
       if (!res.ok) {
         const text = await res.text();
         throw new Error(`Analyze failed: ${res.status} ${text.slice(0,120)}`);
       }
+      // Reloaded rather than rendered from the response, to show any warnings
+      await this.loadAnalysis(this.currentSessionId);
+    } catch (e) {
+      this.analysisEl.textContent = I18n.t('analysis.failed');
+      console.error(e);
+    }
+  }
+
+  async loadAnalysis(sessionId) {
+    this.analysisEl.style.display = 'none';
+    try {
+      const res = await this.api(`/conversation/${sessionId}/analysis`);
+      if (!res.ok) return;
       const data = await res.json();
-      this.renderAnalysis(data.analysis);
+      if (sessionId !== this.currentSessionId || (!data.analysis && !data.status)) return;
+      this.analysisEl.style.display = 'block';
+      this.renderAnalysis(data.analysis, data);
     } catch (e) {
-      this.analysisEl.innerHTML = 'Phân tích thất bại.';
       console.error(e);
     }
   }
 
-  renderAnalysis(a) {
+  // A successful analysis may carry warnings (details left blank) in `error`
+  renderAnalysis(a, { status, error } = {}) {
+    let failure = '';
+    if (error && status === 'failed') failure = this.renderAnalysisError(error);
+    else if (error) failure = this.renderAnalysisError(error, 'analysis.warnings');
     if (!a) {
-      this.analysisEl.innerHTML = 'Không có dữ liệu phân tích.';
+      this.analysisEl.innerHTML = failure || this.linkify(I18n.t('analysis.none'));
       return;
     }
+    const consultation = typeof a.customerConsultation === 'boolean'
+      ? I18n.t(a.customerConsultation ? 'common.yes' : 'common.no')
+      : a.customerConsultation;
     const rows = [
-      ['Tên', a.customerName],
-      ['Email', a.customerEmail],
-      ['Số điện thoại', a.customerPhone],
-      ['Ngành', a.customerIndustry],
-      ['Vấn đề/Nhu cầu', a.customerProblem],
-      ['Thời gian rảnh', a.customerAvailability],
-      ['Đã đặt lịch tư vấn', String(a.customerConsultation)],
-      ['Ghi chú', a.specialNotes],
-      ['Chất lượng lead', a.leadQuality]
+      ['customerName', a.customerName],
+      ['customerEmail', a.customerEmail],
+      ['customerPhone', a.customerPhone],
+      ['customerIndustry', a.customerIndustry],
+      ['customerProblem', a.customerProblem],
+      ['customerAvailability', a.customerAvailability],
+      ['customerConsultation', consultation],
+      ['specialNotes', a.specialNotes],
+      ['leadQuality', a.leadQuality]
     ];
-    const html = `
-      <div style="font-weight:600;margin-bottom:8px">Kết quả phân tích</div>
+    const html = `${failure}
+      <div style="font-weight:600;margin-bottom:8px">${this.linkify(I18n.t('analysis.result'))}</div>
       <div style="display:grid;grid-template-columns:200px 1fr;gap:6px;">
-        ${rows.map(([k,v]) => `<div style=\"color:#6b7280\">${k}</div><div>${this.linkify(v || '')}</div>`).join('')}
+        ${rows.map(([k,v]) => `<div style=\"color:#6b7280\">${this.linkify(I18n.t(`analysis.field.${k}`))}</div><div>${this.linkify(v || '')}</div>`).join('')}
       </div>
     `;
     this.analysisEl.innerHTML = html;
   }
 
+  renderAnalysisError(error, key = 'analysis.failedWith') {
+    const details = (error.details || []).map(d => `<li>${this.linkify(d)}</li>`).join('');
+    return `
+      <div class="analysis-error">
+        <div style="font-weight:600">${this.linkify(I18n.t(key, { message: error.message || '' }))}</div>
+        ${details ? `<ul>${details}</ul>` : ''}
+      </div>
+    `;
+  }
+
   async loadConversation(sessionId) {
     this.selectedSessionEl.textContent = sessionId;
-    this.selectedMetaEl.textContent = 'Loading...';
+    this.selectedMetaEl.textContent = I18n.t('common.loading');
     this.messagesEl.innerHTML = '';
     try {
-      const res = await fetch(`${this.apiBaseUrl}/conversation/${sessionId}`);
+      const [res, usage] = await Promise.all([this.api(`/conversation/${sessionId}`), this.loadUsage(sessionId)]);
       if (!res.ok) {
         const text = await res.text();
         throw new Error(`Conversation request failed: ${res.status} ${text.slice(0, 120)}`);
       }
       const data = await res.json();
       const msgs = data.messages || [];
-      this.selectedMetaEl.textContent = `Created: ${this.formatTime(data.createdAt)} • Last activity: ${this.formatTime(data.lastActivity)}`;
-      msgs.forEach(m => this.messagesEl.appendChild(this.renderMessage(m)));
-      this.messagesEl.scrollTop = this.messagesEl.scrollHeight;
+      const prompt = data.promptVersion
+        ? ` • ${I18n.t('conversation.prompt', { name: data.promptVersion.name, version: data.promptVersion.version })}`
+        : '';
+      const bot = this.bots.length > 1 && data.botId ? ` • ${I18n.t('conversation.bot', { bot: data.botId })}` : '';
+      const cost = usage ? ` • ${I18n.t('conversation.cost', {
+        cost: this.formatCost(usage.cost, usage.currency),
+        replies: this.formatCost(usage.replies.cost, usage.currency),
+        context: this.formatCost(usage.context.cost, usage.currency),
+        analysis: this.formatCost(usage.analysis.cost, usage.currency)
+      })}` : '';
+      this.selectedMetaEl.textContent = I18n.t('conversation.meta', {
+        created: this.formatTime(data.createdAt),
+        lastActivity: this.formatTime(data.lastActivity)
+      }) + bot + prompt + cost;
+      msgs.forEach(m => this.messagesEl.appendChild(this.renderMessage(m, usage)));
+      // Opened from a search: show the first hit, otherwise the latest messages
+      const hit = this.messagesEl.querySelector('mark');
+      if (hit) hit.scrollIntoView({ block: 'center' });
+      else this.messagesEl.scrollTop = this.messagesEl.scrollHeight;
+      this.handoff.open(sessionId, data.handoff);
+      this.loadAnalysis(sessionId);
+    } catch (e) {
+      this.selectedMetaEl.textContent = I18n.t('conversation.loadFailed');
+      console.error(e);
+    }
+  }
+
+  // Token usage and cost of a conversation, or null when it cannot be loaded
+  // (the transcript is still shown without it)
+  async loadUsage(sessionId) {
+    try {
+      const res = await this.api(`/conversation/${sessionId}/usage`);
+      return res.ok ? await res.json() : null;
     } catch (e) {
-      this.selectedMetaEl.textContent = 'Failed to load conversation';
       console.error(e);
+      return null;
     }
   }
 
-  renderMessage(m) {
+  // `usage` (from loadUsage) adds the cost of each bot reply
+  renderMessage(m, usage = null) {
     const div = document.createElement('div');
-    div.className = `msg ${m.role}`;
+    div.className = `msg ${m.role}${m.operator ? ' operator' : ''}`;
     div.innerHTML = `
-      <div class="role">${m.role}</div>
+      <div class="role"></div>
       <div class="text"></div>
     `;
+    // Operator messages name who wrote them
+    div.querySelector('.role').textContent = m.operator
+      ? I18n.t('conversation.operator', { operator: m.operator })
+      : I18n.t(`conversation.role.${m.role}`);
     div.querySelector('.text').innerHTML = this.linkify(m.content);
+    this.highlight(div.querySelector('.text'));
+    // Tools the model called before replying, in order
+    if (Array.isArray(m.toolCalls)) {
+      m.toolCalls.forEach(call => div.insertBefore(this.renderToolCall(call), div.querySelector('.text')));
+    }
+    // Knowledge-base documents the reply cited
+    if (Array.isArray(m.sources) && m.sources.length) {
+      const sources = document.createElement('div');
+      sources.className = 'msg-sources';
+      sources.textContent = m.sources
+        .map(s => `[${s.ref}] ${s.title}${s.location ? ` (${s.location})` : ''}`)
+        .join(' • ');
+      div.appendChild(sources);
+    }
+    // The visitor's rating of a bot reply, with their comment
+    if (m.feedback) {
+      const feedback = document.createElement('div');
+      feedback.className = `msg-feedback ${m.feedback.rating}`;
+      feedback.textContent = [
+        `${m.feedback.rating === 'up' ? '👍' : '👎'} ${I18n.t(`conversation.feedback.${m.feedback.rating}`)}`,
+        m.feedback.comment ? `“${m.feedback.comment}”` : '',
+        this.formatTime(m.feedback.createdAt)
+      ].filter(Boolean).join(' • ');
+      div.appendChild(feedback);
+    }
+    // "gpt-4.1 • 1,240 ms • 812 + 64 tokens • $0.002136"
+    if (m.model || m.usage) {
+      const meta = document.createElement('div');
+      meta.className = 'msg-usage';
+      const cost = usage && m.id ? usage.messages[m.id] : undefined;
+      meta.textContent = [
+        m.model,
+        Number.isFinite(m.latencyMs) ? `${m.latencyMs.toLocaleString(I18n.locale)} ms` : '',
+        m.usage ? I18n.t('conversation.tokens', { prompt: m.usage.promptTokens, completion: m.usage.completionTokens }) : '',
+        typeof cost === 'number' ? this.formatCost(cost, usage.currency) : ''
+      ].filter(Boolean).join(' • ');
+      div.appendChild(meta);
+    }
     return div;
   }
 
-  filterSessions() {
-    this.renderSessions();
+  // "🔧 save_contact({...}) • 12 ms" with the result (or error) folded away
+  renderToolCall(call) {
+    const details = document.createElement('details');
+    details.className = `msg-tool${call.error ? ' failed' : ''}`;
+    details.innerHTML = '<summary></summary><pre class="webhook-payload"></pre>';
+    const args = typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments || {});
+    details.querySelector('summary').textContent =
+      `🔧 ${call.name}(${args}) • ${I18n.t(call.error ? 'conversation.toolFailed' : 'conversation.toolOk')} • ${call.durationMs} ms`;
+    details.querySelector('pre').textContent = call.error ? call.error : JSON.stringify(call.result, null, 2);
+    return details;
   }
 
   formatTime(iso) {
     if (!iso) return '';
     const d = new Date(iso);
-    return d.toLocaleString();
+    return d.toLocaleString(I18n.locale);
+  }
+
+  // Costs are fractions of a cent per reply, so small amounts keep more digits
+  formatCost(value, currency = 'USD') {
+    return new Intl.NumberFormat(I18n.locale, {
+      style: 'currency',
+      currency,
+      minimumFractionDigits: 2,
+      maximumFractionDigits: value && Math.abs(value) < 1 ? 6 : 2
+    }).format(value || 0);
   }
 
   linkify(text) {
@@ -187,6 +670,9 @@ class Dashboard {
   }
 }
 
-document.addEventListener('DOMContentLoaded', () => new Dashboard());
+document.addEventListener('DOMContentLoaded', () => {
+  I18n.init({ storageKey: 'dashboard-locale' });
+  new Dashboard();
+});
 
 
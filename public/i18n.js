@@ -0,0 +1,156 @@
+// Localisation for the chat page, the widget panel and the dashboard.
+//
+// Locale files (public/locales/<front-end>.<locale>.js) register their strings
+// with I18n.define(); a page loads i18n.js, then its locale files, then its own
+// scripts. Static markup is translated through attributes:
+//
+//   data-i18n="key"              text content
+//   data-i18n-placeholder="key"  placeholder
+//   data-i18n-title="key"        title
+//   data-i18n-aria-label="key"   aria-label
+//
+// and scripts call I18n.t('key', { name: value }) for the text they build.
+// Missing strings fall back to English, then to the key itself.
+//
+// The locale is the first of: the visitor's earlier pick in the language
+// switcher, the one the page asks for (the widget's data-locale), the
+// browser's languages (navigator.languages), English.
+(function () {
+    const FALLBACK = 'en';
+    const ATTRIBUTES = [
+        ['data-i18n', el => el.dataset.i18n, (el, text) => { el.textContent = text; }],
+        ['data-i18n-placeholder', el => el.dataset.i18nPlaceholder, (el, text) => { el.placeholder = text; }],
+        ['data-i18n-title', el => el.dataset.i18nTitle, (el, text) => { el.title = text; }],
+        ['data-i18n-aria-label', el => el.dataset.i18nAriaLabel, (el, text) => { el.setAttribute('aria-label', text); }],
+    ];
+    const catalogs = {};
+    let current = FALLBACK;
+    let storageKey = 'chatbot-locale';
+
+    function define(locale, messages) {
+        catalogs[locale] = Object.assign(catalogs[locale] || {}, messages);
+    }
+
+    // The locale with strings for a language tag: 'vi-VN' -> 'vi'
+    function match(tag) {
+        if (!tag) return null;
+        const lower = String(tag).toLowerCase();
+        if (catalogs[lower]) return lower;
+        const base = lower.split('-')[0];
+        return catalogs[base] ? base : null;
+    }
+
+    // Storage can be unavailable (private mode, blocked third-party storage)
+    function storedLocale() {
+        try {
+            return localStorage.getItem(storageKey);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function detect(preferred) {
+        const browser = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language];
+        const candidates = [storedLocale(), preferred, ...browser];
+        for (const candidate of candidates) {
+            const locale = match(candidate);
+            if (locale) return locale;
+        }
+        return FALLBACK;
+    }
+
+    function lookup(key) {
+        if (catalogs[current] && catalogs[current][key] !== undefined) return catalogs[current][key];
+        if (catalogs[FALLBACK] && catalogs[FALLBACK][key] !== undefined) return catalogs[FALLBACK][key];
+        return undefined;
+    }
+
+    // For labels of server-side values, which fall back to the value itself
+    function has(key) {
+        return lookup(key) !== undefined;
+    }
+
+    // "{count} messages" with { count: 3 } -> "3 messages"
+    function t(key, params) {
+        const template = lookup(key);
+        if (template === undefined) return key;
+        if (!params) return template;
+        return template.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] !== undefined ? params[name] : placeholder));
+    }
+
+    // Count-dependent strings: `key.one`, `key.other`, ... picked by the
+    // locale's plural rules (Vietnamese only has `other`)
+    function plural(key, count, params) {
+        const category = typeof Intl !== 'undefined' && Intl.PluralRules
+            ? new Intl.PluralRules(current).select(count)
+            : (count === 1 ? 'one' : 'other');
+        const chosen = lookup(`${key}.${category}`) !== undefined ? `${key}.${category}` : `${key}.other`;
+        return t(chosen, { count, ...params });
+    }
+
+    function apply(root) {
+        const scope = root || document;
+        ATTRIBUTES.forEach(([attribute, keyOf, set]) => {
+            scope.querySelectorAll(`[${attribute}]`).forEach((el) => set(el, t(keyOf(el))));
+        });
+        document.documentElement.lang = current;
+    }
+
+    // Settings that can differ per language, such as a bot's greeting, are
+    // either a plain value or { en: ..., vi: ... }
+    function pick(value) {
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) return value;
+        if (value[current] !== undefined) return value[current];
+        if (value[FALLBACK] !== undefined) return value[FALLBACK];
+        return value[Object.keys(value)[0]];
+    }
+
+    function init(options) {
+        const settings = options || {};
+        if (settings.storageKey) storageKey = settings.storageKey;
+        current = detect(settings.locale);
+        apply();
+        return current;
+    }
+
+    // Remembers the choice and re-translates the static markup; pages
+    // re-render the rest on the window's `localechange` event
+    function setLocale(locale) {
+        current = match(locale) || FALLBACK;
+        try {
+            localStorage.setItem(storageKey, current);
+        } catch (e) {
+            // Not remembered; the browser language applies on the next load
+        }
+        apply();
+        window.dispatchEvent(new CustomEvent('localechange', { detail: { locale: current } }));
+    }
+
+    // Fills a <select> with the available languages, each named in itself
+    function switcher(select) {
+        select.innerHTML = '';
+        Object.keys(catalogs).forEach((locale) => {
+            const option = document.createElement('option');
+            option.value = locale;
+            option.textContent = catalogs[locale]['locale.name'] || locale;
+            select.appendChild(option);
+        });
+        select.value = current;
+        select.addEventListener('change', () => setLocale(select.value));
+    }
+
+    window.I18n = {
+        define,
+        has,
+        t,
+        plural,
+        apply,
+        pick,
+        init,
+        setLocale,
+        switcher,
+        get locale() {
+            return current;
+        },
+    };
+})();
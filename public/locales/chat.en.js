@@ -0,0 +1,44 @@
+// Chat page and widget panel: English (also the fallback for missing strings)
+I18n.define('en', {
+    'locale.name': 'English',
+
+    'chat.pageTitle': 'AI Chatbot',
+    'chat.widgetTitle': 'Chat',
+    'chat.title': 'My Assistant',
+    'chat.online': 'Online',
+    'chat.language': 'Language',
+    'chat.newConversation': 'Start a new conversation',
+    'chat.dashboard': 'Dashboard',
+    'chat.close': 'Close chat',
+    'chat.greeting': 'Hello! I am the AI assistant. How can I help you?',
+    'chat.justNow': 'Just now',
+    'chat.placeholder': 'Type your message here...',
+    'chat.send': 'Send',
+    'chat.typing': 'AI is typing...',
+
+    'error.generic': 'Sorry, I encountered an error. Please try again.',
+    'error.interrupted': 'The reply was interrupted. Please try again.',
+    'error.expired': 'Your previous conversation expired, so a new one has started. Please send your message again.',
+    'error.rateLimited': 'Too many requests. Please slow down.',
+    'error.invalidMessage': 'Please type a message first.',
+    'error.messageTooLong': 'Your message is too long (maximum {max} characters).',
+    'error.flood': 'Too many messages. Please wait a moment before sending another.',
+    'error.turnLimit': 'This conversation has reached its message limit. Please start a new conversation.',
+    'error.repeated': 'Please do not send the same message repeatedly.',
+
+    'handoff.joined': '{operator} from our team has joined the chat.',
+    'handoff.returned': 'You are chatting with the assistant again.',
+
+    'booking.name': 'Your name',
+    'booking.email': 'Email',
+    'booking.phone': 'Phone (optional)',
+    'booking.submit': 'Book',
+    'booking.back': 'Other times',
+    'booking.ics': 'Add to calendar (.ics)',
+
+    'feedback.up': 'Helpful',
+    'feedback.down': 'Not helpful',
+    'feedback.commentPlaceholder': 'What was wrong? (optional)',
+    'feedback.send': 'Send',
+    'feedback.thanks': 'Thanks for your feedback!',
+});
@@ -0,0 +1,44 @@
+// Chat page and widget panel: Vietnamese
+I18n.define('vi', {
+    'locale.name': 'Tiếng Việt',
+
+    'chat.pageTitle': 'Trợ lý AI',
+    'chat.widgetTitle': 'Trò chuyện',
+    'chat.title': 'Trợ lý của tôi',
+    'chat.online': 'Trực tuyến',
+    'chat.language': 'Ngôn ngữ',
+    'chat.newConversation': 'Bắt đầu cuộc trò chuyện mới',
+    'chat.dashboard': 'Bảng điều khiển',
+    'chat.close': 'Đóng khung chat',
+    'chat.greeting': 'Xin chào! Tôi là trợ lý AI. Tôi có thể giúp gì cho bạn?',
+    'chat.justNow': 'Vừa xong',
+    'chat.placeholder': 'Nhập tin nhắn của bạn...',
+    'chat.send': 'Gửi',
+    'chat.typing': 'AI đang trả lời...',
+
+    'error.generic': 'Xin lỗi, đã có lỗi xảy ra. Vui lòng thử lại.',
+    'error.interrupted': 'Câu trả lời bị gián đoạn. Vui lòng thử lại.',
+    'error.expired': 'Cuộc trò chuyện trước đã hết hạn nên một cuộc trò chuyện mới đã bắt đầu. Vui lòng gửi lại tin nhắn.',
+    'error.rateLimited': 'Bạn gửi yêu cầu quá nhanh. Vui lòng chậm lại.',
+    'error.invalidMessage': 'Vui lòng nhập tin nhắn trước.',
+    'error.messageTooLong': 'Tin nhắn quá dài (tối đa {max} ký tự).',
+    'error.flood': 'Bạn gửi quá nhiều tin nhắn. Vui lòng đợi một lát rồi gửi tiếp.',
+    'error.turnLimit': 'Cuộc trò chuyện đã đạt giới hạn tin nhắn. Vui lòng bắt đầu cuộc trò chuyện mới.',
+    'error.repeated': 'Vui lòng không gửi lặp lại cùng một tin nhắn.',
+
+    'handoff.joined': '{operator} từ đội ngũ của chúng tôi đã tham gia cuộc trò chuyện.',
+    'handoff.returned': 'Bạn đang trò chuyện lại với trợ lý AI.',
+
+    'booking.name': 'Họ và tên',
+    'booking.email': 'Email',
+    'booking.phone': 'Số điện thoại (không bắt buộc)',
+    'booking.submit': 'Đặt lịch',
+    'booking.back': 'Giờ khác',
+    'booking.ics': 'Thêm vào lịch (.ics)',
+
+    'feedback.up': 'Hữu ích',
+    'feedback.down': 'Chưa hữu ích',
+    'feedback.commentPlaceholder': 'Câu trả lời chưa đúng ở đâu? (không bắt buộc)',
+    'feedback.send': 'Gửi',
+    'feedback.thanks': 'Cảm ơn bạn đã góp ý!',
+});
@@ -0,0 +1,274 @@
+// Dashboard and login page: English (also the fallback for missing strings)
+I18n.define('en', {
+  'locale.name': 'English',
+
+  'dashboard.title': 'Chat Dashboard',
+  'dashboard.backToChat': 'Back to Chat',
+  'dashboard.logout': 'Log out',
+
+  'login.title': 'Dashboard Login',
+  'login.username': 'Username',
+  'login.password': 'Password',
+  'login.submit': 'Sign in',
+  'login.failed': 'Login failed',
+
+  'nav.conversations': 'Conversations',
+  'nav.leads': 'Leads',
+  'nav.analytics': 'Analytics',
+  'nav.prompts': 'Prompts',
+  'nav.knowledge': 'Knowledge',
+  'nav.bookings': 'Bookings',
+  'nav.webhooks': 'Webhooks',
+
+  'role.admin': 'admin',
+  'role.agent': 'agent',
+  'role.viewer': 'viewer',
+
+  'common.allBots': 'All bots',
+  'common.language': 'Language',
+  'common.from': 'From',
+  'common.to': 'To',
+  'common.allQuality': 'All quality',
+  'common.refresh': 'Refresh',
+  'common.delete': 'Delete',
+  'common.apply': 'Apply',
+  'common.save': 'Save',
+  'common.loading': 'Loading...',
+  'common.openConversation': 'Open conversation',
+  'common.yes': 'yes',
+  'common.no': 'no',
+
+  'sessions.title': 'Sessions',
+  'sessions.search': 'Search messages, names, emails, phones...',
+  'sessions.select': 'Select a session',
+  'sessions.loadFailed': 'Failed to load sessions',
+  'sessions.messages.one': '{count} message',
+  'sessions.messages.other': '{count} messages',
+  'sessions.allFeedback': 'All feedback',
+  'sessions.negativeFeedback': 'Negative feedback',
+  'sessions.sort.newest': 'Newest first',
+  'sessions.sort.oldest': 'Oldest first',
+  'sessions.sort.recent': 'Recently active',
+  'sessions.sort.longest': 'Most messages',
+  'sessions.filters': 'Filters',
+  'sessions.minMessages': 'Min. messages',
+  'sessions.maxMessages': 'Max. messages',
+  'sessions.more': 'Load more',
+  'sessions.count': '{shown} of {total}',
+  'sessions.empty': 'No conversations',
+  'sessions.noMatch': 'No conversations match',
+
+  'export.title': 'Export',
+  'export.conversations': 'Conversations',
+  'export.transcripts': 'Transcripts',
+  'export.leads': 'Leads',
+  'export.rangeError': '"From" must not be after "To".',
+
+  'conversation.deleteConfirm': 'Delete this conversation? This cannot be undone.',
+  'conversation.deleteFailed': 'Failed to delete the conversation. Please try again.',
+  'conversation.meta': 'Created: {created} • Last activity: {lastActivity}',
+  'conversation.bot': 'Bot: {bot}',
+  'conversation.prompt': 'Prompt: {name} v{version}',
+  'conversation.loadFailed': 'Failed to load conversation',
+  'conversation.operator': 'operator • {operator}',
+  'conversation.role.user': 'user',
+  'conversation.role.assistant': 'assistant',
+  'conversation.role.system': 'system',
+  'conversation.toolOk': 'ok',
+  'conversation.toolFailed': 'failed',
+  'conversation.feedback.up': 'The visitor found this helpful',
+  'conversation.feedback.down': 'The visitor found this unhelpful',
+  'conversation.tokens': '{prompt} + {completion} tokens',
+  'conversation.cost': 'Cost: {cost} (replies {replies}, context {context}, analysis {analysis})',
+
+  'analysis.bulk': 'Analyse all',
+  'analysis.analyse': 'Analyse',
+  'analysis.status.pending': 'pending',
+  'analysis.status.analyzed': 'analysed',
+  'analysis.status.failed': 'failed',
+  'analysis.bulkNone': 'No conversations need analysing.',
+  'analysis.bulkProgress': '{finished}/{total} done',
+  'analysis.bulkFailed': '{count} failed',
+  'analysis.running': 'Analysing...',
+  'analysis.failed': 'Analysis failed.',
+  'analysis.failedWith': 'Analysis failed: {message}',
+  'analysis.warnings': 'Analysed with warnings: {message}',
+  'analysis.none': 'No analysis yet.',
+  'analysis.result': 'Analysis',
+  'analysis.field.customerName': 'Name',
+  'analysis.field.customerEmail': 'Email',
+  'analysis.field.customerPhone': 'Phone',
+  'analysis.field.customerIndustry': 'Industry',
+  'analysis.field.customerProblem': 'Problem / need',
+  'analysis.field.customerAvailability': 'Availability',
+  'analysis.field.customerConsultation': 'Consultation booked',
+  'analysis.field.specialNotes': 'Notes',
+  'analysis.field.leadQuality': 'Lead quality',
+
+  'handoff.takeOver': 'Take over',
+  'handoff.handBack': 'Hand back to bot',
+  'handoff.status': '🙋 {operator} is handling this conversation (since {since}); the bot is paused.',
+  'handoff.replyPlaceholder': 'Reply to the visitor...',
+  'handoff.send': 'Send',
+
+  'leads.allStatuses': 'All statuses',
+  'leads.anyone': 'Anyone',
+  'leads.industryPlaceholder': 'Industry...',
+  'leads.listView': 'List view',
+  'leads.boardView': 'Board view',
+  'leads.select': 'Select a lead',
+  'leads.loadFailed': 'Failed to load leads',
+  'leads.loadOneFailed': 'Failed to load lead',
+  'leads.status.new': 'new',
+  'leads.status.contacted': 'contacted',
+  'leads.status.qualified': 'qualified',
+  'leads.status.won': 'won',
+  'leads.status.lost': 'lost',
+  'leads.column.name': 'Name',
+  'leads.column.email': 'Email',
+  'leads.column.phone': 'Phone',
+  'leads.column.industry': 'Industry',
+  'leads.column.quality': 'Quality',
+  'leads.column.status': 'Status',
+  'leads.column.assignee': 'Assignee',
+  'leads.column.followUp': 'Follow-up',
+  'leads.unassigned': 'Unassigned',
+  'leads.notes': 'Notes',
+  'leads.notePlaceholder': 'Add an internal note...',
+  'leads.addNote': 'Add note',
+  'leads.history': 'History',
+  'leads.consultation': 'Consultation {time}',
+  'leads.consultationCancelled': 'Consultation {time} (cancelled)',
+  'leads.visitor': 'visitor',
+  'leads.history.note': '{by} added a note',
+  'leads.history.contact': 'the bot saved contact details: {contact}',
+  'leads.history.booked': '{by} booked a consultation for {time}',
+  'leads.history.cancelled': '{by} cancelled the consultation for {time}',
+  'leads.history.changed': '{by} changed {field}: {from} → {to}',
+  'leads.field.status': 'status',
+  'leads.field.assignee': 'assignee',
+  'leads.field.followUpAt': 'follow-up',
+  'leads.saveFailed': 'Failed to save lead: {message}',
+  'leads.noteFailed': 'Failed to add note.',
+
+  'analytics.perDay': 'Conversations per day',
+  'analytics.quality': 'Lead quality',
+  'analytics.funnel': 'Lead funnel',
+  'analytics.loadFailed': 'Failed to load analytics: {message}',
+  'analytics.conversations': 'Conversations',
+  'analytics.avgTurns': 'Avg. turns',
+  'analytics.avgReply': 'Avg. reply time',
+  'analytics.p95Reply': 'p95 reply time',
+  'analytics.analysed': 'Analysed',
+  'analytics.cost': 'Model cost',
+  'analytics.tokens': 'Tokens',
+  'analytics.costPerDay': 'Cost per day',
+  'analytics.costByModel': 'Cost by model',
+  'analytics.costDayTitle': '{date}: {cost}, {tokens} tokens',
+  'analytics.unpriced': '{tokens} tokens, no price',
+  'analytics.noUsage': 'No model usage in this range',
+  'analytics.dayTitle': '{date}: {conversations} conversations, {messages} messages',
+  'analytics.empty': 'No conversations in this range',
+  'analytics.stage.started': 'Conversation started',
+  'analytics.stage.industry': 'Industry given',
+  'analytics.stage.challenge': 'Challenge given',
+  'analytics.stage.contact': 'Contact collected',
+  'analytics.stage.consultation': 'Consultation booked',
+
+  'prompts.select': 'Select a version',
+  'prompts.diff': 'Diff vs active',
+  'prompts.activate': 'Activate',
+  'prompts.newVersion': 'New version',
+  'prompts.contentPlaceholder': 'Prompt content...',
+  'prompts.notePlaceholder': 'What changed?',
+  'prompts.copy': 'Copy selected',
+  'prompts.save': 'Save version',
+  'prompts.loadFailed': 'Failed to load prompts',
+  'prompts.active': 'active',
+  'prompts.created': 'Created {time}',
+  'prompts.createdBy': 'Created {time} by {by}',
+  'prompts.diffMeta': 'Diff v{from} (active) → v{to}',
+  'prompts.diffFailed': 'Failed to load diff.',
+  'prompts.activateConfirm': 'Activate v{version}? New conversations will start with this prompt.',
+  'prompts.activateFailed': 'Failed to activate prompt version.',
+  'prompts.saveFailed': 'Failed to save prompt version.',
+
+  'knowledge.documents': 'Documents',
+  'knowledge.upload': 'Upload document',
+  'knowledge.titlePlaceholder': 'Title (defaults to the file name)',
+  'knowledge.uploadButton': 'Upload',
+  'knowledge.searchTitle': 'Search the knowledge base',
+  'knowledge.queryPlaceholder': 'Try a visitor question, e.g. 6205 bearing price',
+  'knowledge.search': 'Search',
+  'knowledge.uploadsTo': 'Uploads go to {bot}.',
+  'knowledge.uploadsToAll': 'Uploads go to every bot.',
+  'knowledge.loadFailed': 'Failed to load documents',
+  'knowledge.loadOneFailed': 'Failed to load document',
+  'knowledge.empty': 'No documents yet',
+  'knowledge.chunks.one': '{count} chunk',
+  'knowledge.chunks.other': '{count} chunks',
+  'knowledge.allBots': 'all bots',
+  'knowledge.embedded': 'embedded with {model}',
+  'knowledge.lexicalOnly': 'lexical search only',
+  'knowledge.uploadedBy': 'uploaded by {by}',
+  'knowledge.unknown': 'unknown',
+  'knowledge.searching': 'Searching...',
+  'knowledge.noMatch': 'No passages match. The bot will answer from its prompt alone.',
+  'knowledge.similarity': 'similarity {score}',
+  'knowledge.searchFailed': 'Search failed',
+  'knowledge.chooseFile': 'Choose a PDF, Markdown, CSV or text file first.',
+  'knowledge.uploading': 'Uploading {name}...',
+  'knowledge.added': 'Added "{title}" ({chunks}).',
+  'knowledge.deleteConfirm': 'Delete this document? The bot will stop using it.',
+  'knowledge.deleteFailed': 'Failed to delete the document.',
+
+  'bookings.availability': 'Availability',
+  'bookings.addSlots': 'Add slots',
+  'bookings.day': 'Day',
+  'bookings.length': 'Length',
+  'bookings.minutes15': '15 min',
+  'bookings.minutes30': '30 min',
+  'bookings.minutes45': '45 min',
+  'bookings.minutes60': '60 min',
+  'bookings.minutes90': '90 min',
+  'bookings.upcoming': 'Upcoming slots',
+  'bookings.slotsFor': 'New slots go to {bot}.',
+  'bookings.slotsForAll': 'New slots go to every bot.',
+  'bookings.loadFailed': 'Failed to load slots',
+  'bookings.summary': '{total} slots • {booked} booked • {free} free',
+  'bookings.empty': 'No upcoming slots. Visitors cannot book until some are added.',
+  'bookings.free': 'Free',
+  'bookings.cancel': 'Cancel booking',
+  'bookings.chooseRange': 'Choose a day and a time range first.',
+  'bookings.added.one': 'Added {count} slot.',
+  'bookings.added.other': 'Added {count} slots.',
+  'bookings.noneAdded': 'No slots added; that time is already covered.',
+  'bookings.cancelConfirm': 'Cancel {name}\'s booking? The slot becomes free again.',
+
+  'webhooks.endpoints': 'Endpoints',
+  'webhooks.add': 'Add endpoint',
+  'webhooks.allDeliveries': 'All deliveries',
+  'webhooks.test': 'Send test',
+  'webhooks.enable': 'Enable',
+  'webhooks.disable': 'Disable',
+  'webhooks.allEvents': 'All events',
+  'webhooks.loadFailed': 'Failed to load webhooks',
+  'webhooks.disabled': 'Disabled',
+  'webhooks.meta': 'Events: {events} • Created {time}',
+  'webhooks.deliveriesFailed': 'Failed to load deliveries',
+  'webhooks.noDeliveries': 'No deliveries yet',
+  'webhooks.redeliver': 'Redeliver',
+  'webhooks.attempts.one': '{count} attempt',
+  'webhooks.attempts.other': '{count} attempts',
+  'webhooks.to': 'To {url}',
+  'webhooks.error': 'Error: {error}',
+  'webhooks.nextAttempt': 'Next attempt {time}',
+  'webhooks.redeliveryOf': 'Redelivery of {id}',
+  'webhooks.secret': 'Signing secret (copy it now, it is not shown again): {secret}',
+  'webhooks.addFailed': 'Failed to add webhook: {message}',
+  'webhooks.testFailed': 'Failed to send test delivery.',
+  'webhooks.updateFailed': 'Failed to update webhook.',
+  'webhooks.deleteConfirm': 'Delete webhook {url}?',
+  'webhooks.deleteFailed': 'Failed to delete webhook.',
+  'webhooks.redeliverFailed': 'Failed to redeliver.'
+});
@@ -0,0 +1,270 @@
+// Dashboard and login page: Vietnamese
+I18n.define('vi', {
+  'locale.name': 'Tiếng Việt',
+
+  'dashboard.title': 'Bảng điều khiển chat',
+  'dashboard.backToChat': 'Quay lại chat',
+  'dashboard.logout': 'Đăng xuất',
+
+  'login.title': 'Đăng nhập bảng điều khiển',
+  'login.username': 'Tên đăng nhập',
+  'login.password': 'Mật khẩu',
+  'login.submit': 'Đăng nhập',
+  'login.failed': 'Đăng nhập thất bại',
+
+  'nav.conversations': 'Cuộc thoại',
+  'nav.leads': 'Khách tiềm năng',
+  'nav.analytics': 'Thống kê',
+  'nav.prompts': 'Prompt',
+  'nav.knowledge': 'Tri thức',
+  'nav.bookings': 'Lịch hẹn',
+  'nav.webhooks': 'Webhook',
+
+  'role.admin': 'quản trị',
+  'role.agent': 'nhân viên',
+  'role.viewer': 'người xem',
+
+  'common.allBots': 'Tất cả bot',
+  'common.language': 'Ngôn ngữ',
+  'common.from': 'Từ',
+  'common.to': 'Đến',
+  'common.allQuality': 'Mọi chất lượng',
+  'common.refresh': 'Làm mới',
+  'common.delete': 'Xóa',
+  'common.apply': 'Áp dụng',
+  'common.save': 'Lưu',
+  'common.loading': 'Đang tải...',
+  'common.openConversation': 'Mở cuộc thoại',
+  'common.yes': 'có',
+  'common.no': 'không',
+
+  'sessions.title': 'Phiên chat',
+  'sessions.search': 'Tìm tin nhắn, tên, email, số điện thoại...',
+  'sessions.select': 'Chọn một phiên',
+  'sessions.loadFailed': 'Không tải được danh sách phiên',
+  'sessions.messages.other': '{count} tin nhắn',
+  'sessions.allFeedback': 'Mọi đánh giá',
+  'sessions.negativeFeedback': 'Đánh giá tiêu cực',
+  'sessions.sort.newest': 'Mới nhất trước',
+  'sessions.sort.oldest': 'Cũ nhất trước',
+  'sessions.sort.recent': 'Hoạt động gần đây',
+  'sessions.sort.longest': 'Nhiều tin nhắn nhất',
+  'sessions.filters': 'Bộ lọc',
+  'sessions.minMessages': 'Số tin nhắn tối thiểu',
+  'sessions.maxMessages': 'Số tin nhắn tối đa',
+  'sessions.more': 'Tải thêm',
+  'sessions.count': '{shown} / {total}',
+  'sessions.empty': 'Chưa có cuộc trò chuyện nào',
+  'sessions.noMatch': 'Không có cuộc trò chuyện nào khớp',
+
+  'export.title': 'Xuất dữ liệu',
+  'export.conversations': 'Cuộc thoại',
+  'export.transcripts': 'Bản ghi hội thoại',
+  'export.leads': 'Khách tiềm năng',
+  'export.rangeError': 'Ngày "Từ" không được sau ngày "Đến".',
+
+  'conversation.deleteConfirm': 'Bạn có chắc muốn xóa cuộc thoại này? Hành động này không thể hoàn tác.',
+  'conversation.deleteFailed': 'Xóa cuộc thoại thất bại. Vui lòng thử lại.',
+  'conversation.meta': 'Tạo lúc: {created} • Hoạt động cuối: {lastActivity}',
+  'conversation.bot': 'Bot: {bot}',
+  'conversation.prompt': 'Prompt: {name} v{version}',
+  'conversation.loadFailed': 'Không tải được cuộc thoại',
+  'conversation.operator': 'nhân viên • {operator}',
+  'conversation.role.user': 'khách',
+  'conversation.role.assistant': 'trợ lý',
+  'conversation.role.system': 'hệ thống',
+  'conversation.toolOk': 'thành công',
+  'conversation.toolFailed': 'lỗi',
+  'conversation.feedback.up': 'Khách thấy câu trả lời này hữu ích',
+  'conversation.feedback.down': 'Khách thấy câu trả lời này chưa hữu ích',
+  'conversation.tokens': '{prompt} + {completion} token',
+  'conversation.cost': 'Chi phí: {cost} (trả lời {replies}, ngữ cảnh {context}, phân tích {analysis})',
+
+  'analysis.bulk': 'Phân tích tất cả',
+  'analysis.analyse': 'Phân tích',
+  'analysis.status.pending': 'đang chờ',
+  'analysis.status.analyzed': 'đã phân tích',
+  'analysis.status.failed': 'lỗi',
+  'analysis.bulkNone': 'Không có cuộc thoại cần phân tích.',
+  'analysis.bulkProgress': '{finished}/{total} xong',
+  'analysis.bulkFailed': '{count} lỗi',
+  'analysis.running': 'Đang phân tích...',
+  'analysis.failed': 'Phân tích thất bại.',
+  'analysis.warnings': 'Đã phân tích, có cảnh báo: {message}',
+  'analysis.failedWith': 'Phân tích thất bại: {message}',
+  'analysis.none': 'Không có dữ liệu phân tích.',
+  'analysis.result': 'Kết quả phân tích',
+  'analysis.field.customerName': 'Tên',
+  'analysis.field.customerEmail': 'Email',
+  'analysis.field.customerPhone': 'Số điện thoại',
+  'analysis.field.customerIndustry': 'Ngành',
+  'analysis.field.customerProblem': 'Vấn đề/Nhu cầu',
+  'analysis.field.customerAvailability': 'Thời gian rảnh',
+  'analysis.field.customerConsultation': 'Đã đặt lịch tư vấn',
+  'analysis.field.specialNotes': 'Ghi chú',
+  'analysis.field.leadQuality': 'Chất lượng lead',
+
+  'handoff.takeOver': 'Tiếp quản',
+  'handoff.handBack': 'Trả lại cho bot',
+  'handoff.status': '🙋 {operator} đang xử lý cuộc thoại này (từ {since}); bot tạm dừng.',
+  'handoff.replyPlaceholder': 'Trả lời khách...',
+  'handoff.send': 'Gửi',
+
+  'leads.allStatuses': 'Mọi trạng thái',
+  'leads.anyone': 'Bất kỳ ai',
+  'leads.industryPlaceholder': 'Ngành...',
+  'leads.listView': 'Dạng danh sách',
+  'leads.boardView': 'Dạng bảng',
+  'leads.select': 'Chọn một khách tiềm năng',
+  'leads.loadFailed': 'Không tải được khách tiềm năng',
+  'leads.loadOneFailed': 'Không tải được khách tiềm năng',
+  'leads.status.new': 'mới',
+  'leads.status.contacted': 'đã liên hệ',
+  'leads.status.qualified': 'đủ điều kiện',
+  'leads.status.won': 'thành công',
+  'leads.status.lost': 'thất bại',
+  'leads.column.name': 'Tên',
+  'leads.column.email': 'Email',
+  'leads.column.phone': 'Điện thoại',
+  'leads.column.industry': 'Ngành',
+  'leads.column.quality': 'Chất lượng',
+  'leads.column.status': 'Trạng thái',
+  'leads.column.assignee': 'Người phụ trách',
+  'leads.column.followUp': 'Theo dõi',
+  'leads.unassigned': 'Chưa giao',
+  'leads.notes': 'Ghi chú',
+  'leads.notePlaceholder': 'Thêm ghi chú nội bộ...',
+  'leads.addNote': 'Thêm ghi chú',
+  'leads.history': 'Lịch sử',
+  'leads.consultation': 'Tư vấn lúc {time}',
+  'leads.consultationCancelled': 'Tư vấn lúc {time} (đã hủy)',
+  'leads.visitor': 'khách',
+  'leads.history.note': '{by} đã thêm ghi chú',
+  'leads.history.contact': 'bot đã lưu thông tin liên hệ: {contact}',
+  'leads.history.booked': '{by} đã đặt lịch tư vấn lúc {time}',
+  'leads.history.cancelled': '{by} đã hủy lịch tư vấn lúc {time}',
+  'leads.history.changed': '{by} đã đổi {field}: {from} → {to}',
+  'leads.field.status': 'trạng thái',
+  'leads.field.assignee': 'người phụ trách',
+  'leads.field.followUpAt': 'ngày theo dõi',
+  'leads.saveFailed': 'Lưu khách tiềm năng thất bại: {message}',
+  'leads.noteFailed': 'Thêm ghi chú thất bại.',
+
+  'analytics.perDay': 'Cuộc thoại mỗi ngày',
+  'analytics.quality': 'Chất lượng lead',
+  'analytics.funnel': 'Phễu khách hàng',
+  'analytics.loadFailed': 'Không tải được thống kê: {message}',
+  'analytics.conversations': 'Cuộc thoại',
+  'analytics.avgTurns': 'Số lượt TB',
+  'analytics.avgReply': 'Thời gian trả lời TB',
+  'analytics.p95Reply': 'Thời gian trả lời p95',
+  'analytics.analysed': 'Đã phân tích',
+  'analytics.cost': 'Chi phí mô hình',
+  'analytics.tokens': 'Token',
+  'analytics.costPerDay': 'Chi phí theo ngày',
+  'analytics.costByModel': 'Chi phí theo mô hình',
+  'analytics.costDayTitle': '{date}: {cost}, {tokens} token',
+  'analytics.unpriced': '{tokens} token, chưa có giá',
+  'analytics.noUsage': 'Không có lượt gọi mô hình trong khoảng này',
+  'analytics.dayTitle': '{date}: {conversations} cuộc thoại, {messages} tin nhắn',
+  'analytics.empty': 'Không có cuộc thoại nào trong khoảng này',
+  'analytics.stage.started': 'Bắt đầu trò chuyện',
+  'analytics.stage.industry': 'Đã cho biết ngành',
+  'analytics.stage.challenge': 'Đã nêu vấn đề',
+  'analytics.stage.contact': 'Đã có liên hệ',
+  'analytics.stage.consultation': 'Đã đặt lịch tư vấn',
+
+  'prompts.select': 'Chọn một phiên bản',
+  'prompts.diff': 'So sánh với bản đang dùng',
+  'prompts.activate': 'Kích hoạt',
+  'prompts.newVersion': 'Phiên bản mới',
+  'prompts.contentPlaceholder': 'Nội dung prompt...',
+  'prompts.notePlaceholder': 'Đã thay đổi gì?',
+  'prompts.copy': 'Sao chép bản đã chọn',
+  'prompts.save': 'Lưu phiên bản',
+  'prompts.loadFailed': 'Không tải được prompt',
+  'prompts.active': 'đang dùng',
+  'prompts.created': 'Tạo lúc {time}',
+  'prompts.createdBy': 'Tạo lúc {time} bởi {by}',
+  'prompts.diffMeta': 'So sánh v{from} (đang dùng) → v{to}',
+  'prompts.diffFailed': 'Không tải được phần so sánh.',
+  'prompts.activateConfirm': 'Kích hoạt v{version}? Các cuộc thoại mới sẽ dùng prompt này.',
+  'prompts.activateFailed': 'Kích hoạt phiên bản prompt thất bại.',
+  'prompts.saveFailed': 'Lưu phiên bản prompt thất bại.',
+
+  'knowledge.documents': 'Tài liệu',
+  'knowledge.upload': 'Tải lên tài liệu',
+  'knowledge.titlePlaceholder': 'Tiêu đề (mặc định là tên tệp)',
+  'knowledge.uploadButton': 'Tải lên',
+  'knowledge.searchTitle': 'Tìm trong kho tri thức',
+  'knowledge.queryPlaceholder': 'Thử một câu hỏi của khách, ví dụ: giá vòng bi 6205',
+  'knowledge.search': 'Tìm',
+  'knowledge.uploadsTo': 'Tài liệu tải lên thuộc {bot}.',
+  'knowledge.uploadsToAll': 'Tài liệu tải lên dùng cho mọi bot.',
+  'knowledge.loadFailed': 'Không tải được danh sách tài liệu',
+  'knowledge.loadOneFailed': 'Không tải được tài liệu',
+  'knowledge.empty': 'Chưa có tài liệu',
+  'knowledge.chunks.other': '{count} đoạn',
+  'knowledge.allBots': 'mọi bot',
+  'knowledge.embedded': 'nhúng bằng {model}',
+  'knowledge.lexicalOnly': 'chỉ tìm theo từ khóa',
+  'knowledge.uploadedBy': 'tải lên bởi {by}',
+  'knowledge.unknown': 'không rõ',
+  'knowledge.searching': 'Đang tìm...',
+  'knowledge.noMatch': 'Không có đoạn nào khớp. Bot sẽ chỉ trả lời dựa trên prompt.',
+  'knowledge.similarity': 'độ tương đồng {score}',
+  'knowledge.searchFailed': 'Tìm kiếm thất bại',
+  'knowledge.chooseFile': 'Hãy chọn một tệp PDF, Markdown, CSV hoặc văn bản trước.',
+  'knowledge.uploading': 'Đang tải lên {name}...',
+  'knowledge.added': 'Đã thêm "{title}" ({chunks}).',
+  'knowledge.deleteConfirm': 'Xóa tài liệu này? Bot sẽ không dùng nó nữa.',
+  'knowledge.deleteFailed': 'Xóa tài liệu thất bại.',
+
+  'bookings.availability': 'Lịch trống',
+  'bookings.addSlots': 'Thêm khung giờ',
+  'bookings.day': 'Ngày',
+  'bookings.length': 'Thời lượng',
+  'bookings.minutes15': '15 phút',
+  'bookings.minutes30': '30 phút',
+  'bookings.minutes45': '45 phút',
+  'bookings.minutes60': '60 phút',
+  'bookings.minutes90': '90 phút',
+  'bookings.upcoming': 'Khung giờ sắp tới',
+  'bookings.slotsFor': 'Khung giờ mới thuộc {bot}.',
+  'bookings.slotsForAll': 'Khung giờ mới dùng cho mọi bot.',
+  'bookings.loadFailed': 'Không tải được khung giờ',
+  'bookings.summary': '{total} khung giờ • {booked} đã đặt • {free} còn trống',
+  'bookings.empty': 'Chưa có khung giờ sắp tới. Khách chỉ đặt lịch được khi đã có khung giờ.',
+  'bookings.free': 'Trống',
+  'bookings.cancel': 'Hủy lịch hẹn',
+  'bookings.chooseRange': 'Hãy chọn ngày và khoảng thời gian trước.',
+  'bookings.added.other': 'Đã thêm {count} khung giờ.',
+  'bookings.noneAdded': 'Không thêm khung giờ nào; thời gian này đã có sẵn.',
+  'bookings.cancelConfirm': 'Hủy lịch hẹn của {name}? Khung giờ sẽ trống trở lại.',
+
+  'webhooks.endpoints': 'Địa chỉ nhận',
+  'webhooks.add': 'Thêm địa chỉ',
+  'webhooks.allDeliveries': 'Tất cả lượt gửi',
+  'webhooks.test': 'Gửi thử',
+  'webhooks.enable': 'Bật',
+  'webhooks.disable': 'Tắt',
+  'webhooks.allEvents': 'Mọi sự kiện',
+  'webhooks.loadFailed': 'Không tải được webhook',
+  'webhooks.disabled': 'Đã tắt',
+  'webhooks.meta': 'Sự kiện: {events} • Tạo lúc {time}',
+  'webhooks.deliveriesFailed': 'Không tải được lượt gửi',
+  'webhooks.noDeliveries': 'Chưa có lượt gửi',
+  'webhooks.redeliver': 'Gửi lại',
+  'webhooks.attempts.other': '{count} lần thử',
+  'webhooks.to': 'Đến {url}',
+  'webhooks.error': 'Lỗi: {error}',
+  'webhooks.nextAttempt': 'Lần thử tiếp theo {time}',
+  'webhooks.redeliveryOf': 'Gửi lại của {id}',
+  'webhooks.secret': 'Khóa ký (hãy sao chép ngay, khóa sẽ không hiển thị lại): {secret}',
+  'webhooks.addFailed': 'Thêm webhook thất bại: {message}',
+  'webhooks.testFailed': 'Gửi thử thất bại.',
+  'webhooks.updateFailed': 'Cập nhật webhook thất bại.',
+  'webhooks.deleteConfirm': 'Xóa webhook {url}?',
+  'webhooks.deleteFailed': 'Xóa webhook thất bại.',
+  'webhooks.redeliverFailed': 'Gửi lại thất bại.'
+});
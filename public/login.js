@@ -0,0 +1,51 @@
+class LoginPage {
+  constructor() {
+    const isLocal = (location.hostname === 'localhost' || location.hostname === '127.0.0.1');
+    const prodBaseRaw = (window.PROD_API_BASE || '/api').trim();
+    const prodBase = prodBaseRaw.startsWith('http')
+      ? prodBaseRaw
+      : (prodBaseRaw.startsWith('/') ? `${location.origin}${prodBaseRaw}` : `${location.origin}/${prodBaseRaw}`);
+    this.apiBaseUrl = isLocal ? 'http://localhost:3000/api' : prodBase;
+    this.form = document.getElementById('loginForm');
+    this.usernameInput = document.getElementById('username');
+    this.passwordInput = document.getElementById('password');
+    this.errorEl = document.getElementById('loginError');
+    I18n.switcher(document.getElementById('localeSelect'));
+
+    this.form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleLogin();
+    });
+    this.usernameInput.focus();
+  }
+
+  async handleLogin() {
+    this.errorEl.textContent = '';
+    try {
+      const res = await fetch(`${this.apiBaseUrl}/auth/login`, {
+        method: 'POST',
+        credentials: 'same-origin',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          username: this.usernameInput.value.trim(),
+          password: this.passwordInput.value
+        })
+      });
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        throw new Error(data.error || `${I18n.t('login.failed')}: ${res.status}`);
+      }
+      location.href = 'dashboard.html';
+    } catch (e) {
+      this.errorEl.textContent = e.message;
+      this.passwordInput.value = '';
+      this.passwordInput.focus();
+    }
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  // Shares the dashboard's choice of language
+  I18n.init({ storageKey: 'dashboard-locale' });
+  new LoginPage();
+});
@@ -18,13 +18,131 @@ function linkify(text) {
         .replace(/\n/g, '<br>');
 }
 
+// Parse one Server-Sent Event block into { event, data }
+function parseSseEvent(raw) {
+    let event = 'message';
+    const dataLines = [];
+    raw.split('\n').forEach((line) => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) dataLines.push(line.slice(5).trimStart());
+    });
+    if (!dataLines.length) return null;
+    try {
+        return { event, data: JSON.parse(dataLines.join('\n')) };
+    } catch (e) {
+        return null;
+    }
+}
+
+// Error for a failed API response, carrying its status
+async function responseError(response) {
+    const errorData = await response.json().catch(() => ({}));
+    const error = new Error(errorData.error || 'Failed to get response');
+    error.status = response.status;
+    error.code = errorData.code;
+    return error;
+}
+
+// Limits and validation errors (too long, too fast, too many messages) are
+// worth showing; known ones in the visitor's language, others as the server
+// worded them. Anything else gets the generic apology.
+const VISITOR_ERROR_KEYS = {
+    rate_limited: 'error.rateLimited',
+    invalid_message: 'error.invalidMessage',
+    message_too_long: 'error.messageTooLong',
+    flood_cooldown: 'error.flood',
+    flood_detected: 'error.flood',
+    turn_limit: 'error.turnLimit',
+    repeated_message: 'error.repeated',
+};
+function visitorErrorMessage(error) {
+    if (![400, 413, 429].includes(error.status)) return I18n.t('error.generic');
+    const key = VISITOR_ERROR_KEYS[error.code];
+    const max = document.getElementById('messageInput').maxLength;
+    return `⚠️ ${key ? I18n.t(key, { max }) : error.message}`;
+}
+
+// Configuration when running inside the embeddable widget's iframe
+// (widget.html): a JSON object in the URL fragment, written by widget.js.
+// null on the full chat page.
+function readEmbedConfig() {
+    if (!document.body.classList.contains('embed')) return null;
+    try {
+        return JSON.parse(decodeURIComponent(location.hash.slice(1))) || {};
+    } catch (e) {
+        return {};
+    }
+}
+const embedConfig = readEmbedConfig();
+
+// The widget's apiBase, accepted only on this page's own origin: the fragment
+// is written by whoever embeds the widget, and the session token is sent to
+// this base. null when missing or pointing elsewhere.
+function embedApiBase(config) {
+    if (!config || !config.apiBase) return null;
+    try {
+        const url = new URL(config.apiBase, location.href);
+        if (url.origin !== location.origin) {
+            console.warn('Ignoring widget apiBase on another origin:', url.origin);
+            return null;
+        }
+        return url.href.replace(/\/+$/, '');
+    } catch (e) {
+        return null;
+    }
+}
+
+// Bot this page talks to: the widget's data-bot-id, else ?bot=<id> on the
+// chat page, else the server's default bot
+const botId = (embedConfig && embedConfig.botId) ||
+    new URLSearchParams(location.search).get('bot') || 'default';
+
+// The visitor's session ({ sessionId, sessionToken }) is kept in localStorage,
+// one per bot, so reloading or moving to another page resumes the conversation.
+// Storage can be unavailable (private mode, blocked third-party storage); the
+// chat then simply starts fresh on every load.
+const SESSION_STORAGE_KEY = `chatbot-session:${botId}`;
+// Answers meaning the stored session is gone for good (token refused, nothing
+// stored, expired); any other failure keeps it for the next try
+const SESSION_GONE_STATUSES = [403, 404, 410];
+
+function loadStoredSession() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY) || 'null');
+        return saved && saved.sessionId && saved.sessionToken ? saved : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function storeSession(session) {
+    try {
+        if (session) localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+        else localStorage.removeItem(SESSION_STORAGE_KEY);
+    } catch (e) {
+        // Not persisted; the conversation lasts until the page is left
+    }
+}
+
 class Chatbot {
     constructor() {
         this.messageInput = document.getElementById('messageInput');
         this.sendButton = document.getElementById('sendButton');
+        this.newConversationButton = document.getElementById('newConversationButton');
         this.chatMessages = document.getElementById('chatMessages');
         this.typingIndicator = document.getElementById('typingIndicator');
         this.sessionId = null;
+        this.sessionToken = null;
+        this.botId = botId;
+        this.isStreaming = false;
+        this.streamController = null;
+        // Live operator messages and handoff changes (EventSource)
+        this.events = null;
+        this.handoffOperator = null;
+        // Bot settings from the server, kept to re-apply on a language change
+        this.bot = null;
+        this.supportsStreaming = typeof ReadableStream !== 'undefined' &&
+            typeof TextDecoder !== 'undefined' && typeof AbortController !== 'undefined';
         const isLocalhost = typeof window !== 'undefined' &&
             (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1');
         const prodBaseRaw = (window.PROD_API_BASE || '/api').trim();
@@ -32,9 +150,16 @@ class Chatbot {
             ? prodBaseRaw
             : (prodBaseRaw.startsWith('/') ? `${location.origin}${prodBaseRaw}` : `${location.origin}/${prodBaseRaw}`);
         this.apiBaseUrl = isLocalhost ? 'http://localhost:3000/api' : prodBase;
+        if (embedConfig) {
+            this.apiBaseUrl = embedApiBase(embedConfig) || this.apiBaseUrl;
+            this.applyEmbedConfig(embedConfig);
+        }
         this.init();
     }
     async init() {
+        I18n.switcher(document.getElementById('localeSelect'));
+        // Static texts are re-translated by I18n; the bot's own follow here
+        window.addEventListener('localechange', () => this.applyBotConfig(this.bot || {}));
         this.sendButton.addEventListener('click', () => this.sendMessage());
         this.messageInput.addEventListener('keypress', (e) => {
             if (e.key === 'Enter' && !e.shiftKey) {
@@ -42,32 +167,129 @@ class Chatbot {
                 this.sendMessage();
             }
         });
-        await this.initializeSession();
+        this.newConversationButton.addEventListener('click', () => this.startNewConversation());
+        // Stop any in-flight stream when the visitor leaves the page
+        window.addEventListener('pagehide', () => {
+            if (this.streamController) this.streamController.abort();
+            if (this.events) this.events.close();
+        });
+        if (!(await this.restoreSession())) await this.initializeSession();
+        this.connectEvents();
         this.messageInput.focus();
     }
+    // Title, greeting, colours and suggestions configured for the bot. Values
+    // set on the embed itself take precedence. The greeting and suggestions
+    // may be set per language ({ "en": ..., "vi": ... }).
+    applyBotConfig(bot) {
+        this.bot = bot;
+        const branding = { ...(bot.branding || {}), greeting: I18n.pick(bot.branding && bot.branding.greeting) };
+        ['primaryColor', 'textColor', 'title', 'greeting'].forEach((key) => {
+            if (embedConfig && embedConfig[key]) branding[key] = embedConfig[key];
+        });
+        const root = document.documentElement;
+        if (branding.primaryColor) root.style.setProperty('--widget-primary', branding.primaryColor);
+        if (branding.textColor) root.style.setProperty('--widget-on-primary', branding.textColor);
+        if (branding.title) document.getElementById('chatTitle').textContent = branding.title;
+        if (branding.greeting) document.getElementById('greeting').textContent = branding.greeting;
+        const suggestions = embedConfig && Array.isArray(embedConfig.suggestions) ? embedConfig.suggestions : I18n.pick(bot.suggestions);
+        renderSuggestions(suggestions || []);
+    }
+    // Branding and texts from the embed's data attributes
+    applyEmbedConfig(config) {
+        const root = document.documentElement;
+        if (config.primaryColor) root.style.setProperty('--widget-primary', config.primaryColor);
+        if (config.textColor) root.style.setProperty('--widget-on-primary', config.textColor);
+        if (config.title) document.getElementById('chatTitle').textContent = config.title;
+        if (config.greeting) document.getElementById('greeting').textContent = config.greeting;
+        document.getElementById('closeButton').addEventListener('click', () => {
+            window.parent.postMessage({ type: 'chatbot-widget:close' }, config.parentOrigin || '*');
+        });
+    }
     async sendMessage() {
         const message = this.messageInput.value.trim();
-        if (!message) return;
+        if (!message || this.isStreaming) return;
         this.addMessage(message, 'user');
         this.messageInput.value = '';
         this.showTypingIndicator();
+        if (this.supportsStreaming) {
+            await this.sendMessageStreaming(message);
+            return;
+        }
         try {
-            const response = await this.sendToBackend(message);
+            const reply = await this.sendToBackend(message);
             this.hideTypingIndicator();
-            this.addMessage(response, 'bot');
+            // An operator has the conversation; their reply arrives as an event
+            if (reply.handoff) return;
+            const bubble = this.addMessage(reply.response, 'bot');
+            this.addSources(bubble, reply.sources);
+            this.addFeedback(bubble, { id: reply.messageId });
+            this.offerSlots(bubble, reply.slots);
         } catch (error) {
             this.hideTypingIndicator();
-            this.addMessage('Sorry, I encountered an error. Please try again.', 'bot');
+            if (error.code === 'session_expired') {
+                await this.handleExpiredSession(message);
+                return;
+            }
+            this.addMessage(visitorErrorMessage(error), 'bot');
             console.error('Error sending message:', error);
         }
     }
-    addMessage(text, sender) {
+    async sendMessageStreaming(message) {
+        let bubble = null;
+        let text = '';
+        const render = () => {
+            if (!bubble) {
+                this.hideTypingIndicator();
+                bubble = this.addMessage(text, 'bot');
+            } else {
+                bubble.innerHTML = linkify(text);
+            }
+            this.scrollToBottom();
+        };
+        this.isStreaming = true;
+        this.streamController = new AbortController();
+        try {
+            await this.streamFromBackend(message, this.streamController.signal, (delta) => {
+                text += delta;
+                render();
+            }, (done) => {
+                if (done.handoff) {
+                    this.hideTypingIndicator();
+                    return;
+                }
+                // The server's final text is authoritative
+                text = done.response || '';
+                render();
+                this.addSources(bubble, done.sources);
+                this.addFeedback(bubble, { id: done.messageId });
+                this.offerSlots(bubble, done.slots);
+            });
+        } catch (error) {
+            this.hideTypingIndicator();
+            if (error.name === 'AbortError') {
+                console.warn('Chat stream aborted');
+            } else if (error.code === 'session_expired') {
+                await this.handleExpiredSession(message);
+            } else if (bubble) {
+                text += `\n\n⚠️ ${I18n.t('error.interrupted')}`;
+                render();
+                console.error('Error streaming message:', error);
+            } else {
+                this.addMessage(visitorErrorMessage(error), 'bot');
+                console.error('Error streaming message:', error);
+            }
+        } finally {
+            this.isStreaming = false;
+            this.streamController = null;
+        }
+    }
+    addMessage(text, sender, timestamp) {
         const messageDiv = document.createElement('div');
         messageDiv.className = `message ${sender}-message`;
         const avatar = document.createElement('div');
         avatar.className = 'message-avatar';
         const icon = document.createElement('i');
-        icon.className = sender === 'bot' ? 'fas fa-robot' : 'fas fa-user';
+        icon.className = { bot: 'fas fa-robot', operator: 'fas fa-user-tie' }[sender] || 'fas fa-user';
         avatar.appendChild(icon);
         const content = document.createElement('div');
         content.className = 'message-content';
@@ -76,22 +298,306 @@ class Chatbot {
         content.appendChild(messageText);
         const time = document.createElement('span');
         time.className = 'message-time';
-        time.textContent = this.getCurrentTime();
+        time.textContent = this.getCurrentTime(timestamp);
         content.appendChild(time);
         messageDiv.appendChild(avatar);
         messageDiv.appendChild(content);
         this.chatMessages.appendChild(messageDiv);
         this.scrollToBottom();
+        return messageText;
+    }
+    // A staff member's message, labelled with their name
+    addOperatorMessage(message) {
+        const bubble = this.addMessage(message.content, 'operator', message.createdAt);
+        const author = document.createElement('span');
+        author.className = 'message-author';
+        author.textContent = message.operator;
+        bubble.parentNode.insertBefore(author, bubble);
+        return bubble;
+    }
+    addNotice(text) {
+        const notice = document.createElement('div');
+        notice.className = 'chat-notice';
+        notice.textContent = text;
+        this.chatMessages.appendChild(notice);
+        this.scrollToBottom();
+    }
+    // Listen for operator messages and handoff changes on this session.
+    // Reconnects are left to EventSource, which replays missed messages.
+    connectEvents() {
+        if (this.events) this.events.close();
+        this.events = null;
+        if (!this.sessionId || typeof EventSource === 'undefined') return;
+        const params = new URLSearchParams({ token: this.sessionToken });
+        const url = `${this.apiBaseUrl}/conversation/${encodeURIComponent(this.sessionId)}/events?${params.toString()}`;
+        this.events = new EventSource(url);
+        this.events.addEventListener('message', (e) => {
+            const message = JSON.parse(e.data);
+            if (message.operator) this.addOperatorMessage(message);
+        });
+        this.events.addEventListener('handoff', (e) => {
+            const state = JSON.parse(e.data);
+            const operator = state.active ? state.operator : null;
+            if (operator === this.handoffOperator) return;
+            if (operator) this.addNotice(I18n.t('handoff.joined', { operator }));
+            else if (this.handoffOperator) this.addNotice(I18n.t('handoff.returned'));
+            this.handoffOperator = operator;
+        });
+    }
+    // Free consultation slots under a reply that talks about booking
+    offerSlots(bubble, slots) {
+        if (!bubble || !Array.isArray(slots) || !slots.length) return;
+        const container = document.createElement('div');
+        container.className = 'booking-slots';
+        bubble.parentNode.insertBefore(container, bubble.nextSibling);
+        this.renderSlotChoices(container, slots);
+        this.scrollToBottom();
+    }
+    renderSlotChoices(container, slots) {
+        container.innerHTML = '';
+        if (!slots.length) {
+            container.remove();
+            return;
+        }
+        slots.forEach((slot) => {
+            const button = document.createElement('button');
+            button.className = 'booking-slot';
+            button.textContent = formatSlot(slot);
+            button.addEventListener('click', () => this.showBookingForm(container, slots, slot));
+            container.appendChild(button);
+        });
+    }
+    showBookingForm(container, slots, slot) {
+        container.innerHTML = `
+            <form class="booking-form">
+                <div class="booking-form-title"></div>
+                <input name="name" type="text" data-i18n-placeholder="booking.name" maxlength="100" required>
+                <input name="email" type="email" data-i18n-placeholder="booking.email" maxlength="200" required>
+                <input name="phone" type="tel" data-i18n-placeholder="booking.phone" maxlength="40">
+                <div class="booking-form-error"></div>
+                <div class="booking-form-actions">
+                    <button type="submit" class="booking-slot" data-i18n="booking.submit"></button>
+                    <button type="button" class="booking-slot booking-back" data-i18n="booking.back"></button>
+                </div>
+            </form>
+        `;
+        I18n.apply(container);
+        const form = container.querySelector('form');
+        const errorEl = form.querySelector('.booking-form-error');
+        form.querySelector('.booking-form-title').textContent = formatSlot(slot);
+        form.querySelector('.booking-back').addEventListener('click', () => this.renderSlotChoices(container, slots));
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const submit = form.querySelector('[type="submit"]');
+            submit.disabled = true;
+            errorEl.textContent = '';
+            try {
+                const message = await this.bookSlot(slot, {
+                    name: form.elements.name.value,
+                    email: form.elements.email.value,
+                    phone: form.elements.phone.value,
+                });
+                container.remove();
+                this.addBookingMessage(message);
+            } catch (error) {
+                errorEl.textContent = error.message;
+                // Taken or gone: drop it from the choices
+                if (error.status === 404 || error.status === 409) {
+                    slots.splice(slots.indexOf(slot), 1);
+                    form.querySelector('[type="submit"]').remove();
+                }
+                submit.disabled = false;
+            }
+        });
+        form.elements.name.focus();
+    }
+    // Returns the confirmation message the server added to the conversation
+    async bookSlot(slot, contact) {
+        const response = await fetch(`${this.apiBaseUrl}/conversation/${encodeURIComponent(this.sessionId)}/booking`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-Session-Token': this.sessionToken || '' },
+            body: JSON.stringify({ slotId: slot.id, ...contact }),
+        });
+        if (!response.ok) throw await responseError(response);
+        return (await response.json()).message;
+    }
+    // Booking confirmation with a link to its calendar file
+    addBookingMessage(message) {
+        const bubble = this.addMessage(message.content, 'bot', message.createdAt);
+        const params = new URLSearchParams({ token: this.sessionToken });
+        const link = document.createElement('a');
+        link.className = 'booking-ics';
+        link.href = `${this.apiBaseUrl}/conversation/${encodeURIComponent(this.sessionId)}/bookings/${encodeURIComponent(message.booking.id)}/ics?${params.toString()}`;
+        link.textContent = `📅 ${I18n.t('booking.ics')}`;
+        link.setAttribute('download', '');
+        bubble.parentNode.insertBefore(link, bubble.nextSibling);
+        return bubble;
+    }
+    // "[1] Catalogue (p. 3)" lines under a reply that cites the knowledge base
+    addSources(bubble, sources) {
+        if (!bubble || !Array.isArray(sources) || !sources.length) return;
+        const list = document.createElement('ul');
+        list.className = 'message-sources';
+        sources.forEach((source) => {
+            const item = document.createElement('li');
+            item.textContent = `[${source.ref}] ${source.title}${source.location ? ` (${source.location})` : ''}`;
+            list.appendChild(item);
+        });
+        bubble.parentNode.insertBefore(list, bubble.nextSibling);
+        this.scrollToBottom();
+    }
+    // Thumbs up/down under a reply of the bot (`message` is the stored reply,
+    // { id, feedback }). A thumbs down asks for an optional comment; clicking
+    // the chosen thumb again withdraws the rating.
+    addFeedback(bubble, message) {
+        if (!bubble || !message || !message.id) return;
+        const bar = document.createElement('div');
+        bar.className = 'message-feedback';
+        bar.innerHTML = `
+            <button type="button" class="feedback-button" data-rating="up" data-i18n-title="feedback.up" data-i18n-aria-label="feedback.up"><i class="fas fa-thumbs-up"></i></button>
+            <button type="button" class="feedback-button" data-rating="down" data-i18n-title="feedback.down" data-i18n-aria-label="feedback.down"><i class="fas fa-thumbs-down"></i></button>
+            <form class="feedback-comment" hidden>
+                <input name="comment" type="text" maxlength="1000" data-i18n-placeholder="feedback.commentPlaceholder">
+                <button type="submit" class="booking-slot" data-i18n="feedback.send"></button>
+            </form>
+            <span class="feedback-thanks" data-i18n="feedback.thanks" hidden></span>
+        `;
+        I18n.apply(bar);
+        const form = bar.querySelector('form');
+        const thanks = bar.querySelector('.feedback-thanks');
+        let rating = message.feedback ? message.feedback.rating : null;
+        const show = () => {
+            bar.querySelectorAll('.feedback-button').forEach((button) => {
+                button.classList.toggle('selected', button.dataset.rating === rating);
+            });
+        };
+        bar.querySelectorAll('.feedback-button').forEach((button) => {
+            button.addEventListener('click', async () => {
+                const previous = rating;
+                rating = button.dataset.rating === rating ? null : button.dataset.rating;
+                show();
+                form.hidden = rating !== 'down';
+                thanks.hidden = true;
+                try {
+                    await this.sendFeedback(message.id, rating ? { rating } : null);
+                    if (rating === 'down') form.elements.comment.focus();
+                    else if (rating) thanks.hidden = false;
+                } catch (error) {
+                    rating = previous;
+                    show();
+                    form.hidden = true;
+                    console.error('Error sending feedback:', error);
+                }
+            });
+        });
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const comment = form.elements.comment.value.trim();
+            try {
+                if (comment) await this.sendFeedback(message.id, { rating: 'down', comment });
+                form.hidden = true;
+                thanks.hidden = false;
+            } catch (error) {
+                console.error('Error sending feedback:', error);
+            }
+        });
+        show();
+        bubble.parentNode.appendChild(bar);
+    }
+    // `feedback` is { rating, comment? }, or null to withdraw it
+    async sendFeedback(messageId, feedback) {
+        const url = `${this.apiBaseUrl}/conversation/${encodeURIComponent(this.sessionId)}/messages/${encodeURIComponent(messageId)}/feedback`;
+        const response = await fetch(url, {
+            method: feedback ? 'POST' : 'DELETE',
+            headers: { 'Content-Type': 'application/json', 'X-Session-Token': this.sessionToken || '' },
+            body: feedback ? JSON.stringify(feedback) : undefined,
+        });
+        if (!response.ok) throw await responseError(response);
+    }
+    // Resume the stored session and show its history. False when there is
+    // none or the server no longer accepts it (expired, unknown token). When
+    // the history cannot be loaded (server error, offline) the session is
+    // still resumed, without it.
+    async restoreSession() {
+        const saved = loadStoredSession();
+        if (!saved) return false;
+        try {
+            const [conversationRes, botRes] = await Promise.all([
+                fetch(`${this.apiBaseUrl}/conversation/${encodeURIComponent(saved.sessionId)}`, {
+                    headers: { 'X-Session-Token': saved.sessionToken },
+                }),
+                fetch(`${this.apiBaseUrl}/bots/${encodeURIComponent(this.botId)}`),
+            ]);
+            if (SESSION_GONE_STATUSES.includes(conversationRes.status)) {
+                storeSession(null);
+                return false;
+            }
+            if (!conversationRes.ok) throw new Error(`Conversation load failed: ${conversationRes.status}`);
+            const conversation = await conversationRes.json();
+            if (botRes.ok) this.applyBotConfig((await botRes.json()).bot);
+            this.sessionId = saved.sessionId;
+            this.sessionToken = saved.sessionToken;
+            conversation.messages
+                .filter((msg) => msg.role === 'user' || msg.role === 'assistant')
+                .forEach((msg) => {
+                    if (msg.operator) {
+                        this.addOperatorMessage(msg);
+                        return;
+                    }
+                    if (msg.booking) {
+                        this.addBookingMessage(msg);
+                        return;
+                    }
+                    const bubble = this.addMessage(msg.content, msg.role === 'user' ? 'user' : 'bot', msg.createdAt);
+                    if (msg.role === 'assistant') {
+                        this.addSources(bubble, msg.sources);
+                        this.addFeedback(bubble, msg);
+                    }
+                });
+            console.log('Session restored:', this.sessionId);
+            return true;
+        } catch (error) {
+            console.error('Error restoring session:', error);
+            this.sessionId = saved.sessionId;
+            this.sessionToken = saved.sessionToken;
+            return true;
+        }
+    }
+    // Forget the current conversation and start an empty one
+    async startNewConversation() {
+        if (this.streamController) this.streamController.abort();
+        this.hideTypingIndicator();
+        // Keep only the greeting
+        Array.from(this.chatMessages.querySelectorAll('.message, .chat-notice')).slice(1).forEach((el) => el.remove());
+        storeSession(null);
+        this.sessionId = null;
+        this.sessionToken = null;
+        this.handoffOperator = null;
+        await this.initializeSession();
+        this.connectEvents();
+        this.messageInput.focus();
+    }
+    // The server expired the session mid-conversation: start over and hand
+    // the unsent message back to the visitor
+    async handleExpiredSession(message) {
+        await this.startNewConversation();
+        this.addMessage(`⚠️ ${I18n.t('error.expired')}`, 'bot');
+        this.messageInput.value = message;
+        this.sendButton.disabled = false;
     }
     async initializeSession() {
         try {
             const response = await fetch(`${this.apiBaseUrl}/session`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ botId: this.botId }),
             });
             if (response.ok) {
                 const data = await response.json();
                 this.sessionId = data.sessionId;
+                this.sessionToken = data.sessionToken;
+                storeSession({ sessionId: this.sessionId, sessionToken: this.sessionToken });
+                if (data.bot) this.applyBotConfig(data.bot);
                 console.log('Session initialized:', this.sessionId);
             } else {
                 console.error('Failed to initialize session');
@@ -103,15 +609,59 @@ class Chatbot {
     async sendToBackend(message) {
         const response = await fetch(`${this.apiBaseUrl}/chat`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ message, sessionId: this.sessionId }),
+            headers: { 'Content-Type': 'application/json', 'X-Session-Token': this.sessionToken || '' },
+            body: JSON.stringify({ message, sessionId: this.sessionId, botId: this.botId }),
         });
         if (!response.ok) {
-            const errorData = await response.json();
-            throw new Error(errorData.error || 'Failed to get response');
+            throw await responseError(response);
         }
         const data = await response.json();
-        return data.response;
+        return {
+            response: data.response,
+            messageId: data.messageId,
+            sources: data.sources || [],
+            slots: data.slots || [],
+            handoff: data.handoff,
+        };
+    }
+    async streamFromBackend(message, signal, onDelta, onDone) {
+        const response = await fetch(`${this.apiBaseUrl}/chat/stream`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'text/event-stream',
+                'X-Session-Token': this.sessionToken || '',
+            },
+            body: JSON.stringify({ message, sessionId: this.sessionId, botId: this.botId }),
+            signal,
+        });
+        if (!response.ok) {
+            throw await responseError(response);
+        }
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let finished = false;
+        while (!finished) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                const evt = parseSseEvent(buffer.slice(0, boundary));
+                buffer = buffer.slice(boundary + 2);
+                if (!evt) continue;
+                if (evt.event === 'delta') {
+                    onDelta(evt.data.content || '');
+                } else if (evt.event === 'done') {
+                    onDone(evt.data);
+                    finished = true;
+                } else if (evt.event === 'error') {
+                    throw new Error(evt.data.error || 'Stream failed');
+                }
+            }
+        }
+        if (!finished) throw new Error('Stream ended unexpectedly');
     }
     showTypingIndicator() {
         this.typingIndicator.style.display = 'flex';
@@ -123,25 +673,26 @@ class Chatbot {
     scrollToBottom() {
         setTimeout(() => { this.chatMessages.scrollTop = this.chatMessages.scrollHeight; }, 100);
     }
-    getCurrentTime() {
-        const now = new Date();
+    // HH:MM of `timestamp` (an ISO string), or of now
+    getCurrentTime(timestamp) {
+        const now = timestamp ? new Date(timestamp) : new Date();
         const hours = now.getHours().toString().padStart(2, '0');
         const minutes = now.getMinutes().toString().padStart(2, '0');
         return `${hours}:${minutes}`;
     }
 }
-document.addEventListener('DOMContentLoaded', () => { new Chatbot(); });
-document.addEventListener('DOMContentLoaded', () => {
+// "Tue 21 Oct, 10:00" in the chosen language and the visitor's time zone
+function formatSlot(slot) {
+    return new Date(slot.start).toLocaleString(I18n.locale, {
+        weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit',
+    });
+}
+// Suggestion chips below the input; the list comes with the bot's settings
+function renderSuggestions(sampleQuestions) {
     const messageInput = document.getElementById('messageInput');
-    const sendButton = document.getElementById('sendButton');
-    messageInput.addEventListener('input', () => { sendButton.disabled = !messageInput.value.trim(); });
-    const sampleQuestions = [
-        "Hỗ trợ về vòng bi SKF",
-        "Hỗ trợ về sản phẩm phớt SKF",
-        "Tôi cần hỗ trợ về hộp số",
-        "Địa chỉ công ty bạn?"
-       
-    ];
+    const existing = document.querySelector('.suggestions');
+    if (existing) existing.remove();
+    if (!sampleQuestions.length) return;
     const suggestionsContainer = document.createElement('div');
     suggestionsContainer.className = 'suggestions';
     suggestionsContainer.style.cssText = `
@@ -171,6 +722,16 @@ document.addEventListener('DOMContentLoaded', () => {
     });
     const inputContainer = document.querySelector('.chat-input-container');
     inputContainer.parentNode.insertBefore(suggestionsContainer, inputContainer.nextSibling);
+}
+document.addEventListener('DOMContentLoaded', () => {
+    // The widget's data-locale, if set; otherwise the visitor's choice or browser
+    I18n.init({ locale: embedConfig && embedConfig.locale });
+    new Chatbot();
+});
+document.addEventListener('DOMContentLoaded', () => {
+    const messageInput = document.getElementById('messageInput');
+    const sendButton = document.getElementById('sendButton');
+    messageInput.addEventListener('input', () => { sendButton.disabled = !messageInput.value.trim(); });
 });
 
 
@@ -0,0 +1,154 @@
+// Embeddable chat widget loader.
+//
+//   <script src="https://your-chatbot.example.com/widget.js"
+//           data-bot-id="skf"
+//           data-primary-color="#0f62fe"
+//           data-greeting="Hi! How can we help?"
+//           data-suggestions="Pricing|Book a demo|Contact sales"
+//           data-position="bottom-left" async></script>
+//
+// Injects a floating launcher button and a chat panel into the host page.
+// Both live in a Shadow DOM so the host's CSS cannot restyle them, and the
+// chat itself runs in an iframe (widget.html) served by the chatbot server,
+// so it shares nothing with the host page. The host's origin must be listed
+// in the server's ALLOWED_ORIGINS.
+//
+// Data attributes:
+//   data-api-base       chatbot API (default: <origin of this script>/api)
+//   data-bot-id         bot to talk to (default: the server's default bot)
+//   data-primary-color  launcher, header and visitor-bubble colour
+//   data-text-color     text colour on the primary colour (default white)
+//   data-title          panel title
+//   data-greeting       first bot message
+//   data-suggestions    suggestion chips, separated by "|" (empty for none)
+//   data-locale         language of the chat panel, e.g. "vi" (default: the
+//                       visitor's browser language; they can switch in the panel)
+//   data-position       bottom-right (default) or bottom-left
+//
+// Colours, title, greeting and suggestions not given here come from the
+// bot's branding on the server.
+//
+// window.ChatbotWidget.open() / close() / toggle() control the panel.
+(function () {
+    const script = document.currentScript;
+    if (!script || window.ChatbotWidget) return;
+
+    const data = script.dataset;
+    const serverOrigin = new URL(script.src, location.href).origin;
+    const position = data.position === 'bottom-left' ? 'left' : 'right';
+    // The loader runs on the host page without the locale files, so its few
+    // labels live here
+    const LABELS = {
+        en: { panel: 'Chat', open: 'Open chat', close: 'Close chat' },
+        vi: { panel: 'Trò chuyện', open: 'Mở khung chat', close: 'Đóng khung chat' }
+    };
+    const labels = LABELS[String(data.locale || navigator.language || '').toLowerCase().split('-')[0]] || LABELS.en;
+
+    const config = {
+        apiBase: data.apiBase || `${serverOrigin}/api`,
+        parentOrigin: location.origin
+    };
+    if (data.botId) config.botId = data.botId;
+    if (data.primaryColor) config.primaryColor = data.primaryColor;
+    if (data.textColor) config.textColor = data.textColor;
+    if (data.title) config.title = data.title;
+    if (data.greeting) config.greeting = data.greeting;
+    if (data.locale) config.locale = data.locale;
+    if (data.suggestions !== undefined) {
+        config.suggestions = data.suggestions.split('|').map(s => s.trim()).filter(Boolean);
+    }
+
+    const host = document.createElement('div');
+    host.setAttribute('data-chatbot-widget', '');
+    const root = host.attachShadow({ mode: 'closed' });
+    root.innerHTML = `
+        <style>
+            :host { all: initial; }
+            .launcher {
+                position: fixed; bottom: 20px; ${position}: 20px; z-index: 2147483000;
+                width: 56px; height: 56px; border-radius: 50%; border: none; cursor: pointer;
+                background: var(--chatbot-primary, #667eea); color: var(--chatbot-on-primary, #ffffff);
+                box-shadow: 0 6px 20px rgba(0, 0, 0, 0.2);
+                display: flex; align-items: center; justify-content: center;
+                transition: transform 0.2s ease;
+            }
+            .launcher:hover { transform: scale(1.05); }
+            .launcher svg { width: 26px; height: 26px; fill: currentColor; }
+            .panel {
+                position: fixed; bottom: 88px; ${position}: 20px; z-index: 2147483000;
+                width: 380px; height: 600px; max-height: calc(100vh - 108px);
+                border-radius: 16px; overflow: hidden; background: #fff;
+                box-shadow: 0 20px 40px rgba(0, 0, 0, 0.2);
+                display: none;
+            }
+            .panel.open { display: block; }
+            .panel iframe { width: 100%; height: 100%; border: none; display: block; }
+            @media (max-width: 480px) {
+                .panel { top: 0; left: 0; right: 0; bottom: 0; width: 100%; height: 100%; max-height: none; border-radius: 0; }
+                .panel.open + .launcher { display: none; }
+            }
+        </style>
+        <div class="panel" role="dialog" aria-label="${labels.panel}"></div>
+        <button class="launcher" aria-label="${labels.open}" aria-expanded="false">
+            <svg viewBox="0 0 24 24" aria-hidden="true"><path d="M4 4h16a2 2 0 0 1 2 2v10a2 2 0 0 1-2 2H8l-4 4V6a2 2 0 0 1 2-2z"/></svg>
+        </button>
+    `;
+
+    const panel = root.querySelector('.panel');
+    const launcher = root.querySelector('.launcher');
+    let frame = null;
+
+    function setColors(primaryColor, textColor) {
+        if (primaryColor) host.style.setProperty('--chatbot-primary', primaryColor);
+        if (textColor) host.style.setProperty('--chatbot-on-primary', textColor);
+    }
+    setColors(config.primaryColor, config.textColor);
+    // Launcher colours the embed does not set come from the bot's branding
+    if (!config.primaryColor || !config.textColor) {
+        fetch(`${config.apiBase}/bots/${encodeURIComponent(config.botId || 'default')}`)
+            .then(response => (response.ok ? response.json() : null))
+            .then(body => {
+                const branding = (body && body.bot && body.bot.branding) || {};
+                setColors(config.primaryColor || branding.primaryColor, config.textColor || branding.textColor);
+            })
+            .catch(() => {});
+    }
+
+    // The iframe (and with it the chat session) is only created on first open
+    function open() {
+        if (!frame) {
+            frame = document.createElement('iframe');
+            frame.title = config.title || labels.panel;
+            frame.src = `${serverOrigin}/widget.html#${encodeURIComponent(JSON.stringify(config))}`;
+            panel.appendChild(frame);
+        }
+        panel.classList.add('open');
+        launcher.setAttribute('aria-expanded', 'true');
+        launcher.setAttribute('aria-label', labels.close);
+    }
+
+    function close() {
+        panel.classList.remove('open');
+        launcher.setAttribute('aria-expanded', 'false');
+        launcher.setAttribute('aria-label', labels.open);
+    }
+
+    function toggle() {
+        if (panel.classList.contains('open')) close();
+        else open();
+    }
+
+    launcher.addEventListener('click', toggle);
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && panel.classList.contains('open')) close();
+    });
+    window.addEventListener('message', (e) => {
+        if (e.origin === serverOrigin && e.data && e.data.type === 'chatbot-widget:close') close();
+    });
+
+    const mount = () => document.body.appendChild(host);
+    if (document.body) mount();
+    else document.addEventListener('DOMContentLoaded', mount);
+
+    window.ChatbotWidget = { open, close, toggle };
+})();
@@ -0,0 +1,53 @@
+const express = require('express');
+
+const BULK_SCOPES = ['pending', 'unanalyzed', 'stale', 'failed', 'all'];
+
+function toJobView(job) {
+  return {
+    id: job.id,
+    sessionId: job.key,
+    status: job.status,
+    reason: job.reason || null,
+    batchId: job.batchId || null,
+    attempts: job.attempts,
+    error: job.error,
+    retryAt: job.retryAt || null,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt
+  };
+}
+
+// Background lead analysis: bulk queueing and job progress
+function createAnalysisRouter({ scheduler, auth }) {
+  const router = express.Router();
+
+  router.post('/bulk', auth.requireRole('admin'), async (req, res) => {
+    const scope = (req.body && req.body.scope) || 'pending';
+    const botId = req.body && req.body.botId ? String(req.body.botId) : undefined;
+    if (!BULK_SCOPES.includes(scope)) {
+      return res.status(400).json({ error: `scope must be one of ${BULK_SCOPES.join(', ')}` });
+    }
+    try {
+      const { batchId, queued } = await scheduler.enqueueBulk({ scope, botId });
+      res.status(202).json({ batchId, queued, scope, progress: scheduler.summary(batchId) });
+    } catch (e) {
+      console.error('Bulk analysis error:', e);
+      res.status(500).json({ error: 'Failed to queue analysis' });
+    }
+  });
+
+  // Progress of all jobs, or of one bulk batch with ?batchId=
+  router.get('/jobs', auth.requireRole('viewer'), (req, res) => {
+    const { batchId } = req.query;
+    const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+    const jobs = scheduler.jobs()
+      .filter(job => !batchId || job.batchId === batchId)
+      .slice(0, Number.isFinite(limit) ? limit : 100)
+      .map(toJobView);
+    res.json({ autoAnalyze: scheduler.enabled, progress: scheduler.summary(batchId), jobs });
+  });
+
+  return router;
+}
+
+module.exports = { createAnalysisRouter };
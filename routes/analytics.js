@@ -0,0 +1,40 @@
+const express = require('express');
+const { computeAnalytics } = require('../lib/analytics');
+const { parseDateRange } = require('../lib/export');
+
+// Dashboard analytics.
+// GET /api/analytics?from=YYYY-MM-DD&to=YYYY-MM-DD (on conversation start)&botId=skf
+// Lead qualities are counted as the bot's analysis schema lists them
+// (`leadQualities(botId)`, every bot's together when none is selected); model
+// cost also covers the embedding of knowledge uploads, and conversations with
+// a confirmed booking reach the funnel's consultation stage.
+function createAnalyticsRouter({ storage, knowledge, bookings, bots, auth, pricing, leadQualities }) {
+  const router = express.Router();
+
+  router.get('/', auth.requireRole('viewer'), async (req, res) => {
+    let range;
+    let botId;
+    try {
+      range = parseDateRange(req.query);
+      botId = req.query.botId ? bots.get(String(req.query.botId)).id : null;
+    } catch (e) {
+      return res.status(e.status || 500).json({ error: e.message });
+    }
+    try {
+      const [qualities, calls, booked] = await Promise.all([
+        leadQualities(botId),
+        knowledge.usage({ botId }),
+        bookings.list({ botId, status: 'confirmed' })
+      ]);
+      const bookedSessions = new Set(booked.map(booking => booking.sessionId));
+      res.json(await computeAnalytics(storage.iterateConversations({ ...range, botId }), range, { pricing, qualities, calls, bookedSessions }));
+    } catch (e) {
+      console.error('Analytics error:', e);
+      res.status(500).json({ error: 'Failed to compute analytics' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAnalyticsRouter };
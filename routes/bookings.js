@@ -0,0 +1,71 @@
+const express = require('express');
+
+// Consultation slots and bookings. Anyone can see the free slots; viewers see
+// every slot and booking; agents manage availability and cancel bookings.
+// Visitors book from the chat through POST /api/conversation/:sessionId/booking.
+function createBookingsRouter({ bookings, bots, auth }) {
+  const router = express.Router();
+
+  function handle(fn) {
+    return async (req, res) => {
+      try {
+        await fn(req, res);
+      } catch (e) {
+        if (e.status) return res.status(e.status).json({ error: e.message });
+        console.error('Bookings endpoint error:', e);
+        res.status(500).json({ error: 'Bookings request failed' });
+      }
+    };
+  }
+
+  // Unknown bot ids are a 404; no id means every bot
+  function botIdParam(value) {
+    return value ? bots.get(String(value)).id : null;
+  }
+
+  // GET /api/bookings/availability?botId=skf — free upcoming slots (public)
+  router.get('/availability', handle(async (req, res) => {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 10, 1), 50);
+    res.json({ slots: await bookings.availability({ botId: botIdParam(req.query.botId) || undefined, limit }) });
+  }));
+
+  // GET /api/bookings/slots?botId=&from=&to= — slots with their bookings
+  router.get('/slots', auth.requireRole('viewer'), handle(async (req, res) => {
+    const { from, to } = req.query;
+    const slots = await bookings.listSlots({ botId: botIdParam(req.query.botId) || undefined, from, to });
+    res.json({ slots });
+  }));
+
+  // POST /api/bookings/slots { start, end, durationMinutes, botId? } — adds
+  // back-to-back slots between start and end
+  router.post('/slots', auth.requireRole('agent'), handle(async (req, res) => {
+    const { start, end, durationMinutes } = req.body || {};
+    const slots = await bookings.createSlots({
+      start,
+      end,
+      durationMinutes,
+      botId: botIdParam(req.body && req.body.botId),
+      createdBy: req.user.username
+    });
+    res.status(201).json({ slots });
+  }));
+
+  router.delete('/slots/:id', auth.requireRole('agent'), handle(async (req, res) => {
+    await bookings.deleteSlot(req.params.id);
+    res.json({ message: 'Slot deleted' });
+  }));
+
+  // GET /api/bookings?botId=&sessionId=&status=confirmed
+  router.get('/', auth.requireRole('viewer'), handle(async (req, res) => {
+    const { sessionId, status } = req.query;
+    res.json({ bookings: await bookings.list({ botId: botIdParam(req.query.botId) || undefined, sessionId, status }) });
+  }));
+
+  router.post('/:id/cancel', auth.requireRole('agent'), handle(async (req, res) => {
+    res.json({ booking: await bookings.cancel(req.params.id, req.user.username) });
+  }));
+
+  return router;
+}
+
+module.exports = { createBookingsRouter };
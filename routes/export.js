@@ -0,0 +1,52 @@
+const express = require('express');
+const { extractSchema } = require('../lib/leadExtraction');
+const { streamExport, parseExportQuery, DATASETS } = require('../lib/export');
+const { promptName } = require('../lib/bots');
+
+// Data exports for the dashboard and downstream tools.
+// GET /api/export/:dataset?format=csv|json|ndjson&from=YYYY-MM-DD&to=YYYY-MM-DD&quality=good|ok|spam&botId=skf
+// Lead columns follow the analysis schema of the selected bot (the default
+// bot's when exporting every bot); `quality` may be any lead quality its
+// schema allows (`leadQualities(botId)`, every bot's when none is selected).
+function createExportRouter({ storage, prompts, leads, bots, auth, leadQualities }) {
+  const router = express.Router();
+
+  router.get('/:dataset', auth.requireRole('viewer'), async (req, res) => {
+    const { dataset } = req.params;
+    let options;
+    let bot;
+    try {
+      if (!DATASETS.includes(dataset)) {
+        return res.status(404).json({ error: `Unknown export "${dataset}" (expected ${DATASETS.join(', ')})` });
+      }
+      const botId = req.query.botId ? String(req.query.botId) : null;
+      bot = bots.get(botId);
+      options = parseExportQuery(req.query, { qualities: await leadQualities(botId) });
+    } catch (e) {
+      return res.status(e.status || 500).json({ error: e.message });
+    }
+
+    try {
+      const analysisPrompt = await prompts.getActive(promptName(bot.id, 'analysis'));
+      const pipeline = dataset === 'leads' ? await leads.states() : undefined;
+      await streamExport(res, {
+        storage,
+        dataset,
+        format: options.format,
+        filters: options.filters,
+        schema: extractSchema(analysisPrompt.content),
+        pipeline
+      });
+    } catch (e) {
+      console.error('Export error:', e);
+      // Once rows are on the wire the status can no longer change; cut the
+      // response short so the client sees an incomplete download
+      if (res.headersSent) return res.destroy(e);
+      res.status(500).json({ error: 'Export failed' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createExportRouter };
@@ -0,0 +1,65 @@
+const express = require('express');
+
+// Knowledge-base documents. Viewers can browse documents and try searches;
+// admins upload and delete them.
+//
+// Uploads send the file itself as the request body:
+//   POST /api/knowledge/documents?filename=catalogue.pdf&title=&botId=skf
+// with the file's Content-Type. No botId shares the document with every bot.
+function createKnowledgeRouter({ knowledge, bots, auth, maxUploadBytes }) {
+  const router = express.Router();
+
+  function handle(fn) {
+    return async (req, res) => {
+      try {
+        await fn(req, res);
+      } catch (e) {
+        if (e.status) return res.status(e.status).json({ error: e.message });
+        console.error('Knowledge endpoint error:', e);
+        res.status(500).json({ error: 'Knowledge base request failed' });
+      }
+    };
+  }
+
+  // Unknown bot ids are a 404; no id means every bot
+  function botIdParam(value) {
+    return value ? bots.get(String(value)).id : null;
+  }
+
+  router.get('/documents', auth.requireRole('viewer'), handle(async (req, res) => {
+    res.json({ documents: await knowledge.list({ botId: botIdParam(req.query.botId) || undefined }) });
+  }));
+
+  router.post('/documents', auth.requireRole('admin'),
+    express.raw({ type: () => true, limit: maxUploadBytes }),
+    handle(async (req, res) => {
+      const document = await knowledge.add({
+        buffer: Buffer.isBuffer(req.body) ? req.body : null,
+        filename: req.query.filename,
+        contentType: req.get('Content-Type'),
+        title: req.query.title,
+        botId: botIdParam(req.query.botId),
+        createdBy: req.user.username
+      });
+      res.status(201).json({ document });
+    }));
+
+  router.get('/documents/:id', auth.requireRole('viewer'), handle(async (req, res) => {
+    res.json({ document: await knowledge.get(req.params.id) });
+  }));
+
+  router.delete('/documents/:id', auth.requireRole('admin'), handle(async (req, res) => {
+    await knowledge.remove(req.params.id);
+    res.json({ message: 'Document deleted' });
+  }));
+
+  // GET /api/knowledge/search?q=...&botId=skf — the passages a chat message would get
+  router.get('/search', auth.requireRole('viewer'), handle(async (req, res) => {
+    const passages = await knowledge.search(req.query.q, { botId: botIdParam(req.query.botId) || undefined });
+    res.json({ passages });
+  }));
+
+  return router;
+}
+
+module.exports = { createKnowledgeRouter };
@@ -0,0 +1,44 @@
+const express = require('express');
+
+// Lead pipeline API. Viewers can browse leads; agents and admins work them.
+function createLeadsRouter({ leads, auth }) {
+  const router = express.Router();
+
+  function handle(fn) {
+    return async (req, res) => {
+      try {
+        await fn(req, res);
+      } catch (e) {
+        if (e.status) return res.status(e.status).json({ error: e.message });
+        console.error('Leads endpoint error:', e);
+        res.status(500).json({ error: 'Lead pipeline request failed' });
+      }
+    };
+  }
+
+  // GET /api/leads?botId=skf&quality=good&status=new&industry=real&assignee=alice
+  router.get('/leads', auth.requireRole('viewer'), handle(async (req, res) => {
+    const { botId, quality, status, industry, assignee } = req.query;
+    const list = await leads.list({ botId, quality, status, industry, assignee });
+    res.json({ statuses: leads.statuses, leads: list });
+  }));
+
+  router.get('/conversation/:sessionId/lead', auth.requireRole('viewer'), handle(async (req, res) => {
+    res.json({ lead: await leads.get(req.params.sessionId) });
+  }));
+
+  router.patch('/conversation/:sessionId/lead', auth.requireRole('agent'), handle(async (req, res) => {
+    const { status, assignee, followUpAt } = req.body || {};
+    const lead = await leads.update(req.params.sessionId, { status, assignee, followUpAt }, req.user.username);
+    res.json({ lead });
+  }));
+
+  router.post('/conversation/:sessionId/lead/notes', auth.requireRole('agent'), handle(async (req, res) => {
+    const note = await leads.addNote(req.params.sessionId, req.body && req.body.text, req.user.username);
+    res.status(201).json({ note });
+  }));
+
+  return router;
+}
+
+module.exports = { createLeadsRouter };
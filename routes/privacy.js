@@ -0,0 +1,56 @@
+const express = require('express');
+
+// Retention policy and data-subject requests (admins only). A subject is
+// looked up by ?email= and/or ?phone=; see lib/privacy for what matches.
+function createPrivacyRouter({ privacy, auth }) {
+  const router = express.Router();
+  router.use(auth.requireRole('admin'));
+
+  function handle(fn) {
+    return async (req, res) => {
+      try {
+        await fn(req, res);
+      } catch (e) {
+        if (e.status) return res.status(e.status).json({ error: e.message });
+        console.error('Privacy endpoint error:', e);
+        res.status(500).json({ error: 'Privacy request failed' });
+      }
+    };
+  }
+
+  function subjectQuery(source) {
+    return { email: source.email, phone: source.phone };
+  }
+
+  // GET /api/privacy/retention — the policy and the last run
+  router.get('/retention', (req, res) => {
+    res.json(privacy.policy());
+  });
+
+  // POST /api/privacy/retention/run — apply the policy now
+  router.post('/retention/run', handle(async (req, res) => {
+    res.json(await privacy.applyRetention());
+  }));
+
+  // GET /api/privacy/subject?email=&phone= — conversations holding their data
+  router.get('/subject', handle(async (req, res) => {
+    res.json(await privacy.findSubject(subjectQuery(req.query)));
+  }));
+
+  // GET /api/privacy/subject/export?email=&phone= — everything stored, as a JSON download
+  router.get('/subject/export', handle(async (req, res) => {
+    const data = await privacy.exportSubject(subjectQuery(req.query));
+    res.set('Content-Disposition', `attachment; filename="subject-export-${data.exportedAt.slice(0, 10)}.json"`);
+    res.json(data);
+  }));
+
+  // POST /api/privacy/subject/erase { email?, phone? } — delete everything stored
+  router.post('/subject/erase', handle(async (req, res) => {
+    const result = await privacy.eraseSubject(subjectQuery(req.body || {}));
+    res.json(result);
+  }));
+
+  return router;
+}
+
+module.exports = { createPrivacyRouter };
@@ -0,0 +1,59 @@
+const express = require('express');
+
+// Prompt management API. Viewers can browse versions and diffs; only admins
+// can add versions or change which one is active.
+function createPromptsRouter({ prompts, auth }) {
+  const router = express.Router();
+
+  // Errors carrying a `status` (404 unknown prompt/version, 400 bad input)
+  // are returned as-is; anything else is a server error.
+  function handle(fn) {
+    return async (req, res) => {
+      try {
+        await fn(req, res);
+      } catch (e) {
+        if (e.status) return res.status(e.status).json({ error: e.message });
+        console.error('Prompts endpoint error:', e);
+        res.status(500).json({ error: 'Prompt store request failed' });
+      }
+    };
+  }
+
+  // GET /api/prompts?botId=skf lists one bot's prompts
+  router.get('/', auth.requireRole('viewer'), handle(async (req, res) => {
+    res.json({ prompts: await prompts.list({ botId: req.query.botId ? String(req.query.botId) : undefined }) });
+  }));
+
+  router.get('/:name', auth.requireRole('viewer'), handle(async (req, res) => {
+    res.json({ prompt: await prompts.get(req.params.name) });
+  }));
+
+  // Diff two versions; `to` defaults to the active version
+  router.get('/:name/diff', auth.requireRole('viewer'), handle(async (req, res) => {
+    const doc = await prompts.get(req.params.name);
+    const to = req.query.to || doc.activeVersion;
+    const from = req.query.from || to;
+    res.json(await prompts.diff(req.params.name, from, to));
+  }));
+
+  router.post('/:name/versions', auth.requireRole('admin'), handle(async (req, res) => {
+    const { content, note } = req.body || {};
+    const version = await prompts.createVersion(req.params.name, {
+      content,
+      note,
+      createdBy: req.user.username
+    });
+    res.status(201).json({ version });
+  }));
+
+  router.post('/:name/activate', auth.requireRole('admin'), handle(async (req, res) => {
+    const { version } = req.body || {};
+    if (!version) return res.status(400).json({ error: 'version is required' });
+    const doc = await prompts.activate(req.params.name, version, req.user.username);
+    res.json({ name: doc.name, activeVersion: doc.activeVersion });
+  }));
+
+  return router;
+}
+
+module.exports = { createPromptsRouter };
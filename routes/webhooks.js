@@ -0,0 +1,61 @@
+const express = require('express');
+
+// Webhook endpoints and their delivery log. Deliveries carry customer data,
+// so everything here is admin-only.
+function createWebhooksRouter({ webhooks, auth }) {
+  const router = express.Router();
+  router.use(auth.requireRole('admin'));
+
+  function handle(fn) {
+    return async (req, res) => {
+      try {
+        await fn(req, res);
+      } catch (e) {
+        if (e.status) return res.status(e.status).json({ error: e.message });
+        console.error('Webhooks endpoint error:', e);
+        res.status(500).json({ error: 'Webhook request failed' });
+      }
+    };
+  }
+
+  router.get('/', handle(async (req, res) => {
+    res.json({ events: webhooks.events, webhooks: await webhooks.list() });
+  }));
+
+  router.post('/', handle(async (req, res) => {
+    const { url, events, secret, description } = req.body || {};
+    res.status(201).json({ webhook: await webhooks.create({ url, events, secret, description }) });
+  }));
+
+  // GET /api/webhooks/deliveries?webhookId=&limit=
+  router.get('/deliveries', handle(async (req, res) => {
+    const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+    const list = await webhooks.deliveries({
+      webhookId: req.query.webhookId,
+      limit: Number.isFinite(limit) ? limit : 100
+    });
+    res.json({ deliveries: list });
+  }));
+
+  router.post('/deliveries/:id/redeliver', handle(async (req, res) => {
+    res.status(202).json({ delivery: await webhooks.redeliver(req.params.id) });
+  }));
+
+  router.patch('/:id', handle(async (req, res) => {
+    const { url, events, enabled, description } = req.body || {};
+    res.json({ webhook: await webhooks.update(req.params.id, { url, events, enabled, description }) });
+  }));
+
+  router.delete('/:id', handle(async (req, res) => {
+    await webhooks.remove(req.params.id);
+    res.json({ ok: true });
+  }));
+
+  router.post('/:id/test', handle(async (req, res) => {
+    res.status(202).json({ delivery: await webhooks.test(req.params.id) });
+  }));
+
+  return router;
+}
+
+module.exports = { createWebhooksRouter };
@@ -0,0 +1,30 @@
+// Local webhook receiver for testing deliveries.
+// Usage: npm run webhook-receiver -- <secret> [port]
+// Prints every delivery and whether its signature checks out. Set
+// WEBHOOK_RECEIVER_STATUS to answer with another status code (e.g. 500 to
+// exercise retries).
+const http = require('http');
+const { verifySignature } = require('../lib/webhooks');
+
+const secret = process.argv[2];
+const port = Number(process.argv[3]) || 4000;
+if (!secret) {
+  console.error('Usage: npm run webhook-receiver -- <secret> [port]');
+  process.exit(1);
+}
+const status = Number(process.env.WEBHOOK_RECEIVER_STATUS) || 200;
+
+http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const valid = verifySignature(secret, req.headers['x-webhook-signature'], body);
+    console.log(`${new Date().toISOString()} ${req.headers['x-webhook-event']} ` +
+      `delivery=${req.headers['x-webhook-delivery']} signature=${valid ? 'valid' : 'INVALID'}`);
+    console.log(body);
+    res.writeHead(valid ? status : 401, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ received: valid }));
+  });
+}).listen(port, () => {
+  console.log(`Webhook receiver listening on http://localhost:${port}`);
+});
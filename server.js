@@ -1,75 +1,254 @@
 const express = require('express');
-const cors = require('cors');
 const dotenv = require('dotenv');
-const OpenAI = require('openai');
 const path = require('path');
-const { createClient } = require('@supabase/supabase-js');
-const fs = require('fs');
+const crypto = require('crypto');
+const { createStorage } = require('./lib/storage');
+const { createLlm, createEmbedder } = require('./lib/providers');
+const { createAuth, hasRole } = require('./lib/auth');
+const { createContextManager } = require('./lib/context');
+const { createPromptStore } = require('./lib/prompts');
+const { createBotRegistry, defaultBotsFile, promptName, DEFAULT_BOT_ID } = require('./lib/bots');
+const { extractLead, extractSchema, leadQualities } = require('./lib/leadExtraction');
+const { createAnalysisScheduler } = require('./lib/analysisScheduler');
+const { createAnalysisRouter } = require('./routes/analysis');
+const { createLeadPipeline } = require('./lib/leads');
+const { createLeadsRouter } = require('./routes/leads');
+const { createExportRouter } = require('./routes/export');
+const { createAnalyticsRouter } = require('./routes/analytics');
+const { createPromptsRouter } = require('./routes/prompts');
+const { createWebhooks } = require('./lib/webhooks');
+const { createWebhooksRouter } = require('./routes/webhooks');
+const { createRateLimiter, rateLimit, createMessageGuard } = require('./lib/rateLimit');
+const { createOriginPolicy, parseAllowedOrigins } = require('./lib/origins');
+const { createKnowledgeBase, knowledgeMessage, citedSources } = require('./lib/knowledge');
+const { createKnowledgeRouter } = require('./routes/knowledge');
+const { createSessionEvents } = require('./lib/sessionEvents');
+const { createBookings, bookingIcs, mentionsBooking } = require('./lib/bookings');
+const { createBookingsRouter } = require('./routes/bookings');
+const { createToolRegistry, runTools } = require('./lib/tools');
+const { registerBuiltinTools } = require('./lib/tools/builtin');
+const { createPrivacy } = require('./lib/privacy');
+const { installLogRedaction } = require('./lib/privacy/redact');
+const { createPrivacyRouter } = require('./routes/privacy');
+const { normalizeFeedback } = require('./lib/feedback');
+const { createPricing, conversationUsage } = require('./lib/usage');
+const { parseSessionQuery } = require('./lib/sessionSearch');
 
 // Load environment variables
 dotenv.config();
 
+// Mask email addresses and phone numbers in everything the server logs
+// (LOG_REDACTION=off to see them, e.g. while debugging locally)
+if (process.env.LOG_REDACTION !== 'off') installLogRedaction();
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Initialize OpenAI
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
+// Initialize LLM profiles (provider + model settings for chat and analysis)
+const llm = createLlm();
+
+// Bots served by this deployment (bots.json or BOTS_FILE); each has its own
+// prompts, model settings, suggestions and branding
+const bots = createBotRegistry({ filePath: defaultBotsFile(__dirname), llm });
+
+// Prices for the token usage recorded on replies and lead analysis
+// (MODEL_PRICING adds to or overrides the built-in list; see lib/usage.js)
+const pricing = createPricing();
+
+// Token-budgeted context: pinned system prompt + running summary + recent turns
+const contextManager = createContextManager({
+  summaryProfile: llm.summary,
+  budget: Number(process.env.CONTEXT_TOKEN_BUDGET) || 3000
 });
 
-// Initialize Supabase (server-side with service role key)
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
-let supabase = null;
-if (SUPABASE_URL && SUPABASE_SERVICE_ROLE_KEY) {
-  supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
-} else {
-  console.warn('⚠️  SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY is not set. Conversations will not be persisted.');
+// Initialize conversation storage (Supabase, local file or memory)
+const storage = createStorage();
+if (storage.name === 'memory') {
+  console.warn('⚠️  Using in-memory storage. Conversations will not survive a restart.');
+} else if (storage.name === 'file') {
+  console.warn('⚠️  SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY is not set. Conversations are stored in a local file.');
+}
+
+// Operator authentication (dashboard/admin APIs) and visitor session tokens
+const auth = createAuth();
+
+// Behind a proxy (Vercel, nginx) req.ip must come from X-Forwarded-For for
+// per-IP limits to work. TRUST_PROXY takes Express's "trust proxy" values.
+function trustProxySetting(value) {
+  if (value === undefined || value === '') return process.env.VERCEL ? 1 : false;
+  if (/^\d+$/.test(value)) return Number(value);
+  if (value === 'true' || value === 'false') return value === 'true';
+  return value;
 }
+app.set('trust proxy', trustProxySetting(process.env.TRUST_PROXY));
+
+// Websites allowed to call the API and embed the widget (ALLOWED_ORIGINS).
+// In local development pages on any localhost port may too (the chat page
+// calls http://localhost:3000/api even when opened from 127.0.0.1 or a
+// live-reload server).
+const allowedOrigins = parseAllowedOrigins(process.env.ALLOWED_ORIGINS);
+if (!process.env.VERCEL && process.env.NODE_ENV !== 'production') {
+  allowedOrigins.push('http://localhost:*', 'http://127.0.0.1:*');
+}
+const origins = createOriginPolicy({ allowedOrigins });
 
 // Middleware
-app.use(cors());
-app.use(express.json());
+app.use(origins.cors());
+app.use('/api', origins.rejectForeign());
+// Knowledge uploads are read raw by their own route whatever their
+// Content-Type, so they skip the JSON parser (and its size limit)
+const parseJson = express.json({ limit: process.env.JSON_BODY_LIMIT || '16kb' });
+app.use((req, res, next) => {
+  if (req.method === 'POST' && req.path === '/api/knowledge/documents') return next();
+  parseJson(req, res, next);
+});
+
+// Serve dashboard page (operators only). Registered before the static
+// middleware so public/dashboard.html cannot be fetched directly.
+app.get(['/dashboard', '/dashboard.html'], (req, res) => {
+  if (!hasRole(auth.readUser(req), 'viewer')) {
+    return res.redirect('/login.html');
+  }
+  res.sendFile(path.join(__dirname, 'public', 'dashboard.html'));
+});
+
+// Chat panel of the embeddable widget (public/widget.js); only allowlisted
+// sites may frame it
+app.get('/widget.html', (req, res) => {
+  res.set('Content-Security-Policy', `frame-ancestors ${origins.frameAncestors()}`);
+  res.sendFile(path.join(__dirname, 'public', 'widget.html'));
+});
+
 // Serve static files from public directory (works locally and on Vercel)
 app.use(express.static(path.join(__dirname, 'public')));
 
 // In-memory conversation cache (optional) to reduce round trips
 const conversations = {};
 
-let SYSTEM_PROMPT = '';
-try {
-  const promptPath = path.join(__dirname, 'system_promt_tst.txt');
-  SYSTEM_PROMPT = fs.readFileSync(promptPath, 'utf8').trim();
-  if (!SYSTEM_PROMPT) {
-    console.warn('⚠️  system_promt_tst.txt is empty. Using minimal default prompt.');
-    SYSTEM_PROMPT = 'You are a helpful assistant.';
-  }
-} catch (e) {
-  console.warn('⚠️  Unable to read system_promt_tst.txt. Using fallback prompt.', e.message);
-  SYSTEM_PROMPT = 'You are a helpful assistant.';
+// Versioned prompts (chat system prompt, lead analysis prompt) for every bot.
+// The default bot's are seeded from system_promt_tst.txt, system_promt.txt and
+// cusor_promt.txt on first use.
+const prompts = createPromptStore({ storage, rootDir: __dirname, bots });
+
+// Knowledge base (uploaded documents) searched for passages on every chat
+// message; BM25 only unless EMBEDDINGS_PROVIDER is set
+const embedder = createEmbedder();
+const knowledge = createKnowledgeBase({
+  storage,
+  embedder,
+  chunkSize: Number(process.env.KNOWLEDGE_CHUNK_CHARS) || 1000,
+  maxPassages: Number(process.env.KNOWLEDGE_MAX_PASSAGES) || 4,
+  maxContextChars: Number(process.env.KNOWLEDGE_MAX_CHARS) || 4000,
+  minScore: Number(process.env.KNOWLEDGE_MIN_SCORE) || 0.5,
+  minSimilarity: Number(process.env.KNOWLEDGE_MIN_SIMILARITY) || 0.3
+});
+
+// Signed outbound webhooks for conversation and lead events
+const webhooks = createWebhooks({
+  storage,
+  timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS) || 5000,
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+  backoffMs: Number(process.env.WEBHOOK_BACKOFF_MS) || 2000,
+  allowPrivateHosts: process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true'
+});
+if (!process.env.VERCEL) {
+  webhooks.resume().catch(e => console.error('Webhook resume error:', e.message));
+  webhooks.start();
+}
+
+// Live operator messages and handoff changes for open chat windows and dashboards
+const sessionEvents = createSessionEvents();
+
+// Server-side tools the chat model may call during a turn (the built-in ones
+// are registered once leads and bookings exist, further down)
+const tools = createToolRegistry({ timeoutMs: Number(process.env.TOOL_TIMEOUT_MS) || 5000 });
+const TOOL_MAX_ROUNDS = Number(process.env.TOOL_MAX_ROUNDS) || 3;
+
+// Generate an unguessable session ID
+function generateSessionId() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+// Every stored message carries an id (visitors rate bot replies by it, the
+// dashboard looks up their cost by it)
+function generateMessageId() {
+  return crypto.randomUUID();
 }
 
-// Load analysis prompt for extracting customer info
-let ANALYSIS_PROMPT = '';
-try {
-  const analysisPromptPath = path.join(__dirname, 'cusor_promt.txt');
-  ANALYSIS_PROMPT = fs.readFileSync(analysisPromptPath, 'utf8').trim();
-  if (!ANALYSIS_PROMPT) {
-    console.warn('⚠️  cusor_promt.txt is empty. Using minimal analysis prompt.');
-    ANALYSIS_PROMPT = 'Return a strict JSON object with extracted customer info.';
+// Abuse protection for the public endpoints: per-IP limits on new sessions
+// and chat requests, a per-session chat limit, and per-message checks
+// (length, turn cap, repeats, floods) before anything reaches the model.
+const MINUTE_MS = 60 * 1000;
+const limitSessions = rateLimit(
+  createRateLimiter({ windowMs: MINUTE_MS, max: Number(process.env.RATE_LIMIT_SESSIONS_PER_IP) || 10 }),
+  { key: req => req.ip, message: 'Too many new sessions. Please try again later.' }
+);
+const limitLogins = rateLimit(
+  createRateLimiter({ windowMs: MINUTE_MS, max: Number(process.env.RATE_LIMIT_LOGINS_PER_IP) || 5 }),
+  { key: req => req.ip, message: 'Too many login attempts. Please try again later.' }
+);
+const limitChatPerIp = rateLimit(
+  createRateLimiter({ windowMs: MINUTE_MS, max: Number(process.env.RATE_LIMIT_CHAT_PER_IP) || 30 }),
+  { key: req => req.ip }
+);
+// Only requests holding the session's token count against it, so nobody can
+// use up a visitor's limit by sending their session id
+const limitChatPerSession = rateLimit(
+  createRateLimiter({ windowMs: MINUTE_MS, max: Number(process.env.RATE_LIMIT_CHAT_PER_SESSION) || 10 }),
+  {
+    key: req => {
+      const sessionId = req.body && typeof req.body.sessionId === 'string' ? req.body.sessionId : null;
+      return sessionId && auth.verifySessionToken(sessionId, auth.readSessionToken(req)) ? sessionId : null;
+    }
   }
-} catch (e) {
-  console.warn('⚠️  Unable to read cusor_promt.txt. Using fallback analysis prompt.', e.message);
-  ANALYSIS_PROMPT = 'Return a strict JSON object with extracted customer info.';
+);
+const messageGuard = createMessageGuard({
+  maxLength: Number(process.env.MAX_MESSAGE_LENGTH) || 500,
+  maxTurns: Number(process.env.MAX_TURNS_PER_SESSION) || 50
+});
+
+// Visitor sessions expire after SESSION_IDLE_MINUTES without a message (default
+// one day). The widget then starts a new conversation; operators can still
+// read the old one.
+const SESSION_IDLE_MS = (Number(process.env.SESSION_IDLE_MINUTES) || 24 * 60) * MINUTE_MS;
+
+function isExpired(conversation) {
+  return Date.now() - Date.parse(conversation.lastActivity) > SESSION_IDLE_MS;
 }
 
-// Generate a unique session ID
-function generateSessionId() {
-  return Date.now().toString(36) + Math.random().toString(36).substr(2);
+// Responds 410 for an expired session; true when it did
+function rejectExpired(res, conversation) {
+  if (!isExpired(conversation)) return false;
+  res.status(410).json({ error: 'This conversation has expired. Please start a new one.', code: 'session_expired' });
+  return true;
+}
+
+// Drop idle conversations from the cache so sessions that never got a
+// message do not pile up in memory (stored ones are reloaded on demand)
+function sweepIdleConversations() {
+  Object.keys(conversations).forEach(sessionId => {
+    if (!isExpired(conversations[sessionId])) return;
+    delete conversations[sessionId];
+    messageGuard.forget(sessionId);
+  });
+}
+if (!process.env.VERCEL) {
+  const sweepTimer = setInterval(sweepIdleConversations, 10 * MINUTE_MS);
+  if (sweepTimer.unref) sweepTimer.unref();
 }
 
-// Initialize or fetch conversation for a session (from Supabase, with in-memory cache)
-async function initializeConversation(sessionId) {
+// Responds with the guard's verdict; true when the message was rejected
+function rejectMessage(res, sessionId, conversation, message) {
+  const verdict = messageGuard.check(sessionId, conversation, message);
+  if (!verdict) return false;
+  if (verdict.retryAfter) res.set('Retry-After', String(verdict.retryAfter));
+  res.status(verdict.status).json({ error: verdict.error, code: verdict.code });
+  return true;
+}
+
+// Initialize or fetch conversation for a session (from storage, with in-memory cache).
+// `botId` only matters for a conversation that does not exist yet.
+async function initializeConversation(sessionId, botId) {
   // Serve from cache if available
   if (conversations[sessionId]) {
     return conversations[sessionId];
@@ -77,68 +256,210 @@ async function initializeConversation(sessionId) {
 
   const nowIso = new Date().toISOString();
 
-  if (!supabase) {
-    // Fallback to memory-only when Supabase not configured
-    conversations[sessionId] = {
-      messages: [
-        { role: 'system', content: SYSTEM_PROMPT }
-      ],
-      createdAt: nowIso,
-      lastActivity: nowIso
-    };
-    return conversations[sessionId];
-  }
-
-  // Try to fetch from Supabase
-  const { data, error } = await supabase
-    .from('conversation')
-    .select('conversation_id, created_at, messages')
-    .eq('conversation_id', sessionId)
-    .maybeSingle();
-
-  if (error) {
-    console.error('Supabase fetch error:', error);
+  let data = null;
+  try {
+    data = await storage.getConversation(sessionId);
+  } catch (e) {
+    console.error('Storage fetch error:', e);
   }
 
   if (!data) {
     // Do NOT insert yet. Only create in-memory conversation;
-    // we will persist to Supabase on first user message.
-    const initialMessages = [{ role: 'system', content: SYSTEM_PROMPT }];
+    // we will persist to storage on first user message.
+    // The conversation keeps the bot and prompt version it started with.
+    const bot = bots.resolve(botId);
+    const systemPrompt = await prompts.getActive(promptName(bot.id, 'chat'));
+    const initialMessages = [{ role: 'system', content: systemPrompt.content }];
     conversations[sessionId] = {
+      botId: bot.id,
       messages: initialMessages,
+      promptVersion: { name: systemPrompt.name, version: systemPrompt.version },
       createdAt: nowIso,
-      lastActivity: nowIso
+      lastActivity: nowIso,
+      isNew: true
     };
     return conversations[sessionId];
   }
 
-  // Normalize and cache
+  // Normalize and cache; the last message is the last activity
+  const messages = Array.isArray(data.messages) ? data.messages : [];
+  const lastMessage = messages.filter(m => m.role !== 'system' && m.createdAt).pop();
   conversations[sessionId] = {
-    messages: Array.isArray(data.messages) ? data.messages : [],
-    createdAt: data.created_at || nowIso,
-    lastActivity: nowIso
+    botId: data.botId || DEFAULT_BOT_ID,
+    messages,
+    summary: data.summary || null,
+    promptVersion: data.promptVersion || null,
+    handoff: data.handoff || null,
+    createdAt: data.createdAt || nowIso,
+    lastActivity: (lastMessage && lastMessage.createdAt) || data.createdAt || nowIso
   };
   return conversations[sessionId];
 }
 
 async function persistConversation(sessionId) {
-  if (!supabase) return; // skip when not configured
   const conversation = conversations[sessionId];
   if (!conversation) return;
-  const { error } = await supabase
-    .from('conversation')
-    .upsert(
-      { conversation_id: sessionId, messages: conversation.messages },
-      { onConflict: 'conversation_id' }
-    );
-  if (error) {
-    console.error('Supabase update error:', error);
+  try {
+    await storage.saveConversation(sessionId, {
+      messages: conversation.messages,
+      summary: conversation.summary || null,
+      promptVersion: conversation.promptVersion || undefined,
+      botId: conversation.botId,
+      handoff: conversation.handoff || null
+    });
+  } catch (e) {
+    console.error('Storage update error:', e);
+  }
+}
+
+// What a visitor's chat window gets of a stored message: the text and what it
+// shows with it (operator name, cited sources, booking), not the model, usage,
+// latency or tool calls recorded for the dashboard
+const VISITOR_MESSAGE_FIELDS = ['id', 'role', 'content', 'createdAt', 'feedback', 'operator', 'sources', 'booking'];
+function visitorMessage(message) {
+  return Object.fromEntries(VISITOR_MESSAGE_FIELDS.filter(field => message[field] !== undefined).map(field => [field, message[field]]));
+}
+
+function presentToVisitor(event, data) {
+  return event === 'message' ? visitorMessage(data) : data;
+}
+
+// A message as webhook payloads carry it
+function webhookMessage(message) {
+  return { role: message.role, content: message.content, ...(message.operator ? { operator: message.operator } : {}) };
+}
+
+// Sends messages just added to a conversation to its open event streams and
+// announces them as `conversation.message` (the first stored one also as
+// `conversation.created`). Every append goes through here: a visitor message
+// with the bot's reply, one held for an operator, an operator's reply and a
+// booking confirmation.
+function publishMessages(sessionId, conversation, ...messages) {
+  messages.forEach(message => sessionEvents.publish(sessionId, 'message', message, message.createdAt));
+  if (conversation.isNew) {
+    delete conversation.isNew;
+    webhooks.emit('conversation.created', {
+      sessionId,
+      botId: conversation.botId,
+      createdAt: conversation.createdAt,
+      promptVersion: conversation.promptVersion || null
+    });
+  }
+  const [message, reply] = messages;
+  webhooks.emit('conversation.message', {
+    sessionId,
+    botId: conversation.botId,
+    message: webhookMessage(message),
+    reply: reply ? webhookMessage(reply) : null,
+    messageCount: conversation.messages.filter(m => m.role !== 'system').length
+  });
+}
+
+// Handoff state as the chat window and dashboard see it
+function handoffState(conversation) {
+  return conversation.handoff
+    ? { active: true, operator: conversation.handoff.operator, startedAt: conversation.handoff.startedAt }
+    : { active: false };
+}
+
+// While an operator has the conversation the bot stays quiet: the visitor's
+// message is only stored and pushed to the operator's dashboard
+async function deliverToOperator(sessionId, conversation, userMessage) {
+  await persistConversation(sessionId);
+  analysisScheduler.noteMessage(sessionId, userMessage.content);
+  publishMessages(sessionId, conversation, userMessage);
+}
+
+// Adds a system message after the system prompt(s) of a context
+function insertSystemMessage(context, message) {
+  const at = context.findIndex(m => m.role !== 'system');
+  const next = context.slice();
+  next.splice(at === -1 ? next.length : at, 0, message);
+  return next;
+}
+
+// Knowledge-base passages for the latest visitor message, placed after the
+// system prompt(s). Returns the context to send and the passages used; a
+// failed search only costs the passages.
+async function withKnowledge(context, message, botId, onUsage) {
+  let passages = [];
+  try {
+    passages = await knowledge.search(message, { botId, onUsage });
+  } catch (e) {
+    console.error('Knowledge search error:', e);
   }
+  if (!passages.length) return { context, passages };
+  return { context: insertSystemMessage(context, knowledgeMessage(passages)), passages };
+}
+
+// Context for the reply to `message`: the assembled transcript with knowledge
+// passages, and the model calls made for it (`contextUsage` on the reply)
+async function buildContext(conversation, message) {
+  const contextUsage = [];
+  const onUsage = call => contextUsage.push(call);
+  const assembled = await contextManager.assemble(conversation, { onUsage });
+  const { context, passages } = await withKnowledge(assembled, message, conversation.botId, onUsage);
+  return { context, passages, contextUsage };
+}
+
+// Booking confirmations and the slots offered to the model are written in
+// BOOKING_TIME_ZONE; the chat window shows times in the visitor's own zone
+const BOOKING_TIME_ZONE = process.env.BOOKING_TIME_ZONE || 'UTC';
+const BOOKING_OFFER_SLOTS = 6;
+const slotTimeFormat = new Intl.DateTimeFormat('en-GB', { timeZone: BOOKING_TIME_ZONE, dateStyle: 'full', timeStyle: 'short' });
+
+// Free consultation slots when `text` (the visitor's message or the reply)
+// is about booking; the chat window offers them as buttons
+async function offerSlots(text, botId) {
+  if (!mentionsBooking(text)) return [];
+  try {
+    return await bookings.availability({ botId, limit: BOOKING_OFFER_SLOTS });
+  } catch (e) {
+    console.error('Booking availability error:', e);
+    return [];
+  }
+}
+
+// Tells the model which slots the visitor is being offered
+function withSlots(context, slots) {
+  if (!slots.length) return context;
+  return insertSystemMessage(context, {
+    role: 'system',
+    content: [
+      'Free consultation slots are shown to the visitor as buttons under your reply. They book one by',
+      'clicking it and entering their name and email; do not say a booking is made before that.',
+      `Free slots (${BOOKING_TIME_ZONE}):`,
+      ...slots.map(slot => `- ${slotTimeFormat.format(new Date(slot.start))}`)
+    ].join('\n')
+  });
+}
+
+// Slots the check_availability tool returned this turn (the latest call), for
+// the chat window's booking buttons; null when it was not called
+function slotsFromTools(calls) {
+  const call = calls.filter(c => c.name === 'check_availability' && c.result).pop();
+  return call ? call.result.slots.map(({ id, start, end }) => ({ id, start, end })) : null;
+}
+
+// Map LLM provider errors to an HTTP status and a user-facing message
+function describeProviderError(error) {
+  if (error.code === 'insufficient_quota') {
+    return { status: 402, message: 'API quota exceeded. Please check your OpenAI account.' };
+  }
+  if (error.code === 'invalid_api_key') {
+    return { status: 401, message: 'Invalid API key. Please check your OpenAI API key.' };
+  }
+  return { status: 500, message: 'Failed to get response from AI. Please try again.' };
+}
+
+// Write a single Server-Sent Event frame
+function sendSseEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
 }
 
 // API Routes
 
-// Health check endpoint (with Supabase diagnostics, sanitized)
+// Health check endpoint (with storage diagnostics, sanitized)
 app.get('/api/health', (req, res) => {
   let supabaseHost = null;
   try {
@@ -149,41 +470,110 @@ app.get('/api/health', (req, res) => {
   res.json({ 
     status: 'OK', 
     message: 'Server is running',
+    storage: {
+      driver: storage.name
+    },
     supabase: {
-      configured: Boolean(supabase),
+      configured: storage.name === 'supabase',
       host: supabaseHost
     }
   });
 });
 
-// Quick Supabase connectivity check (does not expose secrets)
-app.get('/api/debug/supabase', async (req, res) => {
-  if (!supabase) {
-    return res.status(200).json({ configured: false, ok: false, error: 'Supabase not configured on server' });
-  }
+// Operator login: sets an HttpOnly session cookie and also returns the token
+// for API clients that prefer `Authorization: Bearer <token>`
+app.post('/api/auth/login', limitLogins, async (req, res, next) => {
+  const { username, password } = req.body || {};
   try {
-    const { data, error } = await supabase
-      .from('conversation')
-      .select('conversation_id')
-      .limit(1);
-    if (error) {
-      return res.status(500).json({ configured: true, ok: false, error: error.message });
+    const user = await auth.authenticate(username, password);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid username or password' });
     }
-    return res.json({ configured: true, ok: true, sample: (data && data[0]) ? data[0] : null });
+    const token = auth.issueToken(user);
+    auth.setSessionCookie(req, res, token);
+    res.json({ user, token });
+  } catch (e) {
+    next(e);
+  }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  auth.clearSessionCookie(res);
+  res.json({ message: 'Logged out' });
+});
+
+app.get('/api/auth/me', auth.requireRole('viewer'), (req, res) => {
+  res.json({ user: req.user });
+});
+
+// Operators, for assignee pickers
+app.get('/api/auth/users', auth.requireRole('viewer'), (req, res) => {
+  res.json({ users: auth.listUsers() });
+});
+
+// Quick storage connectivity check (does not expose secrets)
+async function checkStorage(req, res) {
+  try {
+    const result = await storage.check();
+    const body = { driver: storage.name, configured: true, ...result };
+    return res.status(result.ok ? 200 : 500).json(body);
   } catch (e) {
-    return res.status(500).json({ configured: true, ok: false, error: e.message });
+    return res.status(500).json({ driver: storage.name, configured: true, ok: false, error: e.message });
   }
+}
+
+app.get('/api/debug/storage', auth.requireRole('admin'), checkStorage);
+
+// Kept for existing tooling; reports on whichever driver is active
+app.get('/api/debug/supabase', auth.requireRole('admin'), (req, res) => {
+  if (storage.name !== 'supabase') {
+    return res.status(200).json({ driver: storage.name, configured: false, ok: false, error: 'Supabase not configured on server' });
+  }
+  return checkStorage(req, res);
 });
 
-// Get or create a new session
-app.post('/api/session', async (req, res) => {
+// Bots (dashboard bot picker)
+app.get('/api/bots', auth.requireRole('viewer'), async (req, res) => {
+  try {
+    const list = await Promise.all(bots.list().map(async bot => ({
+      ...bots.publicConfig(bot),
+      models: bot.models,
+      leadQualities: await botLeadQualities(bot.id)
+    })));
+    res.json({
+      defaultId: bots.defaultId,
+      leadQualities: [...new Set(list.flatMap(bot => bot.leadQualities))],
+      bots: list
+    });
+  } catch (e) {
+    console.error('Bots error:', e);
+    res.status(500).json({ error: 'Failed to load bots' });
+  }
+});
+
+// Public settings of one bot (suggestions and branding for the chat page)
+app.get('/api/bots/:botId', (req, res) => {
+  if (!bots.has(req.params.botId)) {
+    return res.status(404).json({ error: `Unknown bot "${req.params.botId}"` });
+  }
+  res.json({ bot: bots.publicConfig(bots.get(req.params.botId)) });
+});
+
+// Get or create a new session, optionally for a bot ({ botId })
+app.post('/api/session', limitSessions, async (req, res) => {
+  const botId = req.body && req.body.botId ? String(req.body.botId) : bots.defaultId;
+  if (!bots.has(botId)) {
+    return res.status(404).json({ error: `Unknown bot "${botId}"` });
+  }
   try {
     const sessionId = generateSessionId();
-    await initializeConversation(sessionId);
-    if (supabase) {
-      // ensure row exists (initializeConversation already inserted if missing)
-    }
-    res.json({ sessionId, message: 'Session created successfully' });
+    await initializeConversation(sessionId, botId);
+    res.json({
+      sessionId,
+      sessionToken: auth.sessionToken(sessionId),
+      bot: bots.publicConfig(bots.get(botId)),
+      message: 'Session created successfully'
+    });
   } catch (e) {
     console.error('Session init error:', e);
     res.status(500).json({ error: 'Failed to create session' });
@@ -191,9 +581,11 @@ app.post('/api/session', async (req, res) => {
 });
 
 // Chat endpoint
-app.post('/api/chat', async (req, res) => {
+app.post('/api/chat', limitChatPerIp, limitChatPerSession, async (req, res) => {
+  let conversation;
+  let userMessage;
   try {
-    const { message, sessionId } = req.body;
+    const { message, sessionId, botId } = req.body;
     
     if (!message || !sessionId) {
       return res.status(400).json({ 
@@ -201,129 +593,515 @@ app.post('/api/chat', async (req, res) => {
       });
     }
 
-    // Initialize or get conversation
-    const conversation = await initializeConversation(sessionId);
+    if (!auth.verifySessionToken(sessionId, auth.readSessionToken(req))) {
+      return res.status(403).json({ error: 'Invalid session token' });
+    }
+
+    // Initialize or get conversation (botId is only used if the session's
+    // conversation was never stored, e.g. on a fresh serverless instance)
+    conversation = await initializeConversation(sessionId, botId);
+    if (rejectExpired(res, conversation)) return;
+    if (rejectMessage(res, sessionId, conversation, message)) return;
     
     // Add user message to conversation
-    conversation.messages.push({
-      role: 'user',
-      content: message
-    });
+    userMessage = { id: generateMessageId(), role: 'user', content: message, createdAt: new Date().toISOString() };
+    conversation.messages.push(userMessage);
     
     // Update last activity
     conversation.lastActivity = new Date().toISOString();
 
-    // Call OpenAI API
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4.1',
-      messages: conversation.messages,
-      max_tokens: 250,
-      temperature: 0.7,
+    if (conversation.handoff) {
+      await deliverToOperator(sessionId, conversation, userMessage);
+      return res.json({
+        response: null,
+        handoff: handoffState(conversation),
+        sessionId,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Call the configured chat model with the assembled context; it may call
+    // tools for a few rounds before it answers
+    const started = Date.now();
+    const bot = bots.resolve(conversation.botId);
+    const offered = await offerSlots(message, conversation.botId);
+    const { context, passages, contextUsage } = await buildContext(conversation, message);
+    const turn = await runTools({
+      profile: bots.profiles(bot).chat,
+      messages: withSlots(context, offered),
+      registry: tools,
+      names: bot.tools,
+      context: { sessionId, botId: conversation.botId },
+      maxRounds: TOOL_MAX_ROUNDS
     });
 
-    const aiResponse = completion.choices[0].message.content;
+    const aiResponse = turn.content;
+    const sources = citedSources(passages, aiResponse);
+    const slots = slotsFromTools(turn.calls) || (offered.length ? offered : await offerSlots(aiResponse, conversation.botId));
     
-    // Add AI response to conversation
-    conversation.messages.push({
+    // Add AI response to conversation (latency as the visitor saw it)
+    const assistantMessage = {
+      id: generateMessageId(),
       role: 'assistant',
-      content: aiResponse
-    });
-
-    // Keep only last 20 messages to manage memory
-    if (conversation.messages.length > 20) {
-      conversation.messages = conversation.messages.slice(-20);
-    }
+      content: aiResponse,
+      createdAt: new Date().toISOString(),
+      latencyMs: Date.now() - started,
+      model: turn.model,
+      usage: turn.usage,
+      ...(contextUsage.length ? { contextUsage } : {}),
+      ...(sources.length ? { sources } : {}),
+      ...(turn.calls.length ? { toolCalls: turn.calls } : {})
+    };
+    conversation.messages.push(assistantMessage);
 
-    // Persist to Supabase
+    // Persist to storage
     await persistConversation(sessionId);
+    publishMessages(sessionId, conversation, userMessage, assistantMessage);
+    analysisScheduler.noteMessage(sessionId, message);
 
     res.json({
       response: aiResponse,
+      messageId: assistantMessage.id,
+      sources,
+      slots,
       sessionId,
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error('OpenAI API Error:', error);
-    
-    // Handle different types of errors
-    if (error.code === 'insufficient_quota') {
-      return res.status(402).json({ 
-        error: 'API quota exceeded. Please check your OpenAI account.' 
-      });
-    } else if (error.code === 'invalid_api_key') {
-      return res.status(401).json({ 
-        error: 'Invalid API key. Please check your OpenAI API key.' 
-      });
-    } else {
-      return res.status(500).json({ 
-        error: 'Failed to get response from AI. Please try again.' 
-      });
+    // Drop the unanswered user turn so a retry does not duplicate it
+    const idx = userMessage ? conversation.messages.lastIndexOf(userMessage) : -1;
+    if (idx !== -1) conversation.messages.splice(idx, 1);
+
+    console.error('LLM API Error:', error);
+    const { status, message } = describeProviderError(error);
+    return res.status(status).json({ error: message });
+  }
+});
+
+// Streaming chat endpoint (Server-Sent Events).
+// Emits `delta` events with partial text (and a `tool` event, { name, ok }, for
+// each tool the model calls), then a single `done` event with the full reply.
+// Only the final assistant message is persisted; if the client disconnects or
+// the model errors mid-stream, the pending turn is dropped.
+app.post('/api/chat/stream', limitChatPerIp, limitChatPerSession, async (req, res) => {
+  const { message, sessionId, botId } = req.body || {};
+
+  if (!message || !sessionId) {
+    return res.status(400).json({
+      error: 'Message and sessionId are required'
+    });
+  }
+
+  if (!auth.verifySessionToken(sessionId, auth.readSessionToken(req))) {
+    return res.status(403).json({ error: 'Invalid session token' });
+  }
+
+  let conversation;
+  try {
+    conversation = await initializeConversation(sessionId, botId);
+  } catch (e) {
+    console.error('Stream session init error:', e);
+    return res.status(500).json({ error: 'Failed to load conversation' });
+  }
+  if (rejectExpired(res, conversation)) return;
+  if (rejectMessage(res, sessionId, conversation, message)) return;
+
+  const userMessage = { id: generateMessageId(), role: 'user', content: message, createdAt: new Date().toISOString() };
+  conversation.messages.push(userMessage);
+  conversation.lastActivity = new Date().toISOString();
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  if (conversation.handoff) {
+    await deliverToOperator(sessionId, conversation, userMessage);
+    sendSseEvent(res, 'done', {
+      response: null,
+      handoff: handoffState(conversation),
+      sessionId,
+      timestamp: new Date().toISOString()
+    });
+    return res.end();
+  }
+
+  // Abort the upstream request as soon as the client goes away
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) abortController.abort();
+  });
+
+  let aiResponse = '';
+  const started = Date.now();
+  try {
+    const bot = bots.resolve(conversation.botId);
+    const offered = await offerSlots(message, conversation.botId);
+    const { context, passages, contextUsage } = await buildContext(conversation, message);
+    const turn = await runTools({
+      profile: bots.profiles(bot).chat,
+      messages: withSlots(context, offered),
+      registry: tools,
+      names: bot.tools,
+      context: { sessionId, botId: conversation.botId },
+      maxRounds: TOOL_MAX_ROUNDS,
+      signal: abortController.signal,
+      onDelta: delta => {
+        aiResponse += delta;
+        sendSseEvent(res, 'delta', { content: delta });
+      },
+      onToolCall: call => sendSseEvent(res, 'tool', { name: call.name, ok: !call.error })
+    });
+
+    const sources = citedSources(passages, aiResponse);
+    const slots = slotsFromTools(turn.calls) || (offered.length ? offered : await offerSlots(aiResponse, conversation.botId));
+    const assistantMessage = {
+      id: generateMessageId(),
+      role: 'assistant',
+      content: aiResponse,
+      createdAt: new Date().toISOString(),
+      latencyMs: Date.now() - started,
+      model: turn.model,
+      usage: turn.usage,
+      ...(contextUsage.length ? { contextUsage } : {}),
+      ...(sources.length ? { sources } : {}),
+      ...(turn.calls.length ? { toolCalls: turn.calls } : {})
+    };
+    conversation.messages.push(assistantMessage);
+
+    await persistConversation(sessionId);
+    publishMessages(sessionId, conversation, userMessage, assistantMessage);
+    analysisScheduler.noteMessage(sessionId, message);
+
+    sendSseEvent(res, 'done', {
+      response: aiResponse,
+      messageId: assistantMessage.id,
+      sources,
+      slots,
+      sessionId,
+      timestamp: new Date().toISOString()
+    });
+    res.end();
+  } catch (error) {
+    // Drop the unanswered user turn so a retry does not duplicate it
+    const idx = conversation.messages.lastIndexOf(userMessage);
+    if (idx !== -1) conversation.messages.splice(idx, 1);
+
+    if (abortController.signal.aborted) {
+      console.warn(`Chat stream aborted by client (session ${sessionId})`);
+      return;
     }
+    console.error('LLM stream error:', error);
+    const { message: errorMessage } = describeProviderError(error);
+    sendSseEvent(res, 'error', { error: errorMessage, partial: aiResponse });
+    res.end();
   }
 });
 
-// Get conversation history
-app.get('/api/conversation/:sessionId', async (req, res) => {
+// Get conversation history (operators, or the visitor who owns the session;
+// the widget restores its conversation with this after a page load)
+app.get('/api/conversation/:sessionId', auth.requireSessionAccess, async (req, res) => {
   const { sessionId } = req.params;
-  const conversation = await initializeConversation(sessionId);
+  let conversation;
+  try {
+    conversation = await loadStoredConversation(sessionId);
+  } catch (e) {
+    console.error('Conversation load error:', e);
+    return res.status(500).json({ error: 'Failed to load conversation' });
+  }
   if (!conversation) {
     return res.status(404).json({ error: 'Conversation not found' });
   }
+  if (!req.user && rejectExpired(res, conversation)) return;
   res.json({
     sessionId,
-    messages: conversation.messages.filter(msg => msg.role !== 'system'),
+    botId: conversation.botId,
+    messages: conversation.messages
+      .filter(msg => msg.role !== 'system')
+      .map(msg => (req.user ? msg : visitorMessage(msg))),
+    handoff: handoffState(conversation),
+    promptVersion: conversation.promptVersion || null,
     createdAt: conversation.createdAt,
     lastActivity: conversation.lastActivity
   });
 });
 
+// Tokens and cost of a conversation: totals, replies, their context and lead analysis, per
+// model, and the cost of each reply by message id
+app.get('/api/conversation/:sessionId/usage', auth.requireRole('viewer'), async (req, res) => {
+  const { sessionId } = req.params;
+  try {
+    const record = await storage.getConversation(sessionId);
+    if (!record) return res.status(404).json({ error: 'Conversation not found' });
+    res.json({ sessionId, ...conversationUsage(record, pricing) });
+  } catch (e) {
+    console.error('Storage usage error:', e);
+    res.status(500).json({ error: 'Failed to load usage' });
+  }
+});
+
+// Live events of a conversation (Server-Sent Events): `handoff` with the
+// current state on connect and whenever it changes, and `message` for every new
+// message. EventSource cannot send headers, so visitors pass their session
+// token as ?token=. A reconnect with Last-Event-ID replays missed messages.
+app.get('/api/conversation/:sessionId/events', auth.requireSessionAccess, async (req, res) => {
+  const { sessionId } = req.params;
+  let conversation;
+  try {
+    conversation = await initializeConversation(sessionId);
+  } catch (e) {
+    console.error('Events session init error:', e);
+    return res.status(500).json({ error: 'Failed to load conversation' });
+  }
+  if (!req.user && rejectExpired(res, conversation)) return;
+  const stream = sessionEvents.subscribe(sessionId, res, req.user ? {} : { present: presentToVisitor });
+  stream.send('handoff', handoffState(conversation));
+  const lastEventId = req.get('Last-Event-ID');
+  if (lastEventId) {
+    conversation.messages
+      .filter(m => m.role !== 'system' && m.createdAt > lastEventId)
+      .forEach(m => stream.send('message', m, m.createdAt));
+  }
+});
+
+// Human handoff. An agent takes a stored conversation over, the bot stops
+// replying, the agent's messages go to the visitor live, and handing it back
+// lets the bot continue. Operator messages are stored as assistant messages
+// with the operator's username, so the bot sees them as context later.
+async function loadStoredConversation(sessionId) {
+  const cached = Boolean(conversations[sessionId]);
+  const conversation = await initializeConversation(sessionId);
+  if (!conversation.isNew) return conversation;
+  // Do not keep a blank conversation around for an unknown or erased id
+  if (!cached) delete conversations[sessionId];
+  return null;
+}
+
+app.post('/api/conversation/:sessionId/handoff', auth.requireRole('agent'), async (req, res) => {
+  const { sessionId } = req.params;
+  try {
+    const conversation = await loadStoredConversation(sessionId);
+    if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+    const current = conversation.handoff;
+    if (current && current.operator !== req.user.username) {
+      return res.status(409).json({ error: `${current.operator} is already handling this conversation` });
+    }
+    if (!current) {
+      conversation.handoff = { operator: req.user.username, startedAt: new Date().toISOString() };
+      await persistConversation(sessionId);
+      sessionEvents.publish(sessionId, 'handoff', handoffState(conversation));
+    }
+    res.json({ handoff: handoffState(conversation) });
+  } catch (e) {
+    console.error('Handoff error:', e);
+    res.status(500).json({ error: 'Failed to take over the conversation' });
+  }
+});
+
+app.delete('/api/conversation/:sessionId/handoff', auth.requireRole('agent'), async (req, res) => {
+  const { sessionId } = req.params;
+  try {
+    const conversation = await loadStoredConversation(sessionId);
+    if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+    if (conversation.handoff) {
+      conversation.handoff = null;
+      await persistConversation(sessionId);
+      sessionEvents.publish(sessionId, 'handoff', handoffState(conversation));
+    }
+    res.json({ handoff: handoffState(conversation) });
+  } catch (e) {
+    console.error('Hand back error:', e);
+    res.status(500).json({ error: 'Failed to hand the conversation back' });
+  }
+});
+
+// Operator message into a taken-over conversation ({ text })
+app.post('/api/conversation/:sessionId/messages', auth.requireRole('agent'), async (req, res) => {
+  const { sessionId } = req.params;
+  const text = typeof req.body?.text === 'string' ? req.body.text.trim() : '';
+  if (!text) return res.status(400).json({ error: 'text is required' });
+  try {
+    const conversation = await loadStoredConversation(sessionId);
+    if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+    if (!conversation.handoff) {
+      return res.status(409).json({ error: 'Take over the conversation before replying' });
+    }
+    const operatorMessage = {
+      id: generateMessageId(),
+      role: 'assistant',
+      content: text,
+      createdAt: new Date().toISOString(),
+      operator: req.user.username
+    };
+    conversation.messages.push(operatorMessage);
+    conversation.lastActivity = operatorMessage.createdAt;
+    await persistConversation(sessionId);
+    publishMessages(sessionId, conversation, operatorMessage);
+    res.status(201).json({ message: operatorMessage });
+  } catch (e) {
+    console.error('Operator message error:', e);
+    res.status(500).json({ error: 'Failed to send the message' });
+  }
+});
+
+// Visitor feedback on one of the bot's replies ({ rating: 'up' | 'down', comment? }).
+// Rating again replaces the earlier feedback; DELETE withdraws it.
+async function findRatedReply(req, res) {
+  const { sessionId, messageId } = req.params;
+  const conversation = await loadStoredConversation(sessionId);
+  if (!conversation) {
+    res.status(404).json({ error: 'Conversation not found' });
+    return null;
+  }
+  if (!req.user && rejectExpired(res, conversation)) return null;
+  const message = conversation.messages.find(m => m.id === messageId && m.role === 'assistant' && !m.operator && !m.booking);
+  if (!message) {
+    res.status(404).json({ error: 'Message not found' });
+    return null;
+  }
+  return message;
+}
+
+app.post('/api/conversation/:sessionId/messages/:messageId/feedback', limitChatPerIp, auth.requireSessionAccess, async (req, res) => {
+  try {
+    const feedback = normalizeFeedback(req.body);
+    const message = await findRatedReply(req, res);
+    if (!message) return;
+    message.feedback = feedback;
+    await persistConversation(req.params.sessionId);
+    res.json({ feedback });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error('Feedback error:', e);
+    res.status(500).json({ error: 'Failed to save the feedback' });
+  }
+});
+
+app.delete('/api/conversation/:sessionId/messages/:messageId/feedback', limitChatPerIp, auth.requireSessionAccess, async (req, res) => {
+  try {
+    const message = await findRatedReply(req, res);
+    if (!message) return;
+    if (message.feedback) {
+      delete message.feedback;
+      await persistConversation(req.params.sessionId);
+    }
+    res.json({ feedback: null });
+  } catch (e) {
+    console.error('Feedback error:', e);
+    res.status(500).json({ error: 'Failed to remove the feedback' });
+  }
+});
+
+// Book a consultation slot from the chat ({ slotId, name, email, phone }). The
+// confirmation joins the transcript as an assistant message carrying the
+// booking, so the bot knows about it and the chat window can offer the .ics.
+app.post('/api/conversation/:sessionId/booking', limitChatPerIp, auth.requireSessionAccess, async (req, res) => {
+  const { sessionId } = req.params;
+  const { slotId, name, email, phone } = req.body || {};
+  try {
+    const conversation = await loadStoredConversation(sessionId);
+    if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+    if (!req.user && rejectExpired(res, conversation)) return;
+    const booking = await bookings.book({ slotId, sessionId, botId: conversation.botId, name, email, phone });
+    const confirmation = {
+      id: generateMessageId(),
+      role: 'assistant',
+      content: `Your free consultation is booked for ${slotTimeFormat.format(new Date(booking.start))} (${BOOKING_TIME_ZONE}). ` +
+        `We will send the details to ${booking.email}.`,
+      createdAt: new Date().toISOString(),
+      booking: { id: booking.id, start: booking.start, end: booking.end }
+    };
+    conversation.messages.push(confirmation);
+    conversation.lastActivity = confirmation.createdAt;
+    await persistConversation(sessionId);
+    publishMessages(sessionId, conversation, confirmation);
+    res.status(201).json({
+      booking: { id: booking.id, start: booking.start, end: booking.end, status: booking.status },
+      message: confirmation
+    });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error('Booking error:', e);
+    res.status(500).json({ error: 'Failed to book the consultation' });
+  }
+});
+
+// Calendar file (.ics) for a booking of the conversation; visitors pass ?token=
+app.get('/api/conversation/:sessionId/bookings/:bookingId/ics', auth.requireSessionAccess, async (req, res) => {
+  try {
+    const booking = await bookings.get(req.params.bookingId);
+    if (booking.sessionId !== req.params.sessionId) return res.status(404).json({ error: 'Booking not found' });
+    const bot = bots.resolve(booking.botId);
+    const contact = [booking.email, booking.phone].filter(Boolean).join(', ');
+    const ics = bookingIcs(booking, {
+      title: `Consultation with ${(bot.branding && bot.branding.title) || bot.name || bot.id}`,
+      description: `Booked in chat by ${booking.name} (${contact}).`
+    });
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="consultation-${booking.start.slice(0, 10)}.ics"`);
+    res.send(ics);
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error('Booking calendar error:', e);
+    res.status(500).json({ error: 'Failed to create the calendar file' });
+  }
+});
+
 // Clear conversation
-app.delete('/api/conversation/:sessionId', async (req, res) => {
+app.delete('/api/conversation/:sessionId', auth.requireRole('admin'), async (req, res) => {
   const { sessionId } = req.params;
   delete conversations[sessionId];
-  if (supabase) {
-    const { error } = await supabase
-      .from('conversation')
-      .delete()
-      .eq('conversation_id', sessionId);
-    if (error) {
-      console.error('Supabase delete error:', error);
-      return res.status(500).json({ error: 'Failed to delete conversation' });
-    }
+  messageGuard.forget(sessionId);
+  try {
+    await storage.deleteConversation(sessionId);
+  } catch (e) {
+    console.error('Storage delete error:', e);
+    return res.status(500).json({ error: 'Failed to delete conversation' });
   }
   res.json({ message: 'Conversation cleared successfully' });
 });
 
-// Get all active sessions (for debugging)
-app.get('/api/sessions', async (req, res) => {
-  if (!supabase) {
-    const sessionList = Object.keys(conversations).map(sessionId => ({
-      sessionId,
-      messageCount: (conversations[sessionId].messages?.length || 1) - 1,
-      createdAt: conversations[sessionId].createdAt,
-      lastActivity: conversations[sessionId].lastActivity
-    }));
-    return res.json({ sessions: sessionList });
-  }
-
-  const { data, error } = await supabase
-    .from('conversation')
-    .select('conversation_id, created_at, messages')
-    .order('created_at', { ascending: false });
-  if (error) {
-    console.error('Supabase list sessions error:', error);
+// Sessions for the dashboard, a page at a time: searched (?q=) across messages
+// and lead fields, filtered (?botId=, from, to, minMessages, maxMessages,
+// quality, feedback=negative) and sorted (?sort=, order); see lib/sessionSearch.js
+app.get('/api/sessions', auth.requireRole('viewer'), async (req, res) => {
+  let query;
+  try {
+    const qualities = await botLeadQualities(req.query.botId ? String(req.query.botId) : null);
+    query = parseSessionQuery(req.query, { qualities });
+  } catch (e) {
+    return res.status(e.status || 500).json({ error: e.message });
+  }
+  let result;
+  try {
+    result = await storage.searchConversations(query);
+  } catch (e) {
+    console.error('Storage list sessions error:', e);
     return res.status(500).json({ error: 'Failed to list sessions' });
   }
-  const sessionList = (data || []).map(row => ({
-    sessionId: row.conversation_id,
-    messageCount: (row.messages?.length || 1) - 1,
-    createdAt: row.created_at,
-    lastActivity: row.created_at
+  const sessionList = result.sessions.map(row => ({
+    sessionId: row.sessionId,
+    botId: row.botId,
+    messageCount: row.messageCount,
+    createdAt: row.createdAt,
+    lastActivity: row.lastActivity,
+    promptVersion: row.promptVersion || null,
+    handoff: row.handoff || null,
+    analysisStatus: analysisScheduler.statusFor(row),
+    leadQuality: row.leadQuality || null,
+    feedback: row.feedback || { up: 0, down: 0 },
+    hits: row.hits || []
   }));
-  res.json({ sessions: sessionList });
+  res.json({ sessions: sessionList, total: result.total, limit: query.limit, offset: query.offset, terms: query.terms });
 });
 
+// Prompt management (dashboard)
+app.use('/api/prompts', createPromptsRouter({ prompts, auth }));
+
 // Build a transcript from messages for analysis
 function buildTranscriptFromMessages(messages) {
   const ordered = Array.isArray(messages) ? messages : [];
@@ -333,117 +1111,209 @@ function buildTranscriptFromMessages(messages) {
     .join('\n');
 }
 
-// Save analysis back to Supabase columns (if available), and an analysis_result jsonb
-async function saveAnalysis(sessionId, analysisObject) {
-  if (!supabase) return;
-  const payload = {
-    lead_analysic: analysisObject,
-    lead_analyzed_at: new Date().toISOString()
-  };
-  const { error } = await supabase
-    .from('conversation')
-    .update(payload)
-    .eq('conversation_id', sessionId);
-  if (error) {
-    console.error('Supabase update error (lead_analysic, lead_analyzed_at):', error);
-  }
+// Lead qualities the active analysis schema of `botId` allows, or those of
+// every bot together when no (known) bot is given
+async function botLeadQualities(botId) {
+  const scope = bots.has(botId) ? [bots.get(botId)] : bots.list();
+  const schemas = await Promise.all(scope.map(async bot => {
+    const analysisPrompt = await prompts.getActive(promptName(bot.id, 'analysis'));
+    return extractSchema(analysisPrompt.content);
+  }));
+  return [...new Set(schemas.flatMap(leadQualities))];
 }
 
-// Analyze conversation and store structured info
-app.post('/api/conversation/:sessionId/analyze', async (req, res) => {
-  try {
-    const { sessionId } = req.params;
-    if (!supabase) {
-      return res.status(500).json({ error: 'Supabase is not configured on server' });
-    }
-
-    // Fetch conversation directly from Supabase to ensure full history
-    const { data, error } = await supabase
-      .from('conversation')
-      .select('messages')
-      .eq('conversation_id', sessionId)
-      .maybeSingle();
-    if (error) {
-      console.error('Supabase fetch conversation error:', error);
-      return res.status(500).json({ error: 'Failed to fetch conversation' });
-    }
-    const messages = data?.messages || conversations[sessionId]?.messages || [];
-    if (!messages || messages.length === 0) {
-      return res.status(404).json({ error: 'No messages to analyze' });
-    }
+// Analyze a stored conversation and save the result. Resolves to the
+// validated analysis. Rejects with err.status 404 when there is nothing to
+// analyze, or err.code 'lead_extraction_failed' when the model never returns
+// a valid lead (that failure is recorded on the conversation).
+async function analyzeConversation(sessionId) {
+  // Fetch conversation directly from storage to ensure full history
+  const data = await storage.getConversation(sessionId);
+  const messages = data?.messages || conversations[sessionId]?.messages || [];
+  const turns = messages.filter(m => m.role !== 'system');
+  if (turns.length === 0) {
+    const err = new Error('No messages to analyze');
+    err.status = 404;
+    throw err;
+  }
 
-    const transcript = buildTranscriptFromMessages(messages.filter(m => m.role !== 'system'));
-
-    // Run OpenAI analysis
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4.1',
-      messages: [
-        { role: 'system', content: ANALYSIS_PROMPT },
-        { role: 'user', content: `Here is the full conversation transcript:\n\n${transcript}` }
-      ],
-      temperature: 0.1,
-      max_tokens: 500
+  // Each bot's analysis prompt carries its own lead schema
+  const bot = bots.resolve(data?.botId);
+  const transcript = buildTranscriptFromMessages(turns);
+  const analysisPrompt = await prompts.getActive(promptName(bot.id, 'analysis'));
+  const profile = bots.profiles(bot).analysis;
+  const started = Date.now();
+  // Tokens spent on the run, kept with the conversation whether or not it succeeds
+  const runUsage = ({ attempts, usage, model }) => ({
+    id: generateMessageId(),
+    at: new Date().toISOString(),
+    model: model || profile.model,
+    latencyMs: Date.now() - started,
+    attempts,
+    promptTokens: usage ? usage.promptTokens : 0,
+    completionTokens: usage ? usage.completionTokens : 0
+  });
+  try {
+    const result = await extractLead({
+      profile,
+      prompt: analysisPrompt.content,
+      transcript,
+      maxAttempts: Number(process.env.ANALYSIS_MAX_ATTEMPTS) || 3
     });
-
-    const content = completion.choices?.[0]?.message?.content || '';
-    let analysis;
-    try {
-      analysis = JSON.parse(content);
-    } catch (e) {
-      // Attempt to extract JSON substring if the model added text around it
-      const match = content.match(/\{[\s\S]*\}$/);
-      if (match) {
-        analysis = JSON.parse(match[0]);
-      } else {
-        return res.status(500).json({ error: 'AI did not return valid JSON', raw: content });
+    const { analysis, warnings } = result;
+    // Fields left blank because they did not validate are kept with the analysis
+    const error = warnings.length
+      ? { message: 'Some details were invalid and left blank', details: warnings, at: new Date().toISOString() }
+      : null;
+    if (warnings.length) console.warn(`⚠️  Lead analysis of ${sessionId}: ${warnings.join('; ')}`);
+    // A failed save rejects before any webhook announces the lead
+    await storage.saveAnalysis(sessionId, { analysis, status: 'analyzed', error, usage: runUsage(result) });
+    webhooks.emit('lead.analyzed', { sessionId, botId: bot.id, analysis });
+    // Only announce a good lead the first time it becomes one
+    if (analysis.leadQuality === 'good' && data?.analysis?.leadQuality !== 'good') {
+      webhooks.emit('lead.good', { sessionId, botId: bot.id, analysis });
+    }
+    return analysis;
+  } catch (e) {
+    if (e.code === 'lead_extraction_failed') {
+      // Recording the failure is best effort; the extraction error is what the caller sees
+      try {
+        await storage.saveAnalysis(sessionId, {
+          status: 'failed',
+          error: { message: e.message, details: e.details, raw: e.raw, at: new Date().toISOString() },
+          usage: runUsage(e)
+        });
+      } catch (saveError) {
+        console.error('Storage update error (analysis):', saveError);
       }
     }
+    throw e;
+  }
+}
+
+// Background analysis: after contact details arrive, after the conversation
+// goes idle, and in bulk from the dashboard
+const analysisScheduler = createAnalysisScheduler({
+  storage,
+  analyze: analyzeConversation,
+  enabled: process.env.AUTO_ANALYZE !== 'false',
+  concurrency: Number(process.env.ANALYSIS_CONCURRENCY) || 2,
+  maxAttempts: Number(process.env.ANALYSIS_JOB_ATTEMPTS) || 3,
+  idleMs: (Number(process.env.AUTO_ANALYZE_IDLE_MINUTES) || 10) * 60 * 1000
+});
+// Serverless instances do not live long enough for a periodic sweep
+if (!process.env.VERCEL) analysisScheduler.start();
 
-    // Save analysis
-    await saveAnalysis(sessionId, analysis);
+app.use('/api/analysis', createAnalysisRouter({ scheduler: analysisScheduler, auth }));
 
-    res.json({ sessionId, analysis });
+// Analyze conversation and store structured info
+app.post('/api/conversation/:sessionId/analyze', auth.requireRole('admin'), async (req, res) => {
+  const { sessionId } = req.params;
+  try {
+    const analysis = await analyzeConversation(sessionId);
+    res.json({ sessionId, status: 'analyzed', analysis });
   } catch (e) {
+    if (e.status === 404) {
+      return res.status(404).json({ error: e.message });
+    }
+    if (e.code === 'lead_extraction_failed') {
+      return res.status(422).json({ sessionId, status: 'failed', error: e.message, details: e.details, raw: e.raw });
+    }
     console.error('Analyze endpoint error:', e);
     res.status(500).json({ error: 'Failed to analyze conversation' });
   }
 });
 
 // Get stored analysis
-app.get('/api/conversation/:sessionId/analysis', async (req, res) => {
+app.get('/api/conversation/:sessionId/analysis', auth.requireRole('viewer'), async (req, res) => {
   try {
     const { sessionId } = req.params;
-    if (!supabase) {
-      return res.status(200).json({ sessionId, analysis: null });
-    }
-    const { data, error } = await supabase
-      .from('conversation')
-      .select('lead_analysic, lead_analyzed_at')
-      .eq('conversation_id', sessionId)
-      .maybeSingle();
-    if (error) {
-      console.error('Supabase get analysis error:', error);
-      return res.status(500).json({ error: 'Failed to get analysis' });
-    }
-    res.json({ sessionId, analysis: data?.lead_analysic || null, analyzedAt: data?.lead_analyzed_at || null });
+    const { analysis, analyzedAt, status, error } = await storage.getAnalysis(sessionId);
+    res.json({
+      sessionId,
+      analysis: analysis || null,
+      analyzedAt: analyzedAt || null,
+      status: status || null,
+      error: error || null
+    });
   } catch (e) {
     console.error('Get analysis endpoint error:', e);
     res.status(500).json({ error: 'Failed to get analysis' });
   }
 });
 
+// Lead pipeline (status, assignee, follow-ups, notes)
+const leads = createLeadPipeline({ storage, isKnownUser: auth.isKnownUser });
+app.use('/api', createLeadsRouter({ leads, auth }));
+
+// Consultation slots and bookings, linked to conversations and leads
+const bookings = createBookings({ storage, leads, webhooks });
+registerBuiltinTools(tools, {
+  leads,
+  knowledge,
+  bookings,
+  timeZone: BOOKING_TIME_ZONE,
+  formatTime: iso => slotTimeFormat.format(new Date(iso))
+});
+app.use('/api/bookings', createBookingsRouter({ bookings, bots, auth }));
+
+// Data retention (RETENTION_DAYS, RETENTION_ACTION) and data-subject
+// export/erase requests
+const privacy = createPrivacy({
+  storage,
+  leads,
+  bookings,
+  webhooks,
+  retentionDays: process.env.RETENTION_DAYS,
+  retentionAction: process.env.RETENTION_ACTION || 'anonymize',
+  forget: sessionId => {
+    delete conversations[sessionId];
+    messageGuard.forget(sessionId);
+  }
+});
+if (!process.env.VERCEL && privacy.policy().retentionDays) {
+  const applyRetention = () => privacy.applyRetention()
+    .then(({ processed, retentionAction }) => {
+      if (processed) console.log(`🧹 Retention: ${retentionAction === 'delete' ? 'deleted' : 'anonymised'} ${processed} conversations`);
+    })
+    .catch(e => console.error('Retention error:', e));
+  const retentionTimer = setInterval(applyRetention, 60 * MINUTE_MS);
+  if (retentionTimer.unref) retentionTimer.unref();
+  applyRetention();
+}
+app.use('/api/privacy', createPrivacyRouter({ privacy, auth }));
+
+// Conversation and lead-funnel metrics (dashboard)
+app.use('/api/analytics', createAnalyticsRouter({ storage, knowledge, bookings, bots, auth, pricing, leadQualities: botLeadQualities }));
+
+// Knowledge-base documents and search (dashboard)
+app.use('/api/knowledge', createKnowledgeRouter({
+  knowledge,
+  bots,
+  auth,
+  maxUploadBytes: (Number(process.env.KNOWLEDGE_MAX_UPLOAD_MB) || 10) * 1024 * 1024
+}));
+
+// Webhook endpoints and delivery log (dashboard)
+app.use('/api/webhooks', createWebhooksRouter({ webhooks, auth }));
+
+// CSV / JSON / NDJSON exports of conversations, transcripts and leads
+app.use('/api/export', createExportRouter({ storage, prompts, leads, bots, auth, leadQualities: botLeadQualities }));
+
 // Serve the main HTML file
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// Serve dashboard page
-app.get('/dashboard', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'dashboard.html'));
-});
-
 // Error handling middleware
 app.use((err, req, res, next) => {
+  // Oversized or malformed JSON bodies from express.json()
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'Request body is too large' });
+  }
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Invalid JSON body' });
+  }
   console.error('Server Error:', err);
   res.status(500).json({ 
     error: 'Internal server error' 
@@ -454,11 +1324,20 @@ app.use((err, req, res, next) => {
 if (!process.env.VERCEL) {
   app.listen(PORT, () => {
     console.log(`🚀 Server running on http://localhost:${PORT}`);
-    console.log(`📝 Make sure to set your OPENAI_API_KEY in the .env file`);
-    
-    // Check if API key is set
-    if (!process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY === 'your_openai_api_key_here') {
-      console.log('⚠️  WARNING: Please set your OPENAI_API_KEY in the .env file');
+    console.log(`🤖 Chat: ${llm.chat.providerName}/${llm.chat.model} • Analysis: ${llm.analysis.providerName}/${llm.analysis.model}`);
+    console.log(`🗂️  Bots: ${bots.list().map(bot => bot.id).join(', ')}`);
+    console.log(`📚 Knowledge search: ${embedder ? `BM25 + ${embedder.providerName}/${embedder.model} embeddings` : 'BM25'}`);
+    const unpriced = [llm.chat, llm.analysis].filter(profile => !pricing.priceOf(profile.model));
+    if (unpriced.length) {
+      console.log(`💲 No price for ${unpriced.map(profile => profile.model).join(', ')}; set MODEL_PRICING to count its cost`);
+    }
+    const retention = privacy.policy();
+    console.log(`🧹 Retention: ${retention.retentionDays ? `${retention.retentionAction} after ${retention.retentionDays} days` : 'keep forever'}`);
+
+    // Check if API key is set (only needed for the OpenAI provider)
+    const usesOpenAI = [llm.chat, llm.analysis, embedder].some(profile => profile && profile.providerName === 'openai');
+    if (usesOpenAI && (!process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY === 'your_openai_api_key_here')) {
+      console.log('⚠️  WARNING: Please set your OPENAI_API_KEY in the .env file (or use LLM_PROVIDER=mock)');
     }
   });
 }
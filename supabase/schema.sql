@@ -0,0 +1,96 @@
+-- Schema for the Supabase storage driver (STORAGE_DRIVER=supabase).
+-- Safe to re-run: every statement is idempotent.
+
+create table if not exists conversation (
+  conversation_id text primary key,
+  created_at timestamptz not null default now(),
+  messages jsonb not null default '[]'::jsonb,
+  lead_analysic jsonb,
+  lead_analyzed_at timestamptz
+);
+
+-- Running summary of older turns used for context assembly
+alter table conversation add column if not exists context_summary jsonb;
+
+-- Prompt version the conversation started with ({ name, version })
+alter table conversation add column if not exists prompt_version jsonb;
+
+-- Generic documents (prompts and other settings), keyed by (collection, id)
+create table if not exists app_document (
+  collection text not null,
+  id text not null,
+  data jsonb not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  primary key (collection, id)
+);
+
+-- Validated lead fields (see lib/leadExtraction.js) and extraction status
+alter table conversation add column if not exists lead_name text;
+alter table conversation add column if not exists lead_email text;
+alter table conversation add column if not exists lead_phone text;
+alter table conversation add column if not exists lead_industry text;
+alter table conversation add column if not exists lead_problem text;
+alter table conversation add column if not exists lead_availability text;
+alter table conversation add column if not exists lead_consultation boolean;
+alter table conversation add column if not exists lead_notes text;
+-- Lead qualities come from each bot's analysis schema, so they are not
+-- constrained here (older installs had a good/ok/spam check)
+alter table conversation add column if not exists lead_quality text;
+alter table conversation drop constraint if exists conversation_lead_quality_check;
+alter table conversation add column if not exists analysis_status text;
+alter table conversation add column if not exists analysis_error jsonb;
+create index if not exists conversation_lead_quality_idx on conversation (lead_quality);
+create index if not exists conversation_lead_email_idx on conversation (lead_email);
+
+-- Last write to the row (transcript, feedback, handoff); auto-analysis goes by last_activity below
+alter table conversation add column if not exists updated_at timestamptz default now();
+
+-- Bot the conversation belongs to (see lib/bots.js); older rows are the default bot's
+alter table conversation add column if not exists bot_id text not null default 'default';
+create index if not exists conversation_bot_id_idx on conversation (bot_id, created_at);
+
+-- Operator who has taken the conversation over from the bot ({ operator, startedAt }), if any
+alter table conversation add column if not exists handoff jsonb;
+
+-- When the retention policy anonymised the conversation (see lib/privacy)
+alter table conversation add column if not exists anonymized_at timestamptz;
+create index if not exists conversation_updated_at_idx on conversation (updated_at);
+
+-- Token usage of lead-analysis runs, newest last ([{ id, at, model, latencyMs, attempts,
+-- promptTokens, completionTokens }], see lib/usage.js); replies keep theirs on the message
+alter table conversation add column if not exists analysis_usage jsonb;
+
+-- Session list and search (see lib/sessionSearch.js): read instead of `messages`.
+-- search_text holds the visitor, bot and operator messages; the other columns
+-- are written with every transcript, and filled in below for older rows.
+alter table conversation add column if not exists message_count integer
+  generated always as (greatest(jsonb_array_length(messages) - 1, 0)) stored;
+alter table conversation add column if not exists last_activity timestamptz;
+alter table conversation add column if not exists feedback_up integer not null default 0;
+alter table conversation add column if not exists feedback_down integer not null default 0;
+alter table conversation add column if not exists search_text text;
+update conversation c set
+  last_activity = (select max((m->>'createdAt')::timestamptz) from jsonb_array_elements(c.messages) m
+                   where m->>'role' <> 'system' and m ? 'createdAt'),
+  feedback_up = (select count(*) from jsonb_array_elements(c.messages) m where m->'feedback'->>'rating' = 'up'),
+  feedback_down = (select count(*) from jsonb_array_elements(c.messages) m where m->'feedback'->>'rating' = 'down'),
+  search_text = coalesce((select string_agg(m->>'content', E'\n') from jsonb_array_elements(c.messages) m
+                          where m->>'role' <> 'system'), '')
+where c.search_text is null;
+create index if not exists conversation_last_activity_idx on conversation (last_activity);
+create index if not exists conversation_message_count_idx on conversation (message_count);
+
+-- Background analysis (see lib/analysisScheduler.js): when the last run failed
+-- (analysis_error.at), and whether the conversation has messages newer than its
+-- last analysis or failed run. The idle sweep reads only analysis_due rows.
+alter table conversation add column if not exists analysis_failed_at timestamptz;
+update conversation set analysis_failed_at = (analysis_error->>'at')::timestamptz
+where analysis_status = 'failed' and analysis_failed_at is null and analysis_error ? 'at';
+alter table conversation add column if not exists analysis_due boolean
+  generated always as (
+    jsonb_array_length(messages) > 1
+    and (greatest(lead_analyzed_at, analysis_failed_at) is null
+         or coalesce(last_activity, updated_at, created_at) > greatest(lead_analyzed_at, analysis_failed_at))
+  ) stored;
+create index if not exists conversation_analysis_due_idx on conversation (last_activity) where analysis_due;
@@ -0,0 +1,122 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createAnalysisScheduler } = require('../lib/analysisScheduler');
+const { analysisDue } = require('../lib/storage/memory');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function ago(ms) {
+  return new Date(Date.now() - ms).toISOString();
+}
+
+function row(sessionId, fields = {}) {
+  const updatedAt = fields.updatedAt || ago(2 * HOUR_MS);
+  return { sessionId, messageCount: 4, createdAt: ago(3 * HOUR_MS), updatedAt, lastActivity: updatedAt, analyzedAt: null, ...fields };
+}
+
+function schedulerFor(rows, { analyze = async () => {}, ...options } = {}) {
+  const analyzed = [];
+  const scheduler = createAnalysisScheduler({
+    storage: { listConversations: async () => rows, listAnalysisDue: async () => rows.filter(analysisDue) },
+    analyze: async sessionId => {
+      analyzed.push(sessionId);
+      return analyze(sessionId);
+    },
+    backoffMs: 1,
+    idleMs: HOUR_MS,
+    ...options
+  });
+  return { scheduler, analyzed };
+}
+
+async function settled(scheduler) {
+  for (;;) {
+    const { queued, running, retrying } = scheduler.summary();
+    if (!queued && !running && !retrying) return;
+    await new Promise(resolve => setTimeout(resolve, 1));
+  }
+}
+
+describe('createAnalysisScheduler', () => {
+  it('queues a conversation as soon as contact details arrive', async () => {
+    const { scheduler, analyzed } = schedulerFor([]);
+    scheduler.noteMessage('s1', 'I work in mining');
+    scheduler.noteMessage('s2', 'Mail me: lan@example.com');
+    await settled(scheduler);
+    assert.deepEqual(analyzed, ['s2']);
+  });
+
+  it('sweeps idle conversations that are un-analysed or changed since their analysis', async () => {
+    const rows = [
+      row('new'),
+      row('stale', { analyzedAt: ago(3 * HOUR_MS) }),
+      row('current', { analyzedAt: ago(HOUR_MS) }),
+      row('active', { updatedAt: ago(60 * 1000) }),
+      row('empty', { messageCount: 0 }),
+      // A feedback vote touched updatedAt, but the transcript is unchanged
+      row('rated', { analyzedAt: ago(3 * HOUR_MS), updatedAt: ago(2 * HOUR_MS), lastActivity: ago(4 * HOUR_MS) })
+    ];
+    const { scheduler, analyzed } = schedulerFor(rows);
+    await scheduler.sweep();
+    await settled(scheduler);
+    assert.deepEqual(analyzed.sort(), ['new', 'stale']);
+
+    // A job that finished after the last change is not repeated
+    await scheduler.sweep();
+    await settled(scheduler);
+    assert.equal(analyzed.length, 2);
+  });
+
+  it('leaves a failed conversation alone until the visitor says more, also after a restart', async () => {
+    const rows = [
+      row('failed', { analysisStatus: 'failed', analysisFailedAt: ago(1.5 * HOUR_MS) }),
+      row('continued', { analysisStatus: 'failed', analysisFailedAt: ago(2.5 * HOUR_MS) })
+    ];
+    const { scheduler, analyzed } = schedulerFor(rows);
+    await scheduler.sweep();
+    await settled(scheduler);
+    assert.deepEqual(analyzed, ['continued']);
+  });
+
+  it('queues bulk runs by scope', async () => {
+    const rows = [
+      row('new'),
+      row('stale', { analyzedAt: ago(3 * HOUR_MS) }),
+      row('current', { analyzedAt: ago(HOUR_MS) }),
+      row('failed', { analyzedAt: ago(HOUR_MS), analysisStatus: 'failed' })
+    ];
+    const never = () => new Promise(() => {});
+    const queuedFor = async scope => (await schedulerFor(rows, { analyze: never }).scheduler.enqueueBulk({ scope })).queued;
+    assert.equal(await queuedFor('unanalyzed'), 1);
+    assert.equal(await queuedFor('stale'), 1);
+    assert.equal(await queuedFor('failed'), 1);
+    assert.equal(await queuedFor(undefined), 2);
+
+    const { scheduler } = schedulerFor(rows, { analyze: never });
+    const { batchId, queued } = await scheduler.enqueueBulk({ scope: 'all' });
+    assert.equal(queued, 4);
+    assert.equal(scheduler.summary(batchId).total, 4);
+    assert.equal(scheduler.statusFor({ sessionId: 'new' }), 'pending');
+  });
+
+  it('does not retry conversations that cannot be analysed', async () => {
+    const { scheduler, analyzed } = schedulerFor([], {
+      analyze: async () => {
+        const err = new Error('Lead extraction failed validation');
+        err.code = 'lead_extraction_failed';
+        throw err;
+      }
+    });
+    scheduler.enqueue('s1', 'manual');
+    await settled(scheduler);
+    assert.deepEqual(analyzed, ['s1']);
+    assert.equal(scheduler.jobs()[0].status, 'failed');
+  });
+
+  it('reports the stored status when no job is pending', () => {
+    const { scheduler } = schedulerFor([]);
+    assert.equal(scheduler.statusFor({ sessionId: 'x', analysisStatus: 'failed' }), 'failed');
+    assert.equal(scheduler.statusFor({ sessionId: 'x', analyzedAt: ago(0) }), 'analyzed');
+    assert.equal(scheduler.statusFor({ sessionId: 'x' }), null);
+  });
+});
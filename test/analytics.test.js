@@ -0,0 +1,88 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { computeAnalytics, funnelStage, FUNNEL_STAGES } = require('../lib/analytics');
+
+const stageOf = (analysis, texts = []) =>
+  FUNNEL_STAGES[funnelStage({ analysis }, texts.map(content => ({ role: 'user', content })))].key;
+
+describe('funnelStage', () => {
+  it('starts every conversation at "started"', () => {
+    assert.equal(stageOf(null), 'started');
+    assert.equal(stageOf({ customerIndustry: '  ' }), 'started');
+  });
+
+  it('follows the analysis through the stages', () => {
+    assert.equal(stageOf({ customerIndustry: 'Mining' }), 'industry');
+    assert.equal(stageOf({ customerIndustry: 'Mining', customerProblem: 'Downtime' }), 'challenge');
+    assert.equal(stageOf({ customerProblem: 'Downtime', customerPhone: '0988920565' }), 'contact');
+    assert.equal(stageOf({ customerConsultation: true }), 'consultation');
+  });
+
+  it('puts conversations with a confirmed booking at "consultation"', () => {
+    assert.equal(FUNNEL_STAGES[funnelStage({ analysis: null }, [], true)].key, 'consultation');
+  });
+
+  it('counts contact details in visitor messages before analysis', () => {
+    assert.equal(stageOf(null, ['hello', 'my email is lan@example.com']), 'contact');
+    assert.equal(stageOf(null, ['we run 3 lines']), 'started');
+  });
+});
+
+describe('computeAnalytics', () => {
+  const record = (createdAt, analysis, ...messages) => ({ createdAt, analysis, messages: [{ role: 'system', content: 'prompt' }, ...messages] });
+  const user = content => ({ role: 'user', content });
+  const reply = latencyMs => ({ role: 'assistant', content: 'ok', latencyMs });
+
+  it('totals conversations per day, latency, quality and funnel', async () => {
+    const stats = await computeAnalytics([
+      record('2024-05-01T09:00:00.000Z', { leadQuality: 'good', customerIndustry: 'Mining' }, user('hi'), reply(100), user('mining'), reply(300)),
+      record('2024-05-03T09:00:00.000Z', null, user('hello'), reply(200)),
+      record('2024-05-03T10:00:00.000Z', null)
+    ], { from: '2024-05-01T00:00:00.000Z', to: '2024-05-03T23:59:59.999Z' });
+
+    assert.deepEqual(stats.totals, { conversations: 2, userMessages: 3, avgTurns: 1.5, analyzed: 1 });
+    assert.deepEqual(stats.perDay.map(d => [d.date, d.conversations, d.messages]), [
+      ['2024-05-01', 1, 4], ['2024-05-02', 0, 0], ['2024-05-03', 1, 2]
+    ]);
+    assert.deepEqual(stats.latency, { samples: 3, avgMs: 200, p50Ms: 200, p95Ms: 300 });
+    assert.equal(stats.leadQuality.good, 1);
+    assert.equal(stats.leadQuality.unanalyzed, 1);
+    assert.deepEqual(stats.funnel.map(s => s.count), [2, 1, 0, 0, 0]);
+    assert.equal(stats.funnel[1].rate, 50);
+  });
+
+  it('counts booked conversations in the funnel without an analysis', async () => {
+    const booked = { ...record('2024-05-01T09:00:00.000Z', null, user('hi')), sessionId: 's1' };
+    const other = { ...record('2024-05-01T10:00:00.000Z', null, user('hi')), sessionId: 's2' };
+    const stats = await computeAnalytics([booked, other], {}, { bookedSessions: new Set(['s1']) });
+    assert.deepEqual(stats.funnel.map(s => s.count), [2, 1, 1, 1, 1]);
+  });
+
+  it('counts model cost on the day of each call', async () => {
+    const late = {
+      ...record('2024-05-01T09:00:00.000Z', null, user('hi'), {
+        role: 'assistant', content: 'ok', createdAt: '2024-05-02T09:00:00.000Z', model: 'gpt-4.1', usage: { promptTokens: 1000, completionTokens: 0 }
+      }),
+      analysisUsage: [{ at: '2024-05-03T09:00:00.000Z', model: 'gpt-4.1', promptTokens: 2000, completionTokens: 0 }]
+    };
+    const calls = [
+      { kind: 'embedding', at: '2024-05-01T12:00:00.000Z', model: 'text-embedding-3-small', usage: { promptTokens: 1000000, completionTokens: 0 } },
+      { kind: 'embedding', at: '2024-04-30T12:00:00.000Z', model: 'text-embedding-3-small', usage: { promptTokens: 1000000, completionTokens: 0 } }
+    ];
+    const stats = await computeAnalytics([late], { from: '2024-05-01T00:00:00.000Z', to: '2024-05-03T23:59:59.999Z' }, { calls });
+    assert.deepEqual(stats.perDay.map(d => [d.date, d.conversations, d.promptTokens, d.cost]), [
+      ['2024-05-01', 1, 1000000, 0.02], ['2024-05-02', 0, 1000, 0.002], ['2024-05-03', 0, 2000, 0.004]
+    ]);
+    assert.equal(stats.usage.cost, 0.026);
+  });
+
+  it('counts the qualities it is given and keeps ones no longer listed', async () => {
+    const stats = await computeAnalytics([
+      record('2024-05-01T09:00:00.000Z', { leadQuality: 'hot' }, user('hi')),
+      record('2024-05-01T10:00:00.000Z', { leadQuality: 'good' }, user('hi')),
+      record('2024-05-01T11:00:00.000Z', null, user('hi'))
+    ], { from: '2024-05-01T00:00:00.000Z', to: '2024-05-01T23:59:59.999Z' }, { qualities: ['hot', 'cold'] });
+    assert.deepEqual(stats.leadQuality, { hot: 1, cold: 0, unanalyzed: 1, good: 1 });
+    assert.equal(stats.totals.analyzed, 2);
+  });
+});
@@ -0,0 +1,137 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createAuth, hashPassword, verifyPassword, hasRole } = require('../lib/auth');
+
+const HASH = hashPassword('correct horse', 'a1b2c3');
+const ENV = { AUTH_SECRET: 'test-secret', AUTH_USERS: `ada:admin:${HASH},vic:viewer:${HASH}` };
+
+function request({ cookie, authorization, sessionToken, sessionId } = {}) {
+  const headers = {};
+  if (cookie) headers.cookie = cookie;
+  if (authorization) headers.authorization = authorization;
+  if (sessionToken) headers['x-session-token'] = sessionToken;
+  return { headers, params: { sessionId }, query: {}, body: {} };
+}
+
+function response() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+describe('password hashing', () => {
+  it('verifies the password it was made from', async () => {
+    assert.match(HASH, /^scrypt\$a1b2c3\$[0-9a-f]{128}$/);
+    assert.equal(await verifyPassword('correct horse', HASH), true);
+    assert.equal(await verifyPassword('wrong horse', HASH), false);
+    assert.equal(await verifyPassword('correct horse', 'plain'), false);
+  });
+
+  it('salts every hash', () => {
+    assert.notEqual(hashPassword('pw'), hashPassword('pw'));
+  });
+});
+
+describe('hasRole', () => {
+  it('lets higher roles do what lower ones can', () => {
+    assert.equal(hasRole({ role: 'admin' }, 'viewer'), true);
+    assert.equal(hasRole({ role: 'agent' }, 'viewer'), true);
+    assert.equal(hasRole({ role: 'agent' }, 'admin'), false);
+    assert.equal(hasRole({ role: 'viewer' }, 'admin'), false);
+    assert.equal(hasRole(null, 'viewer'), false);
+  });
+});
+
+describe('createAuth', () => {
+  const auth = createAuth(ENV);
+
+  it('authenticates known users with the right password', async () => {
+    assert.deepEqual(await auth.authenticate('ada', 'correct horse'), { username: 'ada', role: 'admin' });
+    assert.equal(await auth.authenticate('ada', 'nope'), null);
+    assert.equal(await auth.authenticate('nobody', 'correct horse'), null);
+  });
+
+  it('takes as long to reject an unknown user as a wrong password', async () => {
+    const timed = async (username, password) => {
+      const started = performance.now();
+      assert.equal(await auth.authenticate(username, password), null);
+      return performance.now() - started;
+    };
+    const wrongPassword = await timed('ada', 'nope');
+    const unknownUser = await timed('nobody', 'nope');
+    assert.ok(unknownUser > wrongPassword / 4, `${unknownUser}ms vs ${wrongPassword}ms`);
+  });
+
+  it('lists operators without their password hashes', () => {
+    assert.deepEqual(auth.listUsers(), [{ username: 'ada', role: 'admin' }, { username: 'vic', role: 'viewer' }]);
+    assert.equal(auth.isKnownUser('vic'), true);
+    assert.equal(auth.isKnownUser('mallory'), false);
+  });
+
+  it('reads operators from signed tokens in a cookie or bearer header', () => {
+    const token = auth.issueToken({ username: 'vic', role: 'viewer' });
+    assert.deepEqual(auth.readUser(request({ cookie: `other=1; dashboard_session=${token}` })), { username: 'vic', role: 'viewer' });
+    assert.deepEqual(auth.readUser(request({ authorization: `Bearer ${token}` })), { username: 'vic', role: 'viewer' });
+  });
+
+  it('rejects tampered, foreign and expired tokens', t => {
+    const token = auth.issueToken({ username: 'vic', role: 'viewer' });
+    const [payload, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ u: 'vic', r: 'admin', exp: Date.now() + 60000 })).toString('base64url');
+    assert.equal(auth.readUser(request({ authorization: `Bearer ${forged}.${signature}` })), null);
+    assert.equal(auth.readUser(request({ authorization: `Bearer ${payload}.x${signature}` })), null);
+
+    const otherServer = createAuth({ ...ENV, AUTH_SECRET: 'another-secret' });
+    assert.equal(otherServer.readUser(request({ authorization: `Bearer ${token}` })), null);
+
+    t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    t.mock.timers.tick(13 * 60 * 60 * 1000);
+    assert.equal(auth.readUser(request({ authorization: `Bearer ${token}` })), null);
+  });
+
+  it('drops tokens of users removed from AUTH_USERS', () => {
+    const token = auth.issueToken({ username: 'vic', role: 'viewer' });
+    const reconfigured = createAuth({ ...ENV, AUTH_USERS: `ada:admin:${HASH}` });
+    assert.equal(reconfigured.readUser(request({ authorization: `Bearer ${token}` })), null);
+  });
+
+  it('answers 401 signed out and 403 below the role', () => {
+    const requireAdmin = auth.requireRole('admin');
+    let passed = 0;
+    const signedOut = response();
+    requireAdmin(request(), signedOut, () => passed++);
+    assert.equal(signedOut.statusCode, 401);
+
+    const viewer = response();
+    requireAdmin(request({ authorization: `Bearer ${auth.issueToken({ username: 'vic' })}` }), viewer, () => passed++);
+    assert.equal(viewer.statusCode, 403);
+
+    const req = request({ authorization: `Bearer ${auth.issueToken({ username: 'ada' })}` });
+    requireAdmin(req, response(), () => passed++);
+    assert.equal(passed, 1);
+    assert.equal(req.user.username, 'ada');
+  });
+
+  it('gives visitors access to their own session only', () => {
+    const token = auth.sessionToken('s1');
+    assert.equal(auth.verifySessionToken('s1', token), true);
+    assert.equal(auth.verifySessionToken('s2', token), false);
+    assert.equal(auth.verifySessionToken('s1', ''), false);
+
+    let passed = 0;
+    auth.requireSessionAccess(request({ sessionId: 's1', sessionToken: token }), response(), () => passed++);
+    const denied = response();
+    auth.requireSessionAccess(request({ sessionId: 's2', sessionToken: token }), denied, () => passed++);
+    assert.equal(passed, 1);
+    assert.equal(denied.statusCode, 403);
+  });
+});
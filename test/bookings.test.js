@@ -0,0 +1,118 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBookings, bookingIcs, mentionsBooking } = require('../lib/bookings');
+const { createLeadPipeline } = require('../lib/leads');
+const { createMemoryStore } = require('../lib/storage');
+
+const HOUR = 60 * 60 * 1000;
+const visitor = { name: 'Lan', email: 'lan@example.com', sessionId: 's1' };
+
+describe('createBookings', () => {
+  let storage;
+  let bookings;
+  let tomorrow;
+  beforeEach(() => {
+    storage = createMemoryStore();
+    bookings = createBookings({ storage });
+    tomorrow = new Date(Math.ceil(Date.now() / HOUR) * HOUR + 24 * HOUR);
+  });
+
+  const at = hours => new Date(tomorrow.getTime() + hours * HOUR).toISOString();
+
+  it('cuts a range into slots and skips ones that overlap', async () => {
+    const created = await bookings.createSlots({ start: at(0), end: at(2), durationMinutes: 30 });
+    assert.deepEqual(created.map(slot => slot.start), [at(0), at(0.5), at(1), at(1.5)]);
+    const again = await bookings.createSlots({ start: at(1), end: at(3), durationMinutes: 60 });
+    assert.deepEqual(again.map(slot => slot.start), [at(2)]);
+    await assert.rejects(bookings.createSlots({ start: at(0), end: at(1), durationMinutes: 2 }), { status: 400 });
+    await assert.rejects(bookings.createSlots({ start: at(1), end: at(0), durationMinutes: 30 }), { status: 400 });
+  });
+
+  it('books a free slot once and frees it again on cancel', async () => {
+    const [slot] = await bookings.createSlots({ start: at(0), end: at(1), durationMinutes: 60 });
+    const booking = await bookings.book({ ...visitor, slotId: slot.id });
+    assert.equal(booking.status, 'confirmed');
+    assert.deepEqual(await bookings.availability(), []);
+    await assert.rejects(bookings.book({ ...visitor, sessionId: 's2', slotId: slot.id }), { status: 409 });
+    await assert.rejects(bookings.deleteSlot(slot.id), { status: 409 });
+
+    await bookings.cancel(booking.id, 'ada');
+    assert.deepEqual((await bookings.availability()).map(s => s.id), [slot.id]);
+    assert.equal((await bookings.book({ ...visitor, sessionId: 's2', slotId: slot.id })).sessionId, 's2');
+  });
+
+  it('lets only one of two racing visitors have a slot', async () => {
+    const [slot] = await bookings.createSlots({ start: at(0), end: at(1), durationMinutes: 60 });
+    const results = await Promise.allSettled([
+      bookings.book({ ...visitor, slotId: slot.id }),
+      bookings.book({ ...visitor, sessionId: 's2', slotId: slot.id })
+    ]);
+    assert.deepEqual(results.map(r => r.status).sort(), ['fulfilled', 'rejected']);
+    assert.equal(results.find(r => r.status === 'rejected').reason.status, 409);
+    assert.equal((await bookings.list({ status: 'confirmed' })).length, 1);
+  });
+
+  it('keeps one upcoming booking per conversation, moving it on rebooking', async () => {
+    const events = [];
+    bookings = createBookings({ storage, webhooks: { emit: (event, data) => events.push([event, data.booking.id]) } });
+    const [first, second] = await bookings.createSlots({ start: at(0), end: at(2), durationMinutes: 60 });
+    const earlier = await bookings.book({ ...visitor, slotId: first.id });
+    const moved = await bookings.book({ ...visitor, slotId: second.id });
+    const cancelled = await bookings.get(earlier.id);
+    assert.equal(cancelled.status, 'cancelled');
+    assert.equal(cancelled.replacedBy, moved.id);
+    assert.deepEqual((await bookings.list({ sessionId: 's1', status: 'confirmed' })).map(b => b.id), [moved.id]);
+    assert.deepEqual((await bookings.availability()).map(s => s.id), [first.id]);
+    assert.deepEqual(events, [['booking.created', earlier.id], ['booking.cancelled', earlier.id], ['booking.created', moved.id]]);
+  });
+
+  it('leaves the later of two racing bookings by one conversation', async () => {
+    const [first, second] = await bookings.createSlots({ start: at(0), end: at(2), durationMinutes: 60 });
+    const made = await Promise.all([first, second].map(slot => bookings.book({ ...visitor, slotId: slot.id })));
+    const confirmed = await bookings.list({ sessionId: 's1', status: 'confirmed' });
+    assert.equal(confirmed.length, 1);
+    const later = made.slice().sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.id.localeCompare(b.id)).at(-1);
+    assert.equal(confirmed[0].id, later.id);
+  });
+
+  it('validates the visitor and keeps bots\' slots apart', async () => {
+    const [slot] = await bookings.createSlots({ start: at(0), end: at(1), durationMinutes: 60, botId: 'skf' });
+    await assert.rejects(bookings.book({ ...visitor, name: ' ', slotId: slot.id }), { status: 400 });
+    await assert.rejects(bookings.book({ ...visitor, email: 'lan@', slotId: slot.id }), { status: 400 });
+    await assert.rejects(bookings.book({ ...visitor, slotId: slot.id, botId: 'other' }), { status: 404 });
+    assert.equal((await bookings.book({ ...visitor, slotId: slot.id, botId: 'skf' })).botId, 'skf');
+  });
+
+  it('records the booking on the lead and announces it', async () => {
+    const events = [];
+    const leads = createLeadPipeline({ storage });
+    await storage.saveConversation('s1', { messages: [] });
+    bookings = createBookings({ storage, leads, webhooks: { emit: (event, data) => events.push([event, data.booking.id]) } });
+    const [slot] = await bookings.createSlots({ start: at(0), end: at(1), durationMinutes: 60 });
+    const booking = await bookings.book({ ...visitor, slotId: slot.id });
+    assert.deepEqual(events, [['booking.created', booking.id]]);
+    const lead = await leads.get('s1');
+    assert.deepEqual(lead.booking, { id: booking.id, start: at(0), end: at(1), status: 'confirmed' });
+    assert.equal(lead.history.at(-1).field, 'booking');
+  });
+});
+
+describe('booking helpers', () => {
+  it('spots booking intent in English and Vietnamese', () => {
+    assert.equal(mentionsBooking('Can I book a call?'), true);
+    assert.equal(mentionsBooking('Tôi muốn đặt lịch tư vấn'), true);
+    assert.equal(mentionsBooking('What bearings do you stock?'), false);
+  });
+
+  it('writes an escaped, folded iCalendar event', () => {
+    const ics = bookingIcs(
+      { id: 'b1', start: '2026-10-21T03:00:00.000Z', end: '2026-10-21T04:00:00.000Z', createdAt: '2026-10-20T00:00:00.000Z', status: 'confirmed' },
+      { title: 'Consultation; SKF, Hanoi', description: 'x'.repeat(100) }
+    );
+    assert.match(ics, /^BEGIN:VCALENDAR\r\n/);
+    assert.match(ics, /\r\nDTSTART:20261021T030000Z\r\n/);
+    assert.match(ics, /\r\nSUMMARY:Consultation\\; SKF\\, Hanoi\r\n/);
+    assert.ok(ics.split('\r\n').every(line => Buffer.byteLength(line) <= 75));
+    assert.match(ics, /\r\n x+\r\n/);
+  });
+});
@@ -0,0 +1,79 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createBotRegistry, promptName } = require('../lib/bots');
+const { createPromptStore } = require('../lib/prompts');
+const { createMemoryStore } = require('../lib/storage');
+
+// Profiles that record the settings layered on top of them
+function fakeLlm() {
+  const profile = (purpose, settings = {}) => ({ purpose, settings, with: more => profile(purpose, { ...settings, ...more }) });
+  return { chat: profile('chat'), analysis: profile('analysis') };
+}
+
+describe('createBotRegistry', () => {
+  let dir;
+  let filePath;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chatbot-bots-'));
+    filePath = path.join(dir, 'bots.json');
+  });
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const write = bots => fs.writeFileSync(filePath, JSON.stringify(bots));
+
+  it('always has the default bot, even without a file', () => {
+    const bots = createBotRegistry({ filePath, llm: fakeLlm() });
+    assert.deepEqual(bots.list().map(bot => bot.id), ['default']);
+    assert.equal(bots.get().id, 'default');
+    assert.throws(() => bots.get('nope'), { status: 404 });
+    assert.equal(bots.resolve('removed').id, 'default');
+  });
+
+  it('loads bots, lets an entry override the default and rejects bad ids', () => {
+    write([
+      { id: 'default', branding: { title: 'Main' } },
+      { id: 'SKF', name: 'SKF', suggestions: ['Bearings?'], models: { chat: { temperature: 0.2 } } }
+    ]);
+    const bots = createBotRegistry({ filePath, llm: fakeLlm() });
+    assert.deepEqual(bots.list().map(bot => bot.id), ['default', 'skf']);
+    assert.equal(bots.get('default').branding.title, 'Main');
+    assert.ok(bots.get('default').branding.greeting, 'keeps the built-in settings it does not override');
+    assert.deepEqual(bots.publicConfig(bots.get('skf')), { id: 'skf', name: 'SKF', suggestions: ['Bearings?'], branding: {} });
+
+    write([{ id: 'no spaces' }]);
+    assert.throws(() => createBotRegistry({ filePath, llm: fakeLlm() }), /Invalid bot id/);
+    write([{ id: 'a' }, { id: 'a' }]);
+    assert.throws(() => createBotRegistry({ filePath, llm: fakeLlm() }), /Duplicate bot id/);
+  });
+
+  it('keeps suggestions per chat language', () => {
+    write([{ id: 'skf', suggestions: { EN: ['Bearings?'], vi: ['Vòng bi?'], fr: 'nope' } }]);
+    const bots = createBotRegistry({ filePath, llm: fakeLlm() });
+    assert.deepEqual(bots.get('skf').suggestions, { en: ['Bearings?'], vi: ['Vòng bi?'] });
+    assert.deepEqual(Object.keys(bots.get('default').suggestions), ['en', 'vi']);
+  });
+
+  it('applies a bot\'s model settings on top of the shared profiles', () => {
+    write([{ id: 'skf', models: { chat: { temperature: 0.2 } } }]);
+    const bots = createBotRegistry({ filePath, llm: fakeLlm() });
+    const profiles = bots.profiles(bots.get('skf'));
+    assert.deepEqual(profiles.chat.settings, { temperature: 0.2 });
+    assert.deepEqual(profiles.analysis.settings, {});
+    assert.equal(bots.profiles(bots.get('skf')), profiles);
+  });
+
+  it('gives each bot its own prompts, seeded from its config', async () => {
+    write([{ id: 'skf', name: 'SKF', prompts: { chat: [{ content: 'You sell bearings.', active: true }] } }]);
+    const bots = createBotRegistry({ filePath, llm: fakeLlm() });
+    const prompts = createPromptStore({ storage: createMemoryStore(), rootDir: dir, bots });
+    assert.equal(promptName('default', 'chat'), 'chat');
+    assert.equal(promptName('skf', 'chat'), 'skf:chat');
+    assert.equal((await prompts.getActive('skf:chat')).content, 'You sell bearings.');
+    assert.deepEqual((await prompts.list({ botId: 'skf' })).map(p => [p.name, p.kind]), [['skf:chat', 'chat'], ['skf:analysis', 'analysis']]);
+  });
+});
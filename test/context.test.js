@@ -0,0 +1,108 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createContextManager, estimateTokens, splitPinned } = require('../lib/context');
+
+// 40 characters: 10 tokens plus 4 of overhead
+function turn(i) {
+  return { role: i % 2 ? 'assistant' : 'user', content: `turn ${String(i).padStart(2, '0')} `.padEnd(40, '.') };
+}
+
+function conversationOf(count) {
+  return { messages: [{ role: 'system', content: 'sys' }].concat(Array.from({ length: count }, (_, i) => turn(i))) };
+}
+
+function summaryProfile(reply = 'Visitor works in mining.') {
+  const calls = [];
+  return {
+    calls,
+    model: 'gpt-4.1-mini',
+    maxTokens: 10,
+    async complete(messages) {
+      calls.push(messages);
+      if (reply instanceof Error) throw reply;
+      return { content: reply, usage: { promptTokens: 120, completionTokens: 8 } };
+    }
+  };
+}
+
+describe('estimateTokens', () => {
+  it('counts about four characters per token plus overhead', () => {
+    assert.equal(estimateTokens(turn(0)), 14);
+    assert.equal(estimateTokens(''), 4);
+  });
+});
+
+describe('splitPinned', () => {
+  it('pins the leading system messages only', () => {
+    const messages = [{ role: 'system', content: 'a' }, { role: 'user', content: 'b' }, { role: 'system', content: 'c' }];
+    const { pinned, turns } = splitPinned(messages);
+    assert.equal(pinned.length, 1);
+    assert.equal(turns.length, 2);
+  });
+});
+
+describe('createContextManager', () => {
+  // Budget 100: 5 for the system prompt and 14 reserved for the summary leave
+  // 81 for turns, i.e. five of them
+  it('sends everything while it fits', async () => {
+    const profile = summaryProfile();
+    const conversation = conversationOf(5);
+    const context = await createContextManager({ summaryProfile: profile, budget: 100 }).assemble(conversation);
+    assert.equal(context.length, 6);
+    assert.equal(profile.calls.length, 0);
+    assert.equal(conversation.summary, undefined);
+  });
+
+  it('folds older turns into a summary, leaving room for the next few', async () => {
+    const profile = summaryProfile();
+    const conversation = conversationOf(10);
+    const manager = createContextManager({ summaryProfile: profile, budget: 100 });
+    const context = await manager.assemble(conversation);
+
+    assert.equal(profile.calls.length, 1);
+    assert.match(profile.calls[0][1].content, /turn 00[\s\S]*turn 06/);
+    assert.doesNotMatch(profile.calls[0][1].content, /turn 07/);
+    assert.equal(conversation.summary.messageCount, 7);
+    assert.deepEqual(context.map(m => m.content.slice(0, 7)), ['sys', 'Summary', 'turn 07', 'turn 08', 'turn 09']);
+
+    // The next turn still fits after the summary: no new summary call
+    conversation.messages.push(turn(10));
+    const next = await manager.assemble(conversation);
+    assert.equal(profile.calls.length, 1);
+    assert.equal(next.length, 6);
+    assert.match(next[1].content, /Visitor works in mining/);
+  });
+
+  it('reports the usage of the summary call', async () => {
+    const usage = [];
+    const manager = createContextManager({ summaryProfile: summaryProfile(), budget: 100 });
+    await manager.assemble(conversationOf(10), { onUsage: call => usage.push(call) });
+    await manager.assemble(conversationOf(5), { onUsage: call => usage.push(call) });
+    assert.deepEqual(usage, [{ kind: 'summary', model: 'gpt-4.1-mini', promptTokens: 120, completionTokens: 8 }]);
+  });
+
+  it('merges the previous summary into the next one', async () => {
+    const profile = summaryProfile('Updated summary');
+    const conversation = conversationOf(20);
+    conversation.summary = { text: 'Earlier summary', messageCount: 7 };
+    await createContextManager({ summaryProfile: profile, budget: 100 }).assemble(conversation);
+    assert.match(profile.calls[0][1].content, /^Previous summary:\nEarlier summary/);
+    assert.doesNotMatch(profile.calls[0][1].content, /turn 06/);
+    assert.equal(conversation.summary.text, 'Updated summary');
+  });
+
+  it('falls back to the newest turns that fit when summarising fails', async t => {
+    t.mock.method(console, 'error', () => {});
+    const profile = summaryProfile(new Error('model down'));
+    const conversation = conversationOf(10);
+    const context = await createContextManager({ summaryProfile: profile, budget: 100 }).assemble(conversation);
+    assert.deepEqual(context.map(m => m.content.slice(0, 7)), ['sys', 'turn 05', 'turn 06', 'turn 07', 'turn 08', 'turn 09']);
+    assert.equal(conversation.summary, undefined);
+  });
+
+  it('always keeps the latest turn', async () => {
+    const conversation = { messages: [{ role: 'user', content: 'x'.repeat(4000) }] };
+    const context = await createContextManager({ summaryProfile: summaryProfile(), budget: 100 }).assemble(conversation);
+    assert.equal(context.length, 1);
+  });
+});
@@ -0,0 +1,142 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { streamExport, parseExportQuery, csvCell } = require('../lib/export');
+const { createMemoryStore } = require('../lib/storage');
+
+// Just enough of an Express response for streamExport
+function fakeResponse() {
+  const res = new EventEmitter();
+  res.headers = {};
+  res.body = '';
+  res.setHeader = (name, value) => { res.headers[name] = value; };
+  res.write = chunk => { res.body += chunk; return true; };
+  res.end = () => { res.ended = true; };
+  return res;
+}
+
+async function storeWithConversations() {
+  const storage = createMemoryStore();
+  await storage.saveConversation('s1', {
+    messages: [
+      { role: 'system', content: 'prompt' },
+      { role: 'user', content: 'Hi, I am Lan, "Steel, Ltd"' },
+      { role: 'assistant', content: 'Hello Lan!' }
+    ],
+    promptVersion: { name: 'chat', version: 2 }
+  });
+  await storage.saveAnalysis('s1', {
+    analysis: { customerName: 'Lan', customerPhone: '+84988920565', leadQuality: 'good' },
+    status: 'analyzed'
+  });
+  await storage.saveConversation('s2', { messages: [{ role: 'system', content: 'prompt' }, { role: 'user', content: 'hey' }] });
+  return storage;
+}
+
+const SCHEMA = { properties: { customerName: {}, customerPhone: {}, leadQuality: {} } };
+
+describe('parseExportQuery', () => {
+  it('defaults to CSV and widens a bare `to` date to the whole day', () => {
+    assert.deepEqual(parseExportQuery({ from: '2024-05-01', to: '2024-05-31' }), {
+      format: 'csv',
+      filters: { from: '2024-05-01T00:00:00.000Z', to: '2024-05-31T23:59:59.999Z', leadQuality: null, botId: null }
+    });
+    assert.equal(parseExportQuery({ botId: 'support' }).filters.botId, 'support');
+  });
+
+  it('rejects unknown formats, qualities and dates with a 400', () => {
+    [{ format: 'xml' }, { quality: 'great' }, { from: 'yesterday' }, { from: '2024-06-01', to: '2024-05-01' }]
+      .forEach(query => assert.throws(() => parseExportQuery(query), { status: 400 }, JSON.stringify(query)));
+  });
+
+  it('accepts the qualities of the bot\'s schema', () => {
+    const qualities = ['hot', 'cold'];
+    assert.equal(parseExportQuery({ quality: 'hot' }, { qualities }).filters.leadQuality, 'hot');
+    assert.throws(() => parseExportQuery({ quality: 'good' }, { qualities }), /quality must be one of hot, cold/);
+  });
+});
+
+describe('csvCell', () => {
+  it('quotes per RFC 4180', () => {
+    assert.equal(csvCell('plain'), 'plain');
+    assert.equal(csvCell('a,b'), '"a,b"');
+    assert.equal(csvCell('say "hi"'), '"say ""hi"""');
+    assert.equal(csvCell('two\nlines'), '"two\nlines"');
+    assert.equal(csvCell(null), '');
+    assert.equal(csvCell(false), 'false');
+  });
+
+  it('defuses spreadsheet formulas but keeps phone numbers', () => {
+    assert.equal(csvCell('=HYPERLINK("http://x")'), `"'=HYPERLINK(""http://x"")"`);
+    assert.equal(csvCell('@SUM(A1)'), "'@SUM(A1)");
+    assert.equal(csvCell('-cmd'), "'-cmd");
+    assert.equal(csvCell('+84 988 920 565'), '+84 988 920 565');
+    assert.equal(csvCell('+1 (555) 010-9999'), '+1 (555) 010-9999');
+  });
+
+  it('defuses formulas that start like a number', () => {
+    assert.equal(csvCell("+1+cmd|' /C calc'!A0"), "'+1+cmd|' /C calc'!A0");
+    assert.equal(csvCell('-2+3+cmd|x!A1'), "'-2+3+cmd|x!A1");
+    assert.equal(csvCell('\t=1+1'), "'\t=1+1");
+    assert.equal(csvCell(-5), '-5');
+  });
+});
+
+describe('streamExport', () => {
+  it('writes conversations as CSV with a BOM and lead columns', async () => {
+    const res = fakeResponse();
+    await streamExport(res, { storage: await storeWithConversations(), dataset: 'conversations', format: 'csv', filters: {}, schema: SCHEMA });
+    assert.equal(res.ended, true);
+    assert.equal(res.headers['Content-Type'], 'text/csv; charset=utf-8');
+    assert.match(res.headers['Content-Disposition'], /^attachment; filename="conversations-\d{4}-\d{2}-\d{2}\.csv"$/);
+    const lines = res.body.split('\r\n');
+    assert.equal(lines[0], '﻿sessionId,botId,createdAt,updatedAt,messageCount,promptVersion,analysisStatus,analyzedAt,customerName,customerPhone,leadQuality,transcript');
+    assert.match(lines[1], /^s1,default,.*,2,chat v2,analyzed,.*,Lan,\+84988920565,good,"USER: Hi, I am Lan, ""Steel, Ltd""\nASSISTANT: Hello Lan!"$/);
+  });
+
+  it('writes one transcript row per message as NDJSON', async () => {
+    const res = fakeResponse();
+    await streamExport(res, { storage: await storeWithConversations(), dataset: 'transcripts', format: 'ndjson', filters: {}, schema: SCHEMA });
+    const rows = res.body.trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(rows.map(r => [r.sessionId, r.index, r.role]), [['s1', 0, 'user'], ['s1', 1, 'assistant'], ['s2', 0, 'user']]);
+  });
+
+  it('names the operator who wrote a handoff message', async () => {
+    const storage = createMemoryStore();
+    await storage.saveConversation('s1', {
+      messages: [{ role: 'system', content: 'prompt' }, { role: 'user', content: 'hi' }, { role: 'assistant', content: 'Ada here', operator: 'ada' }]
+    });
+    const res = fakeResponse();
+    await streamExport(res, { storage, dataset: 'transcripts', format: 'ndjson', filters: {}, schema: SCHEMA });
+    const rows = res.body.trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(rows.map(r => r.operator), [null, 'ada']);
+
+    const csv = fakeResponse();
+    await streamExport(csv, { storage, dataset: 'conversations', format: 'csv', filters: {}, schema: SCHEMA });
+    assert.match(csv.body, /"USER: hi\nOPERATOR \(ada\): Ada here"/);
+  });
+
+  it('writes analysed leads with their pipeline state as JSON', async () => {
+    const res = fakeResponse();
+    const pipeline = new Map([['s1', { status: 'won', assignee: 'ada', followUpAt: null }]]);
+    await streamExport(res, { storage: await storeWithConversations(), dataset: 'leads', format: 'json', filters: {}, schema: SCHEMA, pipeline });
+    const rows = JSON.parse(res.body);
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].customerName, 'Lan');
+    assert.equal(rows[0].pipelineStatus, 'won');
+    assert.equal(rows[0].assignee, 'ada');
+  });
+
+  it('writes an empty JSON array when nothing matches', async () => {
+    const res = fakeResponse();
+    await streamExport(res, { storage: createMemoryStore(), dataset: 'leads', format: 'json', filters: {}, schema: SCHEMA });
+    assert.deepEqual(JSON.parse(res.body), []);
+  });
+
+  it('rejects unknown datasets', async () => {
+    await assert.rejects(
+      streamExport(fakeResponse(), { storage: createMemoryStore(), dataset: 'secrets', format: 'csv', filters: {} }),
+      { status: 400 }
+    );
+  });
+});
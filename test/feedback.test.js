@@ -0,0 +1,35 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeFeedback, feedbackCounts, MAX_COMMENT_LENGTH } = require('../lib/feedback');
+const { createMemoryStore } = require('../lib/storage');
+
+describe('normalizeFeedback', () => {
+  it('keeps the rating and the trimmed comment', () => {
+    const feedback = normalizeFeedback({ rating: 'down', comment: '  Wrong price  ' });
+    assert.equal(feedback.rating, 'down');
+    assert.equal(feedback.comment, 'Wrong price');
+    assert.ok(feedback.createdAt);
+    assert.equal(normalizeFeedback({ rating: 'up' }).comment, '');
+  });
+
+  it('rejects unknown ratings and bad comments with a 400', () => {
+    [undefined, { rating: 'meh' }, { rating: 'up', comment: 5 }, { rating: 'up', comment: 'x'.repeat(MAX_COMMENT_LENGTH + 1) }]
+      .forEach(body => assert.throws(() => normalizeFeedback(body), { status: 400 }, JSON.stringify(body)));
+  });
+});
+
+describe('feedbackCounts', () => {
+  it('counts rated replies, in the conversation list too', async () => {
+    const messages = [
+      { role: 'system', content: 'prompt' },
+      { role: 'assistant', content: 'a', feedback: { rating: 'up' } },
+      { role: 'assistant', content: 'b', feedback: { rating: 'down' } },
+      { role: 'assistant', content: 'c', feedback: { rating: 'down' } },
+      { role: 'assistant', content: 'd' }
+    ];
+    assert.deepEqual(feedbackCounts(messages), { up: 1, down: 2 });
+    const storage = createMemoryStore();
+    await storage.saveConversation('s1', { messages });
+    assert.deepEqual((await storage.listConversations())[0].feedback, { up: 1, down: 2 });
+  });
+});
@@ -0,0 +1,94 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createJobQueue } = require('../lib/jobQueue');
+
+// Resolves once nothing is queued, running or waiting to retry
+async function settled(queue) {
+  for (;;) {
+    const { queued, running, retrying } = queue.summary();
+    if (!queued && !running && !retrying) return;
+    await new Promise(resolve => setTimeout(resolve, 1));
+  }
+}
+
+describe('createJobQueue', () => {
+  it('runs jobs with at most `concurrency` at a time', async () => {
+    let active = 0;
+    let peak = 0;
+    const queue = createJobQueue({
+      concurrency: 2,
+      handler: async ({ n }) => {
+        active++;
+        peak = Math.max(peak, active);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        active--;
+        return n * 2;
+      }
+    });
+    ['a', 'b', 'c', 'd', 'e'].forEach((key, n) => queue.enqueue(key, { n }));
+    await settled(queue);
+    assert.equal(peak, 2);
+    assert.equal(queue.get('c').result, 4);
+    assert.deepEqual(queue.summary(), { queued: 0, running: 0, retrying: 0, done: 5, failed: 0, total: 5 });
+  });
+
+  it('returns the pending job instead of queueing a key twice', async () => {
+    let runs = 0;
+    const queue = createJobQueue({ handler: async () => { runs++; } });
+    const first = queue.enqueue('s1', {});
+    assert.equal(queue.enqueue('s1', {}), first);
+    await settled(queue);
+    queue.enqueue('s1', {});
+    await settled(queue);
+    assert.equal(runs, 2);
+  });
+
+  it('retries failures with backoff up to maxAttempts', async () => {
+    let calls = 0;
+    const queue = createJobQueue({
+      maxAttempts: 3,
+      backoffMs: 1,
+      handler: async () => {
+        calls++;
+        if (calls < 3) throw new Error(`attempt ${calls} failed`);
+        return 'ok';
+      }
+    });
+    queue.enqueue('s1', {});
+    await settled(queue);
+    assert.equal(queue.get('s1').status, 'done');
+    assert.equal(queue.get('s1').attempts, 3);
+
+    const failing = createJobQueue({ maxAttempts: 2, backoffMs: 1, handler: async () => { throw new Error('down'); } });
+    failing.enqueue('s1', {});
+    await settled(failing);
+    assert.equal(failing.get('s1').status, 'failed');
+    assert.equal(failing.get('s1').attempts, 2);
+    assert.equal(failing.get('s1').error, 'down');
+  });
+
+  it('does not retry errors marked as not retryable', async () => {
+    const queue = createJobQueue({
+      backoffMs: 1,
+      handler: async () => {
+        const err = new Error('not found');
+        err.retryable = false;
+        throw err;
+      }
+    });
+    queue.enqueue('s1', {});
+    await settled(queue);
+    assert.equal(queue.get('s1').attempts, 1);
+    assert.equal(queue.get('s1').status, 'failed');
+  });
+
+  it('counts jobs per batch and forgets the oldest finished ones', async () => {
+    const queue = createJobQueue({ handler: async () => {}, historyLimit: 2 });
+    queue.enqueue('a', {}, { batchId: 'b1' });
+    queue.enqueue('b', {}, { batchId: 'b1' });
+    queue.enqueue('c', {}, { batchId: 'b2' });
+    assert.equal(queue.summary('b1').total, 2);
+    await settled(queue);
+    assert.equal(queue.list().length, 2);
+  });
+});
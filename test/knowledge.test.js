@@ -0,0 +1,126 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractSections, detectType, parseCsvRows } = require('../lib/knowledge/parse');
+const { tokenize, chunkSections } = require('../lib/knowledge/text');
+const { createBm25Index } = require('../lib/knowledge/bm25');
+const { createKnowledgeBase, knowledgeMessage, citedSources } = require('../lib/knowledge');
+const { createMemoryStore } = require('../lib/storage');
+
+const upload = (filename, text) => ({ buffer: Buffer.from(text), filename });
+
+describe('knowledge parsing', () => {
+  it('detects the type from the extension, else the content type', () => {
+    assert.equal(detectType('prices.CSV'), 'csv');
+    assert.equal(detectType('notes', 'text/markdown; charset=utf-8'), 'markdown');
+    assert.equal(detectType('image.png', 'image/png'), null);
+  });
+
+  it('splits Markdown by heading with the heading path as location', async () => {
+    const { type, sections } = await extractSections(upload('seals.md', 'Intro\n# Seals\n## Oil seals\nCR lip seals\n# Bearings\nDeep groove'));
+    assert.equal(type, 'markdown');
+    assert.deepEqual(sections, [
+      { text: 'Intro', location: null },
+      { text: 'CR lip seals', location: 'Seals › Oil seals' },
+      { text: 'Deep groove', location: 'Bearings' }
+    ]);
+  });
+
+  it('reads quoted CSV fields and labels each row with its columns', async () => {
+    assert.deepEqual(parseCsvRows('a;b\n"x;1";"say ""hi"""\n\n'), [['a', 'b'], ['x;1', 'say "hi"']]);
+    const { sections } = await extractSections(upload('prices.csv', '﻿Part,Price\r\n6205-2RS,"120,000"\r\n6206,\r\n'));
+    assert.deepEqual(sections, [{ text: 'Part: 6205-2RS; Price: 120,000\n\nPart: 6206', location: 'rows 2–3' }]);
+  });
+
+  it('rejects unsupported and empty documents', async () => {
+    await assert.rejects(extractSections(upload('logo.png', 'x')), { status: 400 });
+    await assert.rejects(extractSections(upload('empty.md', '# Only a heading\n')), { status: 400 });
+  });
+});
+
+describe('chunking and BM25', () => {
+  it('folds diacritics and splits part numbers into tokens', () => {
+    assert.deepEqual(tokenize('Vòng bi ĐỘ bền 6205-2RS'), ['vong', 'bi', 'do', 'ben', '6205', '2rs']);
+  });
+
+  it('chunks paragraphs within a section and keeps its location', () => {
+    const paragraph = word => `${word} `.repeat(20).trim();
+    const chunks = chunkSections([{ text: [paragraph('alpha'), paragraph('beta'), paragraph('gamma')].join('\n\n'), location: 'p. 1' }], { size: 250, overlap: 30 });
+    assert.equal(chunks.length, 2);
+    assert.ok(chunks.every(chunk => chunk.location === 'p. 1' && chunk.text.length <= 250));
+    assert.match(chunks[1].text, /^beta beta .*\n\ngamma/, 'carries the end of the previous chunk over');
+  });
+
+  it('ranks rarer and more frequent terms higher', () => {
+    const index = createBm25Index([
+      { id: 'a', text: 'bearing bearing seal' },
+      { id: 'b', text: 'bearing gearbox' },
+      { id: 'c', text: 'bearing price list' }
+    ]);
+    assert.deepEqual(index.search('gearbox bearing').map(r => r.id), ['b', 'a', 'c']);
+    assert.deepEqual(index.search('bearing', { filter: id => id !== 'a', limit: 1 }).map(r => r.id), ['b']);
+    assert.deepEqual(index.search('!!!'), []);
+  });
+});
+
+describe('createKnowledgeBase', () => {
+  it('adds documents and finds passages for the bot and shared ones only', async () => {
+    const kb = createKnowledgeBase({ storage: createMemoryStore() });
+    await kb.add({ ...upload('seals.md', '# Oil seals\nHMS5 radial shaft seals for gearboxes'), botId: 'skf' });
+    await kb.add(upload('company.txt', 'Our office is in Hanoi, open Monday to Friday'));
+    await kb.add({ ...upload('other.md', '# Seals\nAnother bot\'s shaft seals'), botId: 'other' });
+
+    const [passage, ...rest] = await kb.search('shaft seals', { botId: 'skf' });
+    assert.equal(passage.title, 'seals.md');
+    assert.equal(passage.location, 'Oil seals');
+    assert.equal(rest.length, 0);
+    assert.equal((await kb.search('office hanoi', { botId: 'skf' }))[0].title, 'company.txt');
+    assert.deepEqual((await kb.list({ botId: 'skf' })).map(doc => doc.filename).sort(), ['company.txt', 'seals.md']);
+  });
+
+  it('merges semantic matches and falls back to lexical search when embedding fails', async t => {
+    t.mock.method(console, 'error', () => {});
+    let failing = false;
+    const embedder = {
+      model: 'fake',
+      async embed(texts) {
+        if (failing) throw new Error('offline');
+        const vectors = texts.map(text => (/seal|gioăng/i.test(text) ? [1, 0] : [0, 1]));
+        return { vectors, model: 'fake-v2', usage: { promptTokens: 10 * texts.length, completionTokens: 0 } };
+      }
+    };
+    const kb = createKnowledgeBase({ storage: createMemoryStore(), embedder });
+    const doc = await kb.add(upload('seals.md', '# Oil seals\nRadial shaft seals'));
+    assert.equal(doc.embeddingModel, 'fake');
+    assert.deepEqual((await kb.usage()).map(call => [call.kind, call.id, call.model, call.usage]), [
+      ['embedding', doc.id, 'fake-v2', { promptTokens: 10, completionTokens: 0 }]
+    ]);
+
+    const calls = [];
+    const [semantic] = await kb.search('gioăng', { onUsage: call => calls.push(call) });
+    assert.deepEqual(calls, [{ kind: 'embedding', model: 'fake-v2', promptTokens: 10, completionTokens: 0 }]);
+    assert.equal(semantic.lexicalScore, null);
+    assert.equal(semantic.similarity, 1);
+
+    failing = true;
+    assert.equal((await kb.search('gioăng')).length, 0);
+    assert.equal((await kb.search('radial seals'))[0].documentId, doc.id);
+  });
+
+  it('removes documents and 404s unknown ones', async () => {
+    const kb = createKnowledgeBase({ storage: createMemoryStore() });
+    const doc = await kb.add(upload('a.txt', 'hello'));
+    assert.equal((await kb.get(doc.id)).chunks[0].text, 'hello');
+    await kb.remove(doc.id);
+    await assert.rejects(kb.get(doc.id), { status: 404 });
+    await assert.rejects(kb.add({ buffer: Buffer.alloc(0), filename: 'a.txt' }), { status: 400 });
+  });
+
+  it('numbers passages for the model and lists the cited ones', () => {
+    const passages = [
+      { documentId: 'd1', title: 'Seals', location: 'p. 2', text: 'HMS5' },
+      { documentId: 'd2', title: 'Office', location: null, text: 'Hanoi' }
+    ];
+    assert.match(knowledgeMessage(passages).content, /\[1\] Seals \(p\. 2\)\nHMS5\n\n\[2\] Office\nHanoi$/);
+    assert.deepEqual(citedSources(passages, 'We have HMS5 seals [1].'), [{ ref: 1, documentId: 'd1', title: 'Seals', location: 'p. 2' }]);
+  });
+});
@@ -0,0 +1,131 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateLead, extractSchema, leadQualities, extractLead, normalizePhone, containsContactDetails } = require('../lib/leadExtraction');
+
+const LEAD = {
+  customerName: ' Lan Nguyen ',
+  customerEmail: 'Mailto:Lan@Example.com',
+  customerPhone: '0988.920.565',
+  customerProblem: 'Bearings wear out',
+  leadQuality: 'GOOD'
+};
+
+// Analysis profile answering with the given replies in turn
+function scriptedProfile(...replies) {
+  const calls = [];
+  return {
+    calls,
+    async complete(messages, options) {
+      calls.push({ messages: messages.slice(), options });
+      return { content: replies[Math.min(calls.length - 1, replies.length - 1)] };
+    }
+  };
+}
+
+describe('validateLead', () => {
+  it('trims and normalises the fields', () => {
+    const { valid, errors, warnings, value } = validateLead(LEAD);
+    assert.equal(valid, true);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(warnings, []);
+    assert.equal(value.customerName, 'Lan Nguyen');
+    assert.equal(value.customerEmail, 'lan@example.com');
+    assert.equal(value.customerPhone, '0988920565');
+    assert.equal(value.leadQuality, 'good');
+  });
+
+  it('fills missing optional fields and coerces boolean strings', () => {
+    const { value } = validateLead({ ...LEAD, customerConsultation: 'TRUE' });
+    assert.equal(value.customerConsultation, true);
+    assert.equal(value.customerIndustry, '');
+    assert.equal(validateLead(LEAD).value.customerConsultation, false);
+  });
+
+  it('blanks an invalid email or phone number with a warning', () => {
+    const { valid, warnings, value } = validateLead({ ...LEAD, customerEmail: 'lan at example', customerPhone: '123' });
+    assert.equal(valid, true);
+    assert.equal(value.customerEmail, '');
+    assert.equal(value.customerPhone, '');
+    assert.equal(value.customerName, 'Lan Nguyen');
+    assert.equal(warnings.length, 2);
+    assert.match(warnings[0], /^"customerEmail": .*left blank$/);
+  });
+
+  it('rejects missing required fields, wrong types and unknown enum values', () => {
+    const { valid, errors, value } = validateLead({ customerName: 'Lan', customerEmail: '', customerProblem: 3, leadQuality: 'great' });
+    assert.equal(valid, false);
+    assert.equal(value, null);
+    assert.deepEqual(errors, [
+      '"customerProblem" must be a string',
+      '"leadQuality" must be one of good, ok, spam (got "great")'
+    ]);
+    assert.equal(validateLead({}).errors.length, 4);
+    assert.equal(validateLead([]).valid, false);
+  });
+});
+
+describe('normalizePhone', () => {
+  it('keeps a leading plus and the digits', () => {
+    assert.deepEqual(normalizePhone('+84 (988) 920-565'), { value: '+84988920565' });
+    assert.deepEqual(normalizePhone(''), { value: '' });
+    assert.ok(normalizePhone('12345').error);
+  });
+});
+
+describe('containsContactDetails', () => {
+  it('spots an email address or phone number in free text', () => {
+    assert.equal(containsContactDetails('mail me at lan@example.com'), true);
+    assert.equal(containsContactDetails('call 0988 920 565'), true);
+    assert.equal(containsContactDetails('we make 200 parts a day'), false);
+  });
+});
+
+describe('extractSchema', () => {
+  it('finds the first object schema in a prompt', () => {
+    const prompt = 'Rules {not json}. Output:\n{"type": "object", "properties": {"name": {"type": "string"}}}\nThanks';
+    assert.deepEqual(extractSchema(prompt), { type: 'object', properties: { name: { type: 'string' } } });
+    assert.equal(extractSchema('no schema here'), null);
+  });
+});
+
+describe('leadQualities', () => {
+  it('lists the qualities a schema allows, or the built-in ones', () => {
+    assert.deepEqual(leadQualities({ properties: { leadQuality: { type: 'string', enum: ['hot', 'cold'] } } }), ['hot', 'cold']);
+    assert.deepEqual(leadQualities({ properties: { name: { type: 'string' } } }), ['good', 'ok', 'spam']);
+    assert.deepEqual(leadQualities(null), ['good', 'ok', 'spam']);
+  });
+});
+
+describe('extractLead', () => {
+  it('asks for strict structured output against the schema', async () => {
+    const profile = scriptedProfile(JSON.stringify(LEAD));
+    const { analysis, attempts } = await extractLead({ profile, prompt: 'Extract the lead.', transcript: 'USER: hi' });
+    assert.equal(attempts, 1);
+    assert.equal(analysis.customerEmail, 'lan@example.com');
+    const { json_schema: jsonSchema } = profile.calls[0].options.responseFormat;
+    assert.equal(jsonSchema.strict, true);
+    assert.equal(jsonSchema.schema.additionalProperties, false);
+    assert.deepEqual(jsonSchema.schema.required, Object.keys(jsonSchema.schema.properties));
+  });
+
+  it('retries with the validation errors, accepting JSON wrapped in prose', async t => {
+    t.mock.method(console, 'warn', () => {});
+    const profile = scriptedProfile('not json at all', `Here you go:\n\`\`\`json\n${JSON.stringify(LEAD)}\n\`\`\``);
+    const { attempts } = await extractLead({ profile, prompt: 'Extract the lead.', transcript: 'USER: hi' });
+    assert.equal(attempts, 2);
+    const retry = profile.calls[1].messages;
+    assert.equal(retry[retry.length - 2].content, 'not json at all');
+    assert.match(retry[retry.length - 1].content, /Response is not valid JSON/);
+  });
+
+  it('gives up after maxAttempts with the errors and raw output', async t => {
+    t.mock.method(console, 'warn', () => {});
+    const profile = scriptedProfile('{"leadQuality": "maybe"}');
+    await assert.rejects(
+      extractLead({ profile, prompt: 'Extract the lead.', transcript: 'USER: hi', maxAttempts: 2 }),
+      err => err.code === 'lead_extraction_failed' && err.attempts === 2 &&
+        err.raw === '{"leadQuality": "maybe"}' && err.details.some(e => e.startsWith('"leadQuality" must be one of'))
+    );
+    assert.equal(profile.calls.length, 2);
+  });
+});
@@ -0,0 +1,74 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLeadPipeline, MAX_NOTE_LENGTH } = require('../lib/leads');
+const { createMemoryStore } = require('../lib/storage');
+
+describe('createLeadPipeline', () => {
+  let storage;
+  let leads;
+  beforeEach(async () => {
+    storage = createMemoryStore();
+    leads = createLeadPipeline({ storage, isKnownUser: name => name === 'ada' });
+    await storage.saveConversation('s1', { messages: [] });
+    await storage.saveAnalysis('s1', {
+      analysis: { customerName: 'Lan', customerIndustry: 'Steel mining', leadQuality: 'good' },
+      status: 'analyzed'
+    });
+    await storage.saveConversation('s2', { messages: [] });
+    await storage.saveAnalysis('s2', { analysis: { customerName: 'Minh', leadQuality: 'spam' }, status: 'analyzed' });
+    await storage.saveConversation('s3', { messages: [] });
+  });
+
+  it('starts every lead as new and unassigned', async () => {
+    const lead = await leads.get('s1');
+    assert.equal(lead.status, 'new');
+    assert.equal(lead.assignee, null);
+    assert.deepEqual(lead.notes, []);
+  });
+
+  it('updates status, assignee and follow-up with a history of changes', async () => {
+    await leads.update('s1', { status: 'contacted', assignee: ' ada ', followUpAt: '2024-06-01' }, 'ada');
+    const lead = await leads.update('s1', { status: 'contacted', followUpAt: null }, 'ada');
+    assert.equal(lead.status, 'contacted');
+    assert.equal(lead.assignee, 'ada');
+    assert.equal(lead.followUpAt, null);
+    assert.deepEqual(lead.history.map(h => [h.field, h.from, h.to]), [
+      ['status', 'new', 'contacted'],
+      ['assignee', null, 'ada'],
+      ['followUpAt', null, '2024-06-01T00:00:00.000Z'],
+      ['followUpAt', '2024-06-01T00:00:00.000Z', null]
+    ]);
+  });
+
+  it('rejects unknown statuses, assignees and dates with a 400', async () => {
+    await assert.rejects(leads.update('s1', { status: 'maybe' }), { status: 400 });
+    await assert.rejects(leads.update('s1', { assignee: 'mallory' }), { status: 400 });
+    await assert.rejects(leads.update('s1', { followUpAt: 'someday' }), { status: 400 });
+  });
+
+  it('adds notes', async () => {
+    const note = await leads.addNote('s1', '  Called, no answer ', 'ada');
+    assert.equal(note.text, 'Called, no answer');
+    const lead = await leads.get('s1');
+    assert.deepEqual(lead.notes.map(n => n.id), [note.id]);
+    assert.equal(lead.history[0].field, 'note');
+    await assert.rejects(leads.addNote('s1', '   '), { status: 400 });
+    await assert.rejects(leads.addNote('s1', 'x'.repeat(MAX_NOTE_LENGTH + 1)), { status: 400 });
+  });
+
+  it('only works leads of stored conversations', async () => {
+    await assert.rejects(leads.update('missing', { status: 'contacted' }, 'ada'), { status: 404 });
+    await assert.rejects(leads.addNote('missing', 'Called', 'ada'), { status: 404 });
+    assert.equal((await storage.collection('leads').list()).some(lead => lead.sessionId === 'missing'), false);
+  });
+
+  it('lists analysed conversations with their pipeline state', async () => {
+    await leads.update('s1', { status: 'qualified', assignee: 'ada' });
+    const all = await leads.list();
+    assert.deepEqual(all.map(l => l.sessionId).sort(), ['s1', 's2']);
+    assert.deepEqual((await leads.list({ quality: 'good' })).map(l => l.sessionId), ['s1']);
+    assert.deepEqual((await leads.list({ status: 'new' })).map(l => l.sessionId), ['s2']);
+    assert.deepEqual((await leads.list({ assignee: 'ada' })).map(l => l.sessionId), ['s1']);
+    assert.deepEqual((await leads.list({ industry: 'MINING' })).map(l => l.customerName), ['Lan']);
+  });
+});
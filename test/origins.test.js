@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createOriginPolicy, parseAllowedOrigins } = require('../lib/origins');
+
+function fakeRequest(origin, host = 'chat.example.com') {
+  const headers = { origin, host };
+  return { protocol: 'https', get: name => headers[name.toLowerCase()] };
+}
+
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+describe('parseAllowedOrigins', () => {
+  it('splits, trims and drops trailing slashes', () => {
+    assert.deepEqual(parseAllowedOrigins(' https://a.com/, ,http://localhost:* '), ['https://a.com', 'http://localhost:*']);
+    assert.deepEqual(parseAllowedOrigins(undefined), []);
+  });
+});
+
+describe('createOriginPolicy', () => {
+  const policy = createOriginPolicy({ allowedOrigins: ['https://www.example.com', 'https://*.shop.com', 'http://localhost:*'] });
+
+  it('matches exact origins and wildcards', () => {
+    assert.equal(policy.isAllowed('https://www.example.com'), true);
+    assert.equal(policy.isAllowed('https://WWW.EXAMPLE.COM'), true);
+    assert.equal(policy.isAllowed('http://www.example.com'), false);
+    assert.equal(policy.isAllowed('https://eu.shop.com'), true);
+    assert.equal(policy.isAllowed('https://a.b.shop.com'), true);
+    assert.equal(policy.isAllowed('https://shop.com'), false);
+    assert.equal(policy.isAllowed('https://evilshop.com'), false);
+    assert.equal(policy.isAllowed('http://localhost:5173'), true);
+    assert.equal(policy.isAllowed('https://www.example.com.evil.io'), false);
+  });
+
+  it('rejects foreign origins but not same-origin or header-less requests', () => {
+    const middleware = policy.rejectForeign();
+    const run = req => {
+      const res = fakeResponse();
+      let passed = false;
+      middleware(req, res, () => { passed = true; });
+      return passed ? 'next' : res.statusCode;
+    };
+    assert.equal(run(fakeRequest(undefined)), 'next');
+    assert.equal(run(fakeRequest('https://chat.example.com')), 'next');
+    assert.equal(run(fakeRequest('https://www.example.com')), 'next');
+    assert.equal(run(fakeRequest('https://evil.io')), 403);
+  });
+
+  it('lists the allowed origins as frame ancestors', () => {
+    assert.equal(policy.frameAncestors(), "'self' https://www.example.com https://*.shop.com http://localhost:*");
+  });
+});
@@ -0,0 +1,137 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPrivacy } = require('../lib/privacy');
+const { createLeadPipeline } = require('../lib/leads');
+const { createBookings } = require('../lib/bookings');
+const { createWebhooks } = require('../lib/webhooks');
+const { createMemoryStore } = require('../lib/storage');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('createPrivacy', () => {
+  let storage;
+  let leads;
+  let bookings;
+  let forgotten;
+
+  const setup = options => createPrivacy({
+    storage, leads, bookings, webhooks: createWebhooks({ storage }), forget: id => forgotten.push(id), ...options
+  });
+
+  beforeEach(async () => {
+    storage = createMemoryStore();
+    leads = createLeadPipeline({ storage });
+    bookings = createBookings({ storage, leads });
+    forgotten = [];
+
+    await storage.saveConversation('lan', {
+      messages: [
+        { role: 'system', content: 'Call us on 024 3333 4444' },
+        { role: 'user', content: 'I am Lan, mail lan@example.com or call +84 988 920 565' },
+        { role: 'assistant', content: 'Thanks Lan!' }
+      ],
+      summary: { text: 'Lan (lan@example.com) needs seals', messageCount: 2 }
+    });
+    await storage.saveAnalysis('lan', {
+      analysis: { customerName: 'Lan', customerEmail: 'lan@example.com', customerPhone: '+84988920565', customerProblem: 'Lan needs seals', leadQuality: 'good' },
+      status: 'analyzed'
+    });
+    await leads.update('lan', { status: 'contacted' }, 'ada');
+    await leads.addNote('lan', 'Called Lan on 0988 920 565', 'ada');
+    const start = new Date(Date.now() + DAY).toISOString();
+    const [slot] = await bookings.createSlots({ start, end: new Date(Date.now() + DAY + 60 * 60 * 1000).toISOString(), durationMinutes: 60 });
+    await bookings.book({ slotId: slot.id, sessionId: 'lan', name: 'Lan', email: 'lan@example.com' });
+
+    await storage.saveConversation('other', {
+      messages: [{ role: 'system', content: 'Call us on 024 3333 4444' }, { role: 'user', content: 'Do you stock 6205?' }]
+    });
+  });
+
+  it('finds a data subject by email or by the last digits of their phone', async () => {
+    const privacy = setup();
+    assert.deepEqual((await privacy.findSubject({ email: 'LAN@example.com' })).conversations.map(c => c.sessionId), ['lan']);
+    const byPhone = await privacy.findSubject({ phone: '0988920565' });
+    assert.deepEqual(byPhone.conversations.map(c => [c.sessionId, c.customerName, c.bookingCount]), [['lan', 'Lan', 1]]);
+    assert.deepEqual((await privacy.findSubject({ phone: '024 3333 4444' })).conversations, [], 'ignores the bot\'s own prompt');
+    await assert.rejects(privacy.findSubject({}), { status: 400 });
+    await assert.rejects(privacy.findSubject({ email: 'not-an-email' }), { status: 400 });
+  });
+
+  it('finds and masks contact details left in feedback comments', async () => {
+    await storage.saveConversation('rated', {
+      messages: [{ role: 'assistant', content: 'Hi', feedback: { rating: 'down', comment: 'Email me at lan@example.com' } }]
+    });
+    const privacy = setup({ retentionDays: 30 });
+    assert.deepEqual((await privacy.findSubject({ email: 'lan@example.com' })).conversations.map(c => c.sessionId).sort(), ['lan', 'rated']);
+    await privacy.applyRetention({ now: Date.now() + 31 * DAY });
+    assert.equal((await storage.getConversation('rated')).messages[0].feedback.comment, 'Email me at [email]');
+  });
+
+  it('finds and clears contact details in failed analysis output', async () => {
+    await storage.saveConversation('failed', { messages: [{ role: 'user', content: 'Hi' }] });
+    await storage.saveAnalysis('failed', {
+      analysis: null,
+      status: 'failed',
+      error: {
+        message: 'Lead extraction failed validation',
+        details: ['"leadQuality" must be one of good, ok, spam (got "lan@example.com")'],
+        raw: '{"customerEmail":"lan@example.com","leadQuality":"great"}',
+        at: new Date().toISOString()
+      }
+    });
+    const privacy = setup({ retentionDays: 30 });
+    assert.deepEqual((await privacy.findSubject({ email: 'lan@example.com' })).conversations.map(c => c.sessionId).sort(), ['failed', 'lan']);
+
+    await privacy.applyRetention({ now: Date.now() + 31 * DAY });
+    const { error } = await storage.getAnalysis('failed');
+    assert.equal(error.raw, null);
+    assert.deepEqual(error.details, ['"leadQuality" must be one of good, ok, spam (got "[email]")']);
+    assert.equal(error.message, 'Lead extraction failed validation');
+    assert.deepEqual((await privacy.findSubject({ email: 'lan@example.com' })).conversations, []);
+  });
+
+  it('exports and erases everything about the subject', async () => {
+    const privacy = setup();
+    const exported = await privacy.exportSubject({ email: 'lan@example.com' });
+    assert.equal(exported.conversations[0].conversation.messages.length, 3);
+    assert.equal(exported.conversations[0].lead.status, 'contacted');
+    assert.equal(exported.conversations[0].bookings.length, 1);
+
+    const erased = await privacy.eraseSubject({ email: 'lan@example.com' });
+    assert.deepEqual(erased.removed, { conversations: 1, leads: 1, bookings: 1, webhookDeliveries: 0 });
+    assert.equal(await storage.getConversation('lan'), null);
+    assert.equal((await bookings.availability()).length, 1, 'frees the booked slot');
+    assert.ok(await storage.getConversation('other'));
+    assert.deepEqual(forgotten, ['lan']);
+  });
+
+  it('anonymises expired conversations once, keeping pipeline state', async () => {
+    const privacy = setup({ retentionDays: 30 });
+    const later = Date.now() + 31 * DAY;
+    assert.equal((await privacy.applyRetention({ now: later })).processed, 2);
+
+    const record = await storage.getConversation('lan');
+    assert.equal(record.messages[1].content, 'I am [name], mail [email] or call [phone]');
+    assert.equal(record.messages[0].content, 'Call us on [phone]');
+    assert.equal(record.summary.text, '[name] ([email]) needs seals');
+    assert.equal(record.analysis.customerEmail, '');
+    assert.equal(record.analysis.customerProblem, '[name] needs seals');
+    assert.equal(record.analysis.leadQuality, 'good');
+    const lead = await leads.get('lan');
+    assert.equal(lead.status, 'contacted');
+    assert.equal(lead.notes[0].text, 'Called [name] on [phone]');
+    assert.equal((await bookings.list({ sessionId: 'lan' }))[0].email, '[email]');
+    assert.deepEqual((await privacy.findSubject({ email: 'lan@example.com' })).conversations, []);
+
+    assert.equal((await privacy.applyRetention({ now: later })).processed, 0);
+    assert.equal(privacy.policy().lastRun.processed, 0);
+  });
+
+  it('deletes expired conversations with the delete action and skips recent ones', async () => {
+    const privacy = setup({ retentionDays: 30, retentionAction: 'delete' });
+    assert.equal((await privacy.applyRetention()).processed, 0);
+    assert.equal((await privacy.applyRetention({ now: Date.now() + 31 * DAY })).processed, 2);
+    assert.deepEqual(await storage.listConversations(), []);
+    assert.throws(() => setup({ retentionAction: 'archive' }), /RETENTION_ACTION/);
+  });
+});
@@ -0,0 +1,71 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPromptStore, diffLines } = require('../lib/prompts');
+const { createMemoryStore } = require('../lib/storage');
+
+describe('diffLines', () => {
+  it('marks kept, removed and added lines', () => {
+    assert.deepEqual(diffLines('a\nb\nc', 'a\nc\nd'), [
+      { type: 'same', text: 'a' },
+      { type: 'remove', text: 'b' },
+      { type: 'same', text: 'c' },
+      { type: 'add', text: 'd' }
+    ]);
+  });
+});
+
+describe('createPromptStore', () => {
+  let rootDir;
+  let store;
+  beforeEach(() => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chatbot-prompts-'));
+    fs.writeFileSync(path.join(rootDir, 'system_promt_tst.txt'), 'You are the SKF assistant.\n');
+    fs.writeFileSync(path.join(rootDir, 'system_promt.txt'), 'You are the MindTek assistant.');
+    fs.writeFileSync(path.join(rootDir, 'cusor_promt.txt'), '   ');
+    store = createPromptStore({ storage: createMemoryStore(), rootDir });
+  });
+  afterEach(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it('seeds versions from the prompt files, the marked one active', async () => {
+    assert.deepEqual(await store.getActive('chat'), { name: 'chat', version: 1, content: 'You are the SKF assistant.' });
+    const doc = await store.get('chat');
+    assert.deepEqual(doc.versions.map(v => v.note.split(' (')[0]), ['TST Vietnam SKF assistant', 'MindTek AI discovery assistant']);
+  });
+
+  it('falls back to the built-in prompt when no seed file is usable', async t => {
+    t.mock.method(console, 'warn', () => {});
+    const active = await store.getActive('analysis');
+    assert.equal(active.content, 'Return a strict JSON object with extracted customer info.');
+  });
+
+  it('adds versions and switches the active one', async () => {
+    const created = await store.createVersion('chat', { content: '  New prompt  ', note: 'shorter', createdBy: 'ada' });
+    assert.equal(created.version, 3);
+    assert.equal(created.content, 'New prompt');
+    assert.equal((await store.getActive('chat')).version, 1, 'a new version is not active until activated');
+
+    await store.activate('chat', 3, 'ada');
+    assert.deepEqual(await store.getActive('chat'), { name: 'chat', version: 3, content: 'New prompt' });
+    const [chat] = (await store.list()).filter(p => p.name === 'chat');
+    assert.equal(chat.activeVersion, 3);
+    assert.equal(chat.activatedBy, 'ada');
+    assert.equal(chat.versionCount, 3);
+  });
+
+  it('diffs two versions', async () => {
+    await store.createVersion('chat', { content: 'You are the SKF assistant.\nBe brief.' });
+    const diff = await store.diff('chat', 1, 3);
+    assert.deepEqual(diff.lines.map(line => line.type), ['same', 'add']);
+  });
+
+  it('reports unknown prompts and versions as 404 and empty content as 400', async () => {
+    await assert.rejects(store.getActive('nope'), { status: 404 });
+    await assert.rejects(store.activate('chat', 9), { status: 404 });
+    await assert.rejects(store.createVersion('chat', { content: ' ' }), { status: 400 });
+  });
+});
@@ -0,0 +1,79 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { estimateTokens } = require('../lib/context');
+const { createLlm } = require('../lib/providers');
+const { createMockProvider } = require('../lib/providers/mock');
+
+async function collect(stream) {
+  let text = '';
+  for await (const chunk of stream) {
+    if (typeof chunk === 'string') text += chunk;
+  }
+  return text;
+}
+
+describe('createLlm', () => {
+  it('builds chat and analysis profiles with per-purpose overrides', () => {
+    const llm = createLlm({ LLM_PROVIDER: 'mock', CHAT_MODEL: 'gpt-4.1-mini', ANALYSIS_TEMPERATURE: '0', CHAT_MAX_TOKENS: 'lots' });
+    assert.equal(llm.chat.providerName, 'mock');
+    assert.equal(llm.chat.model, 'gpt-4.1-mini');
+    assert.equal(llm.chat.maxTokens, 250);
+    assert.equal(llm.analysis.model, 'gpt-4.1');
+    assert.equal(llm.analysis.temperature, 0);
+  });
+
+  it('rejects unknown providers', () => {
+    assert.throws(() => createLlm({ LLM_PROVIDER: 'carrier-pigeon' }), /Unknown LLM provider "carrier-pigeon"/);
+  });
+});
+
+describe('mock provider', () => {
+  const provider = createMockProvider({ streamDelayMs: 0 });
+
+  it('answers by rule first, then by turn', async () => {
+    const hello = await provider.complete({ messages: [{ role: 'user', content: 'Hello there' }], purpose: 'chat' });
+    assert.equal(hello.content, 'Hello! What industry do you work in?');
+    const second = await provider.complete({
+      messages: [{ role: 'user', content: 'Hello' }, { role: 'assistant', content: '...' }, { role: 'user', content: 'Mining' }],
+      purpose: 'chat'
+    });
+    assert.equal(second.content, 'We can help with chatbots, process automation and digital marketing. Would you like to learn more?');
+  });
+
+  it('streams the same reply it completes', async () => {
+    const messages = [{ role: 'user', content: 'What does it cost?' }];
+    const { content } = await provider.complete({ messages, purpose: 'chat' });
+    assert.equal(await collect(provider.stream({ messages, purpose: 'chat' })), content);
+  });
+
+  it('estimates token usage the way context budgeting does', async () => {
+    const messages = [{ role: 'user', content: 'What does it cost?' }];
+    const completion = await provider.complete({ model: 'mock-1', messages, purpose: 'chat' });
+    assert.equal(completion.usage.promptTokens, estimateTokens(messages[0]));
+    assert.equal(completion.usage.completionTokens, estimateTokens(completion.content));
+    const events = [];
+    for await (const chunk of provider.stream({ model: 'mock-1', messages, purpose: 'chat' })) {
+      if (typeof chunk !== 'string') events.push(chunk);
+    }
+    assert.deepEqual(events, [{ usage: completion.usage, model: 'mock-1' }]);
+  });
+
+  it('extracts a lead from the transcript for analysis', async () => {
+    const transcript = 'USER: Hi, my name is Lan\nASSISTANT: Hello\nUSER: Mail me at lan@example.com about a consultation';
+    const { content } = await provider.complete({ messages: [{ role: 'user', content: transcript }], purpose: 'analysis' });
+    const lead = JSON.parse(content);
+    assert.equal(lead.customerName, 'Lan');
+    assert.equal(lead.customerEmail, 'lan@example.com');
+    assert.equal(lead.customerConsultation, true);
+    assert.equal(lead.leadQuality, 'good');
+  });
+
+  it('stops when aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(
+      provider.complete({ messages: [], purpose: 'chat', signal: controller.signal }),
+      { name: 'AbortError' }
+    );
+  });
+});
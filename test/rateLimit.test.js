@@ -0,0 +1,104 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimiter, rateLimit, createMessageGuard } = require('../lib/rateLimit');
+
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set(fields, value) {
+      if (typeof fields === 'string') this.headers[fields] = value;
+      else Object.assign(this.headers, fields);
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+function conversationOf(...texts) {
+  return { messages: texts.map(content => ({ role: 'user', content })) };
+}
+
+describe('createRateLimiter', () => {
+  it('allows `max` hits per key and window', () => {
+    const limiter = createRateLimiter({ windowMs: 60000, max: 2 });
+    assert.equal(limiter.hit('a').allowed, true);
+    assert.deepEqual(limiter.hit('a').remaining, 0);
+    assert.equal(limiter.hit('a').allowed, false);
+    assert.equal(limiter.hit('b').allowed, true);
+  });
+
+  it('starts a new window once the old one ends', t => {
+    t.mock.timers.enable({ apis: ['Date'] });
+    const limiter = createRateLimiter({ windowMs: 1000, max: 1 });
+    limiter.hit('a');
+    assert.equal(limiter.hit('a').allowed, false);
+    t.mock.timers.tick(1001);
+    assert.equal(limiter.hit('a').allowed, true);
+  });
+});
+
+describe('rateLimit middleware', () => {
+  it('sets RateLimit headers and answers 429 with Retry-After past the limit', () => {
+    const middleware = rateLimit(createRateLimiter({ windowMs: 60000, max: 1 }), { key: req => req.ip, message: 'Slow down' });
+    let calls = 0;
+    const first = fakeResponse();
+    middleware({ ip: '1.2.3.4' }, first, () => calls++);
+    assert.equal(calls, 1);
+    assert.equal(first.headers['RateLimit-Limit'], '1');
+    assert.equal(first.headers['RateLimit-Remaining'], '0');
+
+    const second = fakeResponse();
+    middleware({ ip: '1.2.3.4' }, second, () => calls++);
+    assert.equal(calls, 1);
+    assert.equal(second.statusCode, 429);
+    assert.equal(second.body.error, 'Slow down');
+    assert.equal(second.body.code, 'rate_limited');
+    assert.equal(second.headers['Retry-After'], '60');
+  });
+
+  it('skips requests without a key', () => {
+    const middleware = rateLimit(createRateLimiter({ windowMs: 60000, max: 0 }), { key: () => null });
+    let called = false;
+    middleware({}, fakeResponse(), () => { called = true; });
+    assert.equal(called, true);
+  });
+});
+
+describe('createMessageGuard', () => {
+  it('checks emptiness, length and the turn limit', () => {
+    const guard = createMessageGuard({ maxLength: 10, maxTurns: 2 });
+    assert.equal(guard.check('s', conversationOf(), '  ').code, 'invalid_message');
+    assert.equal(guard.check('s', conversationOf(), 'x'.repeat(11)).code, 'message_too_long');
+    assert.equal(guard.check('s', conversationOf('a', 'b'), 'c').code, 'turn_limit');
+    assert.equal(guard.check('s', conversationOf('a'), 'b'), null);
+  });
+
+  it('rejects the same message sent over and over', () => {
+    const guard = createMessageGuard({ repeatLimit: 3 });
+    assert.equal(guard.check('s', conversationOf('Hi', 'hi '), 'HI').code, 'repeated_message');
+    assert.equal(guard.check('s', conversationOf('Hi', 'there'), 'hi'), null);
+  });
+
+  it('blocks a flooding session for the cooldown', t => {
+    t.mock.timers.enable({ apis: ['Date'] });
+    const guard = createMessageGuard({ floodWindowMs: 10000, floodMax: 2, cooldownMs: 60000 });
+    assert.equal(guard.check('s', conversationOf(), 'one'), null);
+    assert.equal(guard.check('s', conversationOf(), 'two'), null);
+    const flood = guard.check('s', conversationOf(), 'three');
+    assert.equal(flood.code, 'flood_detected');
+    assert.equal(flood.retryAfter, 60);
+    assert.equal(guard.check('s', conversationOf(), 'four').code, 'flood_cooldown');
+    assert.equal(guard.check('other', conversationOf(), 'hello'), null);
+    t.mock.timers.tick(60001);
+    assert.equal(guard.check('s', conversationOf(), 'five'), null);
+  });
+});
@@ -0,0 +1,48 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { redactText, containsPii, installLogRedaction } = require('../lib/privacy/redact');
+
+describe('redactText', () => {
+  it('masks email addresses and phone numbers', () => {
+    assert.equal(
+      redactText('Mail lan.nguyen+work@example.com.vn or call +84 988 920 565.'),
+      'Mail [email] or call [phone].'
+    );
+    assert.equal(redactText('Call 0988.920.565 today'), 'Call [phone] today');
+  });
+
+  it('leaves dates, times, IP addresses and short numbers alone', () => {
+    const text = 'On 2024-05-01 at 10:30:00 from 192.168.100.200 we shipped 1,250 units of 6205-2RS';
+    assert.equal(redactText(text), text);
+  });
+
+  it('masks the given names as whole words, in any case', () => {
+    assert.equal(redactText('Lan said hi; lan is here. Landon stays.', { names: ['Lan', ''] }), '[name] said hi; [name] is here. Landon stays.');
+    assert.equal(redactText('Thanks Nguyễn Văn An!', { names: ['nguyễn văn an'] }), 'Thanks [name]!');
+  });
+
+  it('treats missing text as empty', () => {
+    assert.equal(redactText(undefined), '');
+    assert.equal(redactText(null), '');
+  });
+});
+
+describe('containsPii', () => {
+  it('is true when there is an email address or phone number', () => {
+    assert.equal(containsPii('reach me at lan@example.com'), true);
+    assert.equal(containsPii('my number is 0988 920 565'), true);
+    assert.equal(containsPii('we need 40 bearings'), false);
+  });
+});
+
+describe('installLogRedaction', () => {
+  it('redacts console output until restored', () => {
+    const lines = [];
+    const target = { log: line => lines.push(line), info() {}, warn() {}, error() {}, debug() {} };
+    const restore = installLogRedaction(target);
+    target.log('lead %s', 'lan@example.com', { phone: '0988920565' });
+    restore();
+    target.log('lan@example.com');
+    assert.deepEqual(lines, ["lead [email] { phone: '[phone]' }", 'lan@example.com']);
+  });
+});
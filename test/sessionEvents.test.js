@@ -0,0 +1,71 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { createSessionEvents } = require('../lib/sessionEvents');
+
+function fakeStream() {
+  const res = new EventEmitter();
+  res.headers = {};
+  res.body = '';
+  res.set = fields => Object.assign(res.headers, fields);
+  res.flushHeaders = () => {};
+  res.write = chunk => { res.body += chunk; };
+  return res;
+}
+
+describe('createSessionEvents', () => {
+  it('publishes events to every stream of the session until it closes', () => {
+    const events = createSessionEvents();
+    const visitor = fakeStream();
+    const operator = fakeStream();
+    const other = fakeStream();
+    events.subscribe('s1', visitor);
+    events.subscribe('s1', operator);
+    events.subscribe('s2', other);
+    assert.equal(visitor.headers['Content-Type'], 'text/event-stream');
+
+    events.publish('s1', 'message', { content: 'hi' }, 7);
+    assert.equal(visitor.body, 'id: 7\nevent: message\ndata: {"content":"hi"}\n\n');
+    assert.equal(operator.body, visitor.body);
+    assert.equal(other.body, '');
+
+    visitor.emit('close');
+    events.publish('s1', 'handoff', { active: false });
+    assert.doesNotMatch(visitor.body, /handoff/);
+    assert.match(operator.body, /event: handoff\n/);
+    operator.emit('close');
+    other.emit('close');
+  });
+
+  it('presents events to each stream as it was subscribed', () => {
+    const events = createSessionEvents();
+    const visitor = fakeStream();
+    const operator = fakeStream();
+    const present = (event, data) => (event === 'message' ? { content: data.content } : data);
+    const stream = events.subscribe('s1', visitor, { present });
+    events.subscribe('s1', operator);
+
+    events.publish('s1', 'message', { content: 'hi', model: 'gpt-4.1' });
+    stream.send('message', { content: 'again', usage: {} });
+    events.publish('s1', 'handoff', { active: false });
+    assert.equal(visitor.body, 'event: message\ndata: {"content":"hi"}\n\nevent: message\ndata: {"content":"again"}\n\n' +
+      'event: handoff\ndata: {"active":false}\n\n');
+    assert.match(operator.body, /"model":"gpt-4.1"/);
+    visitor.emit('close');
+    operator.emit('close');
+  });
+
+  it('sends to one stream alone and keeps idle streams alive', t => {
+    t.mock.timers.enable({ apis: ['setInterval'] });
+    const events = createSessionEvents({ heartbeatMs: 1000 });
+    const res = fakeStream();
+    events.subscribe('s1', res).send('ready', { ok: true });
+    assert.equal(res.body, 'event: ready\ndata: {"ok":true}\n\n');
+    t.mock.timers.tick(1000);
+    assert.match(res.body, /: ping\n\n$/);
+    res.emit('close');
+    const before = res.body;
+    t.mock.timers.tick(5000);
+    assert.equal(res.body, before);
+  });
+});
@@ -0,0 +1,104 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSessionQuery, searchTerms, matchesTerms, findHits, compareSessions } = require('../lib/sessionSearch');
+
+const RECORD = {
+  sessionId: 'a',
+  messages: [
+    { role: 'system', content: 'You sell bearings' },
+    { id: 'm1', role: 'user', content: 'Do you stock ball bearings for our conveyor line?' },
+    { id: 'm2', role: 'assistant', content: 'Yes, we carry SKF ball bearings.' }
+  ],
+  analysis: { customerName: 'Lan Nguyen', customerEmail: 'lan@example.com', leadQuality: 'good' }
+};
+
+describe('parseSessionQuery', () => {
+  it('applies the defaults', () => {
+    const options = parseSessionQuery({});
+    assert.deepEqual(options.terms, []);
+    assert.equal(options.sort, 'createdAt');
+    assert.equal(options.order, 'desc');
+    assert.equal(options.limit, 50);
+    assert.equal(options.offset, 0);
+    assert.equal(options.negativeFeedback, false);
+  });
+
+  it('parses filters and clamps the page size', () => {
+    const options = parseSessionQuery({
+      q: 'Ball  Bearings', minMessages: '2', maxMessages: '10', quality: 'ok',
+      feedback: 'negative', sort: 'lastActivity', order: 'asc', limit: '1000', offset: '20'
+    });
+    assert.deepEqual(options.terms, ['ball', 'bearings']);
+    assert.equal(options.minMessages, 2);
+    assert.equal(options.maxMessages, 10);
+    assert.equal(options.leadQuality, 'ok');
+    assert.equal(options.negativeFeedback, true);
+    assert.equal(options.limit, 200);
+    assert.equal(options.offset, 20);
+  });
+
+  it('rejects invalid options with a 400', () => {
+    const invalid = [
+      { q: 'x'.repeat(201) },
+      { minMessages: '-1' },
+      { minMessages: '5', maxMessages: '2' },
+      { quality: 'great' },
+      { feedback: 'positive' },
+      { sort: 'name' },
+      { order: 'up' }
+    ];
+    invalid.forEach(query => {
+      assert.throws(() => parseSessionQuery(query), err => err.status === 400, JSON.stringify(query));
+    });
+  });
+
+  it('takes the qualities of the bot\'s schema', () => {
+    assert.equal(parseSessionQuery({ quality: 'hot' }, { qualities: ['hot', 'cold'] }).leadQuality, 'hot');
+    assert.throws(() => parseSessionQuery({ quality: 'ok' }, { qualities: ['hot', 'cold'] }), { status: 400 });
+  });
+});
+
+describe('searchTerms', () => {
+  it('drops characters that are syntax in database filters', () => {
+    assert.deepEqual(searchTerms('  50% "off" (now),  '), ['50', 'off', 'now']);
+    assert.deepEqual(searchTerms(''), []);
+  });
+});
+
+describe('matchesTerms', () => {
+  it('needs every term somewhere in the messages or lead fields', () => {
+    assert.equal(matchesTerms(RECORD, []), true);
+    assert.equal(matchesTerms(RECORD, ['conveyor', 'nguyen']), true);
+    assert.equal(matchesTerms(RECORD, ['conveyor', 'gearbox']), false);
+    assert.equal(matchesTerms(RECORD, ['sell']), false);
+  });
+});
+
+describe('findHits', () => {
+  it('lists lead fields first, then message snippets', () => {
+    const hits = findHits(RECORD, ['lan', 'ball']);
+    assert.deepEqual(hits[0], { field: 'customerName', text: 'Lan Nguyen' });
+    assert.deepEqual(hits[1], { field: 'customerEmail', text: 'lan@example.com' });
+    assert.deepEqual(hits[2], { field: 'message', role: 'user', messageId: 'm1', text: 'Do you stock ball bearings for our conveyor line?' });
+    assert.deepEqual(findHits(RECORD, []), []);
+  });
+
+  it('shortens long messages around the first match', () => {
+    const long = { messages: [{ role: 'user', content: `${'a '.repeat(100)}needle${' b'.repeat(100)}` }] };
+    const [hit] = findHits(long, ['needle']);
+    assert.match(hit.text, /^….*needle.*…$/);
+    assert.ok(hit.text.length < 140);
+  });
+});
+
+describe('compareSessions', () => {
+  it('sorts by the field and breaks ties by session id', () => {
+    const rows = [
+      { sessionId: 'b', messageCount: 2 },
+      { sessionId: 'a', messageCount: 2 },
+      { sessionId: 'c', messageCount: 5 }
+    ];
+    assert.deepEqual(rows.slice().sort(compareSessions('messageCount', 'desc')).map(r => r.sessionId), ['c', 'a', 'b']);
+    assert.deepEqual(rows.slice().sort(compareSessions('messageCount', 'asc')).map(r => r.sessionId), ['a', 'b', 'c']);
+  });
+});
@@ -0,0 +1,283 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMemoryStore, createFileStore } = require('../lib/storage');
+
+function message(role, content, createdAt, extra = {}) {
+  return { role, content, createdAt, ...extra };
+}
+
+// The same behaviour is expected from every local adapter
+function storeContract(createStore) {
+  let store;
+  beforeEach(() => {
+    store = createStore();
+  });
+
+  it('saves and loads conversations', async () => {
+    await store.saveConversation('s1', { messages: [message('user', 'hi', '2024-05-01T10:00:00.000Z')] });
+    await store.saveConversation('s1', { messages: [message('user', 'hi', '2024-05-01T10:00:00.000Z'), message('assistant', 'hello')] });
+    const record = await store.getConversation('s1');
+    assert.equal(record.sessionId, 's1');
+    assert.equal(record.messages.length, 2);
+    assert.ok(record.createdAt && record.updatedAt);
+    assert.equal(await store.getConversation('missing'), null);
+  });
+
+  it('upserts only the fields given', async () => {
+    await store.saveConversation('s1', { messages: [message('user', 'hi', '2024-05-01T10:00:00.000Z')] });
+    await store.saveConversation('s1', { summary: { text: 'greeting', messageCount: 1 }, promptVersion: { name: 'chat', version: 2 } });
+    const record = await store.getConversation('s1');
+    assert.equal(record.messages.length, 1);
+    assert.equal(record.summary.text, 'greeting');
+    assert.deepEqual(record.promptVersion, { name: 'chat', version: 2 });
+    assert.deepEqual((await store.listConversations())[0].promptVersion, { name: 'chat', version: 2 });
+  });
+
+  it('returns copies, not the stored record', async () => {
+    await store.saveConversation('s1', { messages: [message('user', 'hi', '2024-05-01T10:00:00.000Z')] });
+    const record = await store.getConversation('s1');
+    record.messages.push(message('user', 'changed', '2024-05-01T10:01:00.000Z'));
+    assert.equal((await store.getConversation('s1')).messages.length, 1);
+  });
+
+  it('deletes conversations', async () => {
+    await store.saveConversation('s1', { messages: [] });
+    assert.equal(await store.deleteConversation('s1'), true);
+    assert.equal(await store.deleteConversation('s1'), false);
+    assert.equal(await store.getConversation('s1'), null);
+  });
+
+  it('lists summaries, newest first', async () => {
+    await store.saveConversation('a', { messages: [message('system', 'prompt'), message('user', 'hi')] });
+    await new Promise(resolve => setTimeout(resolve, 2));
+    await store.saveConversation('b', { messages: [message('system', 'prompt')] });
+    const rows = await store.listConversations();
+    assert.deepEqual(rows.map(row => [row.sessionId, row.messageCount]), [['b', 0], ['a', 1]]);
+  });
+
+  it('keeps the last good analysis when a run fails', async () => {
+    assert.equal(await store.saveAnalysis('missing', { analysis: {}, status: 'analyzed' }), false);
+    await store.saveConversation('s1', { messages: [] });
+    await store.saveAnalysis('s1', { analysis: { leadQuality: 'good' }, status: 'analyzed', error: null });
+    await store.saveAnalysis('s1', { analysis: null, status: 'failed', error: { message: 'boom' } });
+
+    const saved = await store.getAnalysis('s1');
+    assert.deepEqual(saved.analysis, { leadQuality: 'good' });
+    assert.equal(saved.status, 'failed');
+    assert.deepEqual(saved.error, { message: 'boom' });
+    assert.ok(saved.analyzedAt);
+    const [row] = await store.listConversations();
+    assert.equal(row.analyzedAt, saved.analyzedAt);
+    assert.equal(row.analysisStatus, 'failed');
+    assert.equal(row.leadQuality, 'good');
+    assert.deepEqual((await store.listAnalyses()).map(r => [r.sessionId, r.analysis.leadQuality]), [['s1', 'good']]);
+  });
+
+  it('logs the token usage of every analysis run', async () => {
+    await store.saveConversation('s1', { messages: [] });
+    const usage = { id: 'run-1', at: '2024-05-01T10:00:00.000Z', model: 'gpt-4.1', promptTokens: 10, completionTokens: 5 };
+    await store.saveAnalysis('s1', { analysis: { leadQuality: 'good' }, status: 'analyzed', usage });
+    await store.saveAnalysis('s1', { analysis: null, status: 'failed', error: { message: 'boom' }, usage: { ...usage, id: 'run-2' } });
+    assert.deepEqual((await store.getConversation('s1')).analysisUsage.map(run => run.id), ['run-1', 'run-2']);
+  });
+
+  it('reports the last visitor or bot message as last activity', async () => {
+    await store.saveConversation('s1', {
+      messages: [message('system', 'prompt'), message('user', 'hi', '2024-05-01T10:00:00.000Z'), message('assistant', 'hello', '2024-05-01T10:00:04.000Z')]
+    });
+    await store.saveConversation('s2', { messages: [message('system', 'prompt')] });
+    const rows = Object.fromEntries((await store.listConversations()).map(row => [row.sessionId, row]));
+    assert.equal(rows.s1.lastActivity, '2024-05-01T10:00:04.000Z');
+    assert.equal(rows.s2.lastActivity, rows.s2.updatedAt);
+  });
+
+  it('lists conversations due an analysis, a failed one only after new messages', async () => {
+    const transcript = at => [message('system', 'prompt'), message('user', 'hi', at)];
+    const failure = { message: 'boom', at: '2024-05-01T11:00:00.000Z' };
+    await store.saveConversation('new', { messages: transcript('2024-05-01T10:00:00.000Z') });
+    await store.saveConversation('empty', { messages: [message('system', 'prompt')] });
+    await store.saveConversation('done', { messages: transcript('2024-05-01T10:00:00.000Z') });
+    await store.saveAnalysis('done', { analysis: {}, status: 'analyzed' });
+    await store.saveConversation('failed', { messages: transcript('2024-05-01T10:00:00.000Z') });
+    await store.saveAnalysis('failed', { analysis: null, status: 'failed', error: failure });
+    await store.saveConversation('continued', { messages: transcript('2024-05-01T12:00:00.000Z') });
+    await store.saveAnalysis('continued', { analysis: null, status: 'failed', error: failure });
+
+    const due = await store.listAnalysisDue();
+    assert.deepEqual(due.map(row => row.sessionId).sort(), ['continued', 'new']);
+    assert.equal(due.find(row => row.sessionId === 'continued').analysisFailedAt, failure.at);
+  });
+
+  it('iterates full records oldest first, filtered by start and lead quality', async () => {
+    await store.saveConversation('a', { messages: [message('user', 'first')] });
+    await new Promise(resolve => setTimeout(resolve, 2));
+    await store.saveConversation('b', { messages: [message('user', 'second')] });
+    await store.saveAnalysis('b', { analysis: { leadQuality: 'good' }, status: 'analyzed' });
+    const ids = async filters => {
+      const found = [];
+      for await (const record of store.iterateConversations(filters)) found.push(record.sessionId);
+      return found;
+    };
+    assert.deepEqual(await ids(), ['a', 'b']);
+    assert.deepEqual(await ids({ leadQuality: 'good' }), ['b']);
+    assert.deepEqual(await ids({ from: (await store.getConversation('b')).createdAt }), ['b']);
+    assert.deepEqual(await ids({ to: (await store.getConversation('a')).createdAt }), ['a']);
+  });
+
+  it('keeps bots apart, with older conversations on the default bot', async () => {
+    await store.saveConversation('old', { messages: [] });
+    await store.saveConversation('new', { messages: [], botId: 'skf' });
+    assert.deepEqual((await store.listConversations({ botId: 'default' })).map(row => row.sessionId), ['old']);
+    assert.deepEqual((await store.listConversations({ botId: 'skf' })).map(row => row.botId), ['skf']);
+    const ids = [];
+    for await (const record of store.iterateConversations({ botId: 'skf' })) ids.push(record.sessionId);
+    assert.deepEqual(ids, ['new']);
+  });
+
+  it('anonymises in place without touching updatedAt', async () => {
+    await store.saveConversation('s1', { messages: [message('user', 'lan@example.com')] });
+    await store.saveAnalysis('s1', { analysis: { customerEmail: 'lan@example.com' }, status: 'analyzed' });
+    await store.saveAnalysis('s1', { analysis: null, status: 'failed', error: { message: 'boom', raw: 'lan@example.com' } });
+    const before = await store.getConversation('s1');
+    assert.equal(await store.anonymizeConversation('s1', {
+      messages: [message('user', '[email]')], summary: null, analysis: { customerEmail: '' }, analysisError: { message: 'boom', raw: null }
+    }), true);
+    const after = await store.getConversation('s1');
+    assert.equal(after.messages[0].content, '[email]');
+    assert.deepEqual(after.analysis, { customerEmail: '' });
+    assert.deepEqual(after.analysisError, { message: 'boom', raw: null });
+    assert.equal(after.updatedAt, before.updatedAt);
+    assert.ok(after.anonymizedAt);
+    assert.equal(await store.anonymizeConversation('missing', { messages: [] }), false);
+  });
+
+  describe('searchConversations', () => {
+    beforeEach(async () => {
+      await store.saveConversation('a', {
+        botId: 'skf',
+        messages: [
+          message('system', 'You sell bearings'),
+          message('user', 'Do you stock ball bearings?', '2024-05-01T10:00:00.000Z'),
+          message('assistant', 'Yes, SKF ball bearings.', '2024-05-01T10:00:05.000Z', { feedback: { rating: 'down' } })
+        ]
+      });
+      await store.saveAnalysis('a', { analysis: { customerName: 'Lan Nguyen', leadQuality: 'good' }, status: 'analyzed' });
+      await store.saveConversation('b', {
+        messages: [
+          message('system', 'You sell bearings'),
+          message('user', 'Hello', '2024-05-02T09:00:00.000Z'),
+          message('assistant', 'Hi! How can I help?', '2024-05-02T09:00:02.000Z'),
+          message('user', 'Just looking', '2024-05-02T09:30:00.000Z')
+        ]
+      });
+    });
+
+    it('matches every word across messages and lead fields, with hits', async () => {
+      const { total, sessions } = await store.searchConversations({ terms: ['ball', 'lan'] });
+      assert.equal(total, 1);
+      assert.equal(sessions[0].sessionId, 'a');
+      assert.deepEqual(sessions[0].hits[0], { field: 'customerName', text: 'Lan Nguyen' });
+      assert.equal(sessions[0].hits[1].field, 'message');
+      assert.equal((await store.searchConversations({ terms: ['bearings', 'hello'] })).total, 0);
+      assert.equal((await store.searchConversations({ terms: ['sell'] })).total, 0, 'the system prompt is not searched');
+    });
+
+    it('filters, sorts and pages', async () => {
+      const ids = result => result.sessions.map(s => s.sessionId);
+      assert.deepEqual(ids(await store.searchConversations({ botId: 'skf' })), ['a']);
+      assert.deepEqual(ids(await store.searchConversations({ minMessages: 3 })), ['b']);
+      assert.deepEqual(ids(await store.searchConversations({ leadQuality: 'good' })), ['a']);
+      assert.deepEqual(ids(await store.searchConversations({ negativeFeedback: true })), ['a']);
+      assert.deepEqual(ids(await store.searchConversations({ sort: 'messageCount', order: 'asc' })), ['a', 'b']);
+
+      const page = await store.searchConversations({ sort: 'lastActivity', order: 'desc', limit: 1, offset: 1 });
+      assert.equal(page.total, 2);
+      assert.deepEqual(ids(page), ['a']);
+      assert.equal(page.sessions[0].lastActivity, '2024-05-01T10:00:05.000Z');
+    });
+  });
+
+  it('stores documents in collections', async () => {
+    const docs = store.collection('things');
+    await docs.put('a', { id: 'a', n: 1 });
+    await docs.put('b', { id: 'b', n: 2 });
+    await docs.put('a', { id: 'a', n: 3 });
+    assert.deepEqual(await docs.get('a'), { id: 'a', n: 3 });
+    assert.equal(await docs.get('missing'), null);
+    assert.deepEqual((await docs.list()).map(doc => doc.id).sort(), ['a', 'b']);
+    assert.equal(await docs.delete('a'), true);
+    assert.equal(await docs.delete('a'), false);
+    assert.deepEqual(await store.collection('other').list(), []);
+  });
+
+  it('inserts with create() only when the id is free', async () => {
+    const locks = store.collection('locks');
+    assert.equal(await locks.create('slot', { by: 'a' }), true);
+    assert.equal(await locks.create('slot', { by: 'b' }), false);
+    assert.deepEqual(await locks.get('slot'), { by: 'a' });
+    await locks.delete('slot');
+    assert.equal(await locks.create('slot', { by: 'b' }), true);
+  });
+}
+
+describe('memory store', () => {
+  storeContract(() => createMemoryStore());
+});
+
+describe('file store', () => {
+  let dir;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chatbot-store-'));
+  });
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  storeContract(() => createFileStore({ filePath: path.join(dir, 'chatbot.json') }));
+
+  it('survives a restart', async () => {
+    const filePath = path.join(dir, 'chatbot.json');
+    const store = createFileStore({ filePath });
+    await store.saveConversation('s1', { messages: [message('user', 'hi', '2024-05-01T10:00:00.000Z')] });
+    await store.saveAnalysis('s1', { analysis: { leadQuality: 'ok' }, status: 'analyzed' });
+    await store.collection('prompts').put('p', { id: 'p' });
+
+    const reopened = createFileStore({ filePath });
+    assert.equal((await reopened.getConversation('s1')).messages[0].content, 'hi');
+    assert.deepEqual((await reopened.getAnalysis('s1')).analysis, { leadQuality: 'ok' });
+    assert.deepEqual(await reopened.collection('prompts').get('p'), { id: 'p' });
+  });
+
+  it('keeps knowledge documents out of the main file', async () => {
+    const filePath = path.join(dir, 'chatbot.json');
+    const store = createFileStore({ filePath });
+    await store.collection('knowledge_documents').put('d', { id: 'd', chunks: [] });
+    await store.saveConversation('s1', { messages: [] });
+
+    assert.equal(JSON.parse(fs.readFileSync(filePath, 'utf8')).collections.knowledge_documents, undefined);
+    const separate = JSON.parse(fs.readFileSync(path.join(dir, 'chatbot.knowledge_documents.json'), 'utf8'));
+    assert.deepEqual(Object.keys(separate), ['d']);
+    assert.deepEqual(await createFileStore({ filePath }).collection('knowledge_documents').get('d'), { id: 'd', chunks: [] });
+  });
+
+  it('moves knowledge documents out of a main file written before the split', async () => {
+    const filePath = path.join(dir, 'chatbot.json');
+    fs.writeFileSync(filePath, JSON.stringify({ conversations: [], collections: { knowledge_documents: { d: { id: 'd' } } } }));
+    const store = createFileStore({ filePath });
+    await store.saveConversation('s1', { messages: [] });
+
+    assert.equal(JSON.parse(fs.readFileSync(filePath, 'utf8')).collections.knowledge_documents, undefined);
+    assert.deepEqual(await createFileStore({ filePath }).collection('knowledge_documents').get('d'), { id: 'd' });
+  });
+
+  it('starts empty when the file is unreadable', async t => {
+    const filePath = path.join(dir, 'chatbot.json');
+    fs.writeFileSync(filePath, '{ not json');
+    t.mock.method(console, 'warn', () => {});
+    const store = createFileStore({ filePath });
+    assert.deepEqual(await store.listConversations(), []);
+  });
+});
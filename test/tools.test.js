@@ -0,0 +1,167 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createToolRegistry, runTools } = require('../lib/tools');
+const { validate } = require('../lib/tools/schema');
+const { registerBuiltinTools } = require('../lib/tools/builtin');
+const { createLeadPipeline } = require('../lib/leads');
+const { createMemoryStore } = require('../lib/storage');
+
+// A profile answering with the given completions in turn, recording what it saw
+function scriptedProfile(...replies) {
+  const requests = [];
+  const next = (messages, options) => {
+    requests.push({ messages, tools: options.tools });
+    return replies.shift() || { content: 'done', toolCalls: [] };
+  };
+  return {
+    requests,
+    async complete(messages, options) {
+      return next(messages, options);
+    },
+    async *stream(messages, options) {
+      const reply = next(messages, options);
+      if (reply.content) yield* reply.content.split(' ').map((word, i) => (i ? ` ${word}` : word));
+      if (reply.toolCalls && reply.toolCalls.length) yield { toolCalls: reply.toolCalls };
+    }
+  };
+}
+
+const call = (name, args, id = `call_${name}`) => ({ id, name, arguments: typeof args === 'string' ? args : JSON.stringify(args) });
+
+function registryWithEcho(options) {
+  const registry = createToolRegistry(options);
+  registry.register({
+    name: 'echo',
+    description: 'Echo',
+    parameters: { type: 'object', properties: { text: { type: 'string', maxLength: 5 } }, required: ['text'], additionalProperties: false },
+    handler: (args, context) => ({ text: args.text, sessionId: context.sessionId })
+  });
+  return registry;
+}
+
+describe('tool argument validation', () => {
+  const schema = {
+    type: 'object',
+    properties: { query: { type: 'string', minLength: 2 }, limit: { type: 'integer', minimum: 1, maximum: 10 }, tags: { type: 'array', maxItems: 1, items: { enum: ['a', 'b'] } } },
+    required: ['query'],
+    additionalProperties: false
+  };
+
+  it('accepts conforming arguments and optional nulls', () => {
+    assert.deepEqual(validate(schema, { query: 'seals', limit: 3, tags: ['a'] }), []);
+    assert.deepEqual(validate(schema, { query: 'seals', limit: null }), []);
+  });
+
+  it('names every problem', () => {
+    assert.deepEqual(validate(schema, { limit: 1.5, extra: 1 }), [
+      'arguments.query is required',
+      'arguments.limit must be an integer',
+      'arguments.extra is not a known parameter'
+    ]);
+    assert.deepEqual(validate(schema, { query: 'x', limit: 11, tags: ['c', 'a'] }), [
+      'arguments.query must be at least 2 characters',
+      'arguments.limit must be at most 10',
+      'arguments.tags must have at most 1 items',
+      'arguments.tags[0] must be one of a, b'
+    ]);
+  });
+});
+
+describe('createToolRegistry', () => {
+  it('rejects bad tool names and handlers', () => {
+    const registry = createToolRegistry();
+    assert.throws(() => registry.register({ name: 'has space', handler() {} }), /Invalid tool name/);
+    assert.throws(() => registry.register({ name: 'ok' }), /no handler/);
+  });
+
+  it('reports unknown tools, bad JSON and invalid arguments instead of throwing', async () => {
+    const registry = registryWithEcho();
+    assert.equal((await registry.call(call('nope', {}))).error, 'Unknown tool "nope"');
+    assert.equal((await registry.call(call('echo', {}), {}, ['other'])).error, 'Unknown tool "echo"');
+    assert.equal((await registry.call(call('echo', '{"text":'))).error, 'Arguments are not valid JSON');
+    assert.equal((await registry.call(call('echo', { text: 'too long' }))).error, 'Invalid arguments: arguments.text must be at most 5 characters');
+    const ok = await registry.call(call('echo', { text: 'hi' }), { sessionId: 's1' });
+    assert.deepEqual(ok.result, { text: 'hi', sessionId: 's1' });
+  });
+
+  it('times out slow handlers and aborts them', async () => {
+    const registry = createToolRegistry({ timeoutMs: 10 });
+    let aborted = false;
+    registry.register({
+      name: 'slow',
+      handler: (args, { signal }) => new Promise(resolve => {
+        signal.addEventListener('abort', () => { aborted = true; resolve(); });
+      })
+    });
+    assert.equal((await registry.call(call('slow', {}))).error, 'Tool "slow" timed out after 10 ms');
+    assert.equal(aborted, true);
+  });
+});
+
+describe('runTools', () => {
+  it('runs the calls the model makes and feeds their results back', async () => {
+    const registry = registryWithEcho();
+    const profile = scriptedProfile(
+      { content: 'Checking.', toolCalls: [call('echo', { text: 'hi' }), call('echo', { text: 'toolong' }, 'call_2')] },
+      { content: 'All done.', toolCalls: [] }
+    );
+    const seen = [];
+    const { content, calls } = await runTools({
+      profile, registry, messages: [{ role: 'user', content: 'go' }], context: { sessionId: 's1' }, onToolCall: record => seen.push(record.id)
+    });
+    assert.equal(content, 'Checking.\n\nAll done.');
+    assert.deepEqual(calls.map(c => [c.id, c.error || null]), [['call_echo', null], ['call_2', 'Invalid arguments: arguments.text must be at most 5 characters']]);
+    assert.deepEqual(seen, ['call_echo', 'call_2']);
+    const followUp = profile.requests[1].messages.slice(1);
+    assert.deepEqual(followUp[0].tool_calls.map(c => c.id), ['call_echo', 'call_2']);
+    assert.deepEqual(followUp.slice(1).map(m => [m.role, m.tool_call_id, JSON.parse(m.content)]), [
+      ['tool', 'call_echo', { text: 'hi', sessionId: 's1' }],
+      ['tool', 'call_2', { error: 'Invalid arguments: arguments.text must be at most 5 characters' }]
+    ]);
+  });
+
+  it('adds up the token usage of every round', async () => {
+    const registry = registryWithEcho();
+    const profile = scriptedProfile(
+      { content: '', toolCalls: [call('echo', { text: 'hi' })], usage: { promptTokens: 10, completionTokens: 2 }, model: 'gpt-4.1' },
+      { content: 'Done', toolCalls: [], usage: { promptTokens: 20, completionTokens: 3 }, model: 'gpt-4.1' }
+    );
+    const { usage, model } = await runTools({ profile, registry, messages: [] });
+    assert.deepEqual(usage, { promptTokens: 30, completionTokens: 5 });
+    assert.equal(model, 'gpt-4.1');
+  });
+
+  it('stops offering tools after maxRounds', async () => {
+    const registry = registryWithEcho();
+    const loop = { content: '', toolCalls: [call('echo', { text: 'again' })] };
+    const profile = scriptedProfile(loop, loop, { content: 'Answer.', toolCalls: [call('echo', { text: 'x' })] });
+    const { content, calls } = await runTools({ profile, registry, messages: [], maxRounds: 2 });
+    assert.equal(content, 'Answer.');
+    assert.equal(calls.length, 2);
+    assert.equal(profile.requests[2].tools, undefined);
+  });
+
+  it('streams text as it arrives', async () => {
+    const registry = registryWithEcho();
+    const profile = scriptedProfile({ content: 'One moment', toolCalls: [call('echo', { text: 'hi' })] }, { content: 'Done', toolCalls: [] });
+    const deltas = [];
+    const { content } = await runTools({ profile, registry, messages: [], onDelta: delta => deltas.push(delta) });
+    assert.deepEqual(deltas, ['One', ' moment', '\n\nDone']);
+    assert.equal(content, 'One moment\n\nDone');
+  });
+});
+
+describe('built-in tools', () => {
+  it('saves contact details on the lead and rejects unusable ones', async () => {
+    const storage = createMemoryStore();
+    await storage.saveConversation('s1', { messages: [] });
+    const leads = createLeadPipeline({ storage });
+    const registry = createToolRegistry();
+    registerBuiltinTools(registry, { leads, knowledge: null, bookings: null, formatTime: String, timeZone: 'UTC' });
+
+    assert.match((await registry.call(call('save_contact', { name: 'Lan' }), { sessionId: 's1' })).error, /email address or phone number is required/);
+    const saved = await registry.call(call('save_contact', { name: 'Lan', email: 'LAN@Example.com' }), { sessionId: 's1' });
+    assert.equal(saved.result.saved, true);
+    assert.equal((await leads.get('s1')).contact.email, 'lan@example.com');
+  });
+});
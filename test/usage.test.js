@@ -0,0 +1,101 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPricing, conversationUsage, usageRecords, appendAnalysisRun, addUsage, emptyUsage, roundCost, MAX_ANALYSIS_RUNS } = require('../lib/usage');
+
+describe('createPricing', () => {
+  it('prices a model by the longest listed name it starts with', () => {
+    const pricing = createPricing({});
+    assert.deepEqual(pricing.priceOf('gpt-4.1-2025-04-14'), { input: 2, output: 8 });
+    assert.deepEqual(pricing.priceOf('gpt-4.1-mini-2025-04-14'), { input: 0.4, output: 1.6 });
+    assert.equal(pricing.priceOf('claude-x'), null);
+  });
+
+  it('works out the cost of a call in USD', () => {
+    const pricing = createPricing({});
+    assert.equal(pricing.costOf('gpt-4.1', { promptTokens: 1000000, completionTokens: 500000 }), 6);
+    assert.equal(pricing.costOf('gpt-4.1', null), 0);
+    assert.equal(pricing.costOf('unknown', { promptTokens: 10, completionTokens: 10 }), null);
+  });
+
+  it('takes extra and replacement prices from MODEL_PRICING', () => {
+    const pricing = createPricing({ MODEL_PRICING: '{"gpt-4.1": {"input": 1, "output": 2}, "local": {"input": 0, "output": 0}}' });
+    assert.deepEqual(pricing.priceOf('gpt-4.1'), { input: 1, output: 2 });
+    assert.equal(pricing.costOf('local-llama', { promptTokens: 100, completionTokens: 100 }), 0);
+  });
+
+  it('rejects malformed MODEL_PRICING', () => {
+    assert.throws(() => createPricing({ MODEL_PRICING: '{' }), /not valid JSON/);
+    assert.throws(() => createPricing({ MODEL_PRICING: '[]' }), /must be an object/);
+    assert.throws(() => createPricing({ MODEL_PRICING: '{"m": {"input": -1, "output": 1}}' }), /non-negative/);
+  });
+});
+
+describe('conversationUsage', () => {
+  it('totals replies and analysis runs, per model and per reply', () => {
+    const record = {
+      messages: [
+        { role: 'user', content: 'hi' },
+        { id: 'r1', role: 'assistant', model: 'gpt-4.1', usage: { promptTokens: 1000, completionTokens: 100 } },
+        { id: 'r2', role: 'assistant', model: 'mystery', usage: { promptTokens: 50, completionTokens: 5 } },
+        { id: 'r3', role: 'assistant', content: 'stored before usage was recorded' }
+      ],
+      analysisUsage: [{ id: 'run-1', model: 'gpt-4.1-mini', promptTokens: 2000, completionTokens: 200 }]
+    };
+    const usage = conversationUsage(record, createPricing({}));
+
+    assert.equal(usage.currency, 'USD');
+    assert.equal(usage.promptTokens, 3050);
+    assert.equal(usage.completionTokens, 305);
+    assert.equal(usage.cost, 0.00392);
+    assert.equal(usage.replies.cost, 0.0028);
+    assert.equal(usage.analysis.cost, 0.00112);
+    assert.deepEqual(usage.messages, { r1: 0.0028, r2: null });
+    const mystery = usage.byModel.find(entry => entry.model === 'mystery');
+    assert.deepEqual(mystery, { model: 'mystery', calls: 1, promptTokens: 50, completionTokens: 5, cost: 0, priced: false });
+  });
+});
+
+describe('usage of context calls', () => {
+  it('counts the summary and query embedding of a reply as context', () => {
+    const record = {
+      messages: [{
+        id: 'r1',
+        role: 'assistant',
+        createdAt: '2024-05-01T10:00:00.000Z',
+        model: 'gpt-4.1',
+        usage: { promptTokens: 1000, completionTokens: 100 },
+        contextUsage: [
+          { kind: 'summary', model: 'gpt-4.1-mini', promptTokens: 1000, completionTokens: 100 },
+          { kind: 'embedding', model: 'text-embedding-3-small', promptTokens: 50000, completionTokens: 0 }
+        ]
+      }]
+    };
+    const usage = conversationUsage(record, createPricing({}));
+    assert.deepEqual(usageRecords(record).map(call => [call.kind, call.at]), [
+      ['reply', '2024-05-01T10:00:00.000Z'], ['summary', '2024-05-01T10:00:00.000Z'], ['embedding', '2024-05-01T10:00:00.000Z']
+    ]);
+    assert.equal(usage.replies.cost, 0.0028);
+    assert.equal(usage.context.cost, 0.00156);
+    assert.equal(usage.cost, 0.00436);
+    assert.deepEqual(usage.messages, { r1: 0.0028 });
+  });
+});
+
+describe('helpers', () => {
+  it('adds usage, ignoring missing values', () => {
+    const total = addUsage(emptyUsage(), { promptTokens: 5, completionTokens: '2' });
+    addUsage(total, null);
+    assert.deepEqual(total, { promptTokens: 5, completionTokens: 2 });
+  });
+
+  it('keeps the latest analysis runs', () => {
+    let runs;
+    for (let i = 0; i < MAX_ANALYSIS_RUNS + 5; i++) runs = appendAnalysisRun(runs, { id: i });
+    assert.equal(runs.length, MAX_ANALYSIS_RUNS);
+    assert.equal(runs[runs.length - 1].id, MAX_ANALYSIS_RUNS + 4);
+  });
+
+  it('rounds costs to six decimals', () => {
+    assert.equal(roundCost(0.1234567), 0.123457);
+  });
+});
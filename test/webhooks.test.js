@@ -0,0 +1,175 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWebhooks, verifySignature, signatureHeader } = require('../lib/webhooks');
+const { createMemoryStore } = require('../lib/storage');
+
+// Receiver stub: answers with the given statuses in turn (the last one repeats)
+function receiver(...statuses) {
+  const requests = [];
+  const fetchImpl = async (url, init) => {
+    requests.push({ url, ...init });
+    const status = statuses[Math.min(requests.length - 1, statuses.length - 1)];
+    if (status instanceof Error) throw status;
+    return { status, ok: status >= 200 && status < 300, text: async () => `status ${status}` };
+  };
+  return { requests, fetchImpl };
+}
+
+// DNS stub: example.com is public, the rest point into the private network
+const DNS = { 'example.com': ['93.184.215.14'], 'intranet.example.com': ['10.0.0.5'], 'split.example.com': ['93.184.215.14', 'fd00::1'] };
+async function lookup(host) {
+  if (!DNS[host]) throw Object.assign(new Error(`getaddrinfo ENOTFOUND ${host}`), { code: 'ENOTFOUND' });
+  return DNS[host].map(address => ({ address, family: address.includes(':') ? 6 : 4 }));
+}
+
+async function finished(webhooks) {
+  for (;;) {
+    const log = await webhooks.deliveries();
+    if (log.length && log.every(d => !['pending', 'retrying'].includes(d.status))) return log;
+    await new Promise(resolve => setTimeout(resolve, 1));
+  }
+}
+
+function setup(...statuses) {
+  const stub = receiver(...statuses);
+  const webhooks = createWebhooks({ storage: createMemoryStore(), backoffMs: 1, maxAttempts: 3, lookup, fetchImpl: stub.fetchImpl });
+  return { webhooks, requests: stub.requests };
+}
+
+describe('webhook signatures', () => {
+  it('verifies a fresh signature of the same body only', () => {
+    const header = signatureHeader('whsec_1', '{"a":1}');
+    assert.match(header, /^t=\d+,v1=[0-9a-f]{64}$/);
+    assert.equal(verifySignature('whsec_1', header, '{"a":1}'), true);
+    assert.equal(verifySignature('whsec_1', header, '{"a":2}'), false);
+    assert.equal(verifySignature('whsec_2', header, '{"a":1}'), false);
+    assert.equal(verifySignature('whsec_1', 'garbage', '{"a":1}'), false);
+  });
+
+  it('rejects stale timestamps', () => {
+    const old = Math.floor(Date.now() / 1000) - 600;
+    assert.equal(verifySignature('whsec_1', signatureHeader('whsec_1', 'body', old), 'body'), false);
+  });
+});
+
+describe('createWebhooks', () => {
+  it('validates endpoints and shows the secret only on creation', async () => {
+    const { webhooks } = setup(200);
+    await assert.rejects(webhooks.create({ url: 'ftp://example.com', events: ['*'] }), { status: 400 });
+    await assert.rejects(webhooks.create({ url: 'https://example.com/hook', events: [] }), { status: 400 });
+    await assert.rejects(webhooks.create({ url: 'https://example.com/hook', events: ['lead.lost'] }), { status: 400 });
+
+    const created = await webhooks.create({ url: 'https://example.com/hook', events: ['lead.good', 'lead.good'] });
+    assert.match(created.secret, /^whsec_[0-9a-f]{48}$/);
+    assert.deepEqual(created.events, ['lead.good']);
+    const [listed] = await webhooks.list();
+    assert.equal(listed.secret, undefined);
+    assert.equal(listed.secretHint, `${created.secret.slice(0, 10)}…`);
+  });
+
+  it('only accepts endpoints that resolve to public addresses', async () => {
+    const { webhooks } = setup(200);
+    for (const url of [
+      'http://localhost:4000/', 'http://127.0.0.1/', 'http://[::1]/', 'http://169.254.169.254/latest/',
+      'http://192.168.1.10/', 'http://[::ffff:10.0.0.1]/', 'http://[fe80::1]/', 'http://0x7f.1/',
+      'https://intranet.example.com/hook', 'https://split.example.com/hook', 'https://unknown.invalid/'
+    ]) {
+      await assert.rejects(webhooks.create({ url, events: ['*'] }), { status: 400 }, url);
+    }
+    const hook = await webhooks.create({ url: 'https://example.com/hook', events: ['*'] });
+    await assert.rejects(webhooks.update(hook.id, { url: 'http://10.1.2.3/' }), { status: 400 });
+
+    const local = createWebhooks({ storage: createMemoryStore(), allowPrivateHosts: true, lookup });
+    assert.equal((await local.create({ url: 'http://localhost:4000/', events: ['*'] })).url, 'http://localhost:4000/');
+  });
+
+  it('fails a delivery whose host has since moved to a private address', async () => {
+    const { webhooks, requests } = setup(200);
+    await webhooks.create({ url: 'https://example.com/hook', events: ['*'] });
+    DNS['example.com'] = ['127.0.0.1'];
+    try {
+      webhooks.emit('lead.good', {});
+      const [delivery] = await finished(webhooks);
+      assert.equal(requests.length, 0);
+      assert.equal(delivery.status, 'failed');
+      assert.match(delivery.error, /not a public address/);
+    } finally {
+      DNS['example.com'] = ['93.184.215.14'];
+    }
+  });
+
+  it('delivers signed events to subscribed, enabled endpoints', async () => {
+    const { webhooks, requests } = setup(200);
+    const hook = await webhooks.create({ url: 'https://example.com/hook', events: ['lead.analyzed'], secret: 'whsec_test' });
+    const off = await webhooks.create({ url: 'https://example.com/off', events: ['*'] });
+    await webhooks.update(off.id, { enabled: false });
+    await webhooks.create({ url: 'https://example.com/other', events: ['conversation.created'] });
+
+    webhooks.emit('lead.analyzed', { sessionId: 's1' });
+    const [delivery] = await finished(webhooks);
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].url, 'https://example.com/hook');
+    assert.equal(requests[0].headers['X-Webhook-Event'], 'lead.analyzed');
+    assert.equal(verifySignature('whsec_test', requests[0].headers['X-Webhook-Signature'], requests[0].body), true);
+    assert.deepEqual(JSON.parse(requests[0].body).data, { sessionId: 's1' });
+    assert.equal(delivery.webhookId, hook.id);
+    assert.equal(delivery.status, 'succeeded');
+    assert.equal(delivery.responseStatus, 200);
+    assert.equal(requests[0].redirect, 'manual');
+    assert.equal('responseBody' in delivery, false);
+  });
+
+  it('retries network errors and 5xx responses with backoff', async () => {
+    const { webhooks, requests } = setup(new Error('ECONNRESET'), 503, 200);
+    await webhooks.create({ url: 'https://example.com/hook', events: ['*'] });
+    webhooks.emit('lead.good', {});
+    const [delivery] = await finished(webhooks);
+    assert.equal(requests.length, 3);
+    assert.equal(delivery.status, 'succeeded');
+    assert.equal(delivery.attempts, 3);
+  });
+
+  it('fails other responses straight away and gives up after maxAttempts', async () => {
+    const rejected = setup(400);
+    await rejected.webhooks.create({ url: 'https://example.com/hook', events: ['*'] });
+    rejected.webhooks.emit('lead.good', {});
+    const [failed] = await finished(rejected.webhooks);
+    assert.equal(rejected.requests.length, 1);
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.error, 'Receiver responded with 400');
+
+    const down = setup(500);
+    await down.webhooks.create({ url: 'https://example.com/hook', events: ['*'] });
+    down.webhooks.emit('lead.good', {});
+    const [exhausted] = await finished(down.webhooks);
+    assert.equal(down.requests.length, 3);
+    assert.equal(exhausted.status, 'failed');
+  });
+
+  it('prunes the oldest finished deliveries beyond the log limit', async () => {
+    const stub = receiver(200);
+    const webhooks = createWebhooks({ storage: createMemoryStore(), logLimit: 2, lookup, fetchImpl: stub.fetchImpl });
+    await webhooks.create({ url: 'https://example.com/hook', events: ['*'] });
+    for (let i = 0; i < 4; i++) {
+      webhooks.emit('lead.good', { n: i });
+      await new Promise(resolve => setTimeout(resolve, 2));
+    }
+    await finished(webhooks);
+    assert.equal((await webhooks.deliveries()).length, 4, 'deliveries alone do not prune');
+    await webhooks.prune();
+    assert.deepEqual((await webhooks.deliveries()).map(d => d.payload.data.n).sort(), [2, 3]);
+  });
+
+  it('redelivers a logged delivery with the same event id', async () => {
+    const { webhooks, requests } = setup(400, 200);
+    const hook = await webhooks.create({ url: 'https://example.com/hook', events: ['*'] });
+    webhooks.emit('lead.good', {});
+    const [original] = await finished(webhooks);
+    const again = await webhooks.redeliver(original.id);
+    assert.equal(again.redeliveryOf, original.id);
+    await finished(webhooks);
+    assert.equal(JSON.parse(requests[1].body).id, JSON.parse(requests[0].body).id);
+    assert.equal((await webhooks.deliveries({ webhookId: hook.id })).length, 2);
+    await assert.rejects(webhooks.redeliver('missing'), { status: 404 });
+  });
+});